@@ -812,6 +812,10 @@
   let __cachedDeviceConfig = null;
   let __onboardMemoryModeEnabledByConnectConfirm = false;
   let __onboardMemoryEmergencyDisableInFlight = false;
+  let __onboardBackupAttempted = false; // one onboard snapshot per device session (see ensureOnboardBackup)
+  const ONBOARD_BACKUP_ERROR_CODE = "ONBOARD_BACKUP_FAILED";
+  let __onboardBackupDeviceKey = "";
+  let __onboardBackupRestoring = false;
   const __hidApiBindings = new WeakSet();
   let __runtimeBootstrapReady = false;
   const ONBOARD_MEMORY_EMERGENCY_MARK_TTL_MS = 24 * 60 * 60 * 1000;
@@ -3202,6 +3206,9 @@ async function enterAppWithLiquidTransition(origin = null) {
 
         const navLinks = $("#navLinks");
   const disconnectBtn = $("#disconnectBtn");
+  const configExportBtn = $("#configExportBtn");
+  const configImportBtn = $("#configImportBtn");
+  const configImportInput = $("#configImportInput");
   const langBtn = $("#langBtn");
   const langBtnLabel = $("#langBtnLabel");
   const themeBtn = $("#themeBtn");
@@ -3394,6 +3401,13 @@ async function enterAppWithLiquidTransition(origin = null) {
         ? window.tr("断开当前设备连接", "Disconnect current device")
         : window.tr("当前无设备连接", "No device connected");
     }
+    [configExportBtn, configImportBtn].forEach((btn) => {
+      if (!btn) return;
+      btn.disabled = !connected;
+      btn.setAttribute("aria-disabled", connected ? "false" : "true");
+    });
+    // Library section may not be initialized yet during early startup; it re-renders itself then.
+    if (isProfilesPageActive()) renderProfileLibrary().catch(() => {});
 
     if (connected) {
       deviceStatusDot?.classList.add("connected");
@@ -3437,6 +3451,9 @@ async function enterAppWithLiquidTransition(origin = null) {
   let __writeSeqCounter = 0;
   const __intentByKey = new Map();
   const __INTENT_TTL_MS = 3000;
+  // Per-key observable mirror of readback + intents (refactor.core DeviceStore).
+  const __stdStore = window.DeviceStore || null;
+  __stdStore?.bindAdapter(adapter, { resolveButtonLabel: resolveExportButtonLabel });
 
   let opChain = Promise.resolve();
   let opInFlight = false;
@@ -3970,6 +3987,7 @@ function lockEl(el) {
     document.body.classList.toggle("page-basic", key === "basic");
     document.body.classList.toggle("page-advanced", key === "advanced");
     document.body.classList.toggle("page-testtools", key === "testtools");
+    document.body.classList.toggle("page-profiles", key === "profiles");
 
     if (typeof setKineticBackgroundWord === "function") {
       setKineticBackgroundWord(key);
@@ -5053,14 +5071,14 @@ function lockEl(el) {
   function __getOnboardMemoryDisableConfirmText() {
     const text = String(adapter?.ui?.onboardMemoryDisableConfirmText || "").trim();
     return text || window.tr(
-      "是否关闭板载内存模式，关闭后驱动设置不保证可用",
-      "Turn off onboard memory mode? Driver settings are not guaranteed after disabling."
+      "是否关闭板载内存模式？关闭后进入软件模式：DPI、回报率和灯效即时生效但不保存到鼠标，按键映射等板载设置不可修改",
+      "Turn off onboard memory mode? The driver switches to software mode: DPI, polling rate and lighting apply live but are not saved to the mouse; onboard-only settings such as button mappings cannot be changed."
     );
   }
 
   function __getOnboardMemoryEnableConfirmText() {
-    const fallbackZh = "检测到当前罗技设备未开启板载内存模式。\n\n网页驱动需要板载内存模式，才能写入并使用设备配置；你也可以先在 GHUB 中手动开启。\n\nGPW1/2 G502 等旧设备未适配型号请勿尝试打开,否则会导致异常。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。\n\n确定：开启板载内存模式并进入；取消：不启用，继续进入";
-    const fallbackEn = "Onboard Memory Mode is currently disabled.\n\nThe web driver needs Onboard Memory Mode to write and use device settings; you can also enable it in GHUB first.\n\nDo not try to enable this on unsupported older devices such as GPW1/2 or G502; otherwise it may cause abnormal behavior. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode.\n\nOK: enable Onboard Memory Mode and enter; Cancel: continue without enabling";
+    const fallbackZh = "检测到当前罗技设备未开启板载内存模式。\n\n开启后网页驱动可将完整配置写入板载内存；也可不开启，以软件模式临时调整 DPI、回报率和灯效，不改动 GHUB 板载配置。\n\nGPW1/2 G502 等旧设备未适配型号请勿尝试打开,否则会导致异常。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。\n\n确定：开启板载内存模式并进入；取消：不启用，以软件模式进入";
+    const fallbackEn = "Onboard Memory Mode is currently disabled.\n\nWith it enabled, the web driver can save all settings to onboard memory. You can also keep it off and adjust DPI, polling rate and lighting temporarily in software mode without touching your GHUB onboard profiles.\n\nDo not try to enable this on unsupported older devices such as GPW1/2 or G502; otherwise it may cause abnormal behavior. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode.\n\nOK: enable Onboard Memory Mode and enter; Cancel: continue in software mode";
     const pair = adapter?.ui?.onboardMemoryEnableConfirmText;
     if (Array.isArray(pair)) {
       const zh = String(pair[0] ?? "").trim();
@@ -5252,6 +5270,7 @@ function lockEl(el) {
       if (typeof hidApi?.setOnboardMemoryMode !== "function") {
         throw new Error("hidApi.setOnboardMemoryMode is not available");
       }
+      await ensureOnboardBackup();
       await hidApi.setOnboardMemoryMode(true);
 
       // Keep the connect-time UI sync narrow. Enabling OMM may refresh profile data
@@ -5262,6 +5281,7 @@ function lockEl(el) {
       return nextCfg;
     } catch (err) {
       console.warn("[Logitech] Failed to enable onboard memory mode during connect", err);
+      if (err?.code === ONBOARD_BACKUP_ERROR_CODE) log(err.message);
       return fallbackCfg;
     }
   }
@@ -5532,6 +5552,116 @@ function lockEl(el) {
     };
   }
 
+  // Lighting composite: one card per LED zone; std keys come from the profile keyMap.
+  const LIGHTING_ZONES = Object.freeze([
+    Object.freeze({ zone: "primary", effectKey: "primaryLedEffect", colorKey: "primaryLedColor", brightnessKey: "primaryLedBrightness" }),
+    Object.freeze({ zone: "logo", effectKey: "logoLedEffect", colorKey: "logoLedColor", brightnessKey: "logoLedBrightness" }),
+    Object.freeze({ zone: "wheel", effectKey: "wheelLedEffect", colorKey: "wheelLedColor", brightnessKey: "wheelLedBrightness" }),
+  ]);
+  const LIGHTING_EFFECTS = Object.freeze(["static", "breathing", "spectrum", "off"]);
+  const DEFAULT_LIGHTING_COLOR = "#00FF00";
+
+  function __normalizeLightingEffect(raw) {
+    const effect = String(raw ?? "").trim().toLowerCase();
+    return LIGHTING_EFFECTS.includes(effect) ? effect : LIGHTING_EFFECTS[0];
+  }
+
+  function __normalizeLightingBrightness(raw) {
+    const n = Number(raw);
+    return Number.isFinite(n) ? __clamp(Math.round(n), 0, 100) : 100;
+  }
+
+  function __getLightingZoneControls(zoneDef) {
+    const card = getAdvancedContainerNode("lightingComposite", {
+      region: getAdvancedSourceRegion(zoneDef.effectKey, ADV_REGION_SINGLE),
+      control: "panel",
+    });
+    const zoneCard = card?.querySelector(`[data-led-zone="${zoneDef.zone}"]`) || null;
+    return {
+      zoneCard,
+      effectSelect: getSourceSelectByStdKey(zoneDef.effectKey, ADV_REGION_SINGLE),
+      colorBtn: getAdvancedNodeByStdKey(zoneDef.colorKey, {
+        region: getAdvancedSourceRegion(zoneDef.colorKey, ADV_REGION_SINGLE),
+        control: "color",
+      }),
+      brightnessInput: getSourceRangeByStdKey(zoneDef.brightnessKey, ADV_REGION_SINGLE),
+    };
+  }
+
+  function __applyLightingColorButton(colorBtn, rawColor) {
+    if (!colorBtn) return;
+    const color = __normalizeHexColorUi(rawColor, colorBtn.dataset.color || DEFAULT_LIGHTING_COLOR);
+    colorBtn.dataset.color = color;
+    colorBtn.textContent = color;
+    colorBtn.style.backgroundColor = color;
+  }
+
+  function syncLightingCompositeUi() {
+    const ledZones = Array.isArray(getCapabilities().ledZones) ? getCapabilities().ledZones : null;
+    LIGHTING_ZONES.forEach((zoneDef) => {
+      const { zoneCard, effectSelect, colorBtn, brightnessInput } = __getLightingZoneControls(zoneDef);
+      if (!zoneCard) return;
+      // Capabilities list the zones the connected mouse answered for.
+      zoneCard.hidden = !!ledZones && !ledZones.includes(zoneDef.zone);
+
+      const effect = __normalizeLightingEffect(effectSelect?.value);
+      if (effectSelect && effectSelect.value !== effect) effectSelect.value = effect;
+      __applyLightingColorButton(colorBtn, colorBtn?.dataset.color);
+      // Spectrum cycles its own colors; off has neither color nor brightness.
+      if (colorBtn) colorBtn.disabled = effect === "spectrum" || effect === "off";
+
+      if (brightnessInput) {
+        const brightness = __normalizeLightingBrightness(brightnessInput.value);
+        if (String(brightnessInput.value) !== String(brightness)) brightnessInput.value = String(brightness);
+        brightnessInput.disabled = effect === "off";
+        const disp = zoneCard.querySelector(".value-readout");
+        if (disp) disp.textContent = String(brightness);
+      }
+    });
+  }
+
+  function initLightingCompositeUi() {
+    LIGHTING_ZONES.forEach((zoneDef) => {
+      const { effectSelect, colorBtn, brightnessInput } = __getLightingZoneControls(zoneDef);
+
+      effectSelect?.addEventListener("change", () => {
+        const effect = __normalizeLightingEffect(effectSelect.value);
+        effectSelect.value = effect;
+        syncLightingCompositeUi();
+        enqueueDevicePatch({ [zoneDef.effectKey]: effect });
+      });
+
+      colorBtn?.addEventListener("click", () => {
+        if (colorBtn.disabled) return;
+        const current = __normalizeHexColorUi(colorBtn.dataset.color, DEFAULT_LIGHTING_COLOR);
+        initColorPicker().open(colorBtn, current, {
+          onPreview: (nextHex) => __applyLightingColorButton(colorBtn, nextHex),
+          onCancel: () => __applyLightingColorButton(colorBtn, current),
+          onConfirm: (nextHex) => {
+            const color = __normalizeHexColorUi(nextHex, current);
+            __applyLightingColorButton(colorBtn, color);
+            if (color !== current) enqueueDevicePatch({ [zoneDef.colorKey]: color });
+          },
+        });
+      });
+
+      if (brightnessInput) {
+        bindRangeCommit(brightnessInput, {
+          onInput: () => {
+            syncLightingCompositeUi();
+          },
+          onCommit: () => {
+            if (brightnessInput.disabled) return;
+            const value = __normalizeLightingBrightness(brightnessInput.value);
+            brightnessInput.value = String(value);
+            enqueueDevicePatch({ [zoneDef.brightnessKey]: value });
+            syncLightingCompositeUi();
+          },
+        });
+      }
+    });
+  }
+
   const DEFAULT_SUPERSTRIKE_MODE = "symmetric";
   const SUPERSTRIKE_COMPOSITES = Object.freeze([
     Object.freeze({
@@ -6077,6 +6207,8 @@ function lockEl(el) {
 
     syncSmartTrackingCompositeUi();
     syncSuperstrikeCompositeUi();
+    syncLightingCompositeUi();
+    renderOnboardBackupCard();
 
     const lowPowerInput = getSourceRangeByStdKey("lowPowerThresholdPercent", ADV_REGION_SINGLE);
     if (lowPowerInput) {
@@ -6382,6 +6514,7 @@ function lockEl(el) {
 
     syncSmartTrackingCompositeUi();
     initSuperstrikeCompositeUi(root);
+    initLightingCompositeUi();
     syncSingleAdvancedUi();
   }
 
@@ -6523,7 +6656,25 @@ function lockEl(el) {
   });
 
 
-  const logBox = $("#logBox");
+  // Developer panel (log box + write dry-run): ?dev=1 or localStorage["clicksync.dev"] = "1".
+  const DEV_PANEL_STORAGE_KEY = "clicksync.dev";
+  function isDevPanelRequested() {
+    try {
+      const v = new URLSearchParams(window.location?.search || "").get("dev");
+      if (v === "1" || v === "true") return true;
+    } catch (_) {}
+    try {
+      return window.localStorage?.getItem(DEV_PANEL_STORAGE_KEY) === "1";
+    } catch (_) {
+      return false;
+    }
+  }
+  const devPanelEnabled = isDevPanelRequested();
+  const devPanel = $("#devPanel");
+  if (devPanel) devPanel.hidden = !devPanelEnabled;
+
+  // Hidden log box would swallow lines; fall back to the console instead.
+  const logBox = devPanelEnabled ? $("#logBox") : null;
   if (logBox) logBox.setAttribute("data-i18n-skip", "true");
   /**
    * Log helper.
@@ -6621,6 +6772,7 @@ function lockEl(el) {
         if (cfg && typeof cfg === "object") {
           __cachedDeviceConfig = cfg;
           __syncOnboardMemoryEmergencyEligibilityFromConfig(cfg);
+          __stdStore?.ingest(cfg);
         }
         const isHandshakePhase = hidConnecting || __activeHandshakeSeq !== 0 || (__connectInFlight && !hidLinked);
         if (isHandshakePhase || !isHidOpened()) return;
@@ -6631,6 +6783,8 @@ function lockEl(el) {
 
         hidLinked = true;
         __writesEnabled = true;
+        if (isProfilesPageActive()) renderProfileLibrary().catch(() => {});
+        if (isProfilesPageActive()) renderProfileSlotCard();
       } catch (e) {
         logErr(e, window.tr("搴旂敤閰嶇疆澶辫触", "Apply config failed"));
       }
@@ -6685,14 +6839,28 @@ function lockEl(el) {
     return { ProtocolApi, hidApi };
   }
 
-  function __resetDeviceScopedTransientState() {
+  // resume=true (hot-plug resume of the same device) keeps queued writes with their intents,
+  // the std-key store, write history and drift baseline.
+  function __resetDeviceScopedTransientState({ resume = false } = {}) {
     __cachedDeviceConfig = null;
     __onboardMemoryModeEnabledByConnectConfirm = false;
     __onboardMemoryEmergencyDisableInFlight = false;
     __resetBatterySessionState({ clearText: true });
     __writesEnabled = false;
-    __pendingDevicePatch = null;
-    __intentByKey.clear();
+    if (!resume) {
+      __onboardBackupAttempted = false;
+      __onboardBackupDeviceKey = "";
+      __pendingDevicePatch = null;
+      __pendingHistorySource = null;
+      __writeHistory?.clear();
+      // Intents protect queued writes from stale readback; on resume the queue is flushed after connect.
+      __intentByKey.clear();
+      __stdStore?.reset();
+    }
+    __lastVerifyReport = null;
+    stopDriftWatchdog({ clearBaseline: !resume });
+    closeSafeApplySession()?.settlers.forEach((fn) => fn(false));
+    __historyMoveTarget = null;
     for (const timerId of writeDebouncers.values()) {
       try { clearTimeout(timerId); } catch (_) {}
     }
@@ -6800,8 +6968,8 @@ function lockEl(el) {
    * @param {any} dev - HID device.
    * @returns {any} Save result.
    */
-  const saveLastHidDevice = (dev) => {
-    try { DeviceRuntime?.saveLastHidDevice?.(dev); } catch (_) {}
+  const saveLastHidDevice = (dev, opts) => {
+    try { DeviceRuntime?.saveLastHidDevice?.(dev, opts); } catch (_) {}
   };
 
 
@@ -6811,7 +6979,7 @@ function lockEl(el) {
    * @returns {Promise<any>} Async result.
    */
   async function autoConnectHidOnce() {
-    if (!navigator.hid) return null;
+    if (!navigator.hid && !DeviceRuntime?.isVirtualEnabled?.()) return null;
     if (hidConnecting || __connectInFlight) return null;
     if (isHidOpened()) return null;
 
@@ -6917,6 +7085,7 @@ function __refreshRuntimeDeviceState(deviceId = DeviceRuntime.getSelectedDevice(
   DEVICE_ID = nextDeviceId;
   adapter = getRuntimeAdapter(DEVICE_ID);
   adapterFeatures = adapter?.features || {};
+  __stdStore?.bindAdapter(adapter, { resolveButtonLabel: resolveExportButtonLabel });
   hasDpiLightCycle = !!adapterFeatures.hasDpiLightCycle;
   hasReceiverLightCycle = !!adapterFeatures.hasReceiverLightCycle;
   hasStaticLedColorPanel = !!adapterFeatures.hasStaticLedColorPanel;
@@ -7692,6 +7861,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
     dpiSyncingToSingleMode = true;
     try {
       await withMutex(async () => {
+        await ensureOnboardBackup();
         for (const slot of mismatchSlots) {
           const xVal = getUiDpiAxisValue(slot, "x", 800);
           await hidApi.setDpi(slot, { x: xVal, y: xVal }, {
@@ -7700,6 +7870,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
         }
       });
     } catch (err) {
+      revertUiAfterBlockedBackup(err);
       logErr(err, window.tr("DPI 高级模式关闭同步失败", "Failed to sync DPI advanced mode off state"));
     } finally {
       dpiSyncingToSingleMode = false;
@@ -8454,7 +8625,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
       debounceKey(`dpi:${slot}`, 80, async () => {
         try {
           await withMutex(async () => {
-
+            await ensureOnboardBackup();
 
             const isCurrentActive = (slot === uiCurrentDpiSlot);
             const xVal = getUiDpiAxisValue(slot, "x", committedVal);
@@ -8468,6 +8639,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
             });
           });
         } catch (err) {
+          revertUiAfterBlockedBackup(err);
           logErr(err, window.tr("DPI 写入失败", "DPI write failed"));
         }
       });
@@ -8547,6 +8719,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
                   return;
                 }
                 await withMutex(async () => {
+                  await ensureOnboardBackup();
                   const payload = hasDpiAdvancedAxis()
                     ? { x: currentX, y: (isDpiAdvancedUiEnabled() ? currentY : currentX) }
                     : currentX;
@@ -8557,6 +8730,7 @@ function applyCapabilitiesToUi(cap, opts = {}) {
                 });
               } catch (e) {
                 selectBtn.style.setProperty("--btn-bg", currentColor);
+                revertUiAfterBlockedBackup(e);
                 logErr(e, window.tr("棰滆壊鍐欏叆澶辫触", "Color write failed"));
               }
             }
@@ -9195,6 +9369,80 @@ function labelFromFunckeyKeycode(funckey, keycode) {
     }
     const defaultMap = resolveKeymapDefaultMap();
     const mapping = { ...defaultMap };
+    const PRIMARY_CLICK_LABEL = "左键";
+
+    function isPrimaryButtonRemappable() {
+      return adapterFeatures?.keymapPrimaryRemappable !== false;
+    }
+
+    /**
+     * Validate a keymap patch before it is written.
+     * Purpose: button 1 may be remapped as long as some button within the cap still left-clicks.
+     * @param {Object} patch - Button -> label patch.
+     * @returns {string} Localized error, or "" when the patch is allowed.
+     */
+    function validateKeymapPatch(patch) {
+      if (patch[1] !== undefined && patch[1] !== mapping[1] && !isPrimaryButtonRemappable()) {
+        return window.tr("该设备不支持修改主按键（按键1）", "This device does not support remapping the primary button (Button 1)");
+      }
+      const next = { ...mapping, ...patch };
+      const cap = resolveKeymapButtonCap();
+      for (let i = 1; i <= cap; i++) {
+        if (next[i] === PRIMARY_CLICK_LABEL) return "";
+      }
+      return window.tr(
+        "至少需要保留一个按键为左键，否则将无法点击",
+        "At least one button must stay mapped to Left click, otherwise clicking is impossible"
+      );
+    }
+
+    /**
+     * Validate, apply locally and enqueue a keymap patch.
+     * Purpose: single write path for choose/reset/swap/restore.
+     * @param {Object} patch - Button -> label patch.
+     * @returns {boolean} Whether the patch was accepted.
+     */
+    function commitKeymapPatch(patch) {
+      const error = validateKeymapPatch(patch);
+      if (error) {
+        alert(error);
+        return false;
+      }
+      const changed = Object.fromEntries(Object.entries(patch).filter(([btn, label]) => mapping[btn] !== label));
+      if (!Object.keys(changed).length) return true;
+      Object.assign(mapping, changed);
+      Object.keys(changed).forEach((btn) => updateBubble(Number(btn)));
+      enqueueDevicePatch({ buttonMappingPatch: changed });
+      return true;
+    }
+
+    /**
+     * Swap buttons 1 and 2 (left-handed mode and back).
+     * @returns {any} Swap result.
+     */
+    function swapPrimaryButtons() {
+      if (!isPrimaryButtonRemappable()) {
+        alert(validateKeymapPatch({ 1: mapping[2] }));
+        return;
+      }
+      commitKeymapPatch({ 1: mapping[2], 2: mapping[1] });
+    }
+
+    /**
+     * Restore every button within the cap to the default mapping.
+     * @returns {any} Restore result.
+     */
+    function restoreDefaultKeymap() {
+      const cap = resolveKeymapButtonCap();
+      const patch = {};
+      for (let i = 1; i <= cap; i++) {
+        if (i === 1 && !isPrimaryButtonRemappable()) continue;
+        if (defaultMap[i] && mapping[i] !== defaultMap[i]) patch[i] = defaultMap[i];
+      }
+      if (!Object.keys(patch).length) return;
+      if (!confirm(window.tr("恢复所有按键的默认映射？", "Restore the default mapping for all buttons?"))) return;
+      commitKeymapPatch(patch);
+    }
 
     /**
      * Set active key-mapping point.
@@ -9225,21 +9473,7 @@ function labelFromFunckeyKeycode(funckey, keycode) {
      * @returns {Promise<any>} Async result.
      */
     async function resetSingleButton(btn) {
-      if (btn === 1) {
-        alert(window.tr(
-          "为防止误操作，主按键（左键）已被锁定，不可修改",
-          "To prevent misclicks, the primary button (Left) is locked and cannot be changed"
-        ));
-        return;
-      }
-
-      mapping[btn] = defaultMap[btn];
-      updateBubble(btn);
-
-      enqueueDevicePatch({
-        buttonMappingPatch: { [btn]: mapping[btn] },
-      });
-      return;
+      commitKeymapPatch({ [btn]: defaultMap[btn] });
     }
 
     /**
@@ -9518,22 +9752,8 @@ function openDrawer(btn) {
      * @returns {Promise<any>} Async result.
      */
     async function choose(label) {
-      if (activeBtn === 1) {
-         alert(window.tr(
-           "为防止误操作，主按键（左键）已被锁定，不可修改",
-           "To prevent misclicks, the primary button (Left) is locked and cannot be changed"
-         ));
-         return;
-      }
-
-      mapping[activeBtn] = label;
-      updateBubble(activeBtn);
-
-      enqueueDevicePatch({
-        buttonMappingPatch: { [activeBtn]: label },
-      });
+      if (!commitKeymapPatch({ [activeBtn]: label })) return;
       closeDrawer();
-      return;
     }
 
 
@@ -9556,6 +9776,9 @@ function openDrawer(btn) {
       p.querySelector(".kmBubble")?.addEventListener("click", handler);
     });
 
+    $("#kmSwapBtn")?.addEventListener("click", () => swapPrimaryButtons());
+    $("#kmRestoreBtn")?.addEventListener("click", () => restoreDefaultKeymap());
+
     drawerClose?.addEventListener("click", closeDrawer);
     backdrop?.addEventListener("click", closeDrawer);
     document.addEventListener("keydown", (e) => {
@@ -9639,6 +9862,21 @@ function openDrawer(btn) {
   // 6) Device write queue (race protection + adapter-driven)
   // ============================================================
   let __pendingDevicePatch = null;
+  // Undo/redo timeline of written patches; null source = pending batch is not recorded.
+  const __writeHistory = window.WriteHistory?.createWriteHistory({ limit: 50 }) || null;
+  let __pendingHistorySource = null;
+  let __historyMoveTarget = null; // cursor an undo/redo still being written will reach
+  // Optional readback check after each write (toggle on the profiles page, persisted).
+  const VERIFY_WRITES_KEY = "clicksync.verifyWrites";
+  let __verifyWrites = (() => {
+    try { return localStorage.getItem(VERIFY_WRITES_KEY) === "1"; } catch (_) { return false; }
+  })();
+  let __lastVerifyReport = null;
+  // Drift watchdog baseline: last std values written from this page in the current session.
+  let __driftBaseline = {};
+  let __driftTimer = null;
+  let __driftCheckInFlight = false;
+  let __driftMismatches = [];
 
   function __nextWriteSeq() {
     __writeSeqCounter += 1;
@@ -9649,6 +9887,7 @@ function openDrawer(btn) {
     for (const [key, intent] of __intentByKey.entries()) {
       if (!intent || (now - Number(intent.ts || 0)) > __INTENT_TTL_MS) {
         __intentByKey.delete(key);
+        __stdStore?.clearIntent(key);
       }
     }
   }
@@ -9660,6 +9899,7 @@ function openDrawer(btn) {
       ts: Date.now(),
     };
     __intentByKey.set(key, intent);
+    __stdStore?.setIntent(key, value);
     return intent;
   }
 
@@ -9673,6 +9913,7 @@ function openDrawer(btn) {
     if (!cur) return;
     if (seq == null || cur.seq === seq) {
       __intentByKey.delete(key);
+      __stdStore?.clearIntent(key);
     }
   }
 
@@ -9723,11 +9964,26 @@ function openDrawer(btn) {
     buttonMappingPatch: mergeButtonMappingPatchByButton,
   };
 
+  // Put an unwritten patch back under the pending one; values queued since then win.
+  function requeueInterruptedPatch(payload, historySource) {
+    const merge = window.WriteHistory?.mergePatchInto || ((target, next) => Object.assign(target, next));
+    const merged = merge(merge({}, payload || {}), __pendingDevicePatch || {});
+    if (!__pendingDevicePatch) __pendingHistorySource = historySource;
+    __pendingDevicePatch = Object.keys(merged).length ? merged : null;
+  }
+
 
   /**
    * Enqueue a device patch write.
    * Purpose: merge high-frequency writes and route conversion through adapter logic to reduce race risk.
    * @param {any} patch - Standard-key patch payload.
+   * @param {Object} [opts]
+   * @param {string} [opts.source] - Write-history label ("ui", "import", "profile").
+   * @param {boolean} [opts.history] - false for undo/redo writes, which must not be recorded again.
+   *   Such writes skip the debounced batch so pending user edits keep their history record.
+   * @param {boolean} [opts.guard] - false to skip the safe-apply countdown for risky keys.
+   * @param {Function} [opts.onWritten] - (ok) => void once a history: false write settled; ok only when
+   *   every key reached the device (and, for risky keys, the user kept the change).
    * @returns {any} Enqueue result.
    */
   // Write-chain invariants (critical for correctness):
@@ -9737,12 +9993,42 @@ function openDrawer(btn) {
   // 4) Intent tracking is required to prevent stale readback from overriding fresh UI input.
   // 5) Keep debounce/mutex semantics unless you verify end-to-end concurrency behavior.
   // 6) Do not add app-layer write-failure reconcile reads; protocol setBatchFeatures owns reconcile.
-  function enqueueDevicePatch(patch) {
+  function enqueueDevicePatch(patch, { source = "ui", history = true, guard = true, onWritten = null } = {}) {
     if (!patch || typeof patch !== "object") return;
 
 
-    if (!__writesEnabled) return;
-    if (!__pendingDevicePatch) __pendingDevicePatch = {};
+    // While a hot-plugged device is away, writes stay queued and are flushed after resume.
+    if (!__writesEnabled && !__hidSuspended) {
+      onWritten?.(false);
+      return;
+    }
+    // No countdown while suspended: the device cannot confirm the change until it returns.
+    if (guard && !__hidSuspended) {
+      const riskyKeys = window.DeviceWriter?.listRiskyStdKeys?.({ adapter, payload: patch }) || [];
+      if (riskyKeys.length) {
+        enqueueGuardedDevicePatch(patch, riskyKeys, { source, history, onWritten });
+        return;
+      }
+    }
+    if (!history) {
+      // Undo/redo/revert: written on its own so the pending user batch keeps its history source.
+      const payload = {};
+      for (const [k, v] of Object.entries(patch)) {
+        if (v === undefined) continue;
+        payload[k] = v;
+        __setWriteIntent(k, v);
+      }
+      if (!Object.keys(payload).length || !isHidReady()) {
+        onWritten?.(false);
+        return;
+      }
+      void writeDevicePatchNow(payload, null, { onWritten });
+      return;
+    }
+    if (!__pendingDevicePatch) {
+      __pendingDevicePatch = {};
+      __pendingHistorySource = source;
+    }
     for (const [k, v] of Object.entries(patch)) {
       if (v === undefined) continue;
       const merger = PATCH_MERGERS[k];
@@ -9761,824 +10047,3166 @@ function openDrawer(btn) {
     debounceKey("deviceState", (window.AppConfig?.timings?.debounceMs?.deviceState ?? 200), async () => {
       if (!isHidReady()) return;
       const payload = __pendingDevicePatch;
+      const historySource = __pendingHistorySource;
       __pendingDevicePatch = null;
+      __pendingHistorySource = null;
       if (!payload || !Object.keys(payload).length) return;
+      await writeDevicePatchNow(payload, historySource);
+    });
+  }
 
-      const attemptSeqByKey = {};
-      for (const k of Object.keys(payload)) {
-        const intent = __getWriteIntent(k);
-        if (!intent) continue;
-        attemptSeqByKey[k] = intent.seq;
-      }
+  /**
+   * Write one patch under the write mutex (backup, intents, history record, drift baseline, verify).
+   * @param {Object} payload - Standard-key patch.
+   * @param {string|null} historySource - History label, or null for writes that must not be recorded.
+   * @param {Object} [opts]
+   * @param {Function} [opts.onWritten] - (ok) => void; ok only when every key was written.
+   * @returns {Promise<void>}
+   */
+  async function writeDevicePatchNow(payload, historySource, { onWritten = null } = {}) {
+    const attemptSeqByKey = {};
+    for (const k of Object.keys(payload)) {
+      const intent = __getWriteIntent(k);
+      if (!intent) continue;
+      attemptSeqByKey[k] = intent.seq;
+    }
 
-      try {
-        await withMutex(async () => {
-          const result = await window.DeviceWriter.writePatch({
-            hidApi,
-            adapter,
-            payload,
-          });
-          const writtenStdPatch = result?.writtenStdPatch || {};
-          for (const key of Object.keys(payload)) {
-            if (Object.prototype.hasOwnProperty.call(writtenStdPatch, key)) continue;
-            __clearWriteIntent(key, attemptSeqByKey[key]);
-          }
+    let written = null;
+    let allWritten = false;
+    let rejected = [];
+    try {
+      await withMutex(async () => {
+        await ensureOnboardBackup();
+        const previous = (__writeHistory && historySource)
+          ? __writeHistory.resolvePrevious(payload, buildLiveConfigSnapshot()?.values)
+          : null;
+        const result = await window.DeviceWriter.writePatch({
+          hidApi,
+          adapter,
+          payload,
+          capabilities: getCapabilities(),
+        });
+        const writtenStdPatch = result?.writtenStdPatch || {};
+        rejected = result?.errors || [];
+        rejected.forEach((err) => {
+          log(`${window.tr("已拒绝写入", "Write rejected")}: ${describeStdKeyError(err)}`);
         });
-
-        if (payload.pollingHz != null) {
-          log(window.tr(`回报率已写入:${payload.pollingHz}Hz`, `Polling rate written: ${payload.pollingHz}Hz`));
-        }
-        if (payload.performanceMode != null) {
-          log(window.tr(`性能模式已写入:${payload.performanceMode}`, `Performance mode written: ${payload.performanceMode}`));
-        }
-        if (payload.linearCorrection != null) {
-          log(window.tr(
-            `直线修正已写入:${payload.linearCorrection ? "开" : "关"}`,
-            `Linear correction written: ${payload.linearCorrection ? "On" : "Off"}`
-          ));
-        }
-        if (payload.rippleControl != null) {
-          log(window.tr(
-            `纹波修正已写入:${payload.rippleControl ? "开" : "关"}`,
-            `Ripple correction written: ${payload.rippleControl ? "On" : "Off"}`
-          ));
-        }
-      } catch (e) {
         for (const key of Object.keys(payload)) {
+          if (Object.prototype.hasOwnProperty.call(writtenStdPatch, key)) continue;
           __clearWriteIntent(key, attemptSeqByKey[key]);
         }
-        // Reconcile after write failures is handled by protocol-level setBatchFeatures; keep observability here only.
-        logErr(e, window.tr("设备状态写入失败", "Device state write failed"));
+        written = Object.fromEntries(
+          Object.entries(payload).filter(([key]) => Object.prototype.hasOwnProperty.call(writtenStdPatch, key))
+        );
+        allWritten = Object.keys(written).length === Object.keys(payload).length;
+        if (previous) {
+          __writeHistory.record({ patch: written, previous, source: historySource });
+        }
+        rememberDriftBaseline(written);
+      });
+
+      if (payload.pollingHz != null) {
+        log(window.tr(`回报率已写入:${payload.pollingHz}Hz`, `Polling rate written: ${payload.pollingHz}Hz`));
       }
-    });
-  }
+      if (payload.performanceMode != null) {
+        log(window.tr(`性能模式已写入:${payload.performanceMode}`, `Performance mode written: ${payload.performanceMode}`));
+      }
+      if (payload.linearCorrection != null) {
+        log(window.tr(
+          `直线修正已写入:${payload.linearCorrection ? "开" : "关"}`,
+          `Linear correction written: ${payload.linearCorrection ? "On" : "Off"}`
+        ));
+      }
+      if (payload.rippleControl != null) {
+        log(window.tr(
+          `纹波修正已写入:${payload.rippleControl ? "开" : "关"}`,
+          `Ripple correction written: ${payload.rippleControl ? "On" : "Off"}`
+        ));
+      }
+    } catch (e) {
+      onWritten?.(false);
+      if (!isHidOpened()) {
+        // Device vanished mid-write (sleep/unplug): keep the patch for hot-plug resume.
+        // Undo/redo writes are dropped instead; their timeline position was never reached.
+        if (!historySource) {
+          for (const key of Object.keys(payload)) __clearWriteIntent(key, attemptSeqByKey[key]);
+          logErr(e, window.tr("设备已断开，撤销/重做未写入", "Device lost; the undo/redo was not written"));
+          return;
+        }
+        requeueInterruptedPatch(payload, historySource);
+        logErr(e, window.tr("设备已断开，写入将在重新连接后继续", "Device lost; the write resumes after reconnect"));
+        return;
+      }
+      for (const key of Object.keys(payload)) {
+        __clearWriteIntent(key, attemptSeqByKey[key]);
+      }
+      if (e?.code === "ONBOARD_MODE_REQUIRED") {
+        // Software (host) mode: the planner rejects onboard-only keys before anything is sent.
+        log(window.tr(
+          "软件模式下该设置只能保存在板载内存中，请先开启板载内存模式",
+          "In software mode this setting can only be stored in onboard memory; enable Onboard Memory Mode first"
+        ));
+        return;
+      }
+      if (revertUiAfterBlockedBackup(e)) {
+        log(e.message);
+        return;
+      }
+      // Reconcile after write failures is handled by protocol-level setBatchFeatures; keep observability here only.
+      logErr(e, window.tr("设备状态写入失败", "Device state write failed"));
+      return;
+    }
 
-  const pollingSel = $("#pollingSelect");
-  if (pollingSel) {
-    pollingSel.addEventListener("change", () => {
-      const hz = Number(pollingSel.value);
-      if (!Number.isFinite(hz)) return;
-      enqueueDevicePatch({ pollingHz: hz });
-      syncSingleAdvancedUi();
-    });
-  }
+    onWritten?.(allWritten);
+    if (rejected.length) {
+      showWriteRejectNotice(rejected);
+      // Rejected controls still show the refused value: return them to what the device holds.
+      const cfg = getCachedDeviceConfig();
+      if (cfg) applyConfigToUi(cfg);
+    }
 
-  const pollingWirelessSel = $("#pollingSelectWireless");
-  if (pollingWirelessSel) {
-    pollingWirelessSel.addEventListener("change", () => {
-      if (!__isDualPollingRates) return;
-      const hz = Number(pollingWirelessSel.value);
-      if (!Number.isFinite(hz)) return;
-      enqueueDevicePatch({ pollingWirelessHz: hz });
-      syncSingleAdvancedUi();
-    });
+    if (__verifyWrites && written && Object.keys(written).length) {
+      await verifyWrittenPatch(written);
+    }
   }
 
-  const sleepSel = getSourceSelectByStdKey("sleepSeconds", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
-  if (sleepSel && sleepSel.dataset.sleepSelectWriteBound !== "1") {
-    sleepSel.dataset.sleepSelectWriteBound = "1";
-    sleepSel.addEventListener("change", () => {
-      const sec = Number(sleepSel.value);
-      if (!Number.isFinite(sec)) return;
-      enqueueDevicePatch({ sleepSeconds: sec });
-    });
+  /**
+   * Re-read the device and compare the written std keys.
+   * Purpose: surface settings that vendor software or firmware silently replaced.
+   * Readback is only observed here; the UI keeps following the regular config stream.
+   * @param {Object} written - Std-key patch that writePatch reported as written.
+   * @returns {Promise<any>} Async result.
+   */
+  async function verifyWrittenPatch(written) {
+    if (!window.DeviceWriter?.verifyPatch || !isHidReady()) return;
+    let report = null;
+    try {
+      report = await withMutex(() => window.DeviceWriter.verifyPatch({
+        hidApi,
+        adapter,
+        payload: written,
+        resolveButtonLabel: resolveExportButtonLabel,
+      }));
+    } catch (e) {
+      logErr(e, window.tr("回读校验失败", "Readback check failed"));
+      return;
+    }
+    __lastVerifyReport = { ...report, at: Date.now() };
+    for (const m of report.mismatches) {
+      const name = m.button != null ? `${m.stdKey} ${window.tr("按键", "Button")}${m.button}` : m.stdKey;
+      const raw = `${m.field} = ${formatProfileValue(m.raw)}`;
+      log(window.tr(
+        `回读不一致:${name} 期望 ${formatProfileValue(m.expected)},实际 ${formatProfileValue(m.actual)}(${raw})`,
+        `Readback mismatch: ${name} expected ${formatProfileValue(m.expected)}, got ${formatProfileValue(m.actual)} (${raw})`
+      ));
+    }
+    if (report.ok && report.checked.length) {
+      log(window.tr(`回读校验通过:${report.checked.length} 项`, `Readback check passed: ${report.checked.length} keys`));
+    }
+    renderWriteVerifyReport();
   }
 
-  const debounceSel = getAdvancedSelectControl("debounceMs", { region: ADV_REGION_DUAL_LEFT });
-  if (debounceSel && debounceSel.dataset.debounceSelectWriteBound !== "1") {
-    debounceSel.dataset.debounceSelectWriteBound = "1";
-    debounceSel.addEventListener("change", () => {
-      const ms = Number(debounceSel.value);
-      if (!Number.isFinite(ms)) return;
-      enqueueDevicePatch({ debounceMs: ms });
-    });
+  // ============================================================
+  // Drift watchdog (vendor software overriding web-driver writes)
+  // ============================================================
+  const driftAlert = $("#driftAlert");
+
+  function rememberDriftBaseline(written) {
+    const merge = window.WriteHistory?.mergePatchInto || ((target, next) => Object.assign(target, next));
+    merge(__driftBaseline, written || {});
   }
 
+  function getDriftWatchMs() {
+    const ms = Number(window.AppConfig?.timings?.driftWatchMs);
+    return Number.isFinite(ms) && ms > 0 ? ms : 30000;
+  }
 
-  const ledToggle = getAdvancedToggleInput("primaryLedFeature", { region: ADV_REGION_DUAL_RIGHT });
-  if (ledToggle) {
-    ledToggle.addEventListener("change", () => {
-      if (!hasFeature("hasPrimaryLedFeature")) return;
-      const on = !!ledToggle.checked;
-      enqueueDevicePatch({ primaryLedFeature: on });
-    });
+  function startDriftWatchdog() {
+    if (__driftTimer) return;
+    __driftTimer = setInterval(() => {
+      if (document.hidden) return;
+      checkConfigDrift();
+    }, getDriftWatchMs());
   }
 
+  function stopDriftWatchdog({ clearBaseline = false } = {}) {
+    if (__driftTimer) clearInterval(__driftTimer);
+    __driftTimer = null;
+    if (clearBaseline) __driftBaseline = {};
+    showDriftAlert([]);
+  }
 
-  const perfRadios = $$('input[name="perfMode"]');
-  perfRadios.forEach((r) => {
-    r.addEventListener("change", () => {
-      if (!__hasPerformanceMode) return;
-      const v = document.querySelector('input[name="perfMode"]:checked')?.value;
-      if (!v) return;
+  /**
+   * Re-read the device and compare it with the drift baseline.
+   * Purpose: Synapse / G HUB can rewrite settings while this page stays open.
+   * Skipped while a write, a debounce or a safe-apply countdown is pending.
+   * @returns {Promise<any>} Async result.
+   */
+  async function checkConfigDrift() {
+    if (__driftCheckInFlight || !isHidReady() || !__writesEnabled) return;
+    if (!window.DeviceWriter?.verifyPatch || !Object.keys(__driftBaseline).length) return;
+    if (__pendingDevicePatch || __safeApplySession || writeDebouncers.size) return;
+    __driftCheckInFlight = true;
+    try {
+      // Baseline is read inside the mutex so writes queued ahead of the check are included.
+      const report = await withMutex(() => window.DeviceWriter.verifyPatch({
+        hidApi,
+        adapter,
+        payload: JSON.parse(JSON.stringify(__driftBaseline)),
+        resolveButtonLabel: resolveExportButtonLabel,
+      }));
+      if (!isHidReady() || __pendingDevicePatch) return;
+      showDriftAlert(report.mismatches);
+    } catch (e) {
+      logErr(e, window.tr("配置漂移检查失败", "Drift check failed"));
+    } finally {
+      __driftCheckInFlight = false;
+    }
+  }
 
-      enqueueDevicePatch({ performanceMode: v });
-      syncAdvancedPanelUi();
-    });
-  });
+  function describeDriftMismatch(m) {
+    const name = m.button != null ? `${window.tr("按键", "Button")}${m.button}` : m.stdKey;
+    return `${name}: ${formatProfileValue(m.expected)} → ${formatProfileValue(m.actual)}`;
+  }
 
-  const lodEl = getAdvancedToggleInput("surfaceModePrimary", { region: ADV_REGION_DUAL_RIGHT });
-  if (lodEl) {
-    lodEl.addEventListener("change", () => {
-      if (!hasFeature("hasPrimarySurfaceToggle")) return;
-      const primarySurfaceLockState = __resolvePrimarySurfacePerfLockState();
-      if (primarySurfaceLockState.locked) return;
-      enqueueDevicePatch({ surfaceModePrimary: !!lodEl.checked });
-    });
+  function showDriftAlert(mismatches) {
+    const next = Array.isArray(mismatches) ? mismatches : [];
+    const signature = (list) => list.map((m) => `${m.stdKey}#${m.button ?? ""}=${JSON.stringify(m.actual)}`).join("|");
+    const changed = signature(next) !== signature(__driftMismatches);
+    __driftMismatches = next;
+    if (changed) {
+      next.forEach((m) => log(window.tr(`检测到配置漂移:${describeDriftMismatch(m)}`, `Config drift detected: ${describeDriftMismatch(m)}`)));
+    }
+    if (!driftAlert) return;
+    driftAlert.hidden = !next.length;
+    const detail = $("#driftAlertDetail");
+    if (detail) detail.textContent = next.map(describeDriftMismatch).join("\n");
   }
 
+  /**
+   * Write the baseline values of drifted keys again.
+   * @returns {any} Re-apply result.
+   */
+  function reapplyDriftedKeys() {
+    const patch = {};
+    for (const m of __driftMismatches) {
+      if (m.button != null) {
+        const label = __driftBaseline.buttonMappingPatch?.[m.button];
+        if (label == null) continue;
+        patch.buttonMappingPatch = { ...(patch.buttonMappingPatch || {}), [m.button]: label };
+      } else if (__driftBaseline[m.stdKey] !== undefined) {
+        patch[m.stdKey] = __driftBaseline[m.stdKey];
+      }
+    }
+    showDriftAlert([]);
+    if (!Object.keys(patch).length) return;
+    enqueueDevicePatch(patch, { source: "reapply" });
+    const cfg = getCachedDeviceConfig();
+    if (cfg) applyConfigToUi(cfg);
+  }
+
+  // Accept the device values: drop drifted keys from the baseline so they are not reported again.
+  function dismissDriftedKeys() {
+    for (const m of __driftMismatches) {
+      if (m.button != null) {
+        if (__driftBaseline.buttonMappingPatch) delete __driftBaseline.buttonMappingPatch[m.button];
+      } else {
+        delete __driftBaseline[m.stdKey];
+      }
+    }
+    showDriftAlert([]);
+  }
 
-  const motionSyncToggle = getAdvancedToggleInput("motionSync", { region: ADV_REGION_DUAL_RIGHT });
-  if (motionSyncToggle) motionSyncToggle.addEventListener("change", () => {
-    if (!hasFeature("hasMotionSync")) return;
-    enqueueDevicePatch({ motionSync: !!motionSyncToggle.checked });
+  $("#driftReapplyBtn")?.addEventListener("click", () => reapplyDriftedKeys());
+  $("#driftDismissBtn")?.addEventListener("click", () => dismissDriftedKeys());
+  // Vendor software is usually used while this tab is in the background; check on return.
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden && __driftTimer) checkConfigDrift();
   });
 
-  const linearCorrectionToggle = getAdvancedToggleInput("linearCorrection", { region: ADV_REGION_DUAL_RIGHT });
-  if (linearCorrectionToggle) linearCorrectionToggle.addEventListener("change", () => {
-    if (!hasFeature("hasLinearCorrection")) return;
-    enqueueDevicePatch({ linearCorrection: !!linearCorrectionToggle.checked });
-  });
+  // Safe-apply: patches hitting adapter.features.safeApplyRiskyKeys are written, then written back
+  // after a countdown unless the user keeps them. A second risky patch joins the open session.
+  const safeApplyLayer = $("#safeApplyLayer");
+  let __safeApplySession = null;
 
-  const rippleControlToggle = getAdvancedToggleInput("rippleControl", { region: ADV_REGION_DUAL_RIGHT });
-  if (rippleControlToggle) rippleControlToggle.addEventListener("change", () => {
-    if (!hasFeature("hasRippleControl")) return;
-    enqueueDevicePatch({ rippleControl: !!rippleControlToggle.checked });
-  });
+  function getSafeApplyRevertMs() {
+    const ms = Number(window.AppConfig?.timings?.safeApplyRevertMs);
+    return Number.isFinite(ms) && ms > 0 ? ms : 15000;
+  }
 
-  const secondarySurfaceToggle = getAdvancedToggleInput("secondarySurfaceToggle", { region: ADV_REGION_DUAL_RIGHT });
-  if (secondarySurfaceToggle) {
-    secondarySurfaceToggle.addEventListener("change", () => {
-      if (!hasFeature("hasSecondarySurfaceToggle")) return;
-      syncAdvancedPanelUi();
-      enqueueDevicePatch({ surfaceModeSecondary: !!secondarySurfaceToggle.checked });
+  /**
+   * Write a risky patch behind the safe-apply countdown.
+   * Purpose: previous values are captured before the write so a timeout can restore them.
+   * @param {Object} patch - Standard-key patch.
+   * @param {string[]} riskyKeys - Keys matched by DeviceWriter.listRiskyStdKeys.
+   * @param {Object} [opts] - enqueueDevicePatch options.
+   * @returns {any} Enqueue result.
+   */
+  function enqueueGuardedDevicePatch(patch, riskyKeys, { source = "ui", history = true, onWritten = null } = {}) {
+    const previous = __writeHistory?.resolvePrevious(patch, buildLiveConfigSnapshot()?.values) || {};
+    const merge = window.WriteHistory?.mergePatchInto || ((target, next) => Object.assign(target, next));
+    if (__safeApplySession) {
+      // Oldest captured value wins so a revert returns to the state before the session opened.
+      __safeApplySession.previous = merge(previous, __safeApplySession.previous);
+      merge(__safeApplySession.patch, patch);
+      riskyKeys.forEach((key) => __safeApplySession.riskyKeys.add(key));
+    } else {
+      __safeApplySession = {
+        patch: merge({}, patch),
+        previous,
+        riskyKeys: new Set(riskyKeys),
+        recorded: false,
+        settlers: [],
+        deadline: 0,
+        timerId: null,
+      };
+    }
+    if (history) __safeApplySession.recorded = true;
+    __safeApplySession.deadline = Date.now() + getSafeApplyRevertMs();
+    // onWritten settles once both the write and the keep/revert decision are known.
+    let settle = null;
+    if (typeof onWritten === "function") {
+      const state = { written: null, kept: null, done: false };
+      settle = (part, ok) => {
+        state[part] = ok;
+        if (state.done) return;
+        const failed = state.written === false || state.kept === false;
+        if (!failed && (state.written == null || state.kept == null)) return;
+        state.done = true;
+        onWritten(state.written === true && state.kept === true);
+      };
+      __safeApplySession.settlers.push((kept) => settle("kept", kept));
+    }
+    enqueueDevicePatch(patch, {
+      source,
+      history,
+      guard: false,
+      onWritten: settle ? (ok) => settle("written", ok) : null,
     });
+    renderSafeApplyDialog();
+    if (!__safeApplySession.timerId) {
+      __safeApplySession.timerId = setInterval(tickSafeApplyCountdown, 250);
+    }
   }
 
-  const keyScanningRateSelectAdv = getAdvancedSelectControl("keyScanningRate", { region: ADV_REGION_DUAL_RIGHT });
-  if (keyScanningRateSelectAdv) {
-    keyScanningRateSelectAdv.addEventListener("change", () => {
-      if (!hasFeature("hasKeyScanRate")) return;
-      const hz = Number(keyScanningRateSelectAdv.value);
-      if (!Number.isFinite(hz)) return;
+  function renderSafeApplyDialog() {
+    const session = __safeApplySession;
+    if (!safeApplyLayer) return;
+    safeApplyLayer.hidden = !session;
+    if (!session) return;
+    const detail = $("#safeApplyDetail");
+    if (detail) {
+      const riskyPatch = Object.fromEntries(
+        Object.entries(session.patch).filter(([key]) => session.riskyKeys.has(key))
+      );
+      detail.textContent = window.tr(
+        `已写入:${describeHistoryPatch(riskyPatch, session.previous)}。若无法操作鼠标，倒计时结束后将自动还原。`,
+        `Written: ${describeHistoryPatch(riskyPatch, session.previous)}. If the mouse stops responding, it is reverted when the countdown ends.`
+      );
+    }
+    tickSafeApplyCountdown();
+    if (!safeApplyLayer.contains(document.activeElement)) $("#safeApplyKeepBtn")?.focus();
+  }
 
-      enqueueDevicePatch({ keyScanningRate: hz });
-    });
+  function tickSafeApplyCountdown() {
+    const session = __safeApplySession;
+    if (!session) return;
+    const left = Math.max(0, Math.ceil((session.deadline - Date.now()) / 1000));
+    const countdown = $("#safeApplyCountdown");
+    if (countdown) countdown.textContent = window.tr(`${left} 秒后还原`, `Reverting in ${left}s`);
+    if (left <= 0) revertSafeApply();
   }
 
+  function closeSafeApplySession() {
+    const session = __safeApplySession;
+    __safeApplySession = null;
+    if (session?.timerId) clearInterval(session.timerId);
+    renderSafeApplyDialog();
+    return session;
+  }
 
-  const wirelessStrategyToggle = $("#wirelessStrategyToggle");
-  if (wirelessStrategyToggle) {
-    wirelessStrategyToggle.addEventListener("change", () => {
-      if (!hasFeature("hasWirelessStrategy")) return;
-      enqueueDevicePatch({ wirelessStrategyMode: !!wirelessStrategyToggle.checked });
-      try { syncBasicExtraSwitchState(); } catch (_) {}
-    });
+  function keepSafeApply() {
+    const session = closeSafeApplySession();
+    if (!session) return;
+    session.settlers.forEach((fn) => fn(true));
+    log(window.tr("已保留更改", "Changes kept"), Array.from(session.riskyKeys).join(", "));
+  }
+
+  /**
+   * Write the values captured before the risky patch back to the device.
+   * Purpose: shared by the revert button, Escape and the countdown timeout.
+   * @returns {any} Revert result.
+   */
+  function revertSafeApply() {
+    const session = closeSafeApplySession();
+    if (!session) return;
+    session.settlers.forEach((fn) => fn(false));
+    if (!Object.keys(session.previous).length) {
+      log(window.tr("无法还原：没有可用的原始值", "Cannot revert: previous values are unknown"));
+      return;
+    }
+    // An undo/redo session only returns to the timeline cursor, so nothing new is recorded.
+    enqueueDevicePatch(session.previous, { source: "revert", history: session.recorded, guard: false });
+    const cfg = getCachedDeviceConfig();
+    if (cfg) applyConfigToUi(cfg);
+    log(window.tr(
+      `已还原:${describeHistoryPatch(session.previous, session.patch)}`,
+      `Reverted: ${describeHistoryPatch(session.previous, session.patch)}`
+    ));
   }
 
+  $("#safeApplyKeepBtn")?.addEventListener("click", () => keepSafeApply());
+  $("#safeApplyRevertBtn")?.addEventListener("click", () => revertSafeApply());
+  safeApplyLayer?.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    e.preventDefault();
+    revertSafeApply();
+  });
 
-  const commProtocolToggle = $("#commProtocolToggle");
-  if (commProtocolToggle) {
-    commProtocolToggle.addEventListener("change", () => {
-      if (!hasFeature("hasCommProtocol")) return;
-      enqueueDevicePatch({ commProtocolMode: !!commProtocolToggle.checked });
-      try { syncBasicExtraSwitchState(); } catch (_) {}
-    });
+  // Config export/import: full std-key snapshot as versioned JSON (DeviceConfigIO in refactor.core).
+  function describeConfigImportError(code) {
+    switch (code) {
+      case "invalid-json": return window.tr("文件不是有效的 JSON", "File is not valid JSON");
+      case "unknown-format": return window.tr("不是 ClickSync 配置文件", "Not a ClickSync config file");
+      case "unsupported-version": return window.tr("配置文件版本不受支持", "Unsupported config file version");
+      case "device-mismatch": return window.tr("配置文件来自其他设备类型", "Config file belongs to another device type");
+      default: return window.tr("配置文件内容无效", "Config file content is invalid");
+    }
   }
 
-  window.addEventListener("uilangchange", () => {
-    try { syncBasicExtraSwitchState(); } catch (_) {}
+  const writeRejectNotice = $("#writeRejectNotice");
+
+  // Visible list of values DeviceWriter refused (the log only renders with ?dev=1).
+  function showWriteRejectNotice(errors) {
+    if (!writeRejectNotice) return;
+    const detail = $("#writeRejectDetail");
+    if (detail) detail.textContent = errors.map(describeStdKeyError).join("\n");
+    writeRejectNotice.hidden = false;
+  }
+
+  $("#writeRejectDismissBtn")?.addEventListener("click", () => {
+    if (writeRejectNotice) writeRejectNotice.hidden = true;
   });
 
+  /**
+   * Format one DeviceWriter.validatePatch() error for log/confirm output.
+   * @param {Object} err - { stdKey, path, code, value, expected }.
+   * @returns {string} Localized one-line description.
+   */
+  function describeStdKeyError(err) {
+    const path = err?.path || err?.stdKey || "?";
+    const value = formatProfileValue(err?.value);
+    const expected = err?.expected;
+    switch (err?.code) {
+      case "enum":
+        return window.tr(`${path} = ${value} 不是可选值(${expected.join(" / ")})`, `${path} = ${value} is not one of ${expected.join(" / ")}`);
+      case "minimum":
+      case "maximum": {
+        const range = `${expected?.minimum ?? "-∞"} ~ ${expected?.maximum ?? "∞"}`;
+        return window.tr(`${path} = ${value} 超出范围 ${range}`, `${path} = ${value} is outside ${range}`);
+      }
+      case "step":
+        return window.tr(`${path} = ${value} 需按 ${expected} 步进`, `${path} = ${value} must use steps of ${expected}`);
+      case "min-items":
+      case "max-items":
+        return window.tr(`${path} 数量无效(${err.code === "max-items" ? "最多" : "至少"} ${expected} 项)`, `${path} has an invalid length (${err.code === "max-items" ? "at most" : "at least"} ${expected})`);
+      case "button-range":
+        return window.tr(`${path} 按键编号超出 ${expected?.minimum} ~ ${expected?.maximum}`, `${path} button number is outside ${expected?.minimum} ~ ${expected?.maximum}`);
+      case "type":
+        return window.tr(`${path} = ${value} 类型应为 ${expected}`, `${path} = ${value} should be ${expected}`);
+      default:
+        return window.tr(`${path} = ${value} 无效`, `${path} = ${value} is invalid`);
+    }
+  }
+
+  function isProtocolKeyAction(label) {
+    const actions = ProtocolApi?.KEYMAP_ACTIONS;
+    if (!label) return false;
+    return !actions || Object.prototype.hasOwnProperty.call(actions, label);
+  }
 
-  const longRangeToggle = getAdvancedToggleInput("longRangeMode", { region: ADV_REGION_DUAL_RIGHT });
-  if (longRangeToggle) {
-    longRangeToggle.addEventListener("change", () => {
-      if (!hasFeature("hasLongRange")) return;
-      enqueueDevicePatch({ longRangeMode: !!longRangeToggle.checked });
+  /**
+   * Build a std-key snapshot of the live device config.
+   * Purpose: shared by file export and the profile library.
+   * @returns {Object|null} DeviceConfigIO export document, or null when not connected.
+   */
+  function buildLiveConfigSnapshot() {
+    const io = window.DeviceConfigIO;
+    const cfg = getCachedDeviceConfig();
+    if (!io || !cfg || !isHidReady()) return null;
+    return io.buildConfigExport({
+      cfg,
+      adapter,
+      device: {
+        model: currentDeviceName || cfg.deviceName || "",
+        firmware: {
+          text: currentFirmwareText || "",
+          mouse: cfg.mouseFw ?? null,
+          receiver: cfg.receiverFw ?? null,
+        },
+        vendorId: hidApi?.device?.vendorId ?? null,
+        productId: hidApi?.device?.productId ?? null,
+      },
+      resolveButtonLabel: resolveExportButtonLabel,
     });
   }
 
-  const angleInput = getSourceRangeByStdKey("sensorAngle", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
-  if (angleInput && angleInput.dataset.sensorAngleRangeLegacyBound !== "1") {
-    angleInput.dataset.sensorAngleRangeLegacyBound = "1";
+  // Only export/verify labels the protocol can write back (skip "未知(fk,kc)" placeholders).
+  function resolveExportButtonLabel(item) {
+    let label = null;
+    try { label = ProtocolApi?.labelFromFunckeyKeycode?.(item.funckey, item.keycode) || null; } catch (_) {}
+    return isProtocolKeyAction(label) ? label : null;
+  }
 
+  /**
+   * Export current device config as a JSON file.
+   * Purpose: walk every adapter std key through DeviceReader and save a portable backup.
+   * @returns {any} Export result.
+   */
+  function exportDeviceConfig() {
+    const doc = buildLiveConfigSnapshot();
+    if (!doc) {
+      log(window.tr("未连接设备，无法导出配置", "No device connected; cannot export config"));
+      return;
+    }
+    const model = String(doc.device.model || adapter?.id || "device").replace(/[^\w.-]+/g, "_");
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `clicksync-${model}-${doc.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    log(window.tr(
+      `配置已导出:${Object.keys(doc.values).length} 项`,
+      `Config exported: ${Object.keys(doc.values).length} keys`
+    ));
+  }
 
-    /**
-     * Commit sensor angle change.
-     * Purpose: centralize angle commit flow and keep behavior consistent.
-     * @returns {any} Commit result.
-     */
-    const commitAngle = () => {
-      if (angleInput.disabled) return;
-      const v = Number(angleInput.value);
-      if (!Number.isFinite(v)) return;
-      enqueueDevicePatch({ sensorAngle: v });
-    };
-    // Sensor angle currently has no custom input-preview handler; commit path is still unified.
-    bindRangeCommit(angleInput, { onCommit: commitAngle });
+  /**
+   * Import a config JSON file and write it as one batch.
+   * Purpose: validate against the current adapter, then route through enqueueDevicePatch.
+   * @param {File} file - Selected JSON file.
+   * @returns {Promise<any>} Async result.
+   */
+  async function importDeviceConfig(file) {
+    const io = window.DeviceConfigIO;
+    if (!io || !file) return;
+    if (!isHidReady()) {
+      log(window.tr("未连接设备，无法导入配置", "No device connected; cannot import config"));
+      return;
+    }
+    let text = "";
+    try {
+      text = await file.text();
+    } catch (e) {
+      logErr(e, window.tr("读取配置文件失败", "Read config file failed"));
+      return;
+    }
+    const cfg = getCachedDeviceConfig();
+    let res = io.parseConfigImport({ doc: text, adapter, cfg, capabilities: getCapabilities() });
+    let report = null;
+    // Another brand's file: translate through the std-key contract and show what was lost.
+    if (!res.ok && res.error === "device-mismatch") {
+      const translated = io.translateConfigExport({
+        doc: text,
+        adapter,
+        capabilities: getCapabilities(),
+        isButtonActionSupported: isProtocolKeyAction,
+      });
+      if (translated.ok) {
+        report = translated.report;
+        res = io.parseConfigImport({ doc: translated.doc, adapter, cfg, capabilities: getCapabilities() });
+      }
+    }
+    if (!res.ok) {
+      log(`${window.tr("导入配置失败", "Import config failed")}: ${describeConfigImportError(res.error)}`);
+      return;
+    }
+    const keys = Object.keys(res.patch);
+    if (!keys.length) {
+      log(window.tr("配置文件中没有可写入的项", "Config file has no writable keys"));
+      return;
+    }
+    const model = res.device?.model ? ` (${res.device.model})` : "";
+    const reportLines = report ? formatTranslationReport(report) : [];
+    const ok = confirm([
+      report
+        ? window.tr(
+          `配置来自其他品牌${model}，已转换为 ${keys.length} 项，是否写入？`,
+          `Config comes from another brand${model}; ${keys.length} keys translated. Write to the device?`
+        )
+        : window.tr(
+          `将写入 ${keys.length} 项配置${model}，是否继续？`,
+          `Write ${keys.length} config keys${model} to the device?`
+        ),
+      ...reportLines,
+    ].join("\n\n"));
+    if (!ok) return;
+    enqueueDevicePatch(res.patch, { source: "import" });
+    log(window.tr(`配置已导入:${keys.length} 项`, `Config imported: ${keys.length} keys`));
+    reportLines.forEach((line) => log(line));
+    if (res.skipped.length) {
+      log(window.tr("已跳过", "Skipped"), res.skipped.map((it) => `${it.key}:${it.reason}`).join(", "));
+      res.skipped.forEach((it) => (it.errors || []).forEach((err) => log(`  ${describeStdKeyError(err)}`)));
+    }
   }
 
+  /**
+   * Format a cross-brand translation report for confirm/log output.
+   * @param {Object} report - translateConfigExport() report.
+   * @returns {string[]} One line per non-empty bucket.
+   */
+  function formatTranslationReport(report) {
+    const fmt = (v) => (typeof v === "object" ? JSON.stringify(v) : String(v));
+    const lines = [];
+    if (report?.rounded?.length) {
+      lines.push(`${window.tr("已取整", "Rounded")}: ${report.rounded.map((it) => `${it.key} ${fmt(it.from)}→${fmt(it.to)}`).join(", ")}`);
+    }
+    if (report?.dropped?.length) {
+      lines.push(`${window.tr("已丢弃", "Dropped")}: ${report.dropped.map((it) => `${it.key} (${it.reason})`).join(", ")}`);
+    }
+    if (report?.unsupported?.length) {
+      lines.push(`${window.tr("不支持", "Unsupported")}: ${report.unsupported.map((it) => it.key).join(", ")}`);
+    }
+    return lines;
+  }
 
-  const feelInput = getSourceRangeByStdKey("surfaceFeel", ADV_REGION_DUAL_LEFT);
-  if (feelInput && feelInput.dataset.surfaceFeelRangeLegacyBound !== "1") {
-    feelInput.dataset.surfaceFeelRangeLegacyBound = "1";
+  configExportBtn?.addEventListener("click", () => exportDeviceConfig());
+  configImportBtn?.addEventListener("click", () => {
+    if (!configImportInput) return;
+    configImportInput.value = "";
+    configImportInput.click();
+  });
+  configImportInput?.addEventListener("change", () => {
+    const file = configImportInput.files?.[0];
+    if (file) importDeviceConfig(file);
+  });
 
+  // Profile library page: named snapshots per model (ProfileLibrary, IndexedDB).
+  // Apply goes through enqueueDevicePatch so write intents and the mutex still apply.
+  let __profileDiffTargetId = "";
 
-    /**
-     * Commit surface-feel change.
-     * Purpose: centralize feel commit flow and keep behavior consistent.
-     * @returns {any} Commit result.
-     */
-    const commitFeel = () => {
-      if (feelInput.disabled) return;
-      if (!__canWriteAdvancedPanelItem("surfaceFeel")) return;
-      const v = Number(feelInput.value);
-      if (!Number.isFinite(v)) return;
-      enqueueDevicePatch({ surfaceFeel: v });
-    };
-    // Surface feel uses the same reusable commit contract for future slider extensions.
-    bindRangeCommit(feelInput, { onCommit: commitFeel });
+  function getProfileModelKey() {
+    const lib = window.ProfileLibrary;
+    if (!lib || !isHidReady()) return "";
+    const cfg = getCachedDeviceConfig();
+    return lib.buildModelKey(adapter?.id, currentDeviceName || cfg?.deviceName || "");
   }
 
-  let __advancedSourceFallbackBound = false;
-  function __bindAdvancedSourceFallbackHandlers() {
-    if (__advancedSourceFallbackBound) return;
-    __advancedSourceFallbackBound = true;
+  function formatProfileValue(v) {
+    if (v === undefined) return "-";
+    if (typeof v === "boolean") return v ? window.tr("开", "On") : window.tr("关", "Off");
+    if (typeof v === "object") {
+      try { return JSON.stringify(v); } catch (_) { return String(v); }
+    }
+    return String(v);
+  }
 
-    const isRangeControl = (target) => {
-      if (!target?.matches) return false;
-      if (!target.matches('[data-adv-control="range"][data-std-key]')) return false;
-      const tag = String(target.tagName || "").toLowerCase();
-      if (tag === "input") {
-        const type = String(target.type || "").toLowerCase();
-        return type === "range" || type === "number";
-      }
-      return false;
-    };
+  function isProfilesPageActive() {
+    return (location.hash || "").replace("#", "") === "profiles";
+  }
 
-    const commitAdvancedRangeFallback = (target) => {
-      if (!isRangeControl(target)) return;
-      const stdKey = String(target.getAttribute("data-std-key") || "").trim();
-      if (!stdKey) return;
+  /**
+   * Render the diff between one saved profile and the live config.
+   * @param {Object|null} record - Profile record.
+   * @returns {any} Render result.
+   */
+  function renderProfileDiff(record) {
+    const host = $("#profileDiff");
+    if (!host) return;
+    host.textContent = "";
+    if (!record) return;
+    const live = buildLiveConfigSnapshot();
+    const rows = window.ProfileLibrary.diffValues(record.snapshot?.values, live?.values);
+    const head = document.createElement("div");
+    head.className = "profileDiffHead";
+    head.textContent = rows.length
+      ? window.tr(`「${record.name}」与当前配置有 ${rows.length} 项不同`, `"${record.name}" differs from live config in ${rows.length} keys`)
+      : window.tr(`「${record.name}」与当前配置一致`, `"${record.name}" matches the live config`);
+    host.appendChild(head);
+    if (!rows.length) return;
+    const table = document.createElement("table");
+    table.className = "profileDiffTable";
+    const headRow = table.insertRow();
+    [window.tr("项", "Key"), window.tr("已保存", "Saved"), window.tr("当前", "Live")].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    rows.forEach((row) => {
+      const tr = table.insertRow();
+      tr.className = `is-${row.status}`;
+      [row.key, formatProfileValue(row.saved), formatProfileValue(row.live)].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+    host.appendChild(table);
+  }
 
-      if (stdKey === "sleepSeconds") {
-        if (target.dataset.sleepRangeLegacyBound === "1") return;
-        commitSleepFromSourceUi();
-        syncAdvancedPanelUi();
-        return;
-      }
+  /**
+   * Render the profile list for the connected model.
+   * Purpose: single sink for library UI refresh after save/rename/delete/connect.
+   * @returns {Promise<any>} Async result.
+   */
+  async function renderProfileLibrary() {
+    const list = $("#profileList");
+    const modelLabel = $("#profileLibModel");
+    const saveBtn = $("#profileSaveBtn");
+    if (!list) return;
+    const lib = window.ProfileLibrary;
+    const modelKey = getProfileModelKey();
+    if (saveBtn) saveBtn.disabled = !modelKey;
+    if (modelLabel) {
+      modelLabel.textContent = modelKey
+        ? (currentDeviceName || adapter?.id || "")
+        : window.tr("未连接设备", "No Device Connected");
+    }
+    list.textContent = "";
+    if (!lib || !modelKey) {
+      renderProfileDiff(null);
+      return;
+    }
 
-      if (stdKey === "debounceMs") {
-        if (target.dataset.debounceRangeLegacyBound === "1") return;
-        const selectEl = getSourceSelectByStdKey("debounceMs", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
-        const opts = __optList(selectEl);
-        const idx = __clamp(Number(target.value) || 0, 0, Math.max(0, opts.length - 1));
-        const picked = opts[idx];
-        const nextVal = Number(picked?.val);
-        if (selectEl && picked) {
-          selectEl.value = String(picked.val);
-        }
-        if (Number.isFinite(nextVal)) {
-          enqueueDevicePatch({ debounceMs: nextVal });
+    let rows = [];
+    try {
+      rows = await lib.listProfiles(modelKey);
+    } catch (e) {
+      logErr(e, window.tr("读取配置库失败", "Read profile library failed"));
+      return;
+    }
+    if (!rows.length) {
+      const empty = document.createElement("div");
+      empty.className = "profileEmpty";
+      empty.textContent = window.tr("当前型号还没有保存的配置", "No saved profiles for this model yet");
+      list.appendChild(empty);
+    }
+    rows.forEach((record) => {
+      const item = document.createElement("div");
+      item.className = "profileItem";
+      item.setAttribute("role", "listitem");
+      item.dataset.profileId = record.id;
+      item.classList.toggle("active", record.id === __profileDiffTargetId);
+
+      const meta = document.createElement("div");
+      meta.className = "profileMeta";
+      const name = document.createElement("div");
+      name.className = "profileName";
+      name.textContent = record.name;
+      const sub = document.createElement("div");
+      sub.className = "profileSub";
+      sub.textContent = `${new Date(record.updatedAt).toLocaleString()} · ${Object.keys(record.snapshot?.values || {}).length} ${window.tr("项", "keys")}`;
+      meta.append(name, sub);
+
+      const actions = document.createElement("div");
+      actions.className = "profileActions";
+      [
+        ["diff", window.tr("对比", "Diff"), "btn"],
+        ["apply", window.tr("应用", "Apply"), "btn primary"],
+        ["rename", window.tr("重命名", "Rename"), "btn"],
+        ["delete", window.tr("删除", "Delete"), "btn danger"],
+      ].forEach(([action, text, cls]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = cls;
+        btn.dataset.profileAction = action;
+        btn.textContent = text;
+        actions.appendChild(btn);
+      });
+      item.append(meta, actions);
+      list.appendChild(item);
+    });
+
+    const diffTarget = rows.find((r) => r.id === __profileDiffTargetId) || null;
+    if (!diffTarget) __profileDiffTargetId = "";
+    renderProfileDiff(diffTarget);
+  }
+
+  /**
+   * Apply a saved profile to the device.
+   * Purpose: validate against the adapter and write only keys that differ from live.
+   * @param {Object} record - Profile record.
+   * @returns {any} Apply result.
+   */
+  function applyProfileRecord(record) {
+    const io = window.DeviceConfigIO;
+    if (!io || !record || !isHidReady()) return;
+    const res = io.parseConfigImport({
+      doc: record.snapshot,
+      adapter,
+      cfg: getCachedDeviceConfig(),
+      capabilities: getCapabilities(),
+    });
+    if (!res.ok) {
+      log(`${window.tr("应用配置失败", "Apply profile failed")}: ${describeConfigImportError(res.error)}`);
+      return;
+    }
+    const live = buildLiveConfigSnapshot();
+    const changedKeys = new Set(
+      window.ProfileLibrary.diffValues(res.patch, live?.values)
+        .filter((row) => row.status !== "only-live")
+        .map((row) => row.key)
+    );
+    const patch = Object.fromEntries(Object.entries(res.patch).filter(([key]) => changedKeys.has(key)));
+    if (!Object.keys(patch).length) {
+      log(window.tr(`配置「${record.name}」与当前一致，无需写入`, `Profile "${record.name}" already matches the device`));
+      return;
+    }
+    enqueueDevicePatch(patch, { source: "profile" });
+    log(window.tr(
+      `已应用配置「${record.name}」:${Object.keys(patch).length} 项`,
+      `Applied profile "${record.name}": ${Object.keys(patch).length} keys`
+    ));
+  }
+
+  $("#profileSaveBtn")?.addEventListener("click", async () => {
+    const lib = window.ProfileLibrary;
+    const input = $("#profileNameInput");
+    const modelKey = getProfileModelKey();
+    const snapshot = buildLiveConfigSnapshot();
+    if (!lib || !modelKey || !snapshot) return;
+    const name = String(input?.value || "").trim();
+    if (!name) {
+      input?.focus();
+      return;
+    }
+    try {
+      await lib.saveProfile({ modelKey, name, snapshot });
+      if (input) input.value = "";
+      log(window.tr(`配置已保存:${name}`, `Profile saved: ${name}`));
+    } catch (e) {
+      logErr(e, window.tr("保存配置失败", "Save profile failed"));
+    }
+    renderProfileLibrary();
+  });
+
+  $("#profileList")?.addEventListener("click", async (e) => {
+    const btn = e.target?.closest?.("[data-profile-action]");
+    const item = btn?.closest?.("[data-profile-id]");
+    const lib = window.ProfileLibrary;
+    if (!btn || !item || !lib) return;
+    const id = item.dataset.profileId;
+    try {
+      const record = await lib.getProfile(id);
+      if (!record) return;
+      switch (btn.dataset.profileAction) {
+        case "diff":
+          __profileDiffTargetId = __profileDiffTargetId === id ? "" : id;
+          break;
+        case "apply":
+          applyProfileRecord(record);
+          break;
+        case "rename": {
+          const next = prompt(window.tr("新的配置名称", "New profile name"), record.name);
+          if (next == null || !next.trim()) return;
+          await lib.renameProfile(id, next);
+          break;
         }
-        syncAdvancedPanelUi();
-        return;
+        case "delete":
+          if (!confirm(window.tr(`删除配置「${record.name}」？`, `Delete profile "${record.name}"?`))) return;
+          await lib.deleteProfile(id);
+          if (__profileDiffTargetId === id) __profileDiffTargetId = "";
+          break;
+        default:
+          return;
       }
+    } catch (err) {
+      logErr(err, window.tr("配置库操作失败", "Profile library action failed"));
+    }
+    renderProfileLibrary();
+  });
 
-      if (stdKey === "sensorAngle") {
-        if (target.dataset.sensorAngleRangeLegacyBound === "1") return;
-        if (target.disabled) return;
-        const value = Number(target.value);
-        if (!Number.isFinite(value)) return;
-        enqueueDevicePatch({ sensorAngle: value });
-        syncAdvancedPanelUi();
-        return;
+  window.addEventListener("hashchange", () => {
+    if (isProfilesPageActive()) renderProfileLibrary();
+  });
+  if (isProfilesPageActive()) renderProfileLibrary();
+
+  // Write history: undo/redo and roll back to any point of the session timeline (WriteHistory).
+  // Moves are written with history disabled so they shift the cursor instead of adding entries.
+  function describeHistorySource(source) {
+    switch (source) {
+      case "import": return window.tr("导入", "Import");
+      case "profile": return window.tr("配置库", "Profile");
+      case "revert": return window.tr("自动还原", "Auto revert");
+      case "reapply": return window.tr("重新应用", "Re-apply");
+      case "api": return window.tr("脚本", "Script");
+      case "clone": return window.tr("设备复制", "Clone");
+      default: return window.tr("手动", "Manual");
+    }
+  }
+
+  function describeHistoryPatch(patch, previous) {
+    return Object.entries(patch || {}).map(([key, value]) => {
+      if (key === "buttonMappingPatch" && value && typeof value === "object") {
+        return Object.entries(value)
+          .map(([btn, label]) => `${window.tr("按键", "Button")}${btn} ${formatProfileValue(previous?.[key]?.[btn])}→${formatProfileValue(label)}`)
+          .join(", ");
       }
+      return `${key} ${formatProfileValue(previous?.[key])}→${formatProfileValue(value)}`;
+    }).join(", ");
+  }
 
-      if (stdKey === "surfaceFeel") {
-        if (target.dataset.surfaceFeelRangeLegacyBound === "1") return;
-        if (target.disabled) return;
-        if (!__canWriteAdvancedPanelItem("surfaceFeel")) return;
-        const value = Number(target.value);
-        if (!Number.isFinite(value)) return;
-        enqueueDevicePatch({ surfaceFeel: value });
-        syncAdvancedPanelUi();
-      }
-    };
+  /**
+   * Move the device to a timeline position.
+   * Purpose: single write path for undo, redo and roll-back.
+   * @param {number} position - Target cursor (0 = before the oldest entry).
+   * @returns {boolean} Whether a patch was enqueued.
+   */
+  function moveWriteHistoryTo(position) {
+    if (!__writeHistory || !isHidReady() || !__writesEnabled) return false;
+    // Chain moves queued before the previous one was written.
+    const from = __historyMoveTarget ?? __writeHistory.cursor;
+    const target = Math.max(0, Math.min(__writeHistory.size, Math.round(Number(position))));
+    const patch = __writeHistory.planMoveTo(target, { from });
+    if (!patch) return false;
+    __historyMoveTarget = target;
+    // The cursor only moves once the patch reached the device (and a risky change was kept).
+    enqueueDevicePatch(patch, {
+      history: false,
+      onWritten: (ok) => {
+        if (__historyMoveTarget === target) __historyMoveTarget = null;
+        if (ok && __writeHistory.commitMove(target, { from })) {
+          log(window.tr(
+            `已回滚到第 ${target} 步:${describeHistoryPatch(patch)}`,
+            `Moved to step ${target}: ${describeHistoryPatch(patch)}`
+          ));
+          return;
+        }
+        log(window.tr(`未能回滚到第 ${target} 步`, `Could not move to step ${target}`));
+        const cfg = getCachedDeviceConfig();
+        if (cfg) applyConfigToUi(cfg);
+        renderWriteTimeline();
+      },
+    });
+    const cfg = getCachedDeviceConfig();
+    if (cfg) applyConfigToUi(cfg);
+    return true;
+  }
 
-    document.addEventListener("input", (event) => {
-      const target = event?.target;
-      if (!isRangeControl(target)) return;
-      const stdKey = String(target.getAttribute("data-std-key") || "").trim();
-      if (stdKey === "sleepSeconds" && target.dataset.sleepRangeLegacyBound !== "1") {
-        syncSleepSourceUi({ preferInputValue: true });
-        return;
-      }
-      if (stdKey === "debounceMs" && target.dataset.debounceRangeLegacyBound !== "1") {
-        syncAdvancedPanelUi();
-        return;
-      }
-      if (stdKey === "sensorAngle" && target.dataset.sensorAngleLegacySyncBound !== "1") {
-        syncAdvancedPanelUi();
-        return;
-      }
-      if (stdKey === "surfaceFeel" && target.dataset.surfaceFeelLegacySyncBound !== "1") {
-        syncAdvancedPanelUi();
-      }
-    }, true);
+  function undoDeviceWrite() {
+    const at = __historyMoveTarget ?? __writeHistory?.cursor ?? 0;
+    return __writeHistory && at > 0 ? moveWriteHistoryTo(at - 1) : false;
+  }
 
-    document.addEventListener("change", (event) => {
-      const target = event?.target;
-      if (target?.matches?.('[data-std-key="sleepSeconds"][data-adv-control="select"]')) {
-        if (target.dataset.sleepSelectWriteBound !== "1") {
-          const sec = Number(target.value);
-          if (Number.isFinite(sec)) enqueueDevicePatch({ sleepSeconds: sec });
-        }
-        return;
-      }
-      if (target?.matches?.('[data-std-key="debounceMs"][data-adv-control="select"]')) {
-        if (target.dataset.debounceSelectWriteBound !== "1") {
-          const ms = Number(target.value);
-          if (Number.isFinite(ms)) enqueueDevicePatch({ debounceMs: ms });
-        }
-        return;
-      }
-      commitAdvancedRangeFallback(target);
-    }, true);
+  function redoDeviceWrite() {
+    const at = __historyMoveTarget ?? __writeHistory?.cursor ?? 0;
+    return __writeHistory && at < __writeHistory.size ? moveWriteHistoryTo(at + 1) : false;
+  }
 
-    const pointerCommit = (event) => {
-      const target = event?.target;
-      commitAdvancedRangeFallback(target);
+  /**
+   * Render the write timeline card.
+   * Purpose: newest first; entries after the cursor stay listed as redoable.
+   * @returns {any} Render result.
+   */
+  function renderWriteTimeline() {
+    const list = $("#historyList");
+    const undoBtn = $("#historyUndoBtn");
+    const redoBtn = $("#historyRedoBtn");
+    const ready = !!__writeHistory && isHidReady();
+    if (undoBtn) undoBtn.disabled = !ready || !__writeHistory.canUndo();
+    if (redoBtn) redoBtn.disabled = !ready || !__writeHistory.canRedo();
+    if (!list) return;
+    list.textContent = "";
+    const rows = __writeHistory ? __writeHistory.list() : [];
+    if (!rows.length) {
+      const empty = document.createElement("div");
+      empty.className = "profileEmpty";
+      empty.textContent = window.tr("本次连接还没有写入记录", "No writes in this session yet");
+      list.appendChild(empty);
+      return;
+    }
+    const makeItem = (position, title, sub, applied) => {
+      const item = document.createElement("div");
+      item.className = "historyItem";
+      item.setAttribute("role", "listitem");
+      item.classList.toggle("is-undone", !applied);
+      item.classList.toggle("active", position === __writeHistory.cursor);
+      const meta = document.createElement("div");
+      meta.className = "profileMeta";
+      const name = document.createElement("div");
+      name.className = "profileName";
+      name.textContent = title;
+      const subEl = document.createElement("div");
+      subEl.className = "profileSub";
+      subEl.textContent = sub;
+      meta.append(name, subEl);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn";
+      btn.dataset.historyPosition = String(position);
+      btn.disabled = position === __writeHistory.cursor;
+      btn.textContent = window.tr("回到此处", "Go here");
+      item.append(meta, btn);
+      list.appendChild(item);
     };
-    document.addEventListener("pointerup", pointerCommit, true);
-    document.addEventListener("touchend", pointerCommit, true);
+    rows.slice().reverse().forEach((entry) => {
+      makeItem(
+        entry.index + 1,
+        describeHistoryPatch(entry.patch, entry.previous),
+        `${new Date(entry.at).toLocaleTimeString()} · ${describeHistorySource(entry.source)}`,
+        entry.applied
+      );
+    });
+    makeItem(0, window.tr("连接时的状态", "State at connect"), window.tr("最早记录之前", "Before the oldest entry"), true);
   }
-  __bindAdvancedSourceFallbackHandlers();
 
+  /**
+   * Render the mismatch table of the last readback check.
+   * @returns {any} Render result.
+   */
+  function renderWriteVerifyReport() {
+    const host = $("#historyVerifyReport");
+    if (!host) return;
+    host.textContent = "";
+    const report = __lastVerifyReport;
+    if (!__verifyWrites || !report) return;
+    const head = document.createElement("div");
+    head.className = "profileDiffHead";
+    const time = new Date(report.at).toLocaleTimeString();
+    head.textContent = report.mismatches.length
+      ? window.tr(`${time} 回读有 ${report.mismatches.length} 项未生效`, `${time} readback: ${report.mismatches.length} keys did not stick`)
+      : window.tr(`${time} 回读校验通过(${report.checked.length} 项)`, `${time} readback check passed (${report.checked.length} keys)`);
+    host.appendChild(head);
+    if (!report.mismatches.length) return;
+    const table = document.createElement("table");
+    table.className = "profileDiffTable";
+    const headRow = table.insertRow();
+    [window.tr("项", "Key"), window.tr("期望", "Expected"), window.tr("实际", "Actual"), window.tr("协议字段", "Protocol field")].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    report.mismatches.forEach((m) => {
+      const tr = table.insertRow();
+      tr.className = "is-changed";
+      [
+        m.button != null ? `${m.stdKey} #${m.button}` : m.stdKey,
+        formatProfileValue(m.expected),
+        formatProfileValue(m.actual),
+        `${m.field} = ${formatProfileValue(m.raw)}`,
+      ].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+    host.appendChild(table);
+  }
+
+  __writeHistory?.subscribe(renderWriteTimeline);
+  __writeHistory?.subscribe(renderWriteVerifyReport);
+  const verifyToggle = $("#historyVerifyToggle");
+  if (verifyToggle) {
+    verifyToggle.checked = __verifyWrites;
+    verifyToggle.addEventListener("change", () => {
+      __verifyWrites = !!verifyToggle.checked;
+      try { localStorage.setItem(VERIFY_WRITES_KEY, __verifyWrites ? "1" : "0"); } catch (_) {}
+      renderWriteVerifyReport();
+    });
+  }
+  $("#historyUndoBtn")?.addEventListener("click", () => undoDeviceWrite());
+  $("#historyRedoBtn")?.addEventListener("click", () => redoDeviceWrite());
+  $("#historyList")?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.("[data-history-position]");
+    if (!btn) return;
+    moveWriteHistoryTo(Number(btn.dataset.historyPosition));
+  });
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target?.closest?.("input, textarea, select, [contenteditable='true']")) return;
+    const key = String(e.key || "").toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = key === "y" || (key === "z" && e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    if (isUndo ? undoDeviceWrite() : redoDeviceWrite()) e.preventDefault();
+  });
+  renderWriteTimeline();
 
   /**
-   * Sync basic extra-switch labels.
-   * Purpose: keep state consistency and avoid partial-update gaps.
-   * @returns {any} Sync result.
+   * Format a DeviceWriter dry-run result for the developer panel.
+   * @param {Object} result - writePatch({ dryRun: true }) result.
+   * @returns {string} One block per field, one line per planned command.
    */
-  function syncBasicExtraSwitchState() {
-    const wsToggle = $("#wirelessStrategyToggle");
-    const wsTitle = document.querySelector('label[for="wirelessStrategyToggle"] .miniTitle');
-    const wsSub = document.querySelector('label[for="wirelessStrategyToggle"] .miniSub');
-    const wsState = $("#wirelessStrategyState");
-    if (wsTitle) {
-      wsTitle.textContent = window.tr("无线策略", "RF Mode");
+  function formatDryRunResult(result) {
+    const lines = [];
+    for (const step of result?.steps || []) {
+      const commands = step.commands || [];
+      lines.push(`${step.field} = ${formatProfileValue(step.value)}  (${commands.length} cmd)`);
+      commands.forEach((cmd, i) => {
+        const parts = [`  ${i + 1}.`];
+        if (cmd.reportId != null) parts.push(`#${cmd.reportId}`);
+        parts.push(cmd.hex || "-");
+        if (cmd.waitMs != null) parts.push(`wait=${cmd.waitMs}ms`);
+        if (cmd.ack != null) parts.push(`ack=${JSON.stringify(cmd.ack)}`);
+        if (cmd.meta && Object.keys(cmd.meta).length) parts.push(JSON.stringify(cmd.meta));
+        lines.push(parts.join(" "));
+      });
     }
-    if (wsSub) {
-      wsSub.textContent = window.tr("智能调节 / 满格射频", "Smart / Full");
+    for (const err of result?.errors || []) {
+      lines.push(`x ${describeStdKeyError(err)}`);
     }
-    if (wsToggle && wsState) {
-      wsState.textContent = wsToggle.checked
-        ? window.tr("满格射频", "Full")
-        : window.tr("智能调节", "Smart");
+    for (const item of result?.unplanned || []) {
+      const why = item.error ? `${item.reason}: ${item.error}` : item.reason;
+      lines.push(`! ${item.stdKey ?? item.field} = ${formatProfileValue(item.value)}  (${why})`);
     }
+    return lines.length ? lines.join("\n") : window.tr("没有需要写入的命令", "Nothing to write");
+  }
 
-    const cpToggle = $("#commProtocolToggle");
-    const cpTitle = document.querySelector('label[for="commProtocolToggle"] .miniTitle');
-    const cpSub = document.querySelector('label[for="commProtocolToggle"] .miniSub');
-    const cpState = $("#commProtocolState");
-    if (cpTitle) {
-      cpTitle.textContent = window.tr("通信协议", "LINK");
+  /**
+   * Plan the std-key patch typed into the developer panel without touching the device.
+   * @returns {Promise<void>}
+   */
+  async function runWriteDryRun() {
+    const output = $("#dryRunOutput");
+    if (!output) return;
+    let payload;
+    try {
+      payload = JSON.parse($("#dryRunInput")?.value || "{}");
+    } catch (e) {
+      output.textContent = `${window.tr("JSON 无效", "Invalid JSON")}: ${e?.message || e}`;
+      return;
     }
-    if (cpSub) {
-      cpSub.textContent = window.tr("高效 / 初始", "Fast / Init");
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      output.textContent = window.tr("需要一个标准键对象", "Expected a std-key object");
+      return;
     }
-    if (cpToggle && cpState) {
-      cpState.textContent = cpToggle.checked
-        ? window.tr("初始", "Init")
-        : window.tr("高效", "Fast");
+    if (!isHidReady() || !window.DeviceWriter?.writePatch) {
+      output.textContent = window.tr("设备未连接", "Device not connected");
+      return;
+    }
+    try {
+      const result = await window.DeviceWriter.writePatch({
+        hidApi,
+        adapter,
+        payload,
+        dryRun: true,
+        capabilities: getCapabilities(),
+      });
+      output.textContent = formatDryRunResult(result);
+    } catch (e) {
+      output.textContent = `${window.tr("预演失败", "Dry-run failed")}: ${e?.message || e}`;
     }
   }
 
-  /**
-   * Set radio by name/value.
-   * Purpose: provide a single read/write entry and reduce coupling.
-   * @param {any} name - Radio group name.
-   * @param {any} value - Radio value.
-   * @returns {any} Set result.
-   */
-  function setRadio(name, value) {
-    const ae = document.activeElement;
-    if (ae && ae.name === name) return;
-    const el = document.querySelector(`input[name="${name}"][value="${value}"]`);
-    if (el && !(el.id && uiLocks.has(el.id))) el.checked = true;
+  if (devPanelEnabled) {
+    $("#dryRunBtn")?.addEventListener("click", () => { runWriteDryRun(); });
   }
 
+  const pollingSel = $("#pollingSelect");
+  if (pollingSel) {
+    pollingSel.addEventListener("change", () => {
+      const hz = Number(pollingSel.value);
+      if (!Number.isFinite(hz)) return;
+      enqueueDevicePatch({ pollingHz: hz });
+      syncSingleAdvancedUi();
+    });
+  }
 
-  // ============================================================
-  // 7) Config -> UI sync (one-way data flow)
-  // ============================================================
-  /**
-   * Map device config to UI.
-   * Purpose: keep one-way device-readback-to-UI flow and avoid writeback loops.
-   * @param {any} cfg - Device config.
-   * @returns {any} Apply result.
-   */
-  // Config -> UI synchronization contract:
-  // - This function is the single sink for device readback rendering.
-  // - Always read standard values via readMerged/readStandardValueWithIntent to honor
-  //   in-flight write intents and avoid visual rollback.
-  // - For device-unique features, still follow standard-key flow:
-  //   1) profile keyMap/transforms/actions/features
-  //   2) semantic DOM node (data-adv-* + data-std-key)
-  //   3) app.js event binding + applyConfigToUi readback setter
-  //   4) optional refactor.ui metadata rendering rules
-  // - When adding a new advanced control or standard key, update in this order:
-  //   1) index.html data-adv-* / data-std-key markup
-  //   2) refactor.profiles.js keyMap/transforms/features
-  //   3) app.js event binding (enqueueDevicePatch) + applyConfigToUi setter
-  //   4) refactor.ui.js layout/visibility/order/runtime wiring
-  // - Never bypass this function with ad-hoc DOM writes from polling/read paths.
-  function applyConfigToUi(cfg, opts = {}) {
-    const { trustBatteryFromCfg = true } = opts || {};
+  const pollingWirelessSel = $("#pollingSelectWireless");
+  if (pollingWirelessSel) {
+    pollingWirelessSel.addEventListener("change", () => {
+      if (!__isDualPollingRates) return;
+      const hz = Number(pollingWirelessSel.value);
+      if (!Number.isFinite(hz)) return;
+      enqueueDevicePatch({ pollingWirelessHz: hz });
+      syncSingleAdvancedUi();
+    });
+  }
 
-    applyCapabilityStateToRuntime(cfg?.capabilities, { preserveDpiMax: true });
-    __cleanupExpiredIntents();
-    const hasActiveDpiSwitchIntent = !!__getWriteIntent("activeDpiSlotIndex");
-    const readMerged = (key) => readStandardValueWithIntent(cfg, key);
-    const topConfigSlotCount = readMerged("configSlotCount");
-    const topActiveConfigSlotIndex = readMerged("activeConfigSlotIndex");
-    renderTopConfigSlots({
-      slotCount: topConfigSlotCount,
-      activeIndex: topActiveConfigSlotIndex,
+  const sleepSel = getSourceSelectByStdKey("sleepSeconds", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
+  if (sleepSel && sleepSel.dataset.sleepSelectWriteBound !== "1") {
+    sleepSel.dataset.sleepSelectWriteBound = "1";
+    sleepSel.addEventListener("change", () => {
+      const sec = Number(sleepSel.value);
+      if (!Number.isFinite(sec)) return;
+      enqueueDevicePatch({ sleepSeconds: sec });
     });
-    const dpiSlotCap = getDpiSlotCap();
-    const slotsXRaw = readMerged("dpiSlotsX");
-    const slotsCompat = readMerged("dpiSlots");
-    const slotsYRaw = readMerged("dpiSlotsY");
-    const slotsX = Array.isArray(slotsXRaw)
-      ? slotsXRaw
-      : (Array.isArray(slotsCompat) ? slotsCompat : (Array.isArray(cfg.dpiSlots) ? cfg.dpiSlots : []));
-    const slotsY = Array.isArray(slotsYRaw)
-      ? slotsYRaw
-      : slotsX;
-    const lodsRaw = hasFeature("hasDpiLods") ? readMerged("dpiLods") : [];
-    const lods = Array.isArray(lodsRaw) ? lodsRaw : [];
+  }
 
-    const slotCount = clampSlotCountToCap(
-      Number(readMerged("dpiSlotCount") ?? dpiSlotCap),
-      dpiSlotCap
-    );
-    let hasAxisDiff = false;
+  const debounceSel = getAdvancedSelectControl("debounceMs", { region: ADV_REGION_DUAL_LEFT });
+  if (debounceSel && debounceSel.dataset.debounceSelectWriteBound !== "1") {
+    debounceSel.dataset.debounceSelectWriteBound = "1";
+    debounceSel.addEventListener("change", () => {
+      const ms = Number(debounceSel.value);
+      if (!Number.isFinite(ms)) return;
+      enqueueDevicePatch({ debounceMs: ms });
+    });
+  }
+
+
+  const ledToggle = getAdvancedToggleInput("primaryLedFeature", { region: ADV_REGION_DUAL_RIGHT });
+  if (ledToggle) {
+    ledToggle.addEventListener("change", () => {
+      if (!hasFeature("hasPrimaryLedFeature")) return;
+      const on = !!ledToggle.checked;
+      enqueueDevicePatch({ primaryLedFeature: on });
+    });
+  }
+
+
+  const perfRadios = $$('input[name="perfMode"]');
+  perfRadios.forEach((r) => {
+    r.addEventListener("change", () => {
+      if (!__hasPerformanceMode) return;
+      const v = document.querySelector('input[name="perfMode"]:checked')?.value;
+      if (!v) return;
+
+      enqueueDevicePatch({ performanceMode: v });
+      syncAdvancedPanelUi();
+    });
+  });
+
+  const lodEl = getAdvancedToggleInput("surfaceModePrimary", { region: ADV_REGION_DUAL_RIGHT });
+  if (lodEl) {
+    lodEl.addEventListener("change", () => {
+      if (!hasFeature("hasPrimarySurfaceToggle")) return;
+      const primarySurfaceLockState = __resolvePrimarySurfacePerfLockState();
+      if (primarySurfaceLockState.locked) return;
+      enqueueDevicePatch({ surfaceModePrimary: !!lodEl.checked });
+    });
+  }
+
+
+  const motionSyncToggle = getAdvancedToggleInput("motionSync", { region: ADV_REGION_DUAL_RIGHT });
+  if (motionSyncToggle) motionSyncToggle.addEventListener("change", () => {
+    if (!hasFeature("hasMotionSync")) return;
+    enqueueDevicePatch({ motionSync: !!motionSyncToggle.checked });
+  });
+
+  const linearCorrectionToggle = getAdvancedToggleInput("linearCorrection", { region: ADV_REGION_DUAL_RIGHT });
+  if (linearCorrectionToggle) linearCorrectionToggle.addEventListener("change", () => {
+    if (!hasFeature("hasLinearCorrection")) return;
+    enqueueDevicePatch({ linearCorrection: !!linearCorrectionToggle.checked });
+  });
+
+  const rippleControlToggle = getAdvancedToggleInput("rippleControl", { region: ADV_REGION_DUAL_RIGHT });
+  if (rippleControlToggle) rippleControlToggle.addEventListener("change", () => {
+    if (!hasFeature("hasRippleControl")) return;
+    enqueueDevicePatch({ rippleControl: !!rippleControlToggle.checked });
+  });
+
+  const secondarySurfaceToggle = getAdvancedToggleInput("secondarySurfaceToggle", { region: ADV_REGION_DUAL_RIGHT });
+  if (secondarySurfaceToggle) {
+    secondarySurfaceToggle.addEventListener("change", () => {
+      if (!hasFeature("hasSecondarySurfaceToggle")) return;
+      syncAdvancedPanelUi();
+      enqueueDevicePatch({ surfaceModeSecondary: !!secondarySurfaceToggle.checked });
+    });
+  }
+
+  const keyScanningRateSelectAdv = getAdvancedSelectControl("keyScanningRate", { region: ADV_REGION_DUAL_RIGHT });
+  if (keyScanningRateSelectAdv) {
+    keyScanningRateSelectAdv.addEventListener("change", () => {
+      if (!hasFeature("hasKeyScanRate")) return;
+      const hz = Number(keyScanningRateSelectAdv.value);
+      if (!Number.isFinite(hz)) return;
+
+      enqueueDevicePatch({ keyScanningRate: hz });
+    });
+  }
+
+
+  const wirelessStrategyToggle = $("#wirelessStrategyToggle");
+  if (wirelessStrategyToggle) {
+    wirelessStrategyToggle.addEventListener("change", () => {
+      if (!hasFeature("hasWirelessStrategy")) return;
+      enqueueDevicePatch({ wirelessStrategyMode: !!wirelessStrategyToggle.checked });
+      try { syncBasicExtraSwitchState(); } catch (_) {}
+    });
+  }
+
+
+  const commProtocolToggle = $("#commProtocolToggle");
+  if (commProtocolToggle) {
+    commProtocolToggle.addEventListener("change", () => {
+      if (!hasFeature("hasCommProtocol")) return;
+      enqueueDevicePatch({ commProtocolMode: !!commProtocolToggle.checked });
+      try { syncBasicExtraSwitchState(); } catch (_) {}
+    });
+  }
+
+  window.addEventListener("uilangchange", () => {
+    try { syncBasicExtraSwitchState(); } catch (_) {}
+  });
+
+
+  const longRangeToggle = getAdvancedToggleInput("longRangeMode", { region: ADV_REGION_DUAL_RIGHT });
+  if (longRangeToggle) {
+    longRangeToggle.addEventListener("change", () => {
+      if (!hasFeature("hasLongRange")) return;
+      enqueueDevicePatch({ longRangeMode: !!longRangeToggle.checked });
+    });
+  }
+
+  const angleInput = getSourceRangeByStdKey("sensorAngle", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
+  if (angleInput && angleInput.dataset.sensorAngleRangeLegacyBound !== "1") {
+    angleInput.dataset.sensorAngleRangeLegacyBound = "1";
+
+
+    /**
+     * Commit sensor angle change.
+     * Purpose: centralize angle commit flow and keep behavior consistent.
+     * @returns {any} Commit result.
+     */
+    const commitAngle = () => {
+      if (angleInput.disabled) return;
+      const v = Number(angleInput.value);
+      if (!Number.isFinite(v)) return;
+      enqueueDevicePatch({ sensorAngle: v });
+    };
+    // Sensor angle currently has no custom input-preview handler; commit path is still unified.
+    bindRangeCommit(angleInput, { onCommit: commitAngle });
+  }
+
+
+  const feelInput = getSourceRangeByStdKey("surfaceFeel", ADV_REGION_DUAL_LEFT);
+  if (feelInput && feelInput.dataset.surfaceFeelRangeLegacyBound !== "1") {
+    feelInput.dataset.surfaceFeelRangeLegacyBound = "1";
+
+
+    /**
+     * Commit surface-feel change.
+     * Purpose: centralize feel commit flow and keep behavior consistent.
+     * @returns {any} Commit result.
+     */
+    const commitFeel = () => {
+      if (feelInput.disabled) return;
+      if (!__canWriteAdvancedPanelItem("surfaceFeel")) return;
+      const v = Number(feelInput.value);
+      if (!Number.isFinite(v)) return;
+      enqueueDevicePatch({ surfaceFeel: v });
+    };
+    // Surface feel uses the same reusable commit contract for future slider extensions.
+    bindRangeCommit(feelInput, { onCommit: commitFeel });
+  }
+
+  let __advancedSourceFallbackBound = false;
+  function __bindAdvancedSourceFallbackHandlers() {
+    if (__advancedSourceFallbackBound) return;
+    __advancedSourceFallbackBound = true;
+
+    const isRangeControl = (target) => {
+      if (!target?.matches) return false;
+      if (!target.matches('[data-adv-control="range"][data-std-key]')) return false;
+      const tag = String(target.tagName || "").toLowerCase();
+      if (tag === "input") {
+        const type = String(target.type || "").toLowerCase();
+        return type === "range" || type === "number";
+      }
+      return false;
+    };
+
+    const commitAdvancedRangeFallback = (target) => {
+      if (!isRangeControl(target)) return;
+      const stdKey = String(target.getAttribute("data-std-key") || "").trim();
+      if (!stdKey) return;
+
+      if (stdKey === "sleepSeconds") {
+        if (target.dataset.sleepRangeLegacyBound === "1") return;
+        commitSleepFromSourceUi();
+        syncAdvancedPanelUi();
+        return;
+      }
+
+      if (stdKey === "debounceMs") {
+        if (target.dataset.debounceRangeLegacyBound === "1") return;
+        const selectEl = getSourceSelectByStdKey("debounceMs", ADV_REGION_DUAL_LEFT, { warnOnMissing: true });
+        const opts = __optList(selectEl);
+        const idx = __clamp(Number(target.value) || 0, 0, Math.max(0, opts.length - 1));
+        const picked = opts[idx];
+        const nextVal = Number(picked?.val);
+        if (selectEl && picked) {
+          selectEl.value = String(picked.val);
+        }
+        if (Number.isFinite(nextVal)) {
+          enqueueDevicePatch({ debounceMs: nextVal });
+        }
+        syncAdvancedPanelUi();
+        return;
+      }
+
+      if (stdKey === "sensorAngle") {
+        if (target.dataset.sensorAngleRangeLegacyBound === "1") return;
+        if (target.disabled) return;
+        const value = Number(target.value);
+        if (!Number.isFinite(value)) return;
+        enqueueDevicePatch({ sensorAngle: value });
+        syncAdvancedPanelUi();
+        return;
+      }
+
+      if (stdKey === "surfaceFeel") {
+        if (target.dataset.surfaceFeelRangeLegacyBound === "1") return;
+        if (target.disabled) return;
+        if (!__canWriteAdvancedPanelItem("surfaceFeel")) return;
+        const value = Number(target.value);
+        if (!Number.isFinite(value)) return;
+        enqueueDevicePatch({ surfaceFeel: value });
+        syncAdvancedPanelUi();
+      }
+    };
+
+    document.addEventListener("input", (event) => {
+      const target = event?.target;
+      if (!isRangeControl(target)) return;
+      const stdKey = String(target.getAttribute("data-std-key") || "").trim();
+      if (stdKey === "sleepSeconds" && target.dataset.sleepRangeLegacyBound !== "1") {
+        syncSleepSourceUi({ preferInputValue: true });
+        return;
+      }
+      if (stdKey === "debounceMs" && target.dataset.debounceRangeLegacyBound !== "1") {
+        syncAdvancedPanelUi();
+        return;
+      }
+      if (stdKey === "sensorAngle" && target.dataset.sensorAngleLegacySyncBound !== "1") {
+        syncAdvancedPanelUi();
+        return;
+      }
+      if (stdKey === "surfaceFeel" && target.dataset.surfaceFeelLegacySyncBound !== "1") {
+        syncAdvancedPanelUi();
+      }
+    }, true);
+
+    document.addEventListener("change", (event) => {
+      const target = event?.target;
+      if (target?.matches?.('[data-std-key="sleepSeconds"][data-adv-control="select"]')) {
+        if (target.dataset.sleepSelectWriteBound !== "1") {
+          const sec = Number(target.value);
+          if (Number.isFinite(sec)) enqueueDevicePatch({ sleepSeconds: sec });
+        }
+        return;
+      }
+      if (target?.matches?.('[data-std-key="debounceMs"][data-adv-control="select"]')) {
+        if (target.dataset.debounceSelectWriteBound !== "1") {
+          const ms = Number(target.value);
+          if (Number.isFinite(ms)) enqueueDevicePatch({ debounceMs: ms });
+        }
+        return;
+      }
+      commitAdvancedRangeFallback(target);
+    }, true);
+
+    const pointerCommit = (event) => {
+      const target = event?.target;
+      commitAdvancedRangeFallback(target);
+    };
+    document.addEventListener("pointerup", pointerCommit, true);
+    document.addEventListener("touchend", pointerCommit, true);
+  }
+  __bindAdvancedSourceFallbackHandlers();
+
+
+  /**
+   * Sync basic extra-switch labels.
+   * Purpose: keep state consistency and avoid partial-update gaps.
+   * @returns {any} Sync result.
+   */
+  function syncBasicExtraSwitchState() {
+    const wsToggle = $("#wirelessStrategyToggle");
+    const wsTitle = document.querySelector('label[for="wirelessStrategyToggle"] .miniTitle');
+    const wsSub = document.querySelector('label[for="wirelessStrategyToggle"] .miniSub');
+    const wsState = $("#wirelessStrategyState");
+    if (wsTitle) {
+      wsTitle.textContent = window.tr("无线策略", "RF Mode");
+    }
+    if (wsSub) {
+      wsSub.textContent = window.tr("智能调节 / 满格射频", "Smart / Full");
+    }
+    if (wsToggle && wsState) {
+      wsState.textContent = wsToggle.checked
+        ? window.tr("满格射频", "Full")
+        : window.tr("智能调节", "Smart");
+    }
+
+    const cpToggle = $("#commProtocolToggle");
+    const cpTitle = document.querySelector('label[for="commProtocolToggle"] .miniTitle');
+    const cpSub = document.querySelector('label[for="commProtocolToggle"] .miniSub');
+    const cpState = $("#commProtocolState");
+    if (cpTitle) {
+      cpTitle.textContent = window.tr("通信协议", "LINK");
+    }
+    if (cpSub) {
+      cpSub.textContent = window.tr("高效 / 初始", "Fast / Init");
+    }
+    if (cpToggle && cpState) {
+      cpState.textContent = cpToggle.checked
+        ? window.tr("初始", "Init")
+        : window.tr("高效", "Fast");
+    }
+  }
+
+  /**
+   * Set radio by name/value.
+   * Purpose: provide a single read/write entry and reduce coupling.
+   * @param {any} name - Radio group name.
+   * @param {any} value - Radio value.
+   * @returns {any} Set result.
+   */
+  function setRadio(name, value) {
+    const ae = document.activeElement;
+    if (ae && ae.name === name) return;
+    const el = document.querySelector(`input[name="${name}"][value="${value}"]`);
+    if (el && !(el.id && uiLocks.has(el.id))) el.checked = true;
+  }
+
+
+  // ============================================================
+  // 7) Config -> UI sync (one-way data flow)
+  // ============================================================
+  /**
+   * Map device config to UI.
+   * Purpose: keep one-way device-readback-to-UI flow and avoid writeback loops.
+   * @param {any} cfg - Device config.
+   * @returns {any} Apply result.
+   */
+  // Config -> UI synchronization contract:
+  // - This function is the single sink for device readback rendering.
+  // - Always read standard values via readMerged/readStandardValueWithIntent to honor
+  //   in-flight write intents and avoid visual rollback.
+  // - For device-unique features, still follow standard-key flow:
+  //   1) profile keyMap/transforms/actions/features
+  //   2) semantic DOM node (data-adv-* + data-std-key)
+  //   3) app.js event binding + applyConfigToUi readback setter
+  //   4) optional refactor.ui metadata rendering rules
+  // - When adding a new advanced control or standard key, update in this order:
+  //   1) index.html data-adv-* / data-std-key markup
+  //   2) refactor.profiles.js keyMap/transforms/features
+  //   3) app.js event binding (enqueueDevicePatch) + applyConfigToUi setter
+  //   4) refactor.ui.js layout/visibility/order/runtime wiring
+  // - Never bypass this function with ad-hoc DOM writes from polling/read paths.
+  function applyConfigToUi(cfg, opts = {}) {
+    const { trustBatteryFromCfg = true } = opts || {};
+
+    applyCapabilityStateToRuntime(cfg?.capabilities, { preserveDpiMax: true });
+    __cleanupExpiredIntents();
+    const hasActiveDpiSwitchIntent = !!__getWriteIntent("activeDpiSlotIndex");
+    const readMerged = (key) => readStandardValueWithIntent(cfg, key);
+    const topConfigSlotCount = readMerged("configSlotCount");
+    const topActiveConfigSlotIndex = readMerged("activeConfigSlotIndex");
+    renderTopConfigSlots({
+      slotCount: topConfigSlotCount,
+      activeIndex: topActiveConfigSlotIndex,
+    });
+    const dpiSlotCap = getDpiSlotCap();
+    const slotsXRaw = readMerged("dpiSlotsX");
+    const slotsCompat = readMerged("dpiSlots");
+    const slotsYRaw = readMerged("dpiSlotsY");
+    const slotsX = Array.isArray(slotsXRaw)
+      ? slotsXRaw
+      : (Array.isArray(slotsCompat) ? slotsCompat : (Array.isArray(cfg.dpiSlots) ? cfg.dpiSlots : []));
+    const slotsY = Array.isArray(slotsYRaw)
+      ? slotsYRaw
+      : slotsX;
+    const lodsRaw = hasFeature("hasDpiLods") ? readMerged("dpiLods") : [];
+    const lods = Array.isArray(lodsRaw) ? lodsRaw : [];
+
+    const slotCount = clampSlotCountToCap(
+      Number(readMerged("dpiSlotCount") ?? dpiSlotCap),
+      dpiSlotCap
+    );
+    let hasAxisDiff = false;
+
+    let observedDpiMax = getObservedDpiMaxFromIncomingSlots(slotsX, slotsY, dpiSlotCap);
+    if (hasActiveDpiSwitchIntent && (!Number.isFinite(observedDpiMax) || observedDpiMax <= DPI_SWITCH_CLIP_GUARD_MAX)) {
+      observedDpiMax = getObservedDpiMaxFromUiSlots(dpiSlotCap, observedDpiMax);
+    }
+    if (Number.isFinite(observedDpiMax)) {
+      ensureDpiMaxRangeByValue(observedDpiMax);
+    }
+
+    const currentUiRangeMax = toPositiveInt(dpiMaxSelect?.value ?? DPI_UI_MAX);
+    const incomingCapMax = toPositiveInt(cfg?.capabilities?.maxDpi);
+    const protectAgainstDpiClip = shouldProtectAgainstDpiClip({
+      hasActiveSwitchIntent: hasActiveDpiSwitchIntent,
+      uiRangeMax: currentUiRangeMax,
+      incomingCapMax,
+    });
+
+
+    const supportsDpiColors = hasFeature("hasDpiColors");
+    const colors = supportsDpiColors ? (cfg.dpiColors || []) : [];
+
+    for (let i = 1; i <= dpiSlotCap; i++) {
+      const xVal = Number(slotsX[i - 1]);
+      const yValRaw = Number(slotsY[i - 1]);
+      const prevX = Number(getUiDpiAxisValue(i, "x", 800));
+      const prevY = Number(getUiDpiAxisValue(i, "y", prevX));
+      const xSafe = resolveDpiSlotValueWithClipGuard(xVal, prevX, protectAgainstDpiClip);
+      const yCandidate = Number.isFinite(yValRaw) ? yValRaw : xSafe;
+      const ySafe = resolveDpiSlotValueWithClipGuard(yCandidate, prevY, protectAgainstDpiClip);
+      setUiDpiAxisValue(i, "x", xSafe);
+      setUiDpiAxisValue(i, "y", ySafe);
+      setUiDpiLod(i, lods[i - 1]);
+      if (xSafe !== ySafe) hasAxisDiff = true;
+      syncDpiRowInputs(i);
+      updateDpiBubble(i);
+
+
+      const btn = dpiList?.querySelector(`.dpiSlotRow[data-slot="${i}"] .dpiSelectBtn`);
+      if (btn) {
+        if (supportsDpiColors) {
+          if (colors[i - 1]) btn.style.setProperty("--btn-bg", colors[i - 1]);
+        } else {
+          btn.style.removeProperty("--btn-bg");
+        }
+      }
+    }
+
+    safeSetValue($("#slotCountSelect"), slotCount);
+    setDpiRowsEnabledCount(slotCount);
+
+    const activeDpiIndex = Number(readMerged("activeDpiSlotIndex") ?? 0);
+    const curIdx1 = (Number.isFinite(activeDpiIndex) ? activeDpiIndex : 0) + 1;
+    setActiveDpiSlot(curIdx1, slotCount);
+    if (hasDpiAdvancedAxis() && hasAxisDiff && !dpiSyncingToSingleMode) {
+      dpiAdvancedEnabled = true;
+    }
+    applyDpiAdvancedUiState();
+
+    const keyScanRate = readMerged("keyScanningRate");
+    if (hasFeature("hasKeyScanRate") && keyScanRate != null) {
+      safeSetValue(
+        getAdvancedSelectControl("keyScanningRate", { region: ADV_REGION_DUAL_RIGHT }),
+        keyScanRate
+      );
+      if (typeof updatePollingCycleUI === "function") {
+        updatePollingCycleUI(keyScanRate, false);
+      }
+    }
+
+    const pickNearestPollingValue = (selectEl, value) => {
+      if (!selectEl || value == null) return;
+      const opts = Array.from(selectEl.options)
+        .map((o) => Number(o.value))
+        .filter(Number.isFinite);
+      const picked = opts.length
+        ? opts.reduce((best, x) => (Math.abs(x - value) < Math.abs(best - value) ? x : best), opts[0])
+        : value;
+      safeSetValue(selectEl, picked);
+    };
+
+    const pollingHz = readMerged("pollingHz");
+    if (pollingHz != null) {
+      pickNearestPollingValue($("#pollingSelect"), pollingHz);
+    }
+
+    const pollingWirelessHz = readMerged("pollingWirelessHz");
+    if (__isDualPollingRates) {
+      const wirelessValue = pollingWirelessHz != null ? pollingWirelessHz : pollingHz;
+      if (wirelessValue != null) {
+        pickNearestPollingValue($("#pollingSelectWireless"), wirelessValue);
+      }
+    }
+
+    const sleepSeconds = readMerged("sleepSeconds");
+    if (sleepSeconds != null) {
+      safeSetValue(
+        getSourceSelectByStdKey("sleepSeconds", ADV_REGION_DUAL_LEFT, { warnOnMissing: true }),
+        sleepSeconds
+      );
+    }
+
+    const debounceMs = readMerged("debounceMs");
+    if (debounceMs != null) {
+      safeSetValue(
+        getAdvancedSelectControl("debounceMs", { region: ADV_REGION_DUAL_LEFT }),
+        debounceMs
+      );
+    }
+
+    if (__hasPerformanceMode) {
+      const fallbackPerfMode = __basicModeConfig?.low ? "low" : (__basicModeConfig?.hp ? "hp" : "low");
+      const perfMode = readMerged("performanceMode") || fallbackPerfMode;
+      setRadio("perfMode", perfMode);
+    }
+
+    /**
+     * Set checkbox safely.
+     * Purpose: provide a single read/write entry and reduce coupling.
+     * @param {any} el - Target checkbox element.
+     * @param {any} v - Checked value.
+     * @returns {any} Set result.
+     */
+    const setCb = (el, v) => {
+      if (!el) return;
+      if (el.id && uiLocks.has(el.id)) return;
+      el.checked = !!v;
+    };
+
+    const primarySurface = readMerged("surfaceModePrimary");
+    if (primarySurface != null) {
+      setCb(getAdvancedToggleInput("surfaceModePrimary", { region: ADV_REGION_DUAL_RIGHT }), primarySurface);
+    }
+
+    const primaryLed = readMerged("primaryLedFeature");
+    if (primaryLed != null) {
+      setCb(getAdvancedToggleInput("primaryLedFeature", { region: ADV_REGION_DUAL_RIGHT }), primaryLed);
+    }
+
+    const motionSync = readMerged("motionSync");
+    if (motionSync != null) {
+      setCb(getAdvancedToggleInput("motionSync", { region: ADV_REGION_DUAL_RIGHT }), motionSync);
+    }
+
+    const linearCorrection = readMerged("linearCorrection");
+    if (linearCorrection != null) {
+      setCb(getAdvancedToggleInput("linearCorrection", { region: ADV_REGION_DUAL_RIGHT }), linearCorrection);
+    }
+
+    const rippleControl = readMerged("rippleControl");
+    if (rippleControl != null) {
+      setCb(getAdvancedToggleInput("rippleControl", { region: ADV_REGION_DUAL_RIGHT }), rippleControl);
+    }
+
+    const speedClickLeft = readMerged("speedClickLeft");
+    const speedClickRight = readMerged("speedClickRight");
+    if (speedClickLeft != null || speedClickRight != null) {
+      const currentPair = speedClickPairFromMode(readSpeedClickModeFromUi());
+      updateSpeedClickModeCycleUI(
+        speedClickModeFromPair(
+          speedClickLeft == null ? currentPair.speedClickLeft : !!speedClickLeft,
+          speedClickRight == null ? currentPair.speedClickRight : !!speedClickRight
+        ),
+        false
+      );
+    }
+
+    const scrollHpMode = readMerged("scrollHpMode");
+    if (hasFeature("hasScrollHp") && scrollHpMode != null) {
+      updateScrollHpModeCycleUI(scrollHpMode, false);
+    }
+
+    const scrollHpWindowMs = readMerged("scrollHpWindowMs");
+    if (hasFeature("hasScrollHp") && scrollHpWindowMs != null) {
+      syncScrollHpWindowRangeUi(scrollHpWindowMs);
+    }
+    syncScrollHpWindowLock();
+
+    const secondarySurface = readMerged("surfaceModeSecondary");
+    if (secondarySurface != null) {
+      setCb(getAdvancedToggleInput("secondarySurfaceToggle", { region: ADV_REGION_DUAL_RIGHT }), secondarySurface);
+    }
+
+    const wirelessMode = readMerged("wirelessStrategyMode");
+    if (wirelessMode != null) setCb($("#wirelessStrategyToggle"), wirelessMode);
+
+    const commMode = readMerged("commProtocolMode");
+    if (commMode != null) setCb($("#commProtocolToggle"), commMode);
+
+    if (hasFeature("hasWirelessStrategy") || hasFeature("hasCommProtocol")) {
+      try { syncBasicExtraSwitchState(); } catch (_) {}
+    }
+
+    const longRangeMode = readMerged("longRangeMode");
+    if (longRangeMode != null) {
+      setCb(getAdvancedToggleInput("longRangeMode", { region: ADV_REGION_DUAL_RIGHT }), longRangeMode);
+    }
+
+    const angleVal = readMerged("sensorAngle");
+    if (angleVal != null) {
+      safeSetValue(
+        getSourceRangeByStdKey("sensorAngle", ADV_REGION_DUAL_LEFT, { warnOnMissing: true }),
+        angleVal
+      );
+    }
+
+    const feelVal = readMerged("surfaceFeel");
+    if (feelVal != null) {
+      safeSetValue(getSourceRangeByStdKey("surfaceFeel", ADV_REGION_DUAL_LEFT), feelVal);
+      updateSurfaceFeelCycleUI(feelVal, false);
+    }
+
+    const staticLedColor = readMerged("staticLedColor");
+    if (staticLedColor != null) {
+      __applyStaticLedColorPanelValue(ensureStaticLedColorPanel(), staticLedColor);
+    }
+
+    const onboardMemoryMode = readMerged("onboardMemoryMode");
+    if (onboardMemoryMode != null) {
+      setCb(getAdvancedToggleInput("onboardMemory", { region: ADV_REGION_SINGLE }), onboardMemoryMode);
+    }
+
+    const lightforceSwitch = readMerged("lightforceSwitch");
+    if (lightforceSwitch != null) {
+      const lightforceToggle = getAdvancedToggleInput("lightforceSwitch", { region: ADV_REGION_SINGLE });
+      if (lightforceToggle && !(lightforceToggle.id && uiLocks.has(lightforceToggle.id))) {
+        lightforceToggle.checked = String(lightforceSwitch || "").trim().toLowerCase() === "optical";
+      }
+    }
+
+    const surfaceMode = readMerged("surfaceMode");
+    if (surfaceMode != null) {
+      safeSetValue(
+        getAdvancedSelectControl("surfaceMode", { region: ADV_REGION_SINGLE }),
+        __normalizeSurfaceModeValue(surfaceMode)
+      );
+    }
+
+    const superstrikeSwitches = readMerged("superstrikeSwitches");
+    if (superstrikeSwitches != null) {
+      syncSuperstrikeCompositeUi({ value: superstrikeSwitches });
+    }
+
+    const bhopMs = readMerged("bhopMs");
+    if (bhopMs != null) {
+      const normalizedBhopMs = __clampBhopDelay(bhopMs);
+      const bhopEnabled = normalizedBhopMs > 0;
+      setCb(getAdvancedToggleInput("bhopToggle", { region: ADV_REGION_SINGLE }), bhopEnabled);
+      safeSetValue(
+        getAdvancedRangeInput("bhopDelay", { region: ADV_REGION_SINGLE }),
+        bhopEnabled ? __clampBhopDelayWhenEnabled(normalizedBhopMs) : 100
+      );
+    }
+
+    const hyperpollingIndicatorMode = readMerged("hyperpollingIndicatorMode");
+    if (hyperpollingIndicatorMode != null) {
+      safeSetValue(
+        getSourceSelectByStdKey("hyperpollingIndicatorMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeHyperpollingMode(hyperpollingIndicatorMode)
+      );
+    }
+
+    const dynamicSensitivityEnabled = readMerged("dynamicSensitivityEnabled");
+    if (dynamicSensitivityEnabled != null) {
+      setCb(
+        getSourceToggleByStdKey("dynamicSensitivityEnabled", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        dynamicSensitivityEnabled
+      );
+    }
+
+    const dynamicSensitivityMode = readMerged("dynamicSensitivityMode");
+    if (dynamicSensitivityMode != null) {
+      safeSetValue(
+        getSourceSelectByStdKey("dynamicSensitivityMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeDynamicSensitivityMode(dynamicSensitivityMode)
+      );
+    }
+
+    const smartTrackingMode = readMerged("smartTrackingMode");
+    if (smartTrackingMode != null) {
+      safeSetValue(
+        getSourceSelectByStdKey("smartTrackingMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeSmartTrackingMode(smartTrackingMode)
+      );
+    }
+
+    const smartTrackingLevel = readMerged("smartTrackingLevel");
+    if (smartTrackingLevel != null) {
+      safeSetValue(
+        getSourceRangeByStdKey("smartTrackingLevel", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeSmartTrackingDistance(smartTrackingLevel, 0, 2, DEFAULT_SMART_TRACKING_LEVEL)
+      );
+    }
+
+    const smartTrackingLiftDistance = readMerged("smartTrackingLiftDistance");
+    if (smartTrackingLiftDistance != null) {
+      safeSetValue(
+        getSourceRangeByStdKey("smartTrackingLiftDistance", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeSmartTrackingDistance(smartTrackingLiftDistance, 2, 26, DEFAULT_SMART_TRACKING_LIFT_DISTANCE)
+      );
+    }
+
+    const smartTrackingLandingDistance = readMerged("smartTrackingLandingDistance");
+    if (smartTrackingLandingDistance != null) {
+      safeSetValue(
+        getSourceRangeByStdKey("smartTrackingLandingDistance", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeSmartTrackingDistance(smartTrackingLandingDistance, 1, 25, DEFAULT_SMART_TRACKING_LANDING_DISTANCE)
+      );
+    }
+
+    const lowPowerThresholdPercent = readMerged("lowPowerThresholdPercent");
+    if (lowPowerThresholdPercent != null) {
+      safeSetValue(
+        getSourceRangeByStdKey("lowPowerThresholdPercent", ADV_REGION_SINGLE, { warnOnMissing: true }),
+        __normalizeLowPowerThresholdPercent(lowPowerThresholdPercent)
+      );
+    }
+
+    LIGHTING_ZONES.forEach((zoneDef) => {
+      const { effectSelect, colorBtn, brightnessInput } = __getLightingZoneControls(zoneDef);
+      const effect = readMerged(zoneDef.effectKey);
+      if (effect != null) safeSetValue(effectSelect, __normalizeLightingEffect(effect));
+      const color = readMerged(zoneDef.colorKey);
+      if (color != null) __applyLightingColorButton(colorBtn, color);
+      const brightness = readMerged(zoneDef.brightnessKey);
+      if (brightness != null) safeSetValue(brightnessInput, __normalizeLightingBrightness(brightness));
+    });
+
+
+    syncAdvancedPanelUi();
+    // Some protocols expose battery during bootstrap via cfg rather than onBattery.
+    if (trustBatteryFromCfg) __rememberBatterySnapshot(cfg);
+
+    const mouseV = cfg.mouseFw ?? (cfg.mouseFwRaw != null ? ProtocolApi.uint8ToVersion(cfg.mouseFwRaw) : "-");
+    const rxV = cfg.receiverFw ?? (cfg.receiverFwRaw != null ? ProtocolApi.uint8ToVersion(cfg.receiverFwRaw) : "-");
+    const fwText = `Mouse:${mouseV} / RX:${rxV}`;
+
+
+    currentFirmwareText = fwText;
+    if (isHidReady()) {
+      updateDeviceStatus(true, currentDeviceName || "Unknown", __getCurrentSessionBatteryText(), currentFirmwareText);
+    }
+    syncBasicMonolithUI();
+
+
+    try { applyKeymapFromCfg?.(cfg); } catch (_) {}
+
+
+    if (hasDpiLightCycle) {
+      const dpiLight = readMerged("dpiLightEffect");
+      if (dpiLight != null) {
+        updateAdvancedCycleUI("dpiLightEffect", dpiLight, DPI_LIGHT_EFFECT_OPTIONS, false);
+      }
+    }
+    if (hasReceiverLightCycle) {
+      const rxLight = readMerged("receiverLightEffect");
+      if (rxLight != null) {
+        updateAdvancedCycleUI("receiverLightEffect", rxLight, RECEIVER_LIGHT_EFFECT_OPTIONS, false);
+      }
+    }
+    syncAdvancedPanelUi();
+  }
+
+  // Battery/raw-report listeners are attached in __bindHidApiEventHandlers().
+
+
+  // ============================================================
+  // Multi-tab device lock (one tab talks to a device, others mirror it read-only)
+  // ============================================================
+  const TAB_LOCK_ERROR_CODE = "DEVICE_LOCKED_BY_OTHER_TAB";
+  const TAB_LOCK_HANDOVER_MS = 5000;
+  const __tabLock = window.TabLock?.createTabLock?.() || null;
+  const tabLockNotice = $("#tabLockNotice");
+  let __tabLockWaitMs = 0;
+  let __tabLockBlocked = null; // { key, device } while another tab owns the device
+  let __tabLockConnectingKey = ""; // vendor/product lock taken by the running connect attempt
+  let __tabLockConnectingSerialKey = ""; // per-serial lock taken by the running connect attempt
+  let __tabLockKey = ""; // vendor/product lock held by the active session
+  let __tabLockSerialKey = ""; // per-serial lock held by the active session
+  let __tabLockPublishTimer = null;
+
+  // Cross-tab identity: vendor/product, plus the serial once the handshake has read it.
+  function getHidDeviceLockKey(dev, serial = "") {
+    return DeviceRuntime?.buildHidDeviceKey?.(dev, { serial }) || "";
+  }
+
+  /**
+   * Take the device lock before the handshake opens the device.
+   * WebHID exposes no serial, so the lock is per vendor/product and stays held for the whole
+   * session: another tab cannot tell a second mouse of this model from the one owned here
+   * without sending commands, so its handshake has to wait for this lock.
+   * @param {any} dev - Selected HIDDevice.
+   * @returns {Promise<void>} Throws TAB_LOCK_ERROR_CODE when another tab owns the device,
+   *   or a plain error when a background session of this tab already holds it.
+   */
+  async function acquireTabLockFor(dev) {
+    __tabLockConnectingKey = "";
+    __tabLockConnectingSerialKey = "";
+    if (findParkedSessionKey(dev)) {
+      throw new Error(window.tr("该设备已在后台会话中连接", "This device is already connected in a background session"));
+    }
+    const key = getHidDeviceLockKey(dev);
+    if (!__tabLock || DeviceRuntime?.isVirtualEnabled?.() || !key) return;
+    const owned = await __tabLock.acquire(key, { waitMs: __tabLockWaitMs });
+    if (owned) {
+      __tabLockConnectingKey = key;
+      hideTabLockNotice();
+      return;
+    }
+    __tabLockBlocked = { key, device: dev };
+    const err = new Error(window.tr("设备正在另一个标签页中使用", "Device is in use in another tab"));
+    err.code = TAB_LOCK_ERROR_CODE;
+    throw err;
+  }
+
+  /**
+   * Add the per-serial lock once the handshake has read the serial (the vendor/product lock stays held).
+   * Purpose: the same mouse reached under another vendor/product (cable vs. receiver) still has one owner.
+   * @param {any} dev - Control HIDDevice of the handshake.
+   * @param {Object|null} cfg - Handshake readback (cfg.deviceSerial when the protocol reports one).
+   * @returns {Promise<void>} Throws TAB_LOCK_ERROR_CODE when another tab owns this mouse.
+   */
+  async function bindTabLockToSerial(dev, cfg) {
+    const serial = String(cfg?.deviceSerial || "").trim();
+    const modelKey = __tabLockConnectingKey;
+    if (!__tabLock || !serial || !modelKey) return;
+    const key = getHidDeviceLockKey(dev, serial);
+    if (!key || key === modelKey) return;
+    const owned = await __tabLock.acquire(key, { waitMs: __tabLockWaitMs });
+    if (owned) {
+      __tabLockConnectingSerialKey = key;
+      return;
+    }
+    __tabLockBlocked = { key, device: dev };
+    const err = new Error(window.tr("设备正在另一个标签页中使用", "Device is in use in another tab"));
+    err.code = TAB_LOCK_ERROR_CODE;
+    throw err;
+  }
+
+  function isTabLockKeyInUse(key) {
+    if (key === __tabLockKey || key === __tabLockSerialKey) return true;
+    return Array.from(__parkedSessions.values()).some((parked) => parked.lockKey === key || parked.serialLockKey === key);
+  }
+
+  function releaseTabLock(key) {
+    if (!key) return;
+    // Mice of one model share the vendor/product key: keep it while another session still holds it.
+    if (isTabLockKeyInUse(key)) return;
+    if (__tabLockPublishTimer) clearTimeout(__tabLockPublishTimer);
+    __tabLockPublishTimer = null;
+    __tabLock?.release(key);
+  }
+
+  function showTabLockNotice({ name = "", values = null, released = false } = {}) {
+    if (!tabLockNotice || !__tabLockBlocked) return;
+    tabLockNotice.hidden = false;
+    const detail = $("#tabLockDetail");
+    if (detail) {
+      detail.textContent = released
+        ? window.tr("另一个标签页已释放设备，可在此接管", "The other tab released the device; take over here")
+        : window.tr(
+          `${name || __tabLockBlocked.device?.productName || __tabLockBlocked.key} 由另一个标签页控制，此处仅显示设置`,
+          `${name || __tabLockBlocked.device?.productName || __tabLockBlocked.key} is controlled by another tab; settings are read-only here`
+        );
+    }
+    const state = $("#tabLockState");
+    if (!state) return;
+    state.textContent = "";
+    for (const [key, value] of Object.entries(values || {})) {
+      const row = document.createElement("div");
+      row.className = "tabLockRow";
+      const k = document.createElement("span");
+      k.textContent = key;
+      const v = document.createElement("span");
+      v.textContent = formatProfileValue(value);
+      row.append(k, v);
+      state.appendChild(row);
+    }
+  }
+
+  function hideTabLockNotice() {
+    __tabLockBlocked = null;
+    if (tabLockNotice) tabLockNotice.hidden = true;
+  }
+
+  // Owner side: mirror the std store to read-only tabs (coalesced).
+  function scheduleTabLockStatePublish() {
+    if (!__tabLock?.isOwner(__tabLockKey) || __tabLockPublishTimer) return;
+    __tabLockPublishTimer = setTimeout(() => {
+      __tabLockPublishTimer = null;
+      if (!isHidReady()) return;
+      const payload = {
+        name: currentDeviceName || "",
+        values: __stdStore?.snapshot() || {},
+      };
+      // A read-only tab waits on whichever key blocked it.
+      __tabLock.publishState(__tabLockKey, payload);
+      if (__tabLockSerialKey) __tabLock.publishState(__tabLockSerialKey, payload);
+    }, 150);
+  }
 
-    let observedDpiMax = getObservedDpiMaxFromIncomingSlots(slotsX, slotsY, dpiSlotCap);
-    if (hasActiveDpiSwitchIntent && (!Number.isFinite(observedDpiMax) || observedDpiMax <= DPI_SWITCH_CLIP_GUARD_MAX)) {
-      observedDpiMax = getObservedDpiMaxFromUiSlots(dpiSlotCap, observedDpiMax);
-    }
-    if (Number.isFinite(observedDpiMax)) {
-      ensureDpiMaxRangeByValue(observedDpiMax);
+  /**
+   * Ask the owning tab to hand the device over, then connect here.
+   * @returns {Promise<void>}
+   */
+  async function takeOverTabLock() {
+    const blocked = __tabLockBlocked;
+    if (!blocked) return;
+    __tabLock?.requestHandover(blocked.key);
+    __tabLockWaitMs = TAB_LOCK_HANDOVER_MS;
+    try {
+      await connectHid(blocked.device, false);
+    } finally {
+      __tabLockWaitMs = 0;
     }
+  }
 
-    const currentUiRangeMax = toPositiveInt(dpiMaxSelect?.value ?? DPI_UI_MAX);
-    const incomingCapMax = toPositiveInt(cfg?.capabilities?.maxDpi);
-    const protectAgainstDpiClip = shouldProtectAgainstDpiClip({
-      hasActiveSwitchIntent: hasActiveDpiSwitchIntent,
-      uiRangeMax: currentUiRangeMax,
-      incomingCapMax,
+  if (__tabLock) {
+    __tabLock.on("handover-request", async (msg) => {
+      if (!__tabLock.isOwner(msg.key)) return;
+      const parked = Array.from(__parkedSessions.values())
+        .find((entry) => entry.lockKey === msg.key || entry.serialLockKey === msg.key);
+      if (parked) {
+        log(window.tr("设备已移交给另一个标签页", "Device handed over to another tab"));
+        await dropParkedSession(parked.key);
+        return;
+      }
+      if (msg.key !== __tabLockKey && msg.key !== __tabLockSerialKey) return;
+      const device = hidApi?.device || null;
+      // Debounced edits still belong to this device: write them before letting go.
+      if (isHidReady()) {
+        try { await drainActiveDeviceWrites(); } catch (_) {}
+      }
+      log(window.tr("设备已移交给另一个标签页", "Device handed over to another tab"));
+      await disconnectHid();
+      __tabLockBlocked = { key: msg.key, device };
+      showTabLockNotice();
     });
+    __tabLock.on("state-request", (msg) => {
+      if (__tabLock.isOwner(msg.key)) scheduleTabLockStatePublish();
+    });
+    __tabLock.on("state", (msg) => {
+      if (__tabLockBlocked?.key === msg.key) showTabLockNotice({ name: msg.name, values: msg.values });
+    });
+    __tabLock.on("released", (msg) => {
+      if (__tabLockBlocked?.key === msg.key) showTabLockNotice({ released: true });
+    });
+    __stdStore?.subscribe("*", scheduleTabLockStatePublish);
+  }
 
+  $("#tabLockTakeoverBtn")?.addEventListener("click", () => {
+    takeOverTabLock().catch((err) => logErr(err, window.tr("接管失败", "Take over failed")));
+  });
 
-    const supportsDpiColors = hasFeature("hasDpiColors");
-    const colors = supportsDpiColors ? (cfg.dpiColors || []) : [];
-
-    for (let i = 1; i <= dpiSlotCap; i++) {
-      const xVal = Number(slotsX[i - 1]);
-      const yValRaw = Number(slotsY[i - 1]);
-      const prevX = Number(getUiDpiAxisValue(i, "x", 800));
-      const prevY = Number(getUiDpiAxisValue(i, "y", prevX));
-      const xSafe = resolveDpiSlotValueWithClipGuard(xVal, prevX, protectAgainstDpiClip);
-      const yCandidate = Number.isFinite(yValRaw) ? yValRaw : xSafe;
-      const ySafe = resolveDpiSlotValueWithClipGuard(yCandidate, prevY, protectAgainstDpiClip);
-      setUiDpiAxisValue(i, "x", xSafe);
-      setUiDpiAxisValue(i, "y", ySafe);
-      setUiDpiLod(i, lods[i - 1]);
-      if (xSafe !== ySafe) hasAxisDiff = true;
-      syncDpiRowInputs(i);
-      updateDpiBubble(i);
 
+  // ============================================================
+  // Hot-plug session resume (sleep / dongle replug keeps the UI session)
+  // ============================================================
+  let __hidSuspended = null; // { key, name, timer } while waiting for the same device to return
 
-      const btn = dpiList?.querySelector(`.dpiSlotRow[data-slot="${i}"] .dpiSelectBtn`);
-      if (btn) {
-        if (supportsDpiColors) {
-          if (colors[i - 1]) btn.style.setProperty("--btn-bg", colors[i - 1]);
-        } else {
-          btn.style.removeProperty("--btn-bg");
-        }
-      }
-    }
+  function getHotplugResumeMs() {
+    const ms = Number(window.AppConfig?.timings?.hotplugResumeMs);
+    return Number.isFinite(ms) && ms >= 0 ? ms : 30000;
+  }
 
-    safeSetValue($("#slotCountSelect"), slotCount);
-    setDpiRowsEnabledCount(slotCount);
+  function clearHidSuspension() {
+    if (__hidSuspended?.timer) clearTimeout(__hidSuspended.timer);
+    __hidSuspended = null;
+  }
 
-    const activeDpiIndex = Number(readMerged("activeDpiSlotIndex") ?? 0);
-    const curIdx1 = (Number.isFinite(activeDpiIndex) ? activeDpiIndex : 0) + 1;
-    setActiveDpiSlot(curIdx1, slotCount);
-    if (hasDpiAdvancedAxis() && hasAxisDiff && !dpiSyncingToSingleMode) {
-      dpiAdvancedEnabled = true;
+  /**
+   * Keep the UI session when the connected device disappears.
+   * Purpose: queued writes, write history and the tab lock survive until the device returns
+   * (resumeHidSession) or hotplugResumeMs elapses (regular disconnect).
+   * @returns {Promise<void>}
+   */
+  async function suspendHidSession() {
+    if (__hidSuspended || !hidApi?.device) return;
+    const name = currentDeviceName || hidApi.device.productName || "";
+    __hidSuspended = {
+      key: getHidDeviceLockKey(hidApi.device), // vendor/product: hot-plug events carry no serial
+      name,
+      timer: setTimeout(() => {
+        log(window.tr("设备未在等待时间内返回", "The device did not come back in time"));
+        disconnectHid().catch(() => {});
+      }, getHotplugResumeMs()),
+    };
+    hidLinked = false;
+    stopBatteryAutoRead();
+    stopDriftWatchdog();
+    try {
+      await hidApi.close?.({ clearListeners: false });
+    } catch (_) {
+      try { await hidApi.close?.(); } catch (_) {}
     }
-    applyDpiAdvancedUiState();
+    deviceStatusDot?.classList.remove("connected");
+    if (hdrHidVal) {
+      hdrHidVal.textContent = `${window.tr("等待重新连接 · ", "Reconnecting · ")}${name}`;
+      hdrHidVal.classList.remove("connected");
+    }
+    if (widgetDeviceMeta) widgetDeviceMeta.textContent = window.tr("等待设备重新连接...", "Waiting for the device...");
+    log(window.tr(`设备已断开，等待重新连接:${name}`, `Device lost, waiting for it to return: ${name}`));
+  }
 
-    const keyScanRate = readMerged("keyScanningRate");
-    if (hasFeature("hasKeyScanRate") && keyScanRate != null) {
-      safeSetValue(
-        getAdvancedSelectControl("keyScanningRate", { region: ADV_REGION_DUAL_RIGHT }),
-        keyScanRate
-      );
-      if (typeof updatePollingCycleUI === "function") {
-        updatePollingCycleUI(keyScanRate, false);
-      }
+  /**
+   * Re-run the connect handshake for the returning device.
+   * @param {any} device - Control handle resolved by DeviceRuntime.onHotplug.
+   * @returns {Promise<void>}
+   */
+  async function resumeHidSession(device) {
+    if (!__hidSuspended || !device) return;
+    log(window.tr("设备已返回，正在恢复会话", "Device is back, resuming session"));
+    await connectHid(device, true);
+    if (__hidSuspended && !isHidReady() && !__connectInFlight) {
+      await disconnectHid();
     }
+  }
 
-    const pickNearestPollingValue = (selectEl, value) => {
-      if (!selectEl || value == null) return;
-      const opts = Array.from(selectEl.options)
-        .map((o) => Number(o.value))
-        .filter(Number.isFinite);
-      const picked = opts.length
-        ? opts.reduce((best, x) => (Math.abs(x - value) < Math.abs(best - value) ? x : best), opts[0])
-        : value;
-      safeSetValue(selectEl, picked);
-    };
+  // Called by connectHid once bootstrapSession succeeded for the suspended device.
+  function finishHidResume() {
+    clearHidSuspension();
+    const pending = __pendingDevicePatch;
+    const source = __pendingHistorySource;
+    __pendingDevicePatch = null;
+    __pendingHistorySource = null;
+    log(window.tr("会话已恢复", "Session resumed"));
+    if (!pending || !Object.keys(pending).length) return;
+    log(window.tr(
+      `重新写入断开期间的 ${Object.keys(pending).length} 项更改`,
+      `Re-applying ${Object.keys(pending).length} changes queued while disconnected`
+    ));
+    enqueueDevicePatch(pending, { source: source || "ui", history: !!source, guard: false });
+    const cfg = getCachedDeviceConfig();
+    if (cfg) applyConfigToUi(cfg);
+  }
 
-    const pollingHz = readMerged("pollingHz");
-    if (pollingHz != null) {
-      pickNearestPollingValue($("#pollingSelect"), pollingHz);
-    }
 
-    const pollingWirelessHz = readMerged("pollingWirelessHz");
-    if (__isDualPollingRates) {
-      const wirelessValue = pollingWirelessHz != null ? pollingWirelessHz : pollingHz;
-      if (wirelessValue != null) {
-        pickNearestPollingValue($("#pollingSelectWireless"), wirelessValue);
-      }
-    }
+  // ============================================================
+  // Multi-device sessions (several mice connected, one edited at a time)
+  // ============================================================
+  // The active session lives in the usual globals (hidApi, adapter, DEVICE_ID, write queue, intents,
+  // write history). Background sessions keep their protocol session open and park that state here,
+  // so queued writes and intents never cross devices.
+  const __parkedSessions = new Map(); // session key -> parked session state
+  const deviceSessionSelect = $("#deviceSessionSelect");
+  const deviceSessionAddBtn = $("#deviceSessionAddBtn");
+  let __sessionSwitchInFlight = false;
+  const __deviceSessionIds = new WeakMap(); // HIDDevice -> session key
+  let __deviceSessionSeq = 0;
 
-    const sleepSeconds = readMerged("sleepSeconds");
-    if (sleepSeconds != null) {
-      safeSetValue(
-        getSourceSelectByStdKey("sleepSeconds", ADV_REGION_DUAL_LEFT, { warnOnMissing: true }),
-        sleepSeconds
-      );
+  /**
+   * Session key of a connected device inside this page.
+   * Purpose: WebHID hands out one HIDDevice object per physical device, so two mice of one model
+   * get two sessions even before (or without) a serial.
+   * @param {any} dev - HIDDevice.
+   * @returns {string} Key such as "s2", or "" without a device.
+   */
+  function getDeviceSessionKey(dev) {
+    if (!dev || typeof dev !== "object") return "";
+    let key = __deviceSessionIds.get(dev);
+    if (!key) {
+      key = `s${++__deviceSessionSeq}`;
+      __deviceSessionIds.set(dev, key);
     }
+    return key;
+  }
 
-    const debounceMs = readMerged("debounceMs");
-    if (debounceMs != null) {
-      safeSetValue(
-        getAdvancedSelectControl("debounceMs", { region: ADV_REGION_DUAL_LEFT }),
-        debounceMs
-      );
+  function findParkedSessionKey(device) {
+    for (const [key, parked] of __parkedSessions.entries()) {
+      const api = parked.hidApi;
+      const matches = typeof api?.matchesHidDevice === "function"
+        ? api.matchesHidDevice(device)
+        : (api?.device && api.device === device);
+      if (matches) return key;
     }
+    return "";
+  }
 
-    if (__hasPerformanceMode) {
-      const fallbackPerfMode = __basicModeConfig?.low ? "low" : (__basicModeConfig?.hp ? "hp" : "low");
-      const perfMode = readMerged("performanceMode") || fallbackPerfMode;
-      setRadio("perfMode", perfMode);
+  // Let debounced writes of the active device reach the mutex, then wait for the mutex to drain.
+  async function drainActiveDeviceWrites() {
+    const deadline = Date.now() + 2000;
+    while (writeDebouncers.size && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 50));
     }
+    await withMutex(async () => {});
+  }
 
-    /**
-     * Set checkbox safely.
-     * Purpose: provide a single read/write entry and reduce coupling.
-     * @param {any} el - Target checkbox element.
-     * @param {any} v - Checked value.
-     * @returns {any} Set result.
-     */
-    const setCb = (el, v) => {
-      if (!el) return;
-      if (el.id && uiLocks.has(el.id)) return;
-      el.checked = !!v;
-    };
+  /**
+   * Move the active device into the background.
+   * @returns {boolean} Whether a session was parked.
+   */
+  function parkActiveSession() {
+    const key = getDeviceSessionKey(hidApi?.device);
+    if (!key || !isHidReady()) return false;
+    __parkedSessions.set(key, {
+      key,
+      lockKey: __tabLockKey,
+      serialLockKey: __tabLockSerialKey,
+      deviceId: DEVICE_ID,
+      adapter,
+      name: currentDeviceName,
+      firmware: currentFirmwareText,
+      battery: __getCurrentSessionBatteryText(),
+      hidApi,
+      ProtocolApi,
+      cfg: __cachedDeviceConfig,
+      pendingPatch: __pendingDevicePatch,
+      pendingHistorySource: __pendingHistorySource,
+      intents: new Map(__intentByKey),
+      history: __writeHistory?.exportState() || null,
+      driftBaseline: __driftBaseline,
+      onboardBackupAttempted: __onboardBackupAttempted,
+    });
+    __tabLockKey = "";
+    __tabLockSerialKey = "";
+    stopBatteryAutoRead();
+    window.__HID_API_INSTANCE__ = null;
+    hidLinked = false;
+    __resetDeviceScopedTransientState();
+    return true;
+  }
 
-    const primarySurface = readMerged("surfaceModePrimary");
-    if (primarySurface != null) {
-      setCb(getAdvancedToggleInput("surfaceModePrimary", { region: ADV_REGION_DUAL_RIGHT }), primarySurface);
+  /**
+   * Bring a background session back into the page globals and re-render every page from it.
+   * @param {string} key - Session key.
+   * @returns {Promise<boolean>} Whether the session was restored.
+   */
+  async function restoreParkedSession(key) {
+    const parked = __parkedSessions.get(key);
+    if (!parked) return false;
+    __parkedSessions.delete(key);
+    if (!parked.hidApi?.device?.opened) {
+      releaseTabLock(parked.lockKey);
+      releaseTabLock(parked.serialLockKey);
+      renderDeviceSessionSwitcher();
+      return false;
     }
 
-    const primaryLed = readMerged("primaryLedFeature");
-    if (primaryLed != null) {
-      setCb(getAdvancedToggleInput("primaryLedFeature", { region: ADV_REGION_DUAL_RIGHT }), primaryLed);
-    }
+    DeviceRuntime?.setSelectedDevice?.(parked.deviceId, { reload: false });
+    __refreshRuntimeDeviceState(parked.deviceId);
+    try { await DeviceRuntime?.whenProtocolReady?.(parked.deviceId); } catch (_) {}
+    ProtocolApi = parked.ProtocolApi;
+    hidApi = parked.hidApi;
+    window.__HID_API_INSTANCE__ = hidApi;
+    try { __rebuildDeviceScopedUi({ reason: "session-switch" }); } catch (_) {}
+    try { __refreshKeymapActionCatalog?.(); } catch (_) {}
+    initAdvancedCycleControls();
+    try { initAdvancedLightCycles(); } catch (_) {}
+    try { initBasicMonolithUI(); } catch (_) {}
+    try { initAdvancedPanelUI(); } catch (_) {}
+    try { initSingleAdvancedUi(); } catch (_) {}
+    applyCapabilityStateToRuntime(hidApi.capabilities);
 
-    const motionSync = readMerged("motionSync");
-    if (motionSync != null) {
-      setCb(getAdvancedToggleInput("motionSync", { region: ADV_REGION_DUAL_RIGHT }), motionSync);
+    const cfg = hidApi.getCachedConfig?.() || parked.cfg;
+    __cachedDeviceConfig = cfg || null;
+    __pendingDevicePatch = null;
+    __pendingHistorySource = null;
+    __intentByKey.clear();
+    for (const [k, intent] of parked.intents) __intentByKey.set(k, intent);
+    __writeHistory?.importState(parked.history);
+    __driftBaseline = parked.driftBaseline || {};
+    __onboardBackupAttempted = !!parked.onboardBackupAttempted;
+    __tabLockKey = parked.lockKey || "";
+    __tabLockSerialKey = parked.serialLockKey || "";
+    currentDeviceName = parked.name;
+    currentFirmwareText = parked.firmware;
+    hidLinked = true;
+    __writesEnabled = true;
+
+    if (cfg) {
+      __stdStore?.ingest(cfg);
+      for (const [k, intent] of __intentByKey) __stdStore?.setIntent(k, intent.value);
+      __applyDeviceVariantOnce({ deviceName: parked.name, cfg, keymapOnly: true });
+      applyConfigToUi(cfg);
+      if (typeof applyKeymapFromCfg === "function") applyKeymapFromCfg(cfg);
+    }
+    updateDeviceStatus(true, parked.name, parked.battery, parked.firmware);
+    setHeaderChipsVisible(true);
+    if (hdrHidVal) {
+      hdrHidVal.textContent = `${window.tr("已连接 · ", "Connected · ")}${parked.name}`;
+      hdrHidVal.classList.add("connected");
+    }
+    startBatteryAutoRead();
+    startDriftWatchdog();
+    if (parked.pendingPatch && Object.keys(parked.pendingPatch).length) {
+      enqueueDevicePatch(parked.pendingPatch, {
+        source: parked.pendingHistorySource || "ui",
+        history: !!parked.pendingHistorySource,
+        guard: false,
+      });
     }
+    renderDeviceSessionSwitcher();
+    return true;
+  }
 
-    const linearCorrection = readMerged("linearCorrection");
-    if (linearCorrection != null) {
-      setCb(getAdvancedToggleInput("linearCorrection", { region: ADV_REGION_DUAL_RIGHT }), linearCorrection);
+  // Close a background session (unplugged, handed over to another tab).
+  async function dropParkedSession(key) {
+    const parked = __parkedSessions.get(key);
+    if (!parked) return;
+    __parkedSessions.delete(key);
+    try { await parked.hidApi?.close?.(); } catch (_) {}
+    releaseTabLock(parked.lockKey);
+    releaseTabLock(parked.serialLockKey);
+    log(window.tr(`后台设备已断开:${parked.name}`, `Background device disconnected: ${parked.name}`));
+    renderDeviceSessionSwitcher();
+  }
+
+  function canSwitchDeviceSession() {
+    if (__sessionSwitchInFlight || hidConnecting || __connectInFlight) return false;
+    if (__safeApplySession) {
+      log(window.tr("请先确认或还原待定的更改", "Keep or revert the pending change first"));
+      return false;
     }
+    return true;
+  }
 
-    const rippleControl = readMerged("rippleControl");
-    if (rippleControl != null) {
-      setCb(getAdvancedToggleInput("rippleControl", { region: ADV_REGION_DUAL_RIGHT }), rippleControl);
+  /**
+   * Make another connected device the one all pages edit.
+   * @param {string} key - Session key of a parked session.
+   * @returns {Promise<void>}
+   */
+  async function switchDeviceSession(key) {
+    if (!__parkedSessions.has(key) || !canSwitchDeviceSession()) {
+      renderDeviceSessionSwitcher();
+      return;
+    }
+    __sessionSwitchInFlight = true;
+    try {
+      await drainActiveDeviceWrites();
+      const previousKey = getDeviceSessionKey(hidApi?.device);
+      parkActiveSession();
+      if (!(await restoreParkedSession(key)) && previousKey) await restoreParkedSession(previousKey);
+      log(window.tr(`当前编辑设备:${currentDeviceName}`, `Now editing: ${currentDeviceName}`));
+    } catch (err) {
+      logErr(err, window.tr("切换设备失败", "Device switch failed"));
+    } finally {
+      __sessionSwitchInFlight = false;
+      renderDeviceSessionSwitcher();
     }
+  }
 
-    const speedClickLeft = readMerged("speedClickLeft");
-    const speedClickRight = readMerged("speedClickRight");
-    if (speedClickLeft != null || speedClickRight != null) {
-      const currentPair = speedClickPairFromMode(readSpeedClickModeFromUi());
-      updateSpeedClickModeCycleUI(
-        speedClickModeFromPair(
-          speedClickLeft == null ? currentPair.speedClickLeft : !!speedClickLeft,
-          speedClickRight == null ? currentPair.speedClickRight : !!speedClickRight
-        ),
-        false
-      );
+  /**
+   * Connect one more device; the current one keeps running in the background.
+   * @returns {Promise<void>}
+   */
+  async function addDeviceSession() {
+    if (!isHidReady()) {
+      await connectHid(true);
+      return;
+    }
+    if (!canSwitchDeviceSession()) return;
+    __sessionSwitchInFlight = true;
+    const previousKey = getDeviceSessionKey(hidApi?.device);
+    try {
+      await drainActiveDeviceWrites();
+      parkActiveSession();
+      await __ensureProtocolBinding(DeviceRuntime.getSelectedDevice(), { recreateHidApi: true });
+      __sessionSwitchInFlight = false;
+      await connectHid(true);
+      if (!isHidReady() && previousKey) await restoreParkedSession(previousKey);
+    } catch (err) {
+      logErr(err, window.tr("添加设备失败", "Add device failed"));
+      if (!isHidReady() && previousKey) await restoreParkedSession(previousKey);
+    } finally {
+      __sessionSwitchInFlight = false;
+      renderDeviceSessionSwitcher();
     }
+  }
 
-    const scrollHpMode = readMerged("scrollHpMode");
-    if (hasFeature("hasScrollHp") && scrollHpMode != null) {
-      updateScrollHpModeCycleUI(scrollHpMode, false);
+  // Connected sessions (the active one plus parked ones) in connection order.
+  // Mice of one model share a name, so their labels carry the serial tail (or a running number).
+  function listDeviceSessions() {
+    const rows = [];
+    const activeKey = isHidReady() ? getDeviceSessionKey(hidApi?.device) : "";
+    if (activeKey) {
+      rows.push({ key: activeKey, name: currentDeviceName, serial: getCachedDeviceConfig()?.deviceSerial, active: true });
+    }
+    for (const parked of __parkedSessions.values()) {
+      rows.push({ key: parked.key, name: parked.name, serial: parked.cfg?.deviceSerial, active: false });
+    }
+    rows.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    for (const row of rows) {
+      const twins = rows.filter((other) => other.name === row.name);
+      const serial = String(row.serial || "").trim();
+      row.label = twins.length < 2
+        ? (row.name || row.key)
+        : `${row.name} · ${serial ? serial.slice(-4) : `#${twins.indexOf(row) + 1}`}`;
     }
+    return rows;
+  }
 
-    const scrollHpWindowMs = readMerged("scrollHpWindowMs");
-    if (hasFeature("hasScrollHp") && scrollHpWindowMs != null) {
-      syncScrollHpWindowRangeUi(scrollHpWindowMs);
+  function renderDeviceSessionSwitcher() {
+    const activeKey = isHidReady() ? getDeviceSessionKey(hidApi?.device) : "";
+    if (deviceSessionAddBtn) deviceSessionAddBtn.hidden = !activeKey;
+    if (!deviceSessionSelect) {
+      renderDeviceCloneCard();
+      renderProfileSlotCard();
+      return;
     }
-    syncScrollHpWindowLock();
+    const rows = listDeviceSessions();
+    deviceSessionSelect.textContent = "";
+    for (const row of rows) {
+      const opt = document.createElement("option");
+      opt.value = row.key;
+      opt.textContent = row.label;
+      opt.selected = row.key === activeKey;
+      deviceSessionSelect.appendChild(opt);
+    }
+    deviceSessionSelect.hidden = rows.length < 2;
+    renderDeviceCloneCard();
+    renderProfileSlotCard();
+  }
 
-    const secondarySurface = readMerged("surfaceModeSecondary");
-    if (secondarySurface != null) {
-      setCb(getAdvancedToggleInput("secondarySurfaceToggle", { region: ADV_REGION_DUAL_RIGHT }), secondarySurface);
+  deviceSessionSelect?.addEventListener("change", () => {
+    switchDeviceSession(deviceSessionSelect.value).catch(() => {});
+  });
+  deviceSessionAddBtn?.addEventListener("click", () => {
+    addDeviceSession().catch(() => {});
+  });
+  window.addEventListener("pagehide", () => {
+    for (const parked of __parkedSessions.values()) {
+      try { void parked.hidApi?.close?.(); } catch (_) {}
     }
+  });
 
-    const wirelessMode = readMerged("wirelessStrategyMode");
-    if (wirelessMode != null) setCb($("#wirelessStrategyToggle"), wirelessMode);
 
-    const commMode = readMerged("commProtocolMode");
-    if (commMode != null) setCb($("#commProtocolToggle"), commMode);
+  // ============================================================
+  // Device-to-device clone (copy every std key of one connected mouse to another)
+  // ============================================================
+  // The source snapshot is the same DeviceConfigIO export used by file export and the profile library.
+  // DeviceConfigIO.planConfigClone() validates it against the target (translating across brands) and
+  // the write goes through enqueueDevicePatch on the target, so safe-apply and write history still apply.
+  const cloneSourceSelect = $("#cloneSourceSelect");
+  const cloneTargetSelect = $("#cloneTargetSelect");
+  const cloneApplyBtn = $("#cloneApplyBtn");
+
+  /**
+   * Resolve adapter, protocol and readback of one connected session (active or parked).
+   * @param {string} key - Session key.
+   * @returns {Object|null} { key, name, firmware, adapter, api, hidApi, cfg, capabilities, active }.
+   */
+  function resolveDeviceSessionContext(key) {
+    if (!key) return null;
+    if (isHidReady() && key === getDeviceSessionKey(hidApi?.device)) {
+      return {
+        key,
+        name: currentDeviceName,
+        firmware: currentFirmwareText,
+        adapter,
+        api: ProtocolApi,
+        hidApi,
+        cfg: getCachedDeviceConfig(),
+        capabilities: getCapabilities(),
+        active: true,
+      };
+    }
+    const parked = __parkedSessions.get(key);
+    if (!parked?.hidApi?.device?.opened) return null;
+    let cfg = null;
+    try { cfg = window.DeviceReader?.getCachedConfig?.({ hidApi: parked.hidApi, adapter: parked.adapter }) || null; } catch (_) {}
+    return {
+      key,
+      name: parked.name,
+      firmware: parked.firmware,
+      adapter: parked.adapter,
+      api: parked.ProtocolApi,
+      hidApi: parked.hidApi,
+      cfg: cfg || parked.cfg,
+      capabilities: parked.hidApi.capabilities || {},
+      active: false,
+    };
+  }
+
+  // isProtocolKeyAction() for a session that may not be the active one.
+  function isSessionKeyAction(api, label) {
+    const actions = api?.KEYMAP_ACTIONS;
+    if (!label) return false;
+    return !actions || Object.prototype.hasOwnProperty.call(actions, label);
+  }
+
+  function buildSessionConfigSnapshot(ctx) {
+    const io = window.DeviceConfigIO;
+    if (!io || !ctx?.cfg || !ctx.adapter) return null;
+    if (ctx.active) return buildLiveConfigSnapshot();
+    return io.buildConfigExport({
+      cfg: ctx.cfg,
+      adapter: ctx.adapter,
+      device: {
+        model: ctx.name || ctx.cfg.deviceName || "",
+        firmware: {
+          text: ctx.firmware || "",
+          mouse: ctx.cfg.mouseFw ?? null,
+          receiver: ctx.cfg.receiverFw ?? null,
+        },
+        vendorId: ctx.hidApi?.device?.vendorId ?? null,
+        productId: ctx.hidApi?.device?.productId ?? null,
+      },
+      resolveButtonLabel: (item) => {
+        let label = null;
+        try { label = ctx.api?.labelFromFunckeyKeycode?.(item.funckey, item.keycode) || null; } catch (_) {}
+        return isSessionKeyAction(ctx.api, label) ? label : null;
+      },
+    });
+  }
 
-    if (hasFeature("hasWirelessStrategy") || hasFeature("hasCommProtocol")) {
-      try { syncBasicExtraSwitchState(); } catch (_) {}
-    }
+  /**
+   * Plan a clone between two connected sessions.
+   * @param {string} sourceKey - Device key to copy from.
+   * @param {string} targetKey - Device key to write to.
+   * @returns {Object|null} planConfigClone() result plus { source, target } contexts.
+   */
+  function planDeviceClone(sourceKey, targetKey) {
+    const io = window.DeviceConfigIO;
+    if (!io?.planConfigClone || !sourceKey || !targetKey || sourceKey === targetKey) return null;
+    const source = resolveDeviceSessionContext(sourceKey);
+    const target = resolveDeviceSessionContext(targetKey);
+    const doc = buildSessionConfigSnapshot(source);
+    if (!doc || !target?.cfg) return null;
+    const plan = io.planConfigClone({
+      doc,
+      adapter: target.adapter,
+      cfg: target.cfg,
+      capabilities: target.capabilities,
+      isButtonActionSupported: (label) => isSessionKeyAction(target.api, label),
+    });
+    return { ...plan, source, target };
+  }
 
-    const longRangeMode = readMerged("longRangeMode");
-    if (longRangeMode != null) {
-      setCb(getAdvancedToggleInput("longRangeMode", { region: ADV_REGION_DUAL_RIGHT }), longRangeMode);
+  function describeCloneMissingReason(reason) {
+    switch (reason) {
+      case "unsupported":
+      case "not-on-target": return window.tr("目标设备没有此项", "Target has no such setting");
+      case "feature-missing": return window.tr("目标设备不支持此功能", "Target lacks this feature");
+      case "no-range": return window.tr("目标设备没有可选值", "Target has no value range");
+      case "type-mismatch": return window.tr("类型不一致", "Type mismatch");
+      case "invalid-value": return window.tr("超出目标设备范围", "Out of the target's range");
+      default: return String(reason || "-");
     }
+  }
 
-    const angleVal = readMerged("sensorAngle");
-    if (angleVal != null) {
-      safeSetValue(
-        getSourceRangeByStdKey("sensorAngle", ADV_REGION_DUAL_LEFT, { warnOnMissing: true }),
-        angleVal
-      );
+  /**
+   * Render the clone preview: source value, value written to the target and why it differs.
+   * @returns {void}
+   */
+  function renderDeviceClonePreview() {
+    const host = $("#clonePreview");
+    if (!host) return;
+    host.textContent = "";
+    const plan = planDeviceClone(cloneSourceSelect?.value, cloneTargetSelect?.value);
+    if (cloneApplyBtn) cloneApplyBtn.disabled = !plan?.ok || !Object.keys(plan.patch).length;
+    if (!plan) return;
+    const head = document.createElement("div");
+    head.className = "profileDiffHead";
+    host.appendChild(head);
+    if (!plan.ok) {
+      head.textContent = `${window.tr("无法复制", "Cannot clone")}: ${describeConfigImportError(plan.error)}`;
+      return;
     }
+    const count = (status) => plan.rows.filter((row) => row.status === status).length;
+    head.textContent = window.tr(
+      `将写入 ${Object.keys(plan.patch).length} 项，其中 ${count("snapped")} 项按目标设备范围调整；目标设备缺少 ${count("missing")} 项`,
+      `${Object.keys(plan.patch).length} keys will be written, ${count("snapped")} adjusted to the target's ranges; ${count("missing")} keys are missing on the target`
+    );
+    const table = document.createElement("table");
+    table.className = "profileDiffTable cloneDiffTable";
+    const headRow = table.insertRow();
+    [window.tr("项", "Key"), window.tr("源设备", "Source"), window.tr("目标设备", "Target"), window.tr("说明", "Note")].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    plan.rows.forEach((row) => {
+      const tr = table.insertRow();
+      tr.className = `is-${row.status}`;
+      const note = row.status === "snapped"
+        ? window.tr("已调整", "Adjusted")
+        : (row.status === "missing" ? describeCloneMissingReason(row.reason) : "");
+      [row.key, formatProfileValue(row.from), formatProfileValue(row.to), note].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+    host.appendChild(table);
+  }
 
-    const feelVal = readMerged("surfaceFeel");
-    if (feelVal != null) {
-      safeSetValue(getSourceRangeByStdKey("surfaceFeel", ADV_REGION_DUAL_LEFT), feelVal);
-      updateSurfaceFeelCycleUI(feelVal, false);
+  /**
+   * Refill the source/target pickers from the connected sessions.
+   * Purpose: called whenever a session is added, switched or dropped.
+   * @returns {void}
+   */
+  function renderDeviceCloneCard() {
+    if (!cloneSourceSelect || !cloneTargetSelect) return;
+    const rows = listDeviceSessions();
+    const has = (key) => rows.some((row) => row.key === key);
+    const prevSource = cloneSourceSelect.value;
+    const prevTarget = cloneTargetSelect.value;
+    const sourceKey = has(prevSource) ? prevSource : (rows.find((row) => row.active)?.key || "");
+    const targetKey = has(prevTarget) && prevTarget !== sourceKey
+      ? prevTarget
+      : (rows.find((row) => row.key !== sourceKey)?.key || "");
+    [[cloneSourceSelect, sourceKey], [cloneTargetSelect, targetKey]].forEach(([select, selected]) => {
+      select.textContent = "";
+      for (const row of rows) {
+        const opt = document.createElement("option");
+        opt.value = row.key;
+        opt.textContent = row.label;
+        opt.selected = row.key === selected;
+        select.appendChild(opt);
+      }
+      select.disabled = rows.length < 2;
+    });
+    const sub = $("#cloneCardSub");
+    if (sub) {
+      sub.textContent = rows.length < 2
+        ? window.tr("再连接一个设备后可用", "Connect a second device to clone settings")
+        : window.tr("把一个设备的全部设置复制到另一个设备", "Copy every setting of one connected device to another");
     }
+    if (isProfilesPageActive()) renderDeviceClonePreview();
+    else if (cloneApplyBtn) cloneApplyBtn.disabled = true;
+  }
 
-    const staticLedColor = readMerged("staticLedColor");
-    if (staticLedColor != null) {
-      __applyStaticLedColorPanelValue(ensureStaticLedColorPanel(), staticLedColor);
+  /**
+   * Write the planned clone to the target device.
+   * Purpose: a parked target becomes the edited device first, so the write uses its own queue and history.
+   * @returns {Promise<void>}
+   */
+  async function applyDeviceClone() {
+    const plan = planDeviceClone(cloneSourceSelect?.value, cloneTargetSelect?.value);
+    if (!plan?.ok || !Object.keys(plan.patch).length) return;
+    const { source, target } = plan;
+    const rows = listDeviceSessions();
+    const labelOf = (ctx) => rows.find((row) => row.key === ctx.key)?.label || ctx.name;
+    if (!confirm(window.tr(
+      `将「${labelOf(source)}」的 ${Object.keys(plan.patch).length} 项设置写入「${labelOf(target)}」，是否继续？`,
+      `Write ${Object.keys(plan.patch).length} settings of "${labelOf(source)}" to "${labelOf(target)}"?`
+    ))) return;
+    if (!target.active) {
+      await switchDeviceSession(target.key);
+      if (getDeviceSessionKey(hidApi?.device) !== target.key) return;
+    }
+    const live = buildLiveConfigSnapshot();
+    const changedKeys = new Set(
+      window.ProfileLibrary.diffValues(plan.patch, live?.values)
+        .filter((row) => row.status !== "only-live")
+        .map((row) => row.key)
+    );
+    const patch = Object.fromEntries(Object.entries(plan.patch).filter(([key]) => changedKeys.has(key)));
+    if (!Object.keys(patch).length) {
+      log(window.tr(`「${target.name}」已与「${source.name}」一致，无需写入`, `"${target.name}" already matches "${source.name}"`));
+      return;
     }
+    enqueueDevicePatch(patch, { source: "clone" });
+    log(window.tr(
+      `已复制设置:${source.name} → ${target.name}（${Object.keys(patch).length} 项）`,
+      `Settings cloned: ${source.name} → ${target.name} (${Object.keys(patch).length} keys)`
+    ));
+    if (plan.report) formatTranslationReport(plan.report).forEach((line) => log(line));
+    renderDeviceCloneCard();
+  }
 
-    const onboardMemoryMode = readMerged("onboardMemoryMode");
-    if (onboardMemoryMode != null) {
-      setCb(getAdvancedToggleInput("onboardMemory", { region: ADV_REGION_SINGLE }), onboardMemoryMode);
-    }
+  [cloneSourceSelect, cloneTargetSelect].forEach((select) => {
+    select?.addEventListener("change", () => renderDeviceClonePreview());
+  });
+  cloneApplyBtn?.addEventListener("click", () => {
+    applyDeviceClone().catch((err) => logErr(err, window.tr("复制设置失败", "Clone settings failed")));
+  });
+  window.addEventListener("hashchange", () => {
+    if (isProfilesPageActive()) renderDeviceCloneCard();
+  });
+  renderDeviceCloneCard();
 
-    const lightforceSwitch = readMerged("lightforceSwitch");
-    if (lightforceSwitch != null) {
-      const lightforceToggle = getAdvancedToggleInput("lightforceSwitch", { region: ADV_REGION_SINGLE });
-      if (lightforceToggle && !(lightforceToggle.id && uiLocks.has(lightforceToggle.id))) {
-        lightforceToggle.checked = String(lightforceSwitch || "").trim().toLowerCase() === "optical";
-      }
-    }
 
-    const surfaceMode = readMerged("surfaceMode");
-    if (surfaceMode != null) {
-      safeSetValue(
-        getAdvancedSelectControl("surfaceMode", { region: ADV_REGION_SINGLE }),
-        __normalizeSurfaceModeValue(surfaceMode)
-      );
+  // ============================================================
+  // Onboard profile slots (duplicate / swap / export / import raw slot images)
+  // ============================================================
+  // Only protocols exposing the slot image API (Logitech onboard memory) enable this card. Slots move as
+  // whole 256-byte images, so settings the app does not model travel with them; the protocol checks CRC
+  // and layout against the connected model and refuses to write an image it cannot verify.
+  const slotRefreshBtn = $("#slotRefreshBtn");
+  const slotFromSelect = $("#slotFromSelect");
+  const slotToSelect = $("#slotToSelect");
+  const slotDuplicateBtn = $("#slotDuplicateBtn");
+  const slotSwapBtn = $("#slotSwapBtn");
+  const slotImportInput = $("#slotImportInput");
+  let __profileSlotSnapshot = null; // { key, activeIndex, slots } of the last read
+  let __profileSlotReading = false;
+  let __profileSlotImportIndex = -1;
+
+  function supportsProfileSlotImages() {
+    return isHidReady()
+      && typeof hidApi?.getAllProfileSlots === "function"
+      && typeof hidApi?.exportProfileSlot === "function"
+      && typeof hidApi?.importProfileSlot === "function";
+  }
+
+  function formatProfileSlotName(index) {
+    return window.tr(`槽位 ${index + 1}`, `Slot ${index + 1}`);
+  }
+
+  function describeProfileSlotError(err) {
+    switch (err?.code) {
+      case "BAD_IMAGE_CRC": return window.tr("校验和不匹配，文件或槽位数据已损坏", "Checksum mismatch; the file or slot data is corrupt");
+      case "BAD_IMAGE_LAYOUT": return window.tr("镜像布局与当前型号不符", "Image layout does not match this model");
+      case "MODEL_MISMATCH": return window.tr("文件来自其他型号", "File was exported from another model");
+      case "BAD_HEX": return window.tr("文件中的镜像数据无效", "Image data in the file is invalid");
+      case "BACKUP_EMPTY": return window.tr("没有可用的槽位镜像", "No usable slot image");
+      case ONBOARD_BACKUP_ERROR_CODE: return err.message;
+      default: return String(err?.message || err);
     }
+  }
 
-    const superstrikeSwitches = readMerged("superstrikeSwitches");
-    if (superstrikeSwitches != null) {
-      syncSuperstrikeCompositeUi({ value: superstrikeSwitches });
+  /**
+   * Read every onboard slot summary into the card.
+   * Purpose: slot reads are ~80 HID round trips, so they run on demand and under the write mutex.
+   * @returns {Promise<void>}
+   */
+  async function readProfileSlotsForCard() {
+    if (!supportsProfileSlotImages() || __profileSlotReading) return;
+    const key = getDeviceSessionKey(hidApi?.device);
+    __profileSlotReading = true;
+    renderProfileSlotCard();
+    try {
+      const res = await withMutex(() => hidApi.getAllProfileSlots());
+      __profileSlotSnapshot = {
+        key,
+        activeIndex: Number(res?.activeProfileSlotIndex) || 0,
+        slots: Array.isArray(res?.slots) ? res.slots : [],
+      };
+    } catch (e) {
+      logErr(e, window.tr("读取板载配置槽位失败", "Read onboard profile slots failed"));
+    } finally {
+      __profileSlotReading = false;
+      renderProfileSlotCard();
     }
+  }
 
-    const bhopMs = readMerged("bhopMs");
-    if (bhopMs != null) {
-      const normalizedBhopMs = __clampBhopDelay(bhopMs);
-      const bhopEnabled = normalizedBhopMs > 0;
-      setCb(getAdvancedToggleInput("bhopToggle", { region: ADV_REGION_SINGLE }), bhopEnabled);
-      safeSetValue(
-        getAdvancedRangeInput("bhopDelay", { region: ADV_REGION_SINGLE }),
-        bhopEnabled ? __clampBhopDelayWhenEnabled(normalizedBhopMs) : 100
-      );
-    }
+  function describeProfileSlotSummary(slot) {
+    if (slot?.error) return `${window.tr("读取失败", "Read failed")}: ${slot.error}`;
+    if (!slot?.imageValid) return window.tr("空槽位或数据无效", "Empty slot or invalid data");
+    const count = Math.max(1, Number(slot.dpiSlotCount) || 1);
+    const dpi = (Array.isArray(slot.dpiSlotsX) ? slot.dpiSlotsX : []).slice(0, count).join(" / ");
+    const hz = slot.pollingWirelessHz ?? slot.pollingHz;
+    return `DPI ${dpi}${hz ? ` · ${hz} Hz` : ""}`;
+  }
 
-    const hyperpollingIndicatorMode = readMerged("hyperpollingIndicatorMode");
-    if (hyperpollingIndicatorMode != null) {
-      safeSetValue(
-        getSourceSelectByStdKey("hyperpollingIndicatorMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeHyperpollingMode(hyperpollingIndicatorMode)
-      );
-    }
+  /**
+   * Render slot rows and the duplicate/swap pickers from the last read.
+   * @returns {void}
+   */
+  function renderProfileSlotCard() {
+    const list = $("#slotList");
+    const sub = $("#slotCardSub");
+    if (!list) return;
+    const supported = supportsProfileSlotImages();
+    const key = supported ? getDeviceSessionKey(hidApi?.device) : "";
+    if (__profileSlotSnapshot && __profileSlotSnapshot.key !== key) __profileSlotSnapshot = null;
+    const snapshot = __profileSlotSnapshot;
+    const slots = snapshot?.slots || [];
+
+    if (sub) {
+      sub.textContent = !supported
+        ? window.tr("当前设备不支持板载配置槽位", "This device has no onboard profile slots")
+        : (__profileSlotReading
+          ? window.tr("正在读取槽位…", "Reading slots…")
+          : window.tr("按原始镜像复制、交换、导出或导入槽位", "Duplicate, swap, export or import slots as raw images"));
+    }
+    if (slotRefreshBtn) slotRefreshBtn.disabled = !supported || __profileSlotReading;
+
+    [slotFromSelect, slotToSelect].forEach((select, pick) => {
+      if (!select) return;
+      const prev = select.value;
+      select.textContent = "";
+      slots.forEach((slot, index) => {
+        const opt = document.createElement("option");
+        opt.value = String(index);
+        opt.textContent = formatProfileSlotName(index);
+        opt.selected = prev !== "" ? prev === String(index) : index === Math.min(pick, slots.length - 1);
+        select.appendChild(opt);
+      });
+      select.disabled = !supported || slots.length < 2;
+    });
+    const busy = !supported || __profileSlotReading || slots.length < 2;
+    if (slotDuplicateBtn) slotDuplicateBtn.disabled = busy;
+    if (slotSwapBtn) slotSwapBtn.disabled = busy;
+
+    list.textContent = "";
+    if (!supported || !snapshot) return;
+    slots.forEach((slot, index) => {
+      const item = document.createElement("div");
+      item.className = "profileItem";
+      item.setAttribute("role", "listitem");
+      item.dataset.slotIndex = String(index);
+      item.classList.toggle("active", index === snapshot.activeIndex);
+      item.classList.toggle("is-empty", !slot?.imageValid);
+
+      const meta = document.createElement("div");
+      meta.className = "profileMeta";
+      const name = document.createElement("div");
+      name.className = "profileName";
+      name.textContent = index === snapshot.activeIndex
+        ? `${formatProfileSlotName(index)} · ${window.tr("当前", "Active")}`
+        : formatProfileSlotName(index);
+      const summary = document.createElement("div");
+      summary.className = "profileSub";
+      summary.textContent = describeProfileSlotSummary(slot);
+      meta.append(name, summary);
+
+      const actions = document.createElement("div");
+      actions.className = "profileActions";
+      [
+        ["export-bin", window.tr("导出 .bin", "Export .bin"), !slot?.imageValid],
+        ["export-json", window.tr("导出 JSON", "Export JSON"), !slot?.imageValid],
+        ["import", window.tr("导入", "Import"), false],
+      ].forEach(([action, text, disabled]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn";
+        btn.dataset.slotAction = action;
+        btn.textContent = text;
+        btn.disabled = disabled || __profileSlotReading;
+        actions.appendChild(btn);
+      });
+      item.append(meta, actions);
+      list.appendChild(item);
+    });
+  }
 
-    const dynamicSensitivityEnabled = readMerged("dynamicSensitivityEnabled");
-    if (dynamicSensitivityEnabled != null) {
-      setCb(
-        getSourceToggleByStdKey("dynamicSensitivityEnabled", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        dynamicSensitivityEnabled
-      );
-    }
+  function saveProfileSlotFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-    const dynamicSensitivityMode = readMerged("dynamicSensitivityMode");
-    if (dynamicSensitivityMode != null) {
-      safeSetValue(
-        getSourceSelectByStdKey("dynamicSensitivityMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeDynamicSensitivityMode(dynamicSensitivityMode)
-      );
+  /**
+   * Export one slot as a raw image (.bin) or a JSON document carrying model and CRC.
+   * @param {number} index - Slot index (0-based).
+   * @param {"bin"|"json"} format - File format.
+   * @returns {Promise<void>}
+   */
+  async function exportProfileSlotFile(index, format) {
+    if (!supportsProfileSlotImages()) return;
+    const model = String(currentDeviceName || adapter?.id || "device").replace(/[^\w.-]+/g, "_");
+    const base = `clicksync-${model}-slot${index + 1}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "bin") {
+      const image = await withMutex(() => hidApi.readProfileSlotImage(index));
+      saveProfileSlotFile(new Blob([image], { type: "application/octet-stream" }), `${base}.bin`);
+    } else {
+      const doc = await withMutex(() => hidApi.exportProfileSlot(index));
+      saveProfileSlotFile(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }), `${base}.json`);
     }
+    log(window.tr(`已导出${formatProfileSlotName(index)}`, `${formatProfileSlotName(index)} exported`));
+  }
 
-    const smartTrackingMode = readMerged("smartTrackingMode");
-    if (smartTrackingMode != null) {
-      safeSetValue(
-        getSourceSelectByStdKey("smartTrackingMode", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeSmartTrackingMode(smartTrackingMode)
-      );
+  /**
+   * Import a .bin/.json slot file into one slot.
+   * Purpose: the protocol verifies CRC, layout and (for JSON) the model before anything is written.
+   * @param {number} index - Slot index (0-based).
+   * @param {File} file - Selected file.
+   * @returns {Promise<void>}
+   */
+  async function importProfileSlotFile(index, file) {
+    if (!supportsProfileSlotImages() || !file) return;
+    let source = null;
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      source = /\.json$/i.test(file.name || "") || bytes[0] === 0x7b
+        ? new TextDecoder().decode(bytes)
+        : bytes;
+    } catch (e) {
+      logErr(e, window.tr("读取槽位文件失败", "Read slot file failed"));
+      return;
     }
-
-    const smartTrackingLevel = readMerged("smartTrackingLevel");
-    if (smartTrackingLevel != null) {
-      safeSetValue(
-        getSourceRangeByStdKey("smartTrackingLevel", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeSmartTrackingDistance(smartTrackingLevel, 0, 2, DEFAULT_SMART_TRACKING_LEVEL)
-      );
+    if (!confirm(window.tr(
+      `用文件「${file.name}」覆盖${formatProfileSlotName(index)}，是否继续？`,
+      `Overwrite ${formatProfileSlotName(index)} with "${file.name}"?`
+    ))) return;
+    try {
+      await withMutex(async () => {
+        await ensureOnboardBackup();
+        await hidApi.importProfileSlot(index, source);
+      });
+      log(window.tr(`已导入${formatProfileSlotName(index)}`, `${formatProfileSlotName(index)} imported`));
+    } catch (e) {
+      log(`${window.tr("导入槽位失败", "Import slot failed")}: ${describeProfileSlotError(e)}`);
+      return;
     }
+    await readProfileSlotsForCard();
+  }
 
-    const smartTrackingLiftDistance = readMerged("smartTrackingLiftDistance");
-    if (smartTrackingLiftDistance != null) {
-      safeSetValue(
-        getSourceRangeByStdKey("smartTrackingLiftDistance", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeSmartTrackingDistance(smartTrackingLiftDistance, 2, 26, DEFAULT_SMART_TRACKING_LIFT_DISTANCE)
-      );
+  /**
+   * Duplicate the source slot into the target slot, or swap the two.
+   * @param {"duplicate"|"swap"} mode - Operation.
+   * @returns {Promise<void>}
+   */
+  async function applyProfileSlotOperation(mode) {
+    if (!supportsProfileSlotImages()) return;
+    const from = Number(slotFromSelect?.value);
+    const to = Number(slotToSelect?.value);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from === to) {
+      log(window.tr("请选择两个不同的槽位", "Pick two different slots"));
+      return;
     }
-
-    const smartTrackingLandingDistance = readMerged("smartTrackingLandingDistance");
-    if (smartTrackingLandingDistance != null) {
-      safeSetValue(
-        getSourceRangeByStdKey("smartTrackingLandingDistance", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeSmartTrackingDistance(smartTrackingLandingDistance, 1, 25, DEFAULT_SMART_TRACKING_LANDING_DISTANCE)
-      );
+    const fromName = formatProfileSlotName(from);
+    const toName = formatProfileSlotName(to);
+    const swap = mode === "swap";
+    if (!confirm(swap
+      ? window.tr(`交换${fromName}与${toName}的内容，是否继续？`, `Swap the contents of ${fromName} and ${toName}?`)
+      : window.tr(`用${fromName}覆盖${toName}，是否继续？`, `Overwrite ${toName} with ${fromName}?`)
+    )) return;
+    try {
+      await withMutex(async () => {
+        await ensureOnboardBackup();
+        await (swap ? hidApi.swapProfileSlots(from, to) : hidApi.duplicateProfileSlot(from, to));
+      });
+      log(swap
+        ? window.tr(`已交换${fromName}与${toName}`, `Swapped ${fromName} and ${toName}`)
+        : window.tr(`已复制${fromName} → ${toName}`, `Duplicated ${fromName} → ${toName}`));
+    } catch (e) {
+      log(`${window.tr("槽位操作失败", "Slot operation failed")}: ${describeProfileSlotError(e)}`);
+      return;
     }
+    await readProfileSlotsForCard();
+  }
 
-    const lowPowerThresholdPercent = readMerged("lowPowerThresholdPercent");
-    if (lowPowerThresholdPercent != null) {
-      safeSetValue(
-        getSourceRangeByStdKey("lowPowerThresholdPercent", ADV_REGION_SINGLE, { warnOnMissing: true }),
-        __normalizeLowPowerThresholdPercent(lowPowerThresholdPercent)
-      );
+  slotRefreshBtn?.addEventListener("click", () => {
+    readProfileSlotsForCard().catch(() => {});
+  });
+  slotDuplicateBtn?.addEventListener("click", () => {
+    applyProfileSlotOperation("duplicate").catch((err) => logErr(err, window.tr("槽位操作失败", "Slot operation failed")));
+  });
+  slotSwapBtn?.addEventListener("click", () => {
+    applyProfileSlotOperation("swap").catch((err) => logErr(err, window.tr("槽位操作失败", "Slot operation failed")));
+  });
+  $("#slotList")?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.("[data-slot-action]");
+    const item = btn?.closest?.("[data-slot-index]");
+    if (!btn || !item) return;
+    const index = Number(item.dataset.slotIndex);
+    const action = btn.dataset.slotAction;
+    if (action === "import") {
+      if (!slotImportInput) return;
+      __profileSlotImportIndex = index;
+      slotImportInput.value = "";
+      slotImportInput.click();
+      return;
     }
+    exportProfileSlotFile(index, action === "export-bin" ? "bin" : "json")
+      .catch((err) => log(`${window.tr("导出槽位失败", "Export slot failed")}: ${describeProfileSlotError(err)}`));
+  });
+  slotImportInput?.addEventListener("change", () => {
+    const file = slotImportInput.files?.[0];
+    const index = __profileSlotImportIndex;
+    __profileSlotImportIndex = -1;
+    if (file && index >= 0) importProfileSlotFile(index, file).catch((err) => logErr(err, window.tr("导入槽位失败", "Import slot failed")));
+  });
+  window.addEventListener("hashchange", () => {
+    if (!isProfilesPageActive()) return;
+    renderProfileSlotCard();
+    if (!__profileSlotSnapshot) readProfileSlotsForCard().catch(() => {});
+  });
+  renderProfileSlotCard();
 
+  // ============================================================
+  // Onboard backup (snapshot every onboard slot before the first write of a session)
+  // ============================================================
+  // Enabling onboard memory or rewriting the profile stream replaces what the vendor software stored.
+  // The first write of each device session therefore snapshots all slots into localStorage
+  // (OnboardBackup, keyed by device serial); the advanced page restores a snapshot in one click.
+  function supportsOnboardBackup() {
+    return !!window.OnboardBackup
+      && !!hidApi?.capabilities?.onboardProfileBackup
+      && typeof hidApi?.backupOnboardProfiles === "function"
+      && typeof hidApi?.restoreOnboardProfiles === "function";
+  }
 
-    syncAdvancedPanelUi();
-    // Some protocols expose battery during bootstrap via cfg rather than onBattery.
-    if (trustBatteryFromCfg) __rememberBatterySnapshot(cfg);
-
-    const mouseV = cfg.mouseFw ?? (cfg.mouseFwRaw != null ? ProtocolApi.uint8ToVersion(cfg.mouseFwRaw) : "-");
-    const rxV = cfg.receiverFw ?? (cfg.receiverFwRaw != null ? ProtocolApi.uint8ToVersion(cfg.receiverFwRaw) : "-");
-    const fwText = `Mouse:${mouseV} / RX:${rxV}`;
-
+  function resolveOnboardBackupDeviceKey() {
+    const serial = getCachedDeviceConfig()?.deviceSerial;
+    return window.OnboardBackup?.resolveDeviceKey({ serial }) || __onboardBackupDeviceKey;
+  }
 
-    currentFirmwareText = fwText;
-    if (isHidReady()) {
-      updateDeviceStatus(true, currentDeviceName || "Unknown", __getCurrentSessionBatteryText(), currentFirmwareText);
+  /**
+   * Snapshot every onboard slot once per device session.
+   * Purpose: called inside each write task (write mutex or connect handshake) right before the write.
+   * A failed snapshot (unreadable slot, bad CRC, full localStorage) blocks the write unless the user
+   * confirms writing without a backup; the next write tries the snapshot again.
+   * @returns {Promise<void>}
+   * @throws {Error} code ONBOARD_BACKUP_FAILED when the user keeps the device untouched.
+   */
+  async function ensureOnboardBackup() {
+    if (__onboardBackupAttempted || !supportsOnboardBackup() || !hidApi?.device?.opened) return;
+    let failure = null;
+    try {
+      const backup = await hidApi.backupOnboardProfiles();
+      const res = window.OnboardBackup.saveBackup(backup);
+      __onboardBackupDeviceKey = res.deviceKey || __onboardBackupDeviceKey;
+      if (!res.entry) throw new Error(window.tr("无法保存到本地存储", "Could not store it in local storage"));
+      __onboardBackupAttempted = true;
+      if (res.saved) log(window.tr("写入前已备份全部板载槽位", "Backed up every onboard slot before writing"));
+    } catch (err) {
+      console.warn("[OnboardBackup] Snapshot before write failed", err);
+      failure = err;
     }
-    syncBasicMonolithUI();
+    renderOnboardBackupCard();
+    if (!failure) return;
 
+    const reason = failure?.code ? describeProfileSlotError(failure) : (failure?.message || String(failure));
+    let proceed = false;
+    try {
+      proceed = confirm(window.tr(
+        `板载备份失败（${reason}）。继续写入将无法恢复当前板载配置，是否仍要写入？`,
+        `Onboard backup failed (${reason}). Writing now leaves no way to restore the current onboard setup. Write anyway?`
+      ));
+    } catch (_) {
+      proceed = false;
+    }
+    if (proceed) {
+      // Explicit consent: do not ask again in this device session.
+      __onboardBackupAttempted = true;
+      log(`${window.tr("板载备份失败，已按确认继续写入", "Onboard backup failed; writing anyway as confirmed")}: ${reason}`);
+      return;
+    }
+    const err = new Error(window.tr(`板载备份失败，已取消写入：${reason}`, `Onboard backup failed; write cancelled: ${reason}`));
+    err.code = ONBOARD_BACKUP_ERROR_CODE;
+    throw err;
+  }
 
-    try { applyKeymapFromCfg?.(cfg); } catch (_) {}
-
+  // A write blocked by ensureOnboardBackup never reached the device: show the device values again.
+  function revertUiAfterBlockedBackup(err) {
+    if (err?.code !== ONBOARD_BACKUP_ERROR_CODE) return false;
+    const cfg = getCachedDeviceConfig();
+    if (cfg) applyConfigToUi(cfg);
+    return true;
+  }
 
-    if (hasDpiLightCycle) {
-      const dpiLight = readMerged("dpiLightEffect");
-      if (dpiLight != null) {
-        updateAdvancedCycleUI("dpiLightEffect", dpiLight, DPI_LIGHT_EFFECT_OPTIONS, false);
-      }
-    }
-    if (hasReceiverLightCycle) {
-      const rxLight = readMerged("receiverLightEffect");
-      if (rxLight != null) {
-        updateAdvancedCycleUI("receiverLightEffect", rxLight, RECEIVER_LIGHT_EFFECT_OPTIONS, false);
-      }
+  function formatOnboardBackupLabel(entry, index, total) {
+    const when = new Date(Number(entry?.savedAt) || 0).toLocaleString();
+    const slots = (entry?.backup?.slots || []).filter((slot) => slot?.image).length;
+    const oldest = total > 1 && index === total - 1 ? window.tr(" · 最早", " · oldest") : "";
+    return `${when} · ${window.tr(`${slots} 个槽位`, `${slots} slots`)}${oldest}`;
+  }
+
+  function renderOnboardBackupCard() {
+    const select = $("#onboardBackupSelect");
+    const restoreBtn = $("#onboardBackupRestoreBtn");
+    const sub = $("#onboardBackupSub");
+    if (!select) return;
+    const supported = isHidReady() && supportsOnboardBackup();
+    const list = supported ? window.OnboardBackup.listBackups(resolveOnboardBackupDeviceKey()) : [];
+    const prev = select.value;
+    select.replaceChildren(...list.map((entry, index) => {
+      const opt = document.createElement("option");
+      opt.value = entry.id;
+      opt.textContent = formatOnboardBackupLabel(entry, index, list.length);
+      return opt;
+    }));
+    if (list.some((entry) => entry.id === prev)) select.value = prev;
+    select.disabled = !list.length || __onboardBackupRestoring;
+    if (restoreBtn) restoreBtn.disabled = !list.length || __onboardBackupRestoring;
+    if (sub) {
+      sub.textContent = list.length
+        ? window.tr(`已保存 ${list.length} 份备份，恢复会覆盖全部板载槽位`, `${list.length} snapshot(s) kept; restoring overwrites every onboard slot`)
+        : window.tr("首次写入前自动备份全部板载槽位", "Every onboard slot is backed up before the first write");
+    }
+  }
+
+  async function restoreOnboardBackup() {
+    if (!isHidReady() || !supportsOnboardBackup() || __onboardBackupRestoring) return;
+    const entry = window.OnboardBackup.getBackup(resolveOnboardBackupDeviceKey(), $("#onboardBackupSelect")?.value);
+    if (!entry) return;
+    const when = new Date(Number(entry.savedAt) || 0).toLocaleString();
+    if (!confirm(window.tr(
+      `用 ${when} 的备份覆盖全部板载槽位，是否继续？`,
+      `Overwrite every onboard slot with the snapshot from ${when}?`
+    ))) return;
+    __onboardBackupRestoring = true;
+    renderOnboardBackupCard();
+    try {
+      await withMutex(async () => {
+        await ensureOnboardBackup();
+        await hidApi.restoreOnboardProfiles(entry.backup);
+      });
+      log(window.tr(`已恢复 ${when} 的板载备份`, `Restored the onboard snapshot from ${when}`));
+      __profileSlotSnapshot = null;
+      renderProfileSlotCard();
+    } catch (err) {
+      const reason = err?.code === "MODEL_MISMATCH"
+        ? window.tr("备份属于另一台设备", "The snapshot belongs to another device")
+        : describeProfileSlotError(err);
+      log(`${window.tr("恢复板载备份失败", "Restoring the onboard snapshot failed")}: ${reason}`);
+    } finally {
+      __onboardBackupRestoring = false;
+      renderOnboardBackupCard();
     }
-    syncAdvancedPanelUi();
   }
 
-  // Battery/raw-report listeners are attached in __bindHidApiEventHandlers().
+  $("#onboardBackupRestoreBtn")?.addEventListener("click", () => {
+    restoreOnboardBackup().catch((err) => logErr(err, window.tr("恢复板载备份失败", "Restoring the onboard snapshot failed")));
+  });
 
 
   // ============================================================
@@ -10631,7 +13259,7 @@ function openDrawer(btn) {
       if (isHidOpened()) return;
 
       try {
-        if (!navigator.hid) throw new Error(window.tr(
+        if (!navigator.hid && !DeviceRuntime?.isVirtualEnabled?.()) throw new Error(window.tr(
           "当前浏览器不支持 WebHID",
           "Current browser does not support WebHID"
         ));
@@ -10678,6 +13306,7 @@ function openDrawer(btn) {
         await __switchRuntimeDevice(detectedType);
       }
       if (!candidates.length) candidates = [dev];
+      await acquireTabLockFor(dev);
 
       const walkHidCollections = (collections, visit) => {
         for (const collection of (Array.isArray(collections) ? collections : [])) {
@@ -10834,7 +13463,8 @@ function openDrawer(btn) {
 
       hidConnecting = true;
       hidLinked = false;
-      __resetDeviceScopedTransientState();
+      const resumingSession = !!__hidSuspended && __hidSuspended.key === getHidDeviceLockKey(dev);
+      __resetDeviceScopedTransientState({ resume: resumingSession });
       __batteryPrimePendingForCurrentSession = true;
       if (!isSilent) __setLandingCaption("INITIATE SYNCHRONIZATION...");
 
@@ -10938,6 +13568,16 @@ function openDrawer(btn) {
             } catch (_) {}
           }
 
+          // HID traffic capture (?hidcapture=1): instrument before the protocol opens the handles.
+          if (window.HidTraffic?.isCapturing?.()) {
+            const capture = window.HidTraffic.getSession();
+            if (capture && !capture.deviceType) capture.deviceType = DeviceRuntime.getSelectedDevice();
+            window.HidTraffic.attach(controlDevice, { role: "control" });
+            if (eventDevice && eventDevice !== controlDevice) {
+              window.HidTraffic.attach(eventDevice, { role: "event" });
+            }
+          }
+
           hidApi.device = controlDevice;
           if (eventDevice && eventDevice !== controlDevice) {
             try { hidApi.eventDevice = eventDevice; } catch (_) {}
@@ -10987,6 +13627,8 @@ function openDrawer(btn) {
             staleErr.code = "STALE_HANDSHAKE_RESULT";
             throw staleErr;
           }
+          // Before any prompt or write: another tab may own this very mouse (same model, same serial).
+          await bindTabLockToSerial(controlDevice, cfg);
           handshakeCfg = (cfg && typeof cfg === "object") ? cfg : null;
           if (cfg && typeof cfg === "object") __cachedDeviceConfig = cfg;
           const trustBatteryFromCfg = shouldTrustBootstrapBatterySnapshot(meta);
@@ -11056,6 +13698,7 @@ function openDrawer(btn) {
             break;
           } catch (err) {
             lastErr = err;
+            if (err?.code === TAB_LOCK_ERROR_CODE) throw err;
             console.warn(
               `Handshake failed (plan=${plan?.debugLabel || describeConnectionPlan(plan)} attempt=${i + 1}):`,
               err
@@ -11102,8 +13745,15 @@ function openDrawer(btn) {
 
       const finalDev = chosenDev || dev;
       __autoDetectedDevice = finalDev;
-      saveLastHidDevice(finalDev);
+      __tabLockKey = __tabLockConnectingKey;
+      __tabLockSerialKey = __tabLockConnectingSerialKey;
+      __tabLockConnectingKey = "";
+      __tabLockConnectingSerialKey = "";
+      saveLastHidDevice(finalDev, { serial: getCachedDeviceConfig()?.deviceSerial });
       startBatteryAutoRead();
+      startDriftWatchdog();
+      if (resumingSession) finishHidResume();
+      renderDeviceSessionSwitcher();
 
       // UI entry and protocol handshake are unified in performHandshake; avoid duplicate orchestration here.
 
@@ -11113,9 +13763,16 @@ function openDrawer(btn) {
       hidConnecting = false;
       hidLinked = false;
       try { await hidApi.close(); } catch {}
+      const lockedByOtherTab = err?.code === TAB_LOCK_ERROR_CODE;
+      // Only keys this attempt took are set; a refused serial lock still leaves the model lock to drop.
+      releaseTabLock(__tabLockConnectingSerialKey);
+      releaseTabLock(__tabLockConnectingKey);
+      __tabLockConnectingKey = "";
+      __tabLockConnectingSerialKey = "";
       updateDeviceStatus(false);
       __applyDeviceVariantOnce({ keymapOnly: true });
       stopBatteryAutoRead();
+      stopDriftWatchdog({ clearBaseline: true });
       resetHeaderChipValues();
       setHeaderChipsVisible(false);
 
@@ -11126,7 +13783,10 @@ function openDrawer(btn) {
       try { __reverseLandingToInitial(__landingClickOrigin); } catch (_) {}
 
 
-      if (!isSilent && err && err.message && !err.message.includes("cancel")) {
+      if (lockedByOtherTab) {
+        showTabLockNotice();
+        __tabLock?.requestState(__tabLockBlocked?.key);
+      } else if (!isSilent && err && err.message && !err.message.includes("cancel")) {
          alert(window.tr(
            `连接失败：${err.message}\n请尝试重新插拔设备或重启页面。`,
            `Connection failed: ${err.message}\nPlease reconnect the device or restart the page.`
@@ -11153,7 +13813,11 @@ function openDrawer(btn) {
    * @returns {Promise<any>} Async result.
    */
   async function disconnectHid() {
-    if (!hidApi || !hidApi.device) return;
+    const wasSuspended = !!__hidSuspended;
+    const lockKey = __tabLockKey;
+    const serialLockKey = __tabLockSerialKey;
+    clearHidSuspension();
+    if (!hidApi || (!hidApi.device && !wasSuspended)) return;
     try {
 
       __clearLandingEnterGate();
@@ -11166,6 +13830,10 @@ function openDrawer(btn) {
       await hidApi.close();
       hidApi.device = null;
       __autoDetectedDevice = null;
+      __tabLockKey = "";
+      __tabLockSerialKey = "";
+      releaseTabLock(lockKey);
+      releaseTabLock(serialLockKey);
 
 
       updateDeviceStatus(false);
@@ -11176,6 +13844,10 @@ function openDrawer(btn) {
 
       log(window.tr("HID 已断开", "HID disconnected"));
 
+      // Another mouse is still connected: continue with it instead of dropping to landing.
+      const nextSession = __parkedSessions.keys().next().value;
+      if (nextSession && await restoreParkedSession(nextSession)) return;
+      renderDeviceSessionSwitcher();
       try { showLanding("disconnect"); } catch (_) {}
     } catch (err) {
       logErr(err, window.tr("断开失败", "Disconnect failed"));
@@ -11191,6 +13863,41 @@ function openDrawer(btn) {
   window.addEventListener("keydown", __handleOnboardMemoryEmergencyHotkey, true);
 
 
+  // ============================================================
+  // Public scripting API (window.ClickSync) + postMessage bridge
+  // ============================================================
+  // Scripts only reach the device through enqueueDevicePatch / DeviceStore, same as the UI.
+  function installPublicApi() {
+    const factory = window.ClickSyncApi;
+    if (!factory || window.ClickSync) return;
+    const api = factory.createPublicApi({
+      isConnected: () => isHidReady(),
+      getDevice: () => (isHidOpened()
+        ? { id: DEVICE_ID, name: hidApi?.device?.productName || "" }
+        : null),
+      connect: ({ prompt }) => connectHid(prompt ? true : false, !prompt),
+      describe: () => window.DeviceAdapters?.describe?.(DEVICE_ID, getCapabilities()) || null,
+      getStd: (key) => __stdStore?.get(key),
+      subscribe: (key, cb) => __stdStore?.subscribe(key, cb) || (() => {}),
+      validate: (patch) => window.DeviceWriter?.validatePatch?.({ adapter, payload: patch, capabilities: getCapabilities() }) || null,
+      enqueue: (patch) => enqueueDevicePatch(patch, { source: "api" }),
+      exportConfig: () => buildLiveConfigSnapshot(),
+    });
+    const bridge = factory.installMessageBridge(api, {
+      requestConsent: (origin) => confirm(window.tr(
+        `允许 ${origin} 通过脚本读取并修改鼠标设置？`,
+        `Allow ${origin} to read and change mouse settings by script?`
+      )),
+    });
+    window.ClickSync = Object.freeze({
+      ...api,
+      bridge: Object.freeze({ listOrigins: bridge.listOrigins, revoke: bridge.revoke }),
+    });
+  }
+
+  installPublicApi();
+
+
   updateDeviceStatus(false);
 
   try { await window.showSystemOverrideWarning?.(); } catch (_) {}
@@ -11293,29 +14000,37 @@ function openDrawer(btn) {
 
   if ("requestIdleCallback" in window) {
 
-    if (!window.__HID_EVENT_HOOKED__ && navigator.hid?.addEventListener) {
+    if (!window.__HID_EVENT_HOOKED__ && navigator.hid?.addEventListener && DeviceRuntime?.onHotplug) {
       window.__HID_EVENT_HOOKED__ = true;
-      navigator.hid.addEventListener("disconnect", (e) => {
-        try {
-          const api = window.__HID_API_INSTANCE__;
-          const matches = (
-            typeof api?.matchesHidDevice === "function"
-              ? api.matchesHidDevice(e?.device)
-              : (api?.device && e?.device === api.device)
-          );
-          if (matches) {
-            disconnectHid().catch(() => {});
-          }
-        } catch {}
-      });
+      DeviceRuntime.onHotplug((evt) => {
+        if (evt.type === "disconnect") {
+          try {
+            const api = window.__HID_API_INSTANCE__;
+            const matches = (
+              typeof api?.matchesHidDevice === "function"
+                ? api.matchesHidDevice(evt.device)
+                : (api?.device && evt.device === api.device)
+            );
+            if (matches) {
+              suspendHidSession().catch(() => disconnectHid().catch(() => {}));
+            } else {
+              const parkedKey = findParkedSessionKey(evt.device);
+              if (parkedKey) dropParkedSession(parkedKey).catch(() => {});
+            }
+          } catch {}
+          return;
+        }
 
-      navigator.hid.addEventListener("connect", (e) => {
+        if (__hidSuspended && evt.key === __hidSuspended.key) {
+          resumeHidSession(evt.device).catch(() => {});
+          return;
+        }
 
-         if (__isManualConnectGuardOn()) return;
+        if (__isManualConnectGuardOn()) return;
 
-         setTimeout(() => {
-             if (!isHidOpened()) __runHeavyTaskSafely(initAutoConnect);
-         }, 150);
+        setTimeout(() => {
+            if (!isHidOpened()) __runHeavyTaskSafely(initAutoConnect);
+        }, 150);
       });
     }
     requestIdleCallback(() => __runHeavyTaskSafely(initAutoConnect), { timeout: 1600 });
@@ -24,6 +24,7 @@
  * 3) Add vid/pid fallback in _inferTypeByVidPid when necessary.
  * 4) Add script path branch in ensureProtocolLoaded().
  * 5) Add profile in refactor.profiles.js (runtime only identifies and loads protocol).
+ * 6) Add an emulator in device_virtual.js so the type can be exercised without hardware.
  */
 
 // ============================================================
@@ -605,14 +606,37 @@
     }
   }
 
+  /**
+   * Build the identity key of a HID device.
+   * Purpose: one key per physical mouse for cross-tab ownership (tab_lock.js) and the last-device record.
+   *
+   * WebHID exposes no serial number before a protocol handshake; without `serial` identical mice
+   * (same vendor/product) share one key, which is also the key hot-plug events carry.
+   *
+   * @param {HIDDevice|Object} dev - HID device or { vendorId, productId }.
+   * @param {Object} [opts]
+   * @param {string} [opts.serial] - Serial read by the protocol handshake (e.g. cfg.deviceSerial).
+   * @returns {string} Key such as "046d:c547" or "046d:c547:2216LZ51C9E8", or "" when ids are missing.
+   */
+  function buildHidDeviceKey(dev, { serial = "" } = {}) {
+    const vid = Number(dev?.vendorId);
+    const pid = Number(dev?.productId);
+    if (!Number.isFinite(vid) || !Number.isFinite(pid)) return "";
+    const hex = (n) => (n & 0xffff).toString(16).padStart(4, "0");
+    const sn = String(serial || "").trim();
+    return sn ? `${hex(vid)}:${hex(pid)}:${sn}` : `${hex(vid)}:${hex(pid)}`;
+  }
+
   /**
    * Save metadata for the most recently connected HID device.
    * Purpose: provide preferred matching input for auto-connect and reduce repeated permission prompts.
    *
    * @param {HIDDevice} dev - HID device instance.
+   * @param {Object} [opts]
+   * @param {string} [opts.serial] - Serial read by the handshake, when the protocol reports one.
    * @returns {void} No return value.
    */
-  function saveLastHidDevice(dev) {
+  function saveLastHidDevice(dev, { serial = "" } = {}) {
     if (!dev) return;
     try {
       localStorage.setItem(
@@ -621,6 +645,8 @@
           vendorId: dev.vendorId,
           productId: dev.productId,
           productName: dev.productName || "",
+          key: buildHidDeviceKey(dev, { serial }),
+          serial: String(serial || "").trim(),
           ts: Date.now(),
         })
       );
@@ -977,6 +1003,45 @@
   }
 
 
+  function isVirtualEnabled() {
+    try {
+      return !!window.VirtualHid?.isEnabled?.();
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Virtual device connection (device_virtual.js).
+   * Purpose: hand app.js the same result shape as a real WebHID connect so the
+   * handshake/bootstrap path runs unchanged against the in-memory emulator.
+   *
+   * @param {string|null} [preferredType] - Fallback type when the request does not name one.
+   * @returns {Object} Connection result and candidate list.
+   */
+  function _connectVirtual(preferredType = null) {
+    const api = window.VirtualHid;
+    const device = api.getDevice(api.getRequestedType() || preferredType || getSelectedDevice());
+    if (!device) return { device: null, candidates: [], detectedType: null, preferredType: preferredType || null };
+    const detectedType = identifyDeviceType(device);
+    let connectionPlans = null;
+    let connectionPlanError = null;
+    if (detectedType === "razer") {
+      const resolved = resolveRazerConnectionPlans([device], { primaryDevice: device });
+      connectionPlans = Array.isArray(resolved?.connectionPlans) ? resolved.connectionPlans : [];
+      connectionPlanError = resolved?.connectionPlanError || null;
+    }
+    return {
+      device,
+      candidates: [device],
+      detectedType,
+      preferredType: detectedType,
+      connectionPlans,
+      connectionPlanError,
+    };
+  }
+
+
   /**
    * Auto-connect candidate selection.
    * Purpose: pick candidates only via hardcoded filtering rules and
@@ -989,6 +1054,7 @@
    */
   // Auto-connect probe using navigator.hid.getDevices() only (no permission prompt).
   async function autoConnect({ preferredType = null } = {}) {
+    if (isVirtualEnabled()) return _connectVirtual(preferredType);
     if (!navigator.hid) return { device: null, candidates: [], detectedType: null };
     const candidates = await _collectCandidatesByFilter(null, preferredType);
     let device = candidates[0] || null;
@@ -1030,6 +1096,7 @@
   // Build connection plan for app.js handshake stage.
   // This function only selects and orders candidates; it does not open transport.
   async function connect(mode = false, { primaryDevice = null, preferredType = null, pinPrimary = false } = {}) {
+    if (isVirtualEnabled()) return _connectVirtual(preferredType);
     if (!navigator.hid) throw new Error("当前浏览器不支持 WebHID");
 
     let primary = null;
@@ -1092,6 +1159,99 @@
   }
 
 
+  // Hot-plug watch: a sleeping wireless mouse / replugged dongle re-enumerates its HID handles.
+  // Razer exposes several handles per mouse, so connect events are settled per device key
+  // and reported once with the resolved handle plan.
+  const HOTPLUG_SETTLE_MS = 250;
+  const _hotplugListeners = new Set();
+  const _hotplugPending = new Map(); // device key -> { devices, timer }
+  let _hotplugHooked = false;
+
+  /**
+   * Check whether a device is the last connected one (saveLastHidDevice).
+   *
+   * @param {HIDDevice} dev - HID device instance.
+   * @returns {boolean} Whether vendor/product match the stored record (the serial is unknown before the handshake).
+   */
+  function matchesLastHidDevice(dev) {
+    const last = loadLastHidDevice();
+    const key = buildHidDeviceKey(dev);
+    if (!last || !key) return false;
+    return key === buildHidDeviceKey(last);
+  }
+
+  function _emitHotplug(evt) {
+    for (const fn of Array.from(_hotplugListeners)) {
+      try { fn(evt); } catch (err) { console.error(err); }
+    }
+  }
+
+  function _describeReturningDevice(key, devices) {
+    let device = devices.find((d) => _passesConnectionFilter(d)) || devices[0] || null;
+    const detectedType = identifyDeviceType(device);
+    let connectionPlans = null;
+    if (detectedType === "razer") {
+      const resolved = resolveRazerConnectionPlans(devices, { primaryDevice: device });
+      connectionPlans = Array.isArray(resolved?.connectionPlans) ? resolved.connectionPlans : [];
+      if (connectionPlans.length) device = connectionPlans[0].controlDevice || device;
+    }
+    return {
+      type: "connect",
+      key,
+      device,
+      devices,
+      detectedType,
+      connectionPlans,
+      isLastDevice: matchesLastHidDevice(device),
+    };
+  }
+
+  function _hookHotplugEvents() {
+    if (_hotplugHooked || !navigator.hid?.addEventListener) return;
+    _hotplugHooked = true;
+    navigator.hid.addEventListener("disconnect", (e) => {
+      const device = e?.device || null;
+      _emitHotplug({
+        type: "disconnect",
+        key: buildHidDeviceKey(device),
+        device,
+        isLastDevice: matchesLastHidDevice(device),
+      });
+    });
+    navigator.hid.addEventListener("connect", (e) => {
+      const device = e?.device || null;
+      if (!device) return;
+      const key = buildHidDeviceKey(device);
+      const entry = _hotplugPending.get(key) || { devices: [], timer: null };
+      if (!entry.devices.includes(device)) entry.devices.push(device);
+      if (entry.timer) clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => {
+        _hotplugPending.delete(key);
+        _emitHotplug(_describeReturningDevice(key, entry.devices));
+      }, HOTPLUG_SETTLE_MS);
+      _hotplugPending.set(key, entry);
+    });
+  }
+
+  /**
+   * Subscribe to HID hot-plug events.
+   * Purpose: let app.js resume a session when the same mouse comes back instead of dropping to landing.
+   *
+   * Event shape:
+   * - { type: "disconnect", key, device, isLastDevice }
+   * - { type: "connect", key, device, devices, detectedType, connectionPlans, isLastDevice }
+   *
+   * @param {Function} fn - Listener.
+   * @returns {Function} Unsubscribe.
+   */
+  function onHotplug(fn) {
+    if (typeof fn !== "function") return () => {};
+    _hookHotplugEvents();
+    _hotplugListeners.add(fn);
+    return () => _hotplugListeners.delete(fn);
+  }
+
+
   // ============================================================
   // 6) Protocol loading (dynamic by selected device)
   // ============================================================
@@ -1171,12 +1331,16 @@
     getSelectedDevice,
     setSelectedDevice,
     normalizeDeviceId,
+    buildHidDeviceKey,
     saveLastHidDevice,
     loadLastHidDevice,
+    matchesLastHidDevice,
+    onHotplug,
     requestDevice,
     identifyDeviceType,
     autoConnect,
     connect,
+    isVirtualEnabled,
     resolveRazerConnectionPlans,
     ensureProtocolLoaded,
     whenProtocolReady,
@@ -0,0 +1,925 @@
+/**
+ * Virtual HID backend: in-memory stand-ins for every supported mouse.
+ *
+ * Scope in this file:
+ * - Provide WebHID-shaped device objects (open/close/sendReport/sendFeatureReport/
+ *   receiveFeatureReport/inputreport) that the protocol drivers can talk to unchanged.
+ * - Emulate the vendor command set of each driver closely enough for bootstrap,
+ *   config reads and patch writes (register banks, command stores, profile images).
+ * - Keep per-type device state for the lifetime of the page so writes read back.
+ *
+ * Out of scope in this file:
+ * - No protocol encoding helpers are shared with protocol_api_* (the emulators
+ *   decode raw bytes independently, so driver regressions stay visible).
+ * - No UI. DeviceRuntime picks the virtual device; app.js stays generic.
+ *
+ * Enable:
+ * - URL query `?virtual=<deviceId>` (rapoo/atk/crdrako/ninjutso/logitech/razer), or
+ * - localStorage["device.virtual"] = "<deviceId>".
+ */
+
+// ============================================================
+// 1) Constants and shared helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const STORAGE_KEY = "device.virtual";
+  const QUERY_KEY = "virtual";
+  const VIRTUAL_TYPES = Object.freeze(["rapoo", "atk", "crdrako", "ninjutso", "logitech", "razer"]);
+
+  const toU8 = (n) => (Number(n) & 0xff) >>> 0;
+
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    if (data instanceof ArrayBuffer) return new Uint8Array(data.slice(0));
+    return new Uint8Array(Array.isArray(data) ? data.map(toU8) : []);
+  }
+
+  function toDataView(u8) {
+    const copy = new Uint8Array(u8);
+    return new DataView(copy.buffer);
+  }
+
+  function padTo(bytes, len) {
+    const out = new Uint8Array(Math.max(len, bytes.length));
+    out.set(bytes);
+    return out;
+  }
+
+  function hexKey(bytes) {
+    return Array.from(bytes || [], (b) => toU8(b).toString(16).padStart(2, "0")).join("");
+  }
+
+  function asciiBytes(text, len) {
+    const out = new Uint8Array(len);
+    const s = String(text || "");
+    for (let i = 0; i < len && i < s.length; i++) out[i] = s.charCodeAt(i) & 0x7f;
+    return out;
+  }
+
+  function domError(name, message) {
+    const err = new Error(message);
+    err.name = name;
+    return err;
+  }
+
+  const DEFAULT_DPI_STAGES = Object.freeze([400, 800, 1600, 3200]);
+
+  // ============================================================
+  // 2) WebHID-shaped device object
+  // ============================================================
+  /**
+   * Minimal HIDDevice implementation backed by a protocol emulator.
+   * Input reports are always dispatched on a later macrotask so drivers that
+   * register their listener right after `await sendReport()` still see them.
+   */
+  class VirtualHidDevice {
+    constructor(type, backend) {
+      const desc = backend.descriptor;
+      this.vendorId = desc.vendorId;
+      this.productId = desc.productId;
+      this.productName = desc.productName;
+      this.collections = desc.collections;
+      this.opened = false;
+      this.oninputreport = null;
+      this.__virtual = true;
+      this.__virtualType = type;
+      this._backend = backend;
+      this._listeners = new Set();
+    }
+
+    async open() {
+      this.opened = true;
+      if (typeof this._backend.onOpen === "function") this._backend.onOpen(this);
+    }
+
+    async close() {
+      this.opened = false;
+    }
+
+    async forget() {
+      this.opened = false;
+    }
+
+    addEventListener(type, cb) {
+      if (type === "inputreport" && typeof cb === "function") this._listeners.add(cb);
+    }
+
+    removeEventListener(type, cb) {
+      if (type === "inputreport") this._listeners.delete(cb);
+    }
+
+    _requireOpen() {
+      if (!this.opened) throw domError("InvalidStateError", "The device must be opened first.");
+    }
+
+    async sendReport(reportId, data) {
+      this._requireOpen();
+      const handler = this._backend.onOutputReport;
+      if (typeof handler !== "function") throw domError("NotAllowedError", "Output reports are not supported.");
+      handler(Number(reportId), toBytes(data), this);
+    }
+
+    async sendFeatureReport(reportId, data) {
+      this._requireOpen();
+      const handler = this._backend.onFeatureReport;
+      if (typeof handler !== "function") throw domError("NotAllowedError", "Feature reports are not supported.");
+      handler(Number(reportId), toBytes(data), this);
+    }
+
+    async receiveFeatureReport(reportId) {
+      this._requireOpen();
+      const handler = this._backend.getFeatureReport;
+      if (typeof handler !== "function") throw domError("NotAllowedError", "Feature reports are not supported.");
+      return toDataView(handler(Number(reportId), this) || new Uint8Array(0));
+    }
+
+    emitInputReport(reportId, bytes, delayMs = 0) {
+      const u8 = toBytes(bytes);
+      setTimeout(() => {
+        if (!this.opened) return;
+        const evt = { type: "inputreport", device: this, reportId: Number(reportId), data: toDataView(u8) };
+        try { if (typeof this.oninputreport === "function") this.oninputreport(evt); } catch (_) {}
+        for (const cb of Array.from(this._listeners)) {
+          try { cb(evt); } catch (_) {}
+        }
+      }, Math.max(0, Number(delayMs) || 0));
+    }
+  }
+
+  // ============================================================
+  // 3) Protocol emulators
+  // ============================================================
+
+  // Rapoo: A5A5 writes / A5A4 reads on output report 6, read-back on feature report 8,
+  // passive status broadcast (0x20 ...) on input report 7.
+  function createRapooBackend() {
+    const BANK = { COMM: 0x00, BUTTON: 0x06, SYSTEM: 0x08 };
+    const banks = new Map();
+    const bank = (id) => {
+      if (!banks.has(id)) banks.set(id, new Uint8Array(512));
+      return banks.get(id);
+    };
+    let pendingRead = null;
+    let batteryPercent = 85;
+
+    const sys = bank(BANK.SYSTEM);
+    sys[0x80] = 0x01; // 1000Hz
+    sys[0x81] = 0x03; // key scan 1000Hz
+    sys[0x84] = 0x04; // LOD 1.0mm
+    sys[0xc0] = 0x02; // debounce
+    sys[0xc2] = 0x0a; // sleep minutes
+    sys[0xc3] = 0x03; // linear correction / ripple control off
+    sys.set([0x01, 0x01, 0x00, 0x00], 0xd8);
+    for (let addr = 0xdc; addr <= 0xe2; addr++) sys[addr] = 0x02;
+    const stages = DEFAULT_DPI_STAGES.concat([6400, 12800]);
+    stages.forEach((dpi, i) => {
+      sys[0x88 + i * 2] = dpi & 0xff;
+      sys[0x89 + i * 2] = (dpi >> 8) & 0xff;
+      sys[0xc8 + i * 2] = dpi & 0xff;
+      sys[0xc9 + i * 2] = (dpi >> 8) & 0xff;
+    });
+    sys[0x96] = DEFAULT_DPI_STAGES.length - 1;
+    sys[0x98] = 0x01;
+
+    const buttons = bank(BANK.BUTTON);
+    [[0x00, 0x01], [0x08, 0x02], [0x04, 0x04], [0x14, 0x08], [0x18, 0x10]].forEach(([addr, fk]) => {
+      buttons.set([0x03, 0x00, fk, 0x00], addr);
+    });
+    buttons.set([0x08, 0x00, 0x03, 0x00], 0x34);
+
+    const emitStatus = (dev, delayMs = 0) => {
+      const idx = sys[0x98];
+      const dpi = sys[0x88 + idx * 2] | (sys[0x89 + idx * 2] << 8);
+      dev.emitInputReport(7, [0x20, 0x00, dpi & 0xff, (dpi >> 8) & 0xff, 0x00, 0x00, idx, batteryPercent], delayMs);
+    };
+
+    return {
+      descriptor: {
+        vendorId: 0x24ae,
+        productId: 0x1221,
+        productName: "Virtual Rapoo",
+        collections: [{
+          usagePage: 0xff00,
+          usage: 14,
+          inputReports: [{ reportId: 7 }],
+          outputReports: [{ reportId: 6 }],
+          featureReports: [{ reportId: 8 }],
+          children: [],
+        }],
+      },
+      onOutputReport(reportId, u8, dev) {
+        if (reportId !== 6 || u8[0] !== 0xa5) return;
+        // The driver binds its input listener shortly after unlock; delay the first broadcast past that.
+        if (u8[1] === 0xa3) {
+          emitStatus(dev, 100);
+          return;
+        }
+        const len = u8[2];
+        const addr = u8[3];
+        const target = bank(u8[4]);
+        if (u8[1] === 0xa5) {
+          target.set(u8.subarray(7, 7 + len), addr);
+          emitStatus(dev);
+        } else if (u8[1] === 0xa4) {
+          pendingRead = { bytes: target.slice(addr, addr + len) };
+        }
+      },
+      getFeatureReport(reportId) {
+        const data = reportId === 8 && pendingRead ? pendingRead.bytes : new Uint8Array(0);
+        pendingRead = null;
+        const out = new Uint8Array(Math.max(20, 4 + data.length));
+        out[0] = 0x01;
+        out.set(data, 4);
+        return out;
+      },
+      setBattery(percent, dev) {
+        batteryPercent = Math.max(0, Math.min(100, Number(percent) || 0));
+        if (dev?.opened) emitStatus(dev);
+      },
+      snapshot: () => ({ banks: Object.fromEntries(Array.from(banks, ([id, mem]) => [id, hexKey(mem)])) }),
+    };
+  }
+
+  // ATK: 16-byte frames [OP, 0, ADDR_H, ADDR_L, LEN, DATA(10), CHK] on report 8, both directions.
+  function createAtkBackend() {
+    const mem = new Uint8Array(0x400);
+    const control = { longRange: 0, receiverLed: 1, battery: 85 };
+    const valPair = (v) => [toU8(v), toU8(0x55 - v)];
+    const sum55 = (b0, b1, b2) => [toU8(b0), toU8(b1), toU8(b2), toU8(0x55 - b0 - b1 - b2)];
+    const dpiWord = (dpi) => {
+      const val = Math.round(dpi / 10) - 1;
+      const nibble = ((val >> 8) & 0x03) << 2;
+      return sum55(val & 0xff, val & 0xff, (nibble << 4) | nibble);
+    };
+    const checksum = (u8) => {
+      let sum = 0;
+      for (let i = 0; i < 15; i++) sum += u8[i];
+      return (0x4d - (sum & 0xff)) & 0xff;
+    };
+    const frame = (op, addr, data) => {
+      const u8 = new Uint8Array(16);
+      u8[0] = op;
+      u8[2] = (addr >> 8) & 0xff;
+      u8[3] = addr & 0xff;
+      u8[4] = Math.min(10, data.length);
+      u8.set(Array.from(data).slice(0, 10), 5);
+      u8[15] = checksum(u8);
+      return u8;
+    };
+
+    mem.set([...valPair(0x01), ...valPair(DEFAULT_DPI_STAGES.length), ...valPair(1)], 0x0000);
+    mem.set(valPair(4), 0x000a);
+    DEFAULT_DPI_STAGES.concat([6400, 10000]).forEach((dpi, i) => mem.set(dpiWord(dpi), 0x000c + i * 4));
+    [[0xff, 0, 0], [0, 0xff, 0], [0, 0, 0xff], [0xff, 0xff, 0], [0, 0xff, 0xff], [0xff, 0, 0xff]]
+      .forEach((rgb, i) => mem.set(sum55(...rgb), 0x002c + i * 4));
+    mem.set([0x01, 0x54, 0x80, 0xd5, 0x05, 0x50, 0x01, 0x54], 0x004c);
+    [[0x01, 0x01], [0x01, 0x02], [0x01, 0x04], [0x01, 0x08], [0x01, 0x10], [0x02, 0x01]]
+      .forEach(([type, code], i) => mem.set(sum55(type, code, 0), 0x0060 + i * 4));
+    mem.set([...valPair(2), ...valPair(0), ...valPair(6), ...valPair(0), ...valPair(0)], 0x00a9);
+    mem.set(valPair(1), 0x00b9);
+    mem.set([...valPair(0), ...valPair(0)], 0x00bd);
+
+    return {
+      descriptor: {
+        vendorId: 0x373b,
+        productId: 0x1040,
+        productName: "Virtual ATK",
+        collections: [{
+          usagePage: 0xff02,
+          usage: 0x0002,
+          inputReports: [{ reportId: 0x08 }],
+          outputReports: [{ reportId: 0x08 }],
+          featureReports: [],
+          children: [],
+        }],
+      },
+      onOutputReport(reportId, u8, dev) {
+        if (reportId !== 0x08 || u8.length < 16) return;
+        const op = u8[0];
+        const addr = (u8[2] << 8) | u8[3];
+        const len = Math.min(10, u8[4]);
+        if (op === 0x07) {
+          if (addr + len <= mem.length) mem.set(u8.subarray(5, 5 + len), addr);
+          return;
+        }
+        if (op === 0x08) {
+          dev.emitInputReport(0x08, frame(0x08, addr, mem.slice(addr, addr + len)));
+          return;
+        }
+        if (op === 0x16) control.longRange = u8[5];
+        else if (op === 0x14) control.receiverLed = u8[5];
+        else if (op === 0x17) dev.emitInputReport(0x08, frame(op, 0, [control.longRange]));
+        else if (op === 0x15) dev.emitInputReport(0x08, frame(op, 0, [control.receiverLed]));
+        else if (op === 0x04) dev.emitInputReport(0x08, frame(op, 0, [control.battery]));
+      },
+      setBattery(percent) {
+        control.battery = Math.max(0, Math.min(100, Number(percent) || 0));
+      },
+      snapshot: () => ({ memory: hexKey(mem), control: { ...control } }),
+    };
+  }
+
+  // CRDRAKO: 64-byte feature report 0, request [0, 0, dev, size, class, cmd, args...],
+  // response [0, 0xa1, dev, size, size, class, cmd, args...]. Get id = set id | 0x80.
+  function createCrdrakoBackend() {
+    const REPORT_LEN = 64;
+    const store = new Map();
+    let lastResponse = new Uint8Array(REPORT_LEN);
+
+    const prefixLen = (cls, getId) => {
+      if (cls === 0x00 && [0x81, 0x83, 0x85, 0x86].includes(getId)) return 0;
+      if ((cls === 0x03 && getId === 0x80) || (cls === 0x02 && getId === 0x82)) return 2;
+      return 1;
+    };
+    const dpiStageBytes = [];
+    DEFAULT_DPI_STAGES.forEach((dpi) => dpiStageBytes.push(dpi >> 8, dpi & 0xff, dpi >> 8, dpi & 0xff));
+    const SEEDS = {
+      "0:81": [0x01, 0x00, 0x03, 0x00],
+      "0:83": [0x00, 85],
+      "0:85": [0x01],
+      "0:86": [0x03, 0x01, 0x02, 0x03],
+      "0:87": [0x01, 0x2c],
+      "0:88": [0x02],
+      "1:80": [0x01],
+      "1:81": [DEFAULT_DPI_STAGES.length, ...dpiStageBytes],
+      "1:82": [0x02],
+      "1:88": [0x8a],
+    };
+
+    return {
+      descriptor: {
+        vendorId: 0x373e,
+        productId: 0x006b,
+        productName: "Virtual CRDRAKO",
+        collections: [{
+          usagePage: 0xff00,
+          usage: 0x01,
+          inputReports: [],
+          outputReports: [],
+          featureReports: [{ reportId: 0 }],
+          children: [],
+        }],
+      },
+      onFeatureReport(reportId, u8) {
+        if (reportId !== 0) return;
+        const size = u8[3];
+        const cls = u8[4];
+        const cmd = u8[5];
+        const args = u8.slice(6, REPORT_LEN);
+        const getId = cmd | 0x80;
+        const prefix = args.slice(0, prefixLen(cls, getId));
+        const key = `${cls}:${getId.toString(16)}:${hexKey(prefix)}`;
+        let respArgs = args;
+        if (cmd & 0x80) {
+          const seed = SEEDS[`${cls}:${getId.toString(16)}`];
+          const stored = store.get(key) || (seed ? Uint8Array.from([...prefix, ...seed]) : null);
+          if (stored) {
+            respArgs = new Uint8Array(args.length);
+            respArgs.set(stored.subarray(0, respArgs.length));
+          }
+        } else {
+          store.set(key, args.slice(0, Math.max(size, prefix.length)));
+        }
+        const res = new Uint8Array(REPORT_LEN);
+        res[1] = 0xa1;
+        res[2] = u8[2];
+        res[3] = size;
+        res[4] = size;
+        res[5] = cls;
+        res[6] = cmd;
+        res.set(respArgs.subarray(0, REPORT_LEN - 7), 7);
+        lastResponse = res;
+      },
+      getFeatureReport() {
+        return lastResponse;
+      },
+      snapshot: () => ({ store: Object.fromEntries(Array.from(store, ([k, v]) => [k, hexKey(v)])) }),
+    };
+  }
+
+  // Ninjutso: 15-byte feature report 6 [cmd, 0, 0, 1, 0, lenOrIdx, profile, data...],
+  // response [6, cmd, 0, 0, 1, 0, len, profile, data...]. Write opcode = read opcode - 1.
+  function createNinjutsoBackend() {
+    const RID = 0x06;
+    const READ = new Set([
+      0x02, 0x04, 0x06, 0x08, 0x0c, 0x10, 0x12, 0x15, 0x17, 0x19, 0x1c, 0x1e,
+      0x20, 0x22, 0x26, 0x28, 0x2a, 0x30, 0x32, 0xa3, 0xa7,
+    ]);
+    const INDEXED = new Set([0x02, 0x04, 0x15]);
+    const store = new Map();
+    const put = (cmd, idx, bytes) => store.set(INDEXED.has(cmd) ? `${cmd}:${idx}` : `${cmd}`, Uint8Array.from(bytes));
+
+    put(0x10, 0, [0x00]);
+    put(0x12, 0, [85]);
+    put(0x06, 0, [0x01]);
+    put(0x08, 0, [0x01]);
+    put(0x0c, 0, [0x00]);
+    put(0x2a, 0, [0x02]);
+    put(0x17, 0, [0x00]);
+    put(0x32, 0, [0x00]);
+    put(0x19, 0, [0x0a]);
+    put(0x1e, 0, [DEFAULT_DPI_STAGES.length]);
+    put(0x1c, 0, [0x01]);
+    DEFAULT_DPI_STAGES.concat([6400]).forEach((dpi, i) => put(0x04, i, [dpi & 0xff, dpi >> 8, 0x00]));
+    [[1, 0x02], [2, 0x04], [3, 0x10], [4, 0x08]].forEach(([src, fk]) => put(0x02, src, [0x01, fk, 0x00, 0x00]));
+    put(0x26, 0, [0x01]);
+    put(0x30, 0, [0x64]);
+    put(0x20, 0, [0x00]);
+    put(0x28, 0, [0x02]);
+    put(0x22, 0, [0xff, 0x00, 0x00]);
+    put(0x15, 0, [0x01, 0x00, 0x05]);
+    put(0x15, 1, [0x01, 0x00, 0x02]);
+
+    let lastResponse = new Uint8Array(16);
+    const respond = (cmd, profile, data) => {
+      const out = new Uint8Array(Math.max(16, 8 + data.length));
+      out.set([RID, cmd, 0x00, 0x00, 0x01, 0x00, data.length, profile]);
+      out.set(data, 8);
+      lastResponse = out;
+    };
+
+    return {
+      descriptor: {
+        vendorId: 0x093a,
+        productId: 0xeb02,
+        productName: "Ninjutso Sora V3",
+        collections: [{
+          usagePage: 0xff01,
+          usage: 0x01,
+          inputReports: [],
+          outputReports: [],
+          featureReports: [{ reportId: 0x03 }, { reportId: RID }],
+          children: [],
+        }],
+      },
+      onFeatureReport(reportId, u8) {
+        if (reportId !== RID) return;
+        const cmd = u8[0];
+        const lenOrIdx = u8[5];
+        const profile = u8[6];
+        const data = u8.slice(7);
+        if (READ.has(cmd)) {
+          const idx = data[0];
+          const stored = store.get(INDEXED.has(cmd) ? `${cmd}:${idx}` : `${cmd}`);
+          respond(cmd, profile, stored || new Uint8Array(Math.max(1, lenOrIdx)));
+          return;
+        }
+        const readCmd = (cmd + 1) & 0xff;
+        if (READ.has(readCmd)) {
+          if (INDEXED.has(readCmd)) put(readCmd, data[0], data.slice(1, 1 + Math.max(0, lenOrIdx - 1)));
+          else put(readCmd, 0, data.slice(0, Math.max(1, lenOrIdx)));
+        }
+        respond(cmd, profile, data.slice(0, lenOrIdx));
+      },
+      getFeatureReport() {
+        return lastResponse;
+      },
+      setBattery(percent) {
+        put(0x12, 0, [Math.max(0, Math.min(100, Number(percent) || 0))]);
+      },
+      snapshot: () => ({ store: Object.fromEntries(Array.from(store, ([k, v]) => [k, hexKey(v)])) }),
+    };
+  }
+
+  // Logitech: HID++ 2.0 on output reports 0x10/0x11, answers on input report 0x11.
+  // Onboard profiles are kept as 256-byte images and rewritten by the 0x0F/0x6F/0x7F/0x8F stream.
+  // COLOR_LED_EFFECTS (0x8070) exposes a primary and a logo zone so the lighting path can be exercised.
+  // DEVICE_FW_VERSION (0x0003) reports a serial number so onboard backups get a per-device key.
+  function createLogitechBackend() {
+    const FEATURES = Object.freeze({
+      0x0003: 0x02,
+      0x0005: 0x03,
+      0x1004: 0x06,
+      0x2202: 0x09,
+      0x8090: 0x0a,
+      0x8061: 0x0c,
+      0x8070: 0x0e,
+      0x8100: 0x0d,
+    });
+    const FEAT = { FW_VERSION: 0x02, DEVICE_INFO: 0x03, BATTERY: 0x06, DPI: 0x09, SETTINGS: 0x0a, REPORT_RATE: 0x0c, PROFILE: 0x0d, COLOR_LED: 0x0e };
+    // Zone location + supported effect ids (off, fixed, cycle, breathing), in effect-index order.
+    const LED_ZONES = Object.freeze([
+      { location: 0x0001, effects: [0x0000, 0x0001, 0x0003, 0x000a] },
+      { location: 0x0002, effects: [0x0000, 0x0001, 0x0003, 0x000a] },
+    ]);
+    const DEFAULT_LED_BLOCK = Object.freeze([0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1f, 0x40, 0x32, 0x00, 0x00]);
+    const PROFILE_SLOTS = 5;
+    const NAME = "PRO X SUPERLIGHT";
+    const UNIT_ID = Object.freeze([0x5a, 0x1c, 0x93, 0x0e]);
+    const SERIAL = "2216LZ51C9E8";
+
+    const crc16 = (bytes) => {
+      let crc = 0xffff;
+      for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i] << 8;
+        for (let b = 0; b < 8; b++) crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+      }
+      return crc;
+    };
+    const sealImage = (img) => {
+      const crc = crc16(img.subarray(0, 253));
+      img[253] = (crc >> 8) & 0xff;
+      img[254] = crc & 0xff;
+      return img;
+    };
+    const buildDefaultImage = () => {
+      const img = new Uint8Array(256).fill(0xff);
+      img.fill(0x00, 0, 0x30);
+      img.set([0x03, 0x03, 0x01, 0x00]);
+      DEFAULT_DPI_STAGES.concat([0]).forEach((dpi, i) => {
+        const off = 4 + i * 5;
+        img.set([dpi & 0xff, dpi >> 8, dpi & 0xff, dpi >> 8, dpi ? 0x02 : 0x00], off);
+      });
+      img.set([0x00, 0xff, 0x00, 0xff, 0xff, 0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x3c, 0x00, 0x2c, 0x01], 0x20);
+      const buttons = [0x80, 0x01, 0x00, 0x01, 0x80, 0x01, 0x00, 0x02, 0x80, 0x01, 0x00, 0x04, 0x80, 0x01, 0x00, 0x08, 0x80, 0x01, 0x00, 0x10];
+      img.set(buttons, 0x30);
+      img.set(buttons, 0x70);
+      img.set(asciiBytes("PROFILE_NAME_DEFAULT", 20).reduce((acc, b) => acc.concat([b, 0x00]), []), 0xa0);
+      img.fill(0x00, 0xc8, 0xd0);
+      [0xd0, 0xdb, 0xe6, 0xf1].forEach((off) => img.set(DEFAULT_LED_BLOCK, off));
+      return sealImage(img);
+    };
+
+    const state = {
+      onboardMode: 1,
+      activeSlot: 1,
+      dpiIndex: 1,
+      reportRateCode: 0x03,
+      hostDpi: null,
+      settings: 0x00,
+      battery: 85,
+      charging: 0,
+      images: Array.from({ length: PROFILE_SLOTS }, buildDefaultImage),
+      enabled: [1, 0, 0, 0, 0],
+      stream: null,
+      leds: LED_ZONES.map(() => ({ effectIndex: 2, params: DEFAULT_LED_BLOCK.slice(1) })),
+    };
+
+    const activeImage = () => state.images[Math.max(0, Math.min(PROFILE_SLOTS - 1, state.activeSlot - 1))];
+    const currentDpi = () => {
+      const img = activeImage();
+      const off = 4 + state.dpiIndex * 5;
+      return img[off] | (img[off + 1] << 8);
+    };
+
+    const handleProfile = (func, params, res) => {
+      switch (func) {
+        case 0x2e: res[3] = state.onboardMode; break;
+        case 0x1e:
+          state.onboardMode = params[0] || state.onboardMode;
+          if (state.onboardMode !== 2) state.hostDpi = null;
+          break;
+        case 0x4e: res[3] = 0x00; res[4] = state.activeSlot; break;
+        case 0x3e: state.activeSlot = Math.max(1, Math.min(PROFILE_SLOTS, params[1] || 1)); break;
+        case 0xcf: state.dpiIndex = Math.min(4, params[0]); break;
+        case 0x5f: {
+          const profileId = params[1];
+          const offset = params[3];
+          if (profileId === 0) {
+            const dir = [];
+            for (let i = 0; i < 4; i++) dir.push(0x00, i + 1, state.enabled[i], 0xff);
+            res.set(dir, 3);
+          } else {
+            const img = state.images[profileId - 1] || new Uint8Array(256);
+            res.set(img.subarray(offset, offset + 16), 3);
+          }
+          break;
+        }
+        case 0x0f: state.stream = { profileId: 0, chunks: [] }; break;
+        case 0x6f: if (state.stream) state.stream.profileId = params[1]; break;
+        case 0x7f:
+          if (state.stream) {
+            state.stream.chunks.push(params.slice(0, 16));
+            res[3] = 0x00;
+            res[4] = state.stream.chunks.length;
+          }
+          break;
+        case 0x8f: {
+          const stream = state.stream;
+          state.stream = null;
+          if (!stream || stream.profileId < 1 || stream.profileId > PROFILE_SLOTS) break;
+          const img = new Uint8Array(256);
+          stream.chunks.slice(0, 16).forEach((chunk, i) => img.set(chunk, i * 16));
+          state.images[stream.profileId - 1] = img;
+          state.enabled[stream.profileId - 1] = 1;
+          break;
+        }
+        default: break;
+      }
+    };
+
+    const handleColorLed = (func, params, res) => {
+      res.fill(0x00, 3);
+      const zone = LED_ZONES[params[0]];
+      switch (func) {
+        case 0x0f: res[3] = LED_ZONES.length; break;
+        case 0x1f:
+          if (!zone) break;
+          res.set([params[0], zone.location >> 8, zone.location & 0xff, zone.effects.length], 3);
+          break;
+        case 0x2f: {
+          const id = zone?.effects[params[1]];
+          if (id == null) break;
+          res.set([params[0], params[1], id >> 8, id & 0xff], 3);
+          break;
+        }
+        case 0x3f:
+          if (!zone || params[1] >= zone.effects.length) break;
+          state.leds[params[0]] = { effectIndex: params[1], params: Array.from(params.slice(2, 12)) };
+          res[3] = params[0];
+          break;
+        case 0x4f: {
+          const led = state.leds[params[0]];
+          if (!led) break;
+          res.set([params[0], led.effectIndex, ...led.params], 3);
+          break;
+        }
+        default: break;
+      }
+    };
+
+    const handle = (u8, dev) => {
+      const feat = u8[1];
+      const func = u8[2];
+      const params = u8.slice(3);
+      const res = new Uint8Array(19);
+      res.set(u8.subarray(0, 19));
+      res[0] = 0x01;
+
+      if (feat === 0x00 && func === 0x00) {
+        const uuid = (params[0] << 8) | params[1];
+        res.fill(0x00, 3);
+        res[3] = FEATURES[uuid] || 0x00;
+      } else if (feat === FEAT.FW_VERSION) {
+        res.fill(0x00, 3);
+        if (func === 0x0f) {
+          res[3] = 0x01;
+          res.set(UNIT_ID, 4);
+          res[17] = 0x01; // serial number supported
+        } else if (func === 0x2f) {
+          res.set(asciiBytes(SERIAL, 12), 3);
+        }
+      } else if (feat === FEAT.DEVICE_INFO) {
+        res.fill(0x00, 3);
+        if (func === 0x0f) res[3] = NAME.length;
+        else res.set(asciiBytes(NAME.slice(params[0] || 0), 16), 3);
+      } else if (feat === FEAT.BATTERY) {
+        res[3] = state.battery;
+        res[4] = state.charging;
+      } else if (feat === FEAT.REPORT_RATE) {
+        if (func === 0x01 || func === 0x2f) res[3] = state.reportRateCode;
+        else if (func === 0x3f) state.reportRateCode = params[0];
+      } else if (feat === FEAT.DPI) {
+        if (func === 0x6f) {
+          state.hostDpi = (params[1] << 8) | params[2];
+        } else if (func === 0x5f) {
+          // Host mode: the sensor runs at the DPI the host set, not the profile slot.
+          const dpi = state.onboardMode === 2 && state.hostDpi != null ? state.hostDpi : currentDpi();
+          res[3] = 0x00;
+          res[4] = (dpi >> 8) & 0xff;
+          res[5] = dpi & 0xff;
+        }
+      } else if (feat === FEAT.SETTINGS) {
+        if (func === 0x1a || func === 0x1e || func === 0x1d) state.settings = params[1];
+        res[4] = state.settings;
+      } else if (feat === FEAT.PROFILE) {
+        handleProfile(func, params, res);
+      } else if (feat === FEAT.COLOR_LED) {
+        handleColorLed(func, params, res);
+      }
+      dev.emitInputReport(0x11, res);
+    };
+
+    return {
+      descriptor: {
+        vendorId: 0x046d,
+        productId: 0xc54d,
+        productName: "USB Receiver",
+        collections: [
+          {
+            usagePage: 0xff00,
+            usage: 0x01,
+            inputReports: [{ reportId: 0x10 }],
+            outputReports: [{ reportId: 0x10 }],
+            featureReports: [],
+            children: [],
+          },
+          {
+            usagePage: 0xff00,
+            usage: 0x02,
+            inputReports: [{ reportId: 0x11 }],
+            outputReports: [{ reportId: 0x11 }],
+            featureReports: [],
+            children: [],
+          },
+        ],
+      },
+      onOutputReport(reportId, u8, dev) {
+        if (reportId !== 0x10 && reportId !== 0x11) return;
+        if (u8.length < 3) return;
+        handle(padTo(u8, 19), dev);
+      },
+      setBattery(percent) {
+        state.battery = Math.max(0, Math.min(100, Number(percent) || 0));
+      },
+      snapshot: () => ({
+        onboardMode: state.onboardMode,
+        activeSlot: state.activeSlot,
+        dpiIndex: state.dpiIndex,
+        reportRateCode: state.reportRateCode,
+        hostDpi: state.hostDpi,
+        settings: state.settings,
+        leds: state.leds.map((led) => ({ effectIndex: led.effectIndex, params: led.params.slice() })),
+        images: state.images.map(hexKey),
+      }),
+    };
+  }
+
+  // Razer: 90-byte feature report 0, [status, tx, remaining(2), proto, size, class, id, args(80), crc, 0].
+  // Response is the request echoed back with status 0x02 and arguments filled in.
+  function createRazerBackend() {
+    const REPORT_LEN = 90;
+    const store = new Map();
+    let lastResponse = new Uint8Array(REPORT_LEN);
+
+    const prefixLen = (cls, getId) => {
+      if (cls === 0x00 || cls === 0x07) return 0;
+      if (cls === 0x02 && getId === 0x8c) return 3;
+      if (cls === 0x03 || cls === 0x0f) return 2;
+      if (cls === 0x0b) return (getId === 0x85 || getId === 0x8b) ? 2 : 1;
+      return 1;
+    };
+    const keyOf = (cls, getId, prefix) => {
+      const p = Array.from(prefix);
+      // NOSTORE/VARSTORE share one backing value in the emulator.
+      if ((cls === 0x02 || cls === 0x03 || cls === 0x04 || cls === 0x0f) && p.length) p[0] = 0;
+      return `${cls}:${getId.toString(16)}:${hexKey(p)}`;
+    };
+    const dpiBytes = (dpi) => [dpi >> 8, dpi & 0xff, dpi >> 8, dpi & 0xff];
+    const stagesBytes = [];
+    DEFAULT_DPI_STAGES.forEach((dpi, i) => stagesBytes.push(i + 1, ...dpiBytes(dpi), 0x00, 0x00));
+    const SEEDS = {
+      "0:82": () => Array.from(asciiBytes("PM2300H00000001", 22)),
+      "0:81": () => [0x01, 0x03],
+      "0:85": () => [0x01],
+      "0:c0": () => [0x00, 0x08],
+      "4:85": () => [...dpiBytes(800), 0x00, 0x00],
+      "4:86": () => [0x02, DEFAULT_DPI_STAGES.length, ...stagesBytes],
+      "2:8c": (prefix) => {
+        const buttonId = prefix[1];
+        if (buttonId >= 1 && buttonId <= 5) return [0x01, 0x01, buttonId];
+        if (buttonId === 0x60) return [0x06, 0x01, 0x06];
+        return [0x00, 0x00];
+      },
+      "7:80": () => [0x00, 0xd9],
+      "7:84": () => [0x00],
+      "7:83": () => [0x01, 0x2c],
+      "7:81": () => [0x26],
+      // Logo / scroll-wheel LEDs: static green at full brightness.
+      "15:82": () => [0x01, 0x00, 0x00, 0x01, 0x00, 0xff, 0x00],
+      "15:84": () => [0xff],
+    };
+
+    return {
+      descriptor: {
+        vendorId: 0x1532,
+        productId: 0x00b6,
+        productName: "Razer DeathAdder V3 Pro",
+        collections: [{
+          usagePage: 0x000c,
+          usage: 0x0001,
+          inputReports: [{ reportId: 0 }],
+          outputReports: [],
+          featureReports: [{ reportId: 0 }],
+          children: [],
+        }],
+      },
+      onFeatureReport(reportId, u8) {
+        if (reportId !== 0) return;
+        const req = padTo(u8, REPORT_LEN).slice(0, REPORT_LEN);
+        const size = req[5];
+        const cls = req[6];
+        const id = req[7];
+        const getId = id | 0x80;
+        const args = req.slice(8, 88);
+        const prefix = args.slice(0, prefixLen(cls, getId));
+        const key = keyOf(cls, getId, prefix);
+        const res = new Uint8Array(req);
+        res[0] = 0x02;
+        if (id & 0x80) {
+          const seed = SEEDS[`${cls}:${getId.toString(16)}`];
+          const stored = store.get(key) || (seed ? Uint8Array.from([...prefix, ...seed(prefix)]) : null);
+          if (stored) {
+            res.fill(0x00, 8, 88);
+            res.set(prefix, 8);
+            res.set(stored.subarray(prefix.length, 80), 8 + prefix.length);
+          }
+        } else {
+          store.set(key, args.slice(0, Math.max(size, prefix.length)));
+        }
+        let crc = 0;
+        for (let i = 2; i < 88; i++) crc ^= res[i];
+        res[88] = crc;
+        res[89] = 0x00;
+        lastResponse = res;
+      },
+      getFeatureReport() {
+        return lastResponse;
+      },
+      setBattery(percent) {
+        store.set("7:80:", Uint8Array.from([0x00, Math.round((Math.max(0, Math.min(100, Number(percent) || 0)) / 100) * 255)]));
+      },
+      snapshot: () => ({ store: Object.fromEntries(Array.from(store, ([k, v]) => [k, hexKey(v)])) }),
+    };
+  }
+
+  const BACKEND_FACTORIES = Object.freeze({
+    rapoo: createRapooBackend,
+    atk: createAtkBackend,
+    crdrako: createCrdrakoBackend,
+    ninjutso: createNinjutsoBackend,
+    logitech: createLogitechBackend,
+    razer: createRazerBackend,
+  });
+
+  // ============================================================
+  // 4) Selection and device registry
+  // ============================================================
+  const __devices = new Map();
+
+  function normalizeType(type) {
+    const t = String(type || "").trim().toLowerCase();
+    return VIRTUAL_TYPES.includes(t) ? t : null;
+  }
+
+  function getRequestedType() {
+    try {
+      const query = new URLSearchParams(window.location?.search || "").get(QUERY_KEY);
+      const fromQuery = normalizeType(query);
+      if (fromQuery) return fromQuery;
+    } catch (_) {}
+    try {
+      return normalizeType(window.localStorage?.getItem(STORAGE_KEY));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function isEnabled() {
+    return !!getRequestedType();
+  }
+
+  function createDevice(type) {
+    const t = normalizeType(type);
+    if (!t) throw new Error(`Unknown virtual device type: ${type}`);
+    return new VirtualHidDevice(t, BACKEND_FACTORIES[t]());
+  }
+
+  // One device per type, so state survives reconnects within the page.
+  function getDevice(type = getRequestedType()) {
+    const t = normalizeType(type);
+    if (!t) return null;
+    if (!__devices.has(t)) __devices.set(t, createDevice(t));
+    return __devices.get(t);
+  }
+
+  function resetDevice(type) {
+    const t = normalizeType(type);
+    if (!t) return;
+    __devices.delete(t);
+  }
+
+  function isVirtualDevice(device) {
+    return !!device?.__virtual;
+  }
+
+  function setBattery(type, percent) {
+    const dev = getDevice(type);
+    if (dev && typeof dev._backend.setBattery === "function") dev._backend.setBattery(percent, dev);
+  }
+
+  function snapshot(type) {
+    const dev = getDevice(type);
+    return dev && typeof dev._backend.snapshot === "function" ? dev._backend.snapshot() : null;
+  }
+
+  // ============================================================
+  // 5) Public API
+  // ============================================================
+  window.VirtualHid = Object.freeze({
+    STORAGE_KEY,
+    VIRTUAL_TYPES,
+    VirtualHidDevice,
+    isEnabled,
+    getRequestedType,
+    createDevice,
+    getDevice,
+    resetDevice,
+    isVirtualDevice,
+    setBattery,
+    snapshot,
+  });
+})();
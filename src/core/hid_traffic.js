@@ -0,0 +1,343 @@
+/**
+ * HID traffic capture and replay for protocol regression fixtures.
+ *
+ * Scope in this file:
+ * - Capture: instrument the HIDDevice handed to a protocol transport so every
+ *   sendReport / sendFeatureReport / receiveFeatureReport / inputreport exchange
+ *   is serialized with a timestamp. Device identity is preserved (methods are
+ *   shadowed on the instance), so matchesHidDevice/disconnect checks keep working.
+ * - Replay: build a WebHID-shaped device (VirtualHidDevice + replay backend) that
+ *   answers a MouseMouseHidApi session strictly from a recorded fixture and reports
+ *   any divergence in the outgoing byte stream.
+ *
+ * Out of scope in this file:
+ * - No protocol decoding; entries are raw report bytes.
+ * - No UI. Capture is driven from the console or the headless harness.
+ *
+ * Enable capture:
+ * - URL query `?hidcapture=1`, or localStorage["hid.capture"] = "1", or
+ *   HidTraffic.startCapture() from the console before connecting.
+ * - HidTraffic.downloadSession() saves the fixture as JSON.
+ */
+
+// ============================================================
+// 1) Constants and helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const SESSION_FORMAT = "clicksync.hid-session";
+  const SESSION_VERSION = 1;
+  const CAPTURE_STORAGE_KEY = "hid.capture";
+  const CAPTURE_QUERY_KEY = "hidcapture";
+  const DIR = Object.freeze({
+    OUTPUT: "output",
+    FEATURE_SET: "feature-set",
+    FEATURE_GET: "feature-get",
+    INPUT: "input",
+  });
+  const INSTRUMENTED_METHODS = Object.freeze(["sendReport", "sendFeatureReport", "receiveFeatureReport"]);
+
+  const now = () => (typeof performance !== "undefined" && typeof performance.now === "function"
+    ? performance.now()
+    : Date.now());
+
+  function toU8(data) {
+    if (!data) return new Uint8Array(0);
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(Array.isArray(data) ? data : []);
+  }
+
+  function bytesToHex(data) {
+    return Array.from(toU8(data), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function hexToBytes(hex) {
+    const s = String(hex || "").replace(/[^0-9a-f]/gi, "");
+    const out = new Uint8Array(s.length >> 1);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(s.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  function describeDevice(device) {
+    let collections = [];
+    try {
+      collections = JSON.parse(JSON.stringify(device?.collections || []));
+    } catch (_) {}
+    return {
+      vendorId: Number(device?.vendorId ?? 0),
+      productId: Number(device?.productId ?? 0),
+      productName: String(device?.productName || ""),
+      collections,
+    };
+  }
+
+  // ============================================================
+  // 2) Capture
+  // ============================================================
+  let __session = null;
+  let __t0 = 0;
+  const __attached = new Map(); // device -> { index, onInput }
+
+  function isCaptureRequested() {
+    try {
+      const v = new URLSearchParams(window.location?.search || "").get(CAPTURE_QUERY_KEY);
+      if (v === "1" || v === "true") return true;
+    } catch (_) {}
+    try {
+      return window.localStorage?.getItem(CAPTURE_STORAGE_KEY) === "1";
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function isCapturing() {
+    return !!__session;
+  }
+
+  function record(index, dir, reportId, data) {
+    if (!__session) return;
+    __session.entries.push({
+      t: Math.round((now() - __t0) * 1000) / 1000,
+      device: index,
+      dir,
+      reportId: Number(reportId),
+      hex: bytesToHex(data),
+    });
+  }
+
+  /**
+   * Start a new capture session (replaces any running one).
+   *
+   * @param {Object} [opts]
+   * @param {string} [opts.label] - Free-form fixture label.
+   * @param {string|null} [opts.deviceType] - Runtime device id, when known.
+   * @returns {Object} Live session object.
+   */
+  function startCapture({ label = "", deviceType = null } = {}) {
+    if (__session) stopCapture();
+    __t0 = now();
+    __session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      label: String(label || ""),
+      deviceType: deviceType || null,
+      startedAt: new Date().toISOString(),
+      devices: [],
+      entries: [],
+    };
+    return __session;
+  }
+
+  /**
+   * Instrument one HIDDevice for the running session.
+   * Purpose: record transport traffic without changing the object the protocol layer holds.
+   *
+   * @param {Object} device - HIDDevice (real or virtual).
+   * @param {Object} [opts]
+   * @param {string} [opts.role] - "control" or "event" (Razer split handles).
+   * @returns {Object} The same device.
+   */
+  function attach(device, { role = "control" } = {}) {
+    if (!__session || !device || __attached.has(device)) return device;
+    const index = __session.devices.length;
+    __session.devices.push({ role, ...describeDevice(device) });
+
+    const originals = {};
+    for (const name of INSTRUMENTED_METHODS) {
+      const fn = device[name];
+      if (typeof fn !== "function") continue;
+      originals[name] = Object.prototype.hasOwnProperty.call(device, name) ? fn : null;
+      const bound = fn.bind(device);
+      if (name === "receiveFeatureReport") {
+        device[name] = async (reportId) => {
+          const dv = await bound(reportId);
+          record(index, DIR.FEATURE_GET, reportId, dv);
+          return dv;
+        };
+      } else {
+        const dir = name === "sendReport" ? DIR.OUTPUT : DIR.FEATURE_SET;
+        device[name] = async (reportId, data) => {
+          record(index, dir, reportId, data);
+          return bound(reportId, data);
+        };
+      }
+    }
+    const onInput = (evt) => record(index, DIR.INPUT, evt?.reportId ?? 0, evt?.data);
+    try { device.addEventListener("inputreport", onInput); } catch (_) {}
+    __attached.set(device, { index, originals, onInput });
+    return device;
+  }
+
+  function detach(device) {
+    const info = __attached.get(device);
+    if (!info) return;
+    for (const [name, original] of Object.entries(info.originals)) {
+      if (original) device[name] = original;
+      else delete device[name];
+    }
+    try { device.removeEventListener("inputreport", info.onInput); } catch (_) {}
+    __attached.delete(device);
+  }
+
+  /**
+   * Stop capture, restore instrumented devices and return the finished session.
+   * @returns {Object|null} Session fixture.
+   */
+  function stopCapture() {
+    for (const device of Array.from(__attached.keys())) detach(device);
+    const session = __session;
+    __session = null;
+    if (session) session.stoppedAt = new Date().toISOString();
+    return session;
+  }
+
+  function getSession() {
+    return __session;
+  }
+
+  function exportSession(session = __session) {
+    return session ? JSON.stringify(session, null, 2) : "";
+  }
+
+  function downloadSession(filename = "") {
+    const json = exportSession();
+    if (!json || typeof document === "undefined") return false;
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename || `hid-session-${__session?.deviceType || "device"}-${Date.now()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  // ============================================================
+  // 3) Replay
+  // ============================================================
+  function normalizeSession(session) {
+    const s = typeof session === "string" ? JSON.parse(session) : session;
+    if (!s || s.format !== SESSION_FORMAT) throw new Error("Not a HID session fixture");
+    if (Number(s.version) > SESSION_VERSION) throw new Error(`Unsupported HID session version: ${s.version}`);
+    return s;
+  }
+
+  /**
+   * Replay backend for VirtualHidDevice.
+   * Outgoing traffic must match the fixture byte-for-byte; input reports recorded after
+   * an exchange are re-emitted in order, feature reads return the recorded bytes.
+   */
+  function createReplayBackend(session, { deviceIndex = 0, strict = true } = {}) {
+    const meta = session.devices?.[deviceIndex] || session.devices?.[0] || {};
+    const entries = (session.entries || []).filter((e) => Number(e.device ?? 0) === deviceIndex);
+    const mismatches = [];
+    let cursor = 0;
+    let lastT = 0;
+
+    // Keep recorded spacing relative to the exchange that preceded the input, so
+    // unsolicited reports (e.g. status after unlock) land after the driver binds its listener.
+    const flushInputs = (dev) => {
+      while (cursor < entries.length && entries[cursor].dir === DIR.INPUT) {
+        const e = entries[cursor++];
+        dev.emitInputReport(e.reportId, hexToBytes(e.hex), Math.max(0, Number(e.t || 0) - lastT));
+      }
+    };
+
+    const expect = (dev, dir, reportId, data) => {
+      flushInputs(dev);
+      const e = entries[cursor];
+      const hex = data == null ? null : bytesToHex(data);
+      const ok = !!e && e.dir === dir && Number(e.reportId) === Number(reportId) && (hex == null || e.hex === hex);
+      if (!ok) {
+        const mismatch = { index: cursor, expected: e || null, got: { dir, reportId: Number(reportId), hex } };
+        mismatches.push(mismatch);
+        if (strict) {
+          const expected = e ? `${e.dir}#${e.reportId} ${e.hex.slice(0, 16)}` : "end of session";
+          const err = new Error(`HID replay mismatch at entry ${cursor}: expected ${expected}, got ${dir}#${reportId} ${(hex || "").slice(0, 16)}`);
+          err.name = "HidReplayMismatch";
+          err.detail = mismatch;
+          throw err;
+        }
+        return null;
+      }
+      cursor++;
+      lastT = Number(e.t || 0);
+      return e;
+    };
+
+    const backend = {
+      descriptor: {
+        vendorId: meta.vendorId,
+        productId: meta.productId,
+        productName: meta.productName,
+        collections: meta.collections || [],
+      },
+      onOutputReport(reportId, u8, dev) {
+        expect(dev, DIR.OUTPUT, reportId, u8);
+        flushInputs(dev);
+      },
+      onFeatureReport(reportId, u8, dev) {
+        expect(dev, DIR.FEATURE_SET, reportId, u8);
+        flushInputs(dev);
+      },
+      getFeatureReport(reportId, dev) {
+        const e = expect(dev, DIR.FEATURE_GET, reportId, null);
+        flushInputs(dev);
+        return e ? hexToBytes(e.hex) : new Uint8Array(0);
+      },
+    };
+
+    const state = {
+      mismatches,
+      get position() { return cursor; },
+      get total() { return entries.length; },
+      remaining: () => entries.slice(cursor),
+      isComplete: () => cursor >= entries.length,
+    };
+    return { backend, state };
+  }
+
+  /**
+   * Build a replay device from a recorded session.
+   *
+   * @param {Object|string} session - Session object or its JSON.
+   * @param {Object} [opts]
+   * @param {number} [opts.deviceIndex] - Which recorded handle to replay (Razer control/event split).
+   * @param {boolean} [opts.strict] - Throw on the first divergence (default) or only collect mismatches.
+   * @returns {Object} WebHID-shaped device with a `replay` status object.
+   */
+  function createReplayDevice(session, { deviceIndex = 0, strict = true } = {}) {
+    const VirtualHidDevice = window.VirtualHid?.VirtualHidDevice;
+    if (typeof VirtualHidDevice !== "function") throw new Error("device_virtual.js must be loaded before replay");
+    const s = normalizeSession(session);
+    const { backend, state } = createReplayBackend(s, { deviceIndex, strict });
+    const device = new VirtualHidDevice(s.deviceType || "replay", backend);
+    device.replay = state;
+    return device;
+  }
+
+  // ============================================================
+  // 4) Public API
+  // ============================================================
+  window.HidTraffic = Object.freeze({
+    SESSION_FORMAT,
+    SESSION_VERSION,
+    isCaptureRequested,
+    isCapturing,
+    startCapture,
+    attach,
+    detach,
+    stopCapture,
+    getSession,
+    exportSession,
+    downloadSession,
+    createReplayDevice,
+  });
+
+  if (isCaptureRequested()) startCapture({ label: "auto" });
+})();
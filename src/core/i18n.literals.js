@@ -18,8 +18,8 @@
     rulePowerDescItem5: ["Ninjutso（Sora V3）。", "Ninjutso (Sora V3)."],
     rulePowerDescTail: ["以上品牌的型号均为测试可用型号，其他型号不做保证。", "These models are verified as tested; other models are not guaranteed."],
     ruleMacroTitle: ["使用注意", "Usage notes"],
-    ruleMacroDesc: ["使用罗技鼠标时，网页驱动只有在板载内存模式下才能写入并使用设备配置。可提前在 GHUB 中开启；若连接时检测到未开启，本驱动会询问是否自动开启：点击“确定”表示开启并进入，点击“取消”表示不启用并继续进入。未适配型号可能因板载配置为空出现按键不可用等异常，请谨慎开启；若出现异常，关闭板载内存模式即可。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。使用雷蛇鼠标时，请先完全退出雷云驱动软件，否则雷云可能覆盖网页驱动配置，导致设置无法生效。", "When using Logitech mice, the web driver can write and use device settings only in Onboard Memory Mode. You can enable it in GHUB beforehand; if it is disabled during connection, this driver will ask whether to enable it automatically: clicking OK means enable and enter, while clicking Cancel means continue without enabling it. Unsupported models may have empty onboard profiles and can have issues such as unavailable buttons; enable with caution. If anything behaves abnormally, turn off Onboard Memory Mode. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode. When using Razer mice, fully exit Razer Synapse first. Otherwise Synapse may override the web driver settings and prevent them from taking effect."],
-    ruleMacroDescLine1: ["使用罗技鼠标时，网页驱动只有在板载内存模式下才能写入并使用设备配置。可提前在 GHUB 中开启；若连接时检测到未开启，本驱动会询问是否自动开启：点击“确定”表示开启并进入，点击“取消”表示不启用并继续进入。未适配型号可能因板载配置为空出现按键不可用等异常，请谨慎开启；若出现异常，关闭板载内存模式即可。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。", "When using Logitech mice, the web driver can write and use device settings only in Onboard Memory Mode. You can enable it in GHUB beforehand; if it is disabled during connection, this driver will ask whether to enable it automatically: clicking OK means enable and enter, while clicking Cancel means continue without enabling it. Unsupported models may have empty onboard profiles and can have issues such as unavailable buttons; enable with caution. If anything behaves abnormally, turn off Onboard Memory Mode. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode."],
+    ruleMacroDesc: ["使用罗技鼠标时，网页驱动在板载内存模式下才能将完整配置写入设备。可提前在 GHUB 中开启；若连接时检测到未开启，本驱动会询问是否自动开启：点击“确定”表示开启并进入，点击“取消”表示以软件模式进入，此时 DPI、回报率和灯效即时生效但不保存，按键映射等板载设置不可修改。未适配型号可能因板载配置为空出现按键不可用等异常，请谨慎开启；若出现异常，关闭板载内存模式即可。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。使用雷蛇鼠标时，请先完全退出雷云驱动软件，否则雷云可能覆盖网页驱动配置，导致设置无法生效。", "When using Logitech mice, the web driver can save all settings to the device only in Onboard Memory Mode. You can enable it in GHUB beforehand; if it is disabled during connection, this driver will ask whether to enable it automatically: clicking OK means enable and enter, while clicking Cancel means enter in software mode, where DPI, polling rate and lighting apply live but are not saved, and onboard-only settings such as button mappings cannot be changed. Unsupported models may have empty onboard profiles and can have issues such as unavailable buttons; enable with caution. If anything behaves abnormally, turn off Onboard Memory Mode. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode. When using Razer mice, fully exit Razer Synapse first. Otherwise Synapse may override the web driver settings and prevent them from taking effect."],
+    ruleMacroDescLine1: ["使用罗技鼠标时，网页驱动在板载内存模式下才能将完整配置写入设备。可提前在 GHUB 中开启；若连接时检测到未开启，本驱动会询问是否自动开启：点击“确定”表示开启并进入，点击“取消”表示以软件模式进入，此时 DPI、回报率和灯效即时生效但不保存，按键映射等板载设置不可修改。未适配型号可能因板载配置为空出现按键不可用等异常，请谨慎开启；若出现异常，关闭板载内存模式即可。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。", "When using Logitech mice, the web driver can save all settings to the device only in Onboard Memory Mode. You can enable it in GHUB beforehand; if it is disabled during connection, this driver will ask whether to enable it automatically: clicking OK means enable and enter, while clicking Cancel means enter in software mode, where DPI, polling rate and lighting apply live but are not saved, and onboard-only settings such as button mappings cannot be changed. Unsupported models may have empty onboard profiles and can have issues such as unavailable buttons; enable with caution. If anything behaves abnormally, turn off Onboard Memory Mode. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode."],
     ruleMacroDescLine2: ["使用雷蛇鼠标时，请先完全退出雷云驱动软件，否则雷云可能覆盖网页驱动配置，导致设置无法生效。", "When using Razer mice, fully exit Razer Synapse first. Otherwise Synapse may override the web driver settings and prevent them from taking effect."],
     ruleMacroKeyBrandLogitech: ["罗技", "Logitech"],
     ruleMacroKeyOnboardMemory: ["板载内存模式", "Onboard Memory Mode"],
@@ -138,7 +138,7 @@
     ["跳跃", "Jump"],
     ["满格射频", "Full RF"],
     ["智能调节", "Smart"],
-    ["是否关闭板载内存模式，关闭后驱动设置不保证可用", "Turn off onboard memory mode? Driver settings are not guaranteed after disabling."],
+    ["是否关闭板载内存模式？关闭后进入软件模式：DPI、回报率和灯效即时生效但不保存到鼠标，按键映射等板载设置不可修改", "Turn off onboard memory mode? The driver switches to software mode: DPI, polling rate and lighting apply live but are not saved to the mouse; onboard-only settings such as button mappings cannot be changed."],
     ["回报率达到 2000Hz 及以上时，该功能不启用且无法修改", "At polling rates of 2000Hz or above, this feature is disabled and cannot be changed"],
     ["低", "Low"],
     ["中", "Mid"],
@@ -262,6 +262,59 @@
     ["抖动", "Jitter"],
     ["独立设置X轴和Y轴的DPI值", "Set X-axis and Y-axis DPI independently"],
     ["断开连接", "Disconnect"],
+    ["导出", "Export"],
+    ["导入", "Import"],
+    ["导出配置", "Export config"],
+    ["导入配置", "Import config"],
+    ["配置库", "Profiles"],
+    ["保存当前配置", "Save current config"],
+    ["配置名称，例如 tournament", "Profile name, e.g. tournament"],
+    ["写入记录", "Write history"],
+    ["撤销 Ctrl+Z / 重做 Ctrl+Y", "Undo Ctrl+Z / Redo Ctrl+Y"],
+    ["撤销", "Undo"],
+    ["重做", "Redo"],
+    ["写入后回读校验", "Verify by readback after writes"],
+    ["设置已被其他软件修改", "Settings were changed by other software"],
+    ["保留设备当前值", "Keep device values"],
+    ["重新应用", "Re-apply"],
+    ["部分设置未写入", "Some settings were not written"],
+    ["知道了", "Got it"],
+    ["确认保留更改", "Keep these changes?"],
+    ["立即还原", "Revert now"],
+    ["保留更改", "Keep changes"],
+    ["左手模式", "Left-handed"],
+    ["恢复默认", "Restore defaults"],
+    ["日志", "Log"],
+    ["复制", "Copy"],
+    ["清空", "Clear"],
+    ["写入预演", "Write dry-run"],
+    ["生成命令", "Plan commands"],
+    ["设备正在另一个标签页中使用", "Device is in use in another tab"],
+    ["接管", "Take over"],
+    ["切换设备", "Switch device"],
+    ["添加设备", "Add device"],
+    ["设备间复制", "Clone between devices"],
+    ["再连接一个设备后可用", "Connect a second device to clone settings"],
+    ["源设备", "Source device"],
+    ["目标设备", "Target device"],
+    ["板载配置槽位", "Onboard profile slots"],
+    ["当前设备不支持板载配置槽位", "This device has no onboard profile slots"],
+    ["读取槽位", "Read slots"],
+    ["交换", "Swap"],
+    ["源槽位", "Source slot"],
+    ["目标槽位", "Target slot"],
+    ["灯光", "Lighting"],
+    ["主灯区", "Primary LED"],
+    ["主灯区效果", "Primary LED effect"],
+    ["Logo 灯", "Logo LED"],
+    ["滚轮灯", "Scroll Wheel LED"],
+    ["效果 / 颜色 / 亮度", "Effect / Color / Brightness"],
+    ["幻彩", "Spectrum"],
+    ["Logo 灯效果", "Logo LED effect"],
+    ["滚轮灯效果", "Scroll wheel LED effect"],
+    ["板载配置备份", "Onboard backup"],
+    ["首次写入前自动备份全部板载槽位", "Every onboard slot is backed up before the first write"],
+    ["一键恢复", "Restore"],
     ["对 称", "Sym"],
     ["对称", "Sym"],
     ["对称模式档位 0 - 2", "Symmetric mode levels 0 - 2"],
@@ -560,7 +613,7 @@
   ["在下方面板直接拖动或输入修改DPI", "Drag below or enter values directly to edit DPI"],
   ["范围：${minT} - ${maxT}", "Range: ${minT} - ${maxT}"],
   ["范围：${debounceMs[0]}ms - ${debounceMs[debounceMs.length - 1]}ms", "Range: ${debounceMs[0]}ms - ${debounceMs[debounceMs.length - 1]}ms"],
-["是否关闭板载内存模式，关闭后驱动设置不保证可用", "Turn off onboard memory mode? Driver settings are not guaranteed after disabling."],
+["是否关闭板载内存模式？关闭后进入软件模式：DPI、回报率和灯效即时生效但不保存到鼠标，按键映射等板载设置不可修改", "Turn off onboard memory mode? The driver switches to software mode: DPI, polling rate and lighting apply live but are not saved to the mouse; onboard-only settings such as button mappings cannot be changed."],
 ["分键", "SEP"],
 ["联动", "LNK"],
 ["触发点", "Trigger Point"],
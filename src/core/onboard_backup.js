@@ -0,0 +1,120 @@
+/**
+ * Onboard backup: snapshots of every onboard profile slot, kept in localStorage per device serial.
+ *
+ * Scope in this file:
+ * - Store / list / look up slot snapshots taken before the app first writes to a device in a session.
+ * - Keep storage bounded: identical snapshots are not stored twice, the newest few are kept and the
+ *   oldest one is always retained (it is usually the setup made in the vendor software).
+ *
+ * Out of scope in this file:
+ * - No HID I/O. The protocol builds and restores snapshots (backupOnboardProfiles /
+ *   restoreOnboardProfiles); app.js decides when to take one and renders the restore control.
+ *
+ * Stored value (JSON array, newest first):
+ * - [{ id, savedAt, backup }], backup = protocol snapshot { format, version, createdAt, device, slots, ... }
+ */
+
+// ============================================================
+// 1) Constants and helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const STORAGE_PREFIX = "clicksync.onboardBackup:";
+  const DEFAULT_LIMIT = 3;
+
+  const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+  function defaultStorage() {
+    try { return window.localStorage || null; } catch (_) { return null; }
+  }
+
+  /**
+   * Storage identity of a device.
+   * Purpose: the serial tells two mice of one model apart; model + protocol profile is the fallback
+   * for firmware that does not report one.
+   * @param {Object} device - backup.device ({ serial, model, profileId }).
+   * @returns {string} Identity, or "" when nothing identifies the device.
+   */
+  function resolveDeviceKey(device) {
+    const serial = String(device?.serial || "").trim();
+    if (serial) return `serial:${serial}`;
+    const model = String(device?.model || "").trim();
+    const profileId = String(device?.profileId || "").trim();
+    return model || profileId ? `model:${profileId}:${model}` : "";
+  }
+
+  function sameSlots(a, b) {
+    const left = Array.isArray(a?.slots) ? a.slots : [];
+    const right = Array.isArray(b?.slots) ? b.slots : [];
+    return left.length === right.length
+      && left.every((slot, i) => (slot?.image || null) === (right[i]?.image || null))
+      && a?.activeProfileSlotIndex === b?.activeProfileSlotIndex
+      && a?.onboardMemoryMode === b?.onboardMemoryMode;
+  }
+
+  // ============================================================
+  // 2) Store
+  // ============================================================
+  /**
+   * List the snapshots of one device, newest first.
+   * @param {string} deviceKey - resolveDeviceKey() result.
+   * @param {Object} [opts]
+   * @param {Storage} [opts.storage] - Default: localStorage.
+   * @returns {Object[]} [{ id, savedAt, backup }].
+   */
+  function listBackups(deviceKey, { storage = defaultStorage() } = {}) {
+    if (!deviceKey || !storage) return [];
+    try {
+      const list = JSON.parse(storage.getItem(STORAGE_PREFIX + deviceKey) || "[]");
+      return Array.isArray(list) ? list.filter((entry) => isPlainObject(entry?.backup)) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function getBackup(deviceKey, id, opts) {
+    return listBackups(deviceKey, opts).find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Store a snapshot.
+   * A snapshot equal to the newest stored one is not stored again. Over the limit, the second-oldest
+   * entry is dropped so the oldest one survives.
+   *
+   * @param {Object} backup - Protocol snapshot (backupOnboardProfiles()).
+   * @param {Object} [opts]
+   * @param {Storage} [opts.storage] - Default: localStorage.
+   * @param {number} [opts.limit] - Kept snapshots per device.
+   * @returns {{ saved: boolean, deviceKey: string, entry: Object|null }}
+   */
+  function saveBackup(backup, { storage = defaultStorage(), limit = DEFAULT_LIMIT } = {}) {
+    const deviceKey = resolveDeviceKey(backup?.device);
+    if (!isPlainObject(backup) || !deviceKey || !storage) return { saved: false, deviceKey, entry: null };
+    const list = listBackups(deviceKey, { storage });
+    if (list.length && sameSlots(list[0].backup, backup)) return { saved: false, deviceKey, entry: list[0] };
+
+    const entry = {
+      id: `b_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      savedAt: Date.now(),
+      backup,
+    };
+    const next = [entry, ...list];
+    const max = Math.max(2, Math.round(Number(limit) || DEFAULT_LIMIT));
+    while (next.length > max) next.splice(next.length - 2, 1);
+    storage.setItem(STORAGE_PREFIX + deviceKey, JSON.stringify(next));
+    return { saved: true, deviceKey, entry };
+  }
+
+  // ============================================================
+  // 3) Public API
+  // ============================================================
+  window.OnboardBackup = Object.freeze({
+    STORAGE_PREFIX,
+    DEFAULT_LIMIT,
+    resolveDeviceKey,
+    listBackups,
+    getBackup,
+    saveBackup,
+  });
+})();
@@ -0,0 +1,204 @@
+/**
+ * Profile library: named std-key snapshots per device model, persisted in IndexedDB.
+ *
+ * Scope in this file:
+ * - Save/list/rename/delete named snapshots ("tournament", "travel", ...) keyed by model.
+ * - Diff a saved snapshot against live std values.
+ *
+ * Out of scope in this file:
+ * - No DOM/UI rendering (profile page lives in app.js).
+ * - No device writes. Applying a profile goes through enqueueDevicePatch in app.js
+ *   so intent tracking and the write mutex still apply.
+ * - Snapshot shape is the DeviceConfigIO export document (refactor.core.js).
+ */
+
+// ============================================================
+// 1) IndexedDB plumbing
+// ============================================================
+(() => {
+  "use strict";
+
+  const DB_NAME = "clicksync";
+  const DB_VERSION = 1;
+  const STORE = "profiles";
+  const MODEL_INDEX = "modelKey";
+
+  let __dbPromise = null;
+
+  function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error("IndexedDB request failed"));
+    });
+  }
+
+  function openDb() {
+    if (__dbPromise) return __dbPromise;
+    if (typeof indexedDB === "undefined" || !indexedDB) {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+    __dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: "id" });
+          store.createIndex(MODEL_INDEX, "modelKey", { unique: false });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error("IndexedDB open failed"));
+      req.onblocked = () => reject(new Error("IndexedDB open blocked by another tab"));
+    }).catch((err) => {
+      __dbPromise = null;
+      throw err;
+    });
+    return __dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+      tx.onerror = () => reject(tx.error || new Error("IndexedDB transaction failed"));
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+  }
+
+  // ============================================================
+  // 2) Profile records
+  // ============================================================
+  /**
+   * Build the library key for one device model.
+   * Purpose: profiles stay scoped to the mouse they were captured on.
+   *
+   * @param {string} deviceId - Runtime device id (adapter.id).
+   * @param {string} model - Model/display name reported by the device.
+   * @returns {string} Model key.
+   */
+  function buildModelKey(deviceId, model) {
+    const id = String(deviceId || "").trim().toLowerCase();
+    const name = String(model || "").trim().toLowerCase().replace(/\s+/g, " ");
+    return `${id}:${name}`;
+  }
+
+  function newProfileId() {
+    return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function normalizeName(name) {
+    const next = String(name || "").trim().slice(0, 64);
+    if (!next) throw new Error("Profile name is required");
+    return next;
+  }
+
+  async function listProfiles(modelKey) {
+    const rows = await withStore("readonly", (store) => (
+      requestToPromise(store.index(MODEL_INDEX).getAll(String(modelKey || "")))
+    ));
+    return (rows || []).sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0));
+  }
+
+  async function getProfile(id) {
+    return withStore("readonly", (store) => requestToPromise(store.get(String(id || "")))).then((row) => row || null);
+  }
+
+  /**
+   * Save a snapshot as a named profile.
+   *
+   * @param {Object} args
+   * @param {string} args.modelKey - buildModelKey() result.
+   * @param {string} args.name - Display name.
+   * @param {Object} args.snapshot - DeviceConfigIO export document.
+   * @returns {Promise<Object>} Stored record.
+   */
+  async function saveProfile({ modelKey, name, snapshot }) {
+    if (!snapshot || typeof snapshot !== "object") throw new Error("Profile snapshot is required");
+    const now = Date.now();
+    const record = {
+      id: newProfileId(),
+      modelKey: String(modelKey || ""),
+      name: normalizeName(name),
+      deviceId: snapshot?.device?.id || null,
+      model: snapshot?.device?.model || "",
+      createdAt: now,
+      updatedAt: now,
+      snapshot,
+    };
+    await withStore("readwrite", (store) => requestToPromise(store.put(record)));
+    return record;
+  }
+
+  async function renameProfile(id, name) {
+    const nextName = normalizeName(name);
+    return withStore("readwrite", async (store) => {
+      const row = await requestToPromise(store.get(String(id || "")));
+      if (!row) throw new Error("Profile not found");
+      row.name = nextName;
+      row.updatedAt = Date.now();
+      await requestToPromise(store.put(row));
+      return row;
+    });
+  }
+
+  async function deleteProfile(id) {
+    await withStore("readwrite", (store) => requestToPromise(store.delete(String(id || ""))));
+    return true;
+  }
+
+  // ============================================================
+  // 3) Diff
+  // ============================================================
+  function sameValue(a, b) {
+    if (Object.is(a, b)) return true;
+    if (a == null || b == null) return false;
+    try {
+      return JSON.stringify(a) === JSON.stringify(b);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Compare saved std values with live std values.
+   *
+   * @param {Object} savedValues - snapshot.values of a profile.
+   * @param {Object} liveValues - values of a fresh export of the live config.
+   * @returns {Array<{key: string, saved: any, live: any, status: "changed"|"only-saved"|"only-live"}>}
+   */
+  function diffValues(savedValues, liveValues) {
+    const saved = savedValues || {};
+    const live = liveValues || {};
+    const out = [];
+    const keys = Array.from(new Set([...Object.keys(saved), ...Object.keys(live)]));
+    for (const key of keys) {
+      const hasSaved = Object.prototype.hasOwnProperty.call(saved, key);
+      const hasLive = Object.prototype.hasOwnProperty.call(live, key);
+      if (hasSaved && hasLive) {
+        if (!sameValue(saved[key], live[key])) out.push({ key, saved: saved[key], live: live[key], status: "changed" });
+      } else if (hasSaved) {
+        out.push({ key, saved: saved[key], live: undefined, status: "only-saved" });
+      } else {
+        out.push({ key, saved: undefined, live: live[key], status: "only-live" });
+      }
+    }
+    return out;
+  }
+
+  // ============================================================
+  // 4) Public API
+  // ============================================================
+  window.ProfileLibrary = Object.freeze({
+    buildModelKey,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    renameProfile,
+    deleteProfile,
+    diffValues,
+  });
+})();
@@ -0,0 +1,352 @@
+/**
+ * Public scripting API (window.ClickSync) and its postMessage bridge.
+ *
+ * Scope in this file:
+ * - Build a small, versioned facade over the app write/read chain so bookmarklets and
+ *   console scripts can read and change std keys without touching app internals.
+ * - Bridge the same facade to other windows / browser extensions over postMessage,
+ *   gated by a per-origin consent prompt.
+ *
+ * Out of scope in this file:
+ * - No device I/O. Every call goes through the host hooks app.js registers
+ *   (enqueueDevicePatch, DeviceReader/DeviceStore, buildLiveConfigSnapshot), so intent
+ *   tracking, validation, safe-apply and the write mutex still apply.
+ * - No DOM/UI; the consent prompt is supplied by the host.
+ *
+ * Versioning:
+ * - API_VERSION is bumped only on breaking changes to method names, arguments or results.
+ *   Scripts should check ClickSync.version before use.
+ *
+ * Bridge messages (all carry channel "clicksync"):
+ * - request:  { channel, type: "request", id, method, params }
+ * - response: { channel, type: "response", id, ok, result } or { ..., ok: false, error: { code, message } }
+ * - change:   { channel, type: "change", subscription, key, value, source }
+ */
+
+// ============================================================
+// 1) Constants and helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const API_VERSION = 1;
+  const BRIDGE_CHANNEL = "clicksync";
+  const CONSENT_STORAGE_KEY = "clicksync.bridge.origins";
+  const ANY_KEY = "*";
+
+  // Methods reachable over postMessage. connect never opens the WebHID chooser from here:
+  // the chooser needs a user gesture on this page.
+  const BRIDGE_METHODS = Object.freeze([
+    "hello",
+    "isConnected",
+    "getDevice",
+    "connect",
+    "listKeys",
+    "describe",
+    "getStd",
+    "setStd",
+    "exportConfig",
+    "subscribe",
+    "unsubscribe",
+  ]);
+
+  const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+  function apiError(code, message, detail = null) {
+    const err = new Error(message);
+    err.name = "ClickSyncApiError";
+    err.code = code;
+    if (detail) err.detail = detail;
+    return err;
+  }
+
+  function cloneValue(v) {
+    if (v == null || typeof v !== "object") return v;
+    try {
+      return JSON.parse(JSON.stringify(v));
+    } catch (_) {
+      return v;
+    }
+  }
+
+  // ============================================================
+  // 2) Public API facade
+  // ============================================================
+  /**
+   * Create the public API object.
+   *
+   * @param {Object} host - Hooks registered by app.js.
+   * @param {Function} host.isConnected - () => boolean.
+   * @param {Function} host.getDevice - () => { id, name } | null.
+   * @param {Function} host.connect - ({ prompt }) => Promise.
+   * @param {Function} host.describe - () => JSON schema of the connected adapter (DeviceAdapters.describe).
+   * @param {Function} host.getStd - (key) => intent-aware std value.
+   * @param {Function} host.subscribe - (key, cb) => unsubscribe.
+   * @param {Function} host.validate - (patch) => DeviceWriter.validatePatch result.
+   * @param {Function} host.enqueue - (patch) => void; enqueueDevicePatch with source "api".
+   * @param {Function} host.exportConfig - () => DeviceConfigIO export document.
+   * @returns {Object} Frozen API object.
+   */
+  function createPublicApi(host) {
+    const h = host || {};
+
+    function requireConnected() {
+      if (!h.isConnected?.()) throw apiError("not-connected", "No device is connected");
+    }
+
+    function describe() {
+      if (!h.isConnected?.()) return null;
+      return cloneValue(h.describe?.() || null);
+    }
+
+    function listKeys() {
+      const properties = describe()?.properties || {};
+      return Object.keys(properties).filter((key) => properties[key]?.["x-available"] !== false);
+    }
+
+    function requireKey(key) {
+      const name = String(key || "").trim();
+      if (!name) throw apiError("unknown-key", "A std key is required");
+      if (!listKeys().includes(name)) throw apiError("unknown-key", `Unknown std key: ${name}`);
+      return name;
+    }
+
+    /**
+     * Connect a device.
+     * Purpose: reconnect an already permitted mouse; prompt=true opens the WebHID chooser
+     * and therefore has to run inside a user gesture.
+     * @param {Object} [opts]
+     * @param {boolean} [opts.prompt] - Open the device chooser.
+     * @returns {Promise<boolean>} Connected state after the attempt.
+     */
+    async function connect({ prompt = false } = {}) {
+      if (h.isConnected?.()) return true;
+      await h.connect?.({ prompt: !!prompt });
+      return !!h.isConnected?.();
+    }
+
+    function getStd(key) {
+      requireConnected();
+      return cloneValue(h.getStd?.(requireKey(key)));
+    }
+
+    /**
+     * Queue a std-key write.
+     * Accepts setStd("pollingHz", 1000) or setStd({ pollingHz: 1000, dpiSlotCount: 3 }).
+     * The whole patch is rejected when any key is unknown or fails schema validation.
+     * Resolves once queued; readback arrives through onChange.
+     *
+     * @returns {Promise<{queued: Object}>}
+     */
+    async function setStd(keyOrPatch, value) {
+      requireConnected();
+      const patch = typeof keyOrPatch === "string" ? { [keyOrPatch]: value } : keyOrPatch;
+      if (!isPlainObject(patch) || !Object.keys(patch).length) {
+        throw apiError("invalid-patch", "setStd expects a key/value pair or a std-key patch");
+      }
+      const next = {};
+      for (const [key, v] of Object.entries(patch)) {
+        if (v === undefined) continue;
+        next[requireKey(key)] = cloneValue(v);
+      }
+      const report = h.validate?.(next);
+      if (report && !report.ok) {
+        throw apiError("invalid-value", "Patch failed schema validation", report.errors || []);
+      }
+      h.enqueue?.(next);
+      return { queued: cloneValue(next) };
+    }
+
+    /**
+     * Subscribe to std-key changes ("*" for all keys).
+     * @param {string} key - Std key.
+     * @param {Function} cb - (value, { key, previous, source }) => void.
+     * @returns {Function} Unsubscribe.
+     */
+    function onChange(key, cb) {
+      if (typeof cb !== "function") throw apiError("invalid-callback", "onChange expects a callback");
+      const name = String(key || "").trim() || ANY_KEY;
+      return h.subscribe?.(name, cb) || (() => {});
+    }
+
+    function exportConfig() {
+      requireConnected();
+      return cloneValue(h.exportConfig?.() || null);
+    }
+
+    return Object.freeze({
+      version: API_VERSION,
+      isConnected: () => !!h.isConnected?.(),
+      getDevice: () => cloneValue(h.getDevice?.() || null),
+      connect,
+      listKeys,
+      describe,
+      getStd,
+      setStd,
+      onChange,
+      exportConfig,
+    });
+  }
+
+  // ============================================================
+  // 3) Consent store
+  // ============================================================
+  function readGrantedOrigins(storage) {
+    try {
+      const list = JSON.parse(storage?.getItem(CONSENT_STORAGE_KEY) || "[]");
+      return new Set(Array.isArray(list) ? list.map(String) : []);
+    } catch (_) {
+      return new Set();
+    }
+  }
+
+  function writeGrantedOrigins(storage, origins) {
+    try { storage?.setItem(CONSENT_STORAGE_KEY, JSON.stringify(Array.from(origins))); } catch (_) {}
+  }
+
+  // ============================================================
+  // 4) postMessage bridge
+  // ============================================================
+  /**
+   * Install the postMessage bridge for an API object.
+   *
+   * Consent is asked once per origin and remembered in localStorage; a refusal is
+   * remembered for the page session only. Opaque origins ("null") are always refused,
+   * because replies could not be addressed to them.
+   *
+   * @param {Object} api - createPublicApi() result.
+   * @param {Object} opts
+   * @param {Function} opts.requestConsent - (origin) => boolean | Promise<boolean>.
+   * @param {Window} [opts.target] - Window to listen on (default: window).
+   * @param {Storage} [opts.storage] - Consent persistence (default: localStorage).
+   * @returns {Object} Bridge controller ({ listOrigins, revoke, dispose }).
+   */
+  function installMessageBridge(api, { requestConsent, target = window, storage = window.localStorage } = {}) {
+    const granted = readGrantedOrigins(storage);
+    const denied = new Set();
+    const pendingConsent = new Map(); // origin -> Promise<boolean>
+    const subscriptions = new Map(); // subscription id -> { origin, off }
+    let subscriptionSeq = 0;
+
+    async function ensureConsent(origin) {
+      if (!origin || origin === "null") return false;
+      if (granted.has(origin)) return true;
+      if (denied.has(origin)) return false;
+      if (pendingConsent.has(origin)) return pendingConsent.get(origin);
+      const ask = Promise.resolve()
+        .then(() => (typeof requestConsent === "function" ? requestConsent(origin) : false))
+        .catch(() => false)
+        .then((ok) => {
+          pendingConsent.delete(origin);
+          if (ok) {
+            granted.add(origin);
+            writeGrantedOrigins(storage, granted);
+          } else {
+            denied.add(origin);
+          }
+          return !!ok;
+        });
+      pendingConsent.set(origin, ask);
+      return ask;
+    }
+
+    function post(source, origin, message) {
+      try {
+        source.postMessage({ channel: BRIDGE_CHANNEL, ...message }, origin);
+      } catch (_) {}
+    }
+
+    function dropSubscriptions(origin = null) {
+      for (const [id, sub] of Array.from(subscriptions.entries())) {
+        if (origin != null && sub.origin !== origin) continue;
+        try { sub.off(); } catch (_) {}
+        subscriptions.delete(id);
+      }
+    }
+
+    async function dispatch(method, params, { source, origin }) {
+      const p = isPlainObject(params) ? params : {};
+      switch (method) {
+        case "hello": return { version: API_VERSION, methods: BRIDGE_METHODS.slice() };
+        case "isConnected": return api.isConnected();
+        case "getDevice": return api.getDevice();
+        case "connect": return api.connect({ prompt: false });
+        case "listKeys": return api.listKeys();
+        case "describe": return api.describe();
+        case "getStd": return api.getStd(p.key);
+        case "setStd": return api.setStd(p.patch ?? p.key, p.value);
+        case "exportConfig": return api.exportConfig();
+        case "subscribe": {
+          const id = `s${++subscriptionSeq}`;
+          const off = api.onChange(p.key || ANY_KEY, (value, meta) => {
+            if (!granted.has(origin)) return;
+            post(source, origin, { type: "change", subscription: id, key: meta?.key, value, source: meta?.source });
+          });
+          subscriptions.set(id, { origin, off });
+          return { subscription: id };
+        }
+        case "unsubscribe": {
+          const sub = subscriptions.get(String(p.subscription || ""));
+          if (!sub || sub.origin !== origin) return false;
+          sub.off();
+          subscriptions.delete(String(p.subscription));
+          return true;
+        }
+        default:
+          throw apiError("unknown-method", `Unknown method: ${method}`);
+      }
+    }
+
+    async function onMessage(event) {
+      const msg = event?.data;
+      if (!isPlainObject(msg) || msg.channel !== BRIDGE_CHANNEL || msg.type !== "request") return;
+      const { source, origin } = event;
+      if (!source || typeof source.postMessage !== "function") return;
+      const id = msg.id ?? null;
+      const method = String(msg.method || "");
+      try {
+        if (!BRIDGE_METHODS.includes(method)) throw apiError("unknown-method", `Unknown method: ${method}`);
+        if (!(await ensureConsent(origin))) throw apiError("consent-denied", `Access denied for ${origin}`);
+        const result = await dispatch(method, msg.params, { source, origin });
+        post(source, origin, { type: "response", id, ok: true, result: cloneValue(result) });
+      } catch (err) {
+        if (!origin || origin === "null") return;
+        post(source, origin, {
+          type: "response",
+          id,
+          ok: false,
+          error: { code: err?.code || "error", message: String(err?.message || err), detail: cloneValue(err?.detail || null) },
+        });
+      }
+    }
+
+    target.addEventListener("message", onMessage);
+
+    return {
+      listOrigins: () => Array.from(granted),
+      revoke(origin) {
+        const key = String(origin || "");
+        dropSubscriptions(key);
+        denied.delete(key);
+        if (!granted.delete(key)) return false;
+        writeGrantedOrigins(storage, granted);
+        return true;
+      },
+      dispose() {
+        target.removeEventListener("message", onMessage);
+        dropSubscriptions();
+      },
+    };
+  }
+
+  // ============================================================
+  // 5) Public API
+  // ============================================================
+  window.ClickSyncApi = Object.freeze({
+    API_VERSION,
+    BRIDGE_CHANNEL,
+    BRIDGE_METHODS,
+    createPublicApi,
+    installMessageBridge,
+  });
+})();
@@ -0,0 +1,181 @@
+/**
+ * Tab lock: one browser tab owns a HID device at a time (a tab may own several devices).
+ *
+ * Scope in this file:
+ * - Exclusive per-device ownership through the Web Locks API (released by the browser
+ *   when the owning tab closes or crashes).
+ * - BroadcastChannel messages between tabs: ownership changes, explicit hand-over
+ *   requests and read-only state snapshots published by the owner.
+ *
+ * Out of scope in this file:
+ * - No HID I/O and no DOM. app.js decides when to acquire/release (connect/disconnect),
+ *   what a hand-over does and how read-only state is rendered.
+ *
+ * Messages (all carry `from` = sender tab id):
+ * - { type: "acquired" | "released", key }
+ * - { type: "handover-request", key }
+ * - { type: "state-request", key }
+ * - { type: "state", key, ...payload }
+ */
+
+// ============================================================
+// 1) Constants and helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const CHANNEL_NAME = "clicksync.tabs";
+  const LOCK_PREFIX = "clicksync.device:";
+
+  function newTabId() {
+    return `t_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // ============================================================
+  // 2) Lock
+  // ============================================================
+  /**
+   * Create the tab lock of this page.
+   *
+   * Without Web Locks every acquire succeeds (no coordination, same as before);
+   * without BroadcastChannel ownership still works but hand-over and state sharing do not.
+   *
+   * @param {Object} [opts]
+   * @param {string} [opts.channelName] - BroadcastChannel name.
+   * @returns {Object} Lock instance.
+   */
+  function createTabLock({ channelName = CHANNEL_NAME } = {}) {
+    const tabId = newTabId();
+    const locks = (typeof navigator !== "undefined" && navigator.locks?.request) ? navigator.locks : null;
+    const handlers = new Map(); // type -> Set<fn>
+    const owned = new Map(); // key -> release()
+    let channel = null;
+
+    try {
+      if (typeof BroadcastChannel === "function") channel = new BroadcastChannel(channelName);
+    } catch (_) {
+      channel = null;
+    }
+
+    function post(message) {
+      try { channel?.postMessage({ ...message, from: tabId }); } catch (_) {}
+    }
+
+    function emit(message) {
+      const bucket = handlers.get(message.type);
+      if (!bucket) return;
+      for (const fn of Array.from(bucket)) {
+        try { fn(message); } catch (err) { console.error(err); }
+      }
+    }
+
+    if (channel) {
+      channel.onmessage = (event) => {
+        const message = event?.data;
+        if (!message || typeof message !== "object" || message.from === tabId) return;
+        emit(message);
+      };
+    }
+
+    /**
+     * Acquire the lock of one device.
+     * Purpose: gate the protocol handshake so two tabs never interleave commands on one device.
+     *
+     * @param {string} key - Device key (DeviceRuntime.buildHidDeviceKey).
+     * @param {Object} [opts]
+     * @param {number} [opts.waitMs] - 0 = fail at once when owned elsewhere; >0 = wait for a hand-over.
+     * @returns {Promise<boolean>} Whether this tab owns the device now.
+     */
+    async function acquire(key, { waitMs = 0 } = {}) {
+      const name = String(key || "");
+      if (!name) return true;
+      if (owned.has(name)) return true;
+      if (!locks) {
+        owned.set(name, () => {});
+        return true;
+      }
+
+      let releaseHeld = null;
+      const held = new Promise((resolve) => { releaseHeld = resolve; });
+      const wait = Math.max(0, Number(waitMs) || 0);
+      const ctrl = wait > 0 && typeof AbortController === "function" ? new AbortController() : null;
+      let timer = null;
+      const granted = await new Promise((resolve) => {
+        const opts = ctrl ? { signal: ctrl.signal } : { ifAvailable: true };
+        if (ctrl) timer = setTimeout(() => ctrl.abort(), wait);
+        locks.request(`${LOCK_PREFIX}${name}`, opts, (lock) => {
+          if (!lock) {
+            resolve(false);
+            return null;
+          }
+          resolve(true);
+          return held;
+        }).catch(() => resolve(false));
+      });
+      if (timer) clearTimeout(timer);
+      if (!granted) {
+        releaseHeld();
+        return false;
+      }
+      owned.set(name, releaseHeld);
+      post({ type: "acquired", key: name });
+      return true;
+    }
+
+    /**
+     * Release one device lock, or every lock of this tab when key is omitted.
+     * @param {string} [key] - Device key.
+     */
+    function release(key = null) {
+      const keys = key == null ? Array.from(owned.keys()) : [String(key)];
+      for (const name of keys) {
+        const done = owned.get(name);
+        if (!done) continue;
+        owned.delete(name);
+        try { done(); } catch (_) {}
+        post({ type: "released", key: name });
+      }
+    }
+
+    /**
+     * Listen for one message type from other tabs.
+     * @param {string} type - Message type.
+     * @param {Function} fn - (message) => void.
+     * @returns {Function} Unsubscribe.
+     */
+    function on(type, fn) {
+      if (typeof fn !== "function") return () => {};
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(fn);
+      return () => handlers.get(type)?.delete(fn);
+    }
+
+    // The browser drops the Web Lock with the page; tell the other tabs right away.
+    try { window.addEventListener("pagehide", () => release()); } catch (_) {}
+
+    return {
+      tabId,
+      supported: !!locks,
+      get ownedKeys() { return Array.from(owned.keys()); },
+      isOwner: (key) => owned.has(String(key || "")),
+      acquire,
+      release,
+      on,
+      requestHandover: (key) => post({ type: "handover-request", key: String(key || "") }),
+      requestState: (key) => post({ type: "state-request", key: String(key || "") }),
+      publishState(key, payload) {
+        const name = String(key || "");
+        if (!owned.has(name)) return;
+        post({ ...(payload || {}), type: "state", key: name });
+      },
+    };
+  }
+
+  // ============================================================
+  // 3) Public API
+  // ============================================================
+  window.TabLock = Object.freeze({
+    CHANNEL_NAME,
+    createTabLock,
+  });
+})();
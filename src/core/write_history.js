@@ -0,0 +1,259 @@
+/**
+ * Write history: bounded undo/redo timeline of std-key patches written to the device.
+ *
+ * Scope in this file:
+ * - Record each written std-key patch together with the values it replaced.
+ * - Plan the std-key patch that undo / redo / "roll back to this point" has to write,
+ *   and move the cursor once the caller reports that patch as written.
+ *
+ * Out of scope in this file:
+ * - No device writes. The caller applies returned patches through enqueueDevicePatch
+ *   in app.js so intent tracking, debounce and the write mutex still apply.
+ * - No DOM/UI rendering (timeline panel lives in app.js).
+ * - No persistence; history belongs to one device session (exportState/importState
+ *   only move it between app.js session slots).
+ */
+
+// ============================================================
+// 1) Patch helpers
+// ============================================================
+(() => {
+  "use strict";
+
+  const DEFAULT_LIMIT = 50;
+  // Std keys whose value is a per-button sub-patch rather than a whole value.
+  const PER_BUTTON_KEYS = Object.freeze(["buttonMappingPatch"]);
+
+  const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const hasOwn = (obj, key) => !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+
+  function cloneValue(v) {
+    if (v == null || typeof v !== "object") return v;
+    try {
+      return JSON.parse(JSON.stringify(v));
+    } catch (_) {
+      return v;
+    }
+  }
+
+  /**
+   * Merge `next` into `target` (in place); per-button keys merge by button.
+   */
+  function mergePatchInto(target, next) {
+    for (const [key, value] of Object.entries(next || {})) {
+      if (value === undefined) continue;
+      if (PER_BUTTON_KEYS.includes(key) && isPlainObject(value)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        Object.assign(target[key], cloneValue(value));
+        continue;
+      }
+      target[key] = cloneValue(value);
+    }
+    return target;
+  }
+
+  // ============================================================
+  // 2) Timeline
+  // ============================================================
+  /**
+   * Create one write-history timeline.
+   *
+   * entries[0..cursor-1] are applied to the device, entries[cursor..] are redoable.
+   *
+   * @param {Object} [opts]
+   * @param {number} [opts.limit] - Max kept entries; oldest are dropped first.
+   * @returns {Object} History instance.
+   */
+  function createWriteHistory({ limit = DEFAULT_LIMIT } = {}) {
+    const max = Math.max(1, Math.round(Number(limit) || DEFAULT_LIMIT));
+    let entries = [];
+    let cursor = 0;
+    let seq = 0;
+    const listeners = new Set();
+
+    function notify() {
+      for (const fn of Array.from(listeners)) {
+        try { fn(); } catch (_) {}
+      }
+    }
+
+    /**
+     * Last value the timeline itself wrote for a key (or one button of a per-button key).
+     * Purpose: readback can lag behind consecutive writes, the timeline cannot.
+     */
+    function lastAppliedValue(key, btn = null) {
+      for (let i = cursor - 1; i >= 0; i--) {
+        const patch = entries[i].patch;
+        if (!hasOwn(patch, key)) continue;
+        if (btn == null) return { found: true, value: patch[key] };
+        if (hasOwn(patch[key], btn)) return { found: true, value: patch[key][btn] };
+      }
+      return { found: false, value: undefined };
+    }
+
+    /**
+     * Resolve the values a patch is about to replace.
+     *
+     * @param {Object} patch - Std-key patch about to be written.
+     * @param {Object} liveValues - Std values of the live config (DeviceConfigIO export values).
+     * @returns {Object} Std-key patch restoring the replaced values (keys without a known value are omitted).
+     */
+    function resolvePrevious(patch, liveValues) {
+      const live = liveValues || {};
+      const previous = {};
+      for (const [key, value] of Object.entries(patch || {})) {
+        if (PER_BUTTON_KEYS.includes(key) && isPlainObject(value)) {
+          const sub = {};
+          for (const btn of Object.keys(value)) {
+            const hit = lastAppliedValue(key, btn);
+            const prev = hit.found ? hit.value : live?.[key]?.[btn];
+            if (prev !== undefined && prev !== null) sub[btn] = cloneValue(prev);
+          }
+          if (Object.keys(sub).length) previous[key] = sub;
+          continue;
+        }
+        const hit = lastAppliedValue(key);
+        const prev = hit.found ? hit.value : live[key];
+        if (prev !== undefined && prev !== null) previous[key] = cloneValue(prev);
+      }
+      return previous;
+    }
+
+    /**
+     * Append a written patch. Drops any redoable entries.
+     *
+     * @param {Object} args
+     * @param {Object} args.patch - Std-key patch that was written.
+     * @param {Object} args.previous - resolvePrevious() result captured before the write.
+     * @param {string} [args.source] - Free-form origin label ("ui", "import", "profile", ...).
+     * @returns {Object|null} Stored entry.
+     */
+    function record({ patch, previous, source = "ui" }) {
+      if (!isPlainObject(patch) || !Object.keys(patch).length) return null;
+      entries = entries.slice(0, cursor);
+      const entry = {
+        id: ++seq,
+        at: Date.now(),
+        source: String(source || "ui"),
+        patch: cloneValue(patch),
+        previous: cloneValue(previous || {}),
+      };
+      entries.push(entry);
+      if (entries.length > max) entries = entries.slice(entries.length - max);
+      cursor = entries.length;
+      notify();
+      return entry;
+    }
+
+    function clampPosition(position) {
+      return Math.max(0, Math.min(entries.length, Math.round(Number(position))));
+    }
+
+    /**
+     * Compute the patch that moves the device from `from` (default: the cursor) to `position`
+     * without moving the cursor.
+     *
+     * @param {number} position - Target cursor (0 = before the oldest kept entry).
+     * @param {Object} [opts]
+     * @param {number} [opts.from] - Start position, e.g. the target of a move still being written.
+     * @returns {Object|null} Std-key patch, or null when nothing has to be written.
+     */
+    function planMoveTo(position, { from = cursor } = {}) {
+      const target = clampPosition(position);
+      const start = clampPosition(from);
+      if (!Number.isFinite(target) || !Number.isFinite(start) || target === start) return null;
+      const patch = {};
+      if (target < start) {
+        // Walk backwards so the oldest replaced value wins.
+        for (let i = start - 1; i >= target; i--) mergePatchInto(patch, entries[i].previous);
+      } else {
+        for (let i = start; i < target; i++) mergePatchInto(patch, entries[i].patch);
+      }
+      return Object.keys(patch).length ? patch : null;
+    }
+
+    /**
+     * Move the cursor after the planned patch reached the device.
+     * @param {number} position - Target cursor.
+     * @param {Object} [opts]
+     * @param {number} [opts.from] - Position the patch was planned from; the move is dropped when the
+     *   cursor is somewhere else by now (an earlier move failed, or a new write cut the timeline).
+     * @returns {boolean} Whether the cursor moved.
+     */
+    function commitMove(position, { from = cursor } = {}) {
+      const target = clampPosition(position);
+      if (!Number.isFinite(target) || target === cursor || clampPosition(from) !== cursor) return false;
+      cursor = target;
+      notify();
+      return true;
+    }
+
+    /**
+     * Move the cursor and return the patch to write (no write feedback; see planMoveTo/commitMove).
+     * @param {number} position - Target cursor.
+     * @returns {Object|null} Std-key patch.
+     */
+    function moveTo(position) {
+      const patch = planMoveTo(position);
+      if (!patch) return null;
+      commitMove(position);
+      return patch;
+    }
+
+    function clear() {
+      entries = [];
+      cursor = 0;
+      notify();
+    }
+
+    /**
+     * Copy the timeline out / back in.
+     * Purpose: app.js parks the history of a background device session and restores it on switch.
+     */
+    function exportState() {
+      return { entries: cloneValue(entries), cursor, seq };
+    }
+
+    function importState(state) {
+      const list = Array.isArray(state?.entries) ? cloneValue(state.entries) : [];
+      entries = list.slice(Math.max(0, list.length - max));
+      cursor = Math.max(0, Math.min(entries.length, Math.round(Number(state?.cursor) || 0)));
+      seq = Math.max(seq, Number(state?.seq) || 0);
+      notify();
+    }
+
+    function subscribe(fn) {
+      if (typeof fn !== "function") return () => {};
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+
+    return {
+      get cursor() { return cursor; },
+      get size() { return entries.length; },
+      canUndo: () => cursor > 0,
+      canRedo: () => cursor < entries.length,
+      list: () => entries.map((entry, index) => ({ ...entry, index, applied: index < cursor })),
+      resolvePrevious,
+      record,
+      planMoveTo,
+      commitMove,
+      moveTo,
+      undo: () => moveTo(cursor - 1),
+      redo: () => moveTo(cursor + 1),
+      clear,
+      exportState,
+      importState,
+      subscribe,
+    };
+  }
+
+  // ============================================================
+  // 3) Public API
+  // ============================================================
+  window.WriteHistory = Object.freeze({
+    DEFAULT_LIMIT,
+    mergePatchInto,
+    createWriteHistory,
+  });
+})();
@@ -44,6 +44,8 @@
   const clampInt = (n, min, max) => Math.min(max, Math.max(min, Math.trunc(Number(n))));
   const toU8 = (n) => clampInt(n, 0, 0xff);
   const ATK_VENDOR_IDS = new Set([0x373b, 0x3710]);
+  // ATK 所有指令都走 Output ReportID 0x08
+  const ATK_REPORT_ID = 0x08;
   
   // byte[] -> hex
   function bytesToHex(bytes) {
@@ -140,7 +142,7 @@
       if (raw.length !== 16) {
         throw new ProtocolError(`ATK 协议帧长度必须为 16 (当前 ${raw.length})`, "BAD_FRAME");
       }
-      await this.device.sendReport(0x08, raw);
+      await this.device.sendReport(ATK_REPORT_ID, raw);
     }
 
     /**
@@ -1719,8 +1721,8 @@ try {
       this._emitConfig();
     }
 
-async setBatchFeatures(payload) {
-  if (!this.device?.opened) await this.open();
+async setBatchFeatures(payload, { dryRun = false } = {}) {
+  if (!dryRun && !this.device?.opened) await this.open();
 
   const cap = this._profile?.capabilities ?? {};
   const maxSlots = clampInt(cap.dpiSlotMax ?? 6, 1, cap.dpiSlotMax ?? 6);
@@ -1790,6 +1792,9 @@ async setBatchFeatures(payload) {
 
   // 计算下一状态
   const { patch, nextState, commands } = this._planner.plan(this._cfg, externalPayload);
+  // dry-run：只返回计划好的命令序列，不下发、不提交 nextState
+  // 计划命令只有 hex；补上 ReportID 供 dry-run 展示
+  if (dryRun) return { patch, commands: commands.map((cmd) => ({ rid: ATK_REPORT_ID, ...cmd })), dryRun: true };
 
   // 2) 原子化写入：发送指令
   try {
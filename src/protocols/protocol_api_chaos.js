@@ -1867,14 +1867,16 @@ class MouseMouseHidApi {
     await this.setBatchFeatures(payload);
   }
 
-  async setBatchFeatures(obj) {
+  async setBatchFeatures(obj, { dryRun = false } = {}) {
     const externalPayload = isObject(obj) ? obj : {};
 
     return this._opQueue.enqueue(async () => {
       if (!this.device) throw new ProtocolError("setBatchFeatures() ?????? hidApi.device", "NO_DEVICE");
-      if (!this.device.opened) await this.open();
+      if (!dryRun && !this.device.opened) await this.open();
 
       const { patch, nextState, commands } = this._planner.plan(this._cfg, externalPayload);
+      // Dry-run: return the planned command list without sending or committing nextState.
+      if (dryRun) return { patch, commands, dryRun: true };
       try {
         await this._driver.runSequence(commands);
       } catch (err) {
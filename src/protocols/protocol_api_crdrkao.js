@@ -2602,11 +2602,13 @@
       });
     }
 
-    async setBatchFeatures(obj) {
+    async setBatchFeatures(obj, { dryRun = false } = {}) {
       const payload = isObject(obj) ? obj : {};
       return this._opQueue.enqueue(async () => {
-        await this._ensureOpen();
+        if (!dryRun) await this._ensureOpen();
         const { patch, nextState, commands } = this._planner.plan(this._cfg, payload);
+        // Dry-run: return the planned command list without sending or committing nextState.
+        if (dryRun) return { patch, commands, dryRun: true };
 
         if (commands.length) {
           try {
@@ -27,6 +27,7 @@
  * - Responsibility: binary packet encoding for HID++ protocol.
  * - Core: `buildProfileStream`. It converts a JavaScript state object into
  *   a 256-byte onboard-memory image and computes CRC16-CCITT checksum.
+ *   `buildImageStream` writes an existing image back unchanged (slot duplicate/swap/import).
  *
  * - TRANSFORMERS (conversion layer):
  * - Responsibility: semantic value <-> protocol value conversion
@@ -485,12 +486,16 @@
   // ============================================================
   const FEAT_UUID = Object.freeze({
     ROOT: 0x0000,
+    // 0x0003 Device Information: unitId / 序列号 (板载备份按序列号存储)
+    DEVICE_FW_VERSION: 0x0003,
     DEVICE_INFO: 0x0005,
     BATTERY: 0x1004,
     DPI: 0x2202,
     SETTINGS: 0x8090,
     REPORT_RATE: 0x8061,
     PROFILE: 0x8100,
+    COLOR_LED: 0x8070,
+    RGB_EFFECTS: 0x8071,
   });
 
   const DEFAULT_FEAT_MAP = Object.freeze({
@@ -502,6 +507,66 @@
     REPORT_RATE: 0x0c,
     PROFILE: 0x0d,
   });
+  // 灯光 Feature 没有固定回退索引：未发现 (index=0) 即视为设备无 LIGHTSYNC 灯区。
+
+  // ============================================================
+  // 1.6) LED effects (HID++ 0x8070 COLOR_LED_EFFECTS / 0x8071 RGB_EFFECTS)
+  // ============================================================
+  // 两个 Feature 的参数区相同 (10 bytes)，板载配置中的灯效块为 [effectId低字节] + 同样的 10 bytes。
+  // - 常亮 (fixed):   [R, G, B, 0x00, ...]
+  // - 呼吸 (breathe): [R, G, B, periodH, periodL, waveform, intensity, ...]
+  // - 循环 (cycle):   [0, 0, 0, 0, 0, periodH, periodL, intensity, ...]
+  // intensity: 1~100 (0 = 固件默认 100)
+  const LED_EFFECT_ID = Object.freeze({
+    OFF: 0x0000,
+    FIXED: 0x0001,
+    CYCLE: 0x0003,
+    BREATHING: 0x000a,
+  });
+
+  // std 效果名 <-> HID++ effect id (cycle 对应 UI 的 "spectrum")
+  const LED_EFFECT_ID_BY_NAME = Object.freeze({
+    off: LED_EFFECT_ID.OFF,
+    static: LED_EFFECT_ID.FIXED,
+    breathing: LED_EFFECT_ID.BREATHING,
+    spectrum: LED_EFFECT_ID.CYCLE,
+  });
+
+  const LED_EFFECT_NAME_ALIASES = Object.freeze({
+    fixed: "static",
+    solid: "static",
+    breathe: "breathing",
+    cycle: "spectrum",
+    "color-cycle": "spectrum",
+    disabled: "off",
+  });
+
+  // Zone location (getZoneInfo) -> std 灯区名
+  const LED_ZONE_BY_LOCATION = Object.freeze({
+    0x0001: "primary",
+    0x0002: "logo",
+  });
+
+  const LED_ZONE_KEYS = Object.freeze({
+    primary: Object.freeze({ effectKey: "primaryLedEffect", colorKey: "primaryLedColor", brightnessKey: "primaryLedBrightness" }),
+    logo: Object.freeze({ effectKey: "logoLedEffect", colorKey: "logoLedColor", brightnessKey: "logoLedBrightness" }),
+  });
+
+  const LED_STD_KEYS = Object.freeze(
+    Object.values(LED_ZONE_KEYS).flatMap((k) => [k.effectKey, k.colorKey, k.brightnessKey])
+  );
+
+  // Function ID (高 4 位) + SW ID 0x0F。
+  // countAt: getInfo 应答中灯区数量的位置; offset: zone/effect 信息应答相对 0x8070 的额外偏移。
+  // 0x8071 没有按灯区读回当前灯效的函数 (getEffect=null)，软件模式下只回报本会话写入过的值。
+  const LED_FEATURE_FUNCS = Object.freeze({
+    COLOR_LED: Object.freeze({ info: 0x0f, zoneInfo: 0x1f, effectInfo: 0x2f, setEffect: 0x3f, getEffect: 0x4f, countAt: 0, offset: 0 }),
+    RGB_EFFECTS: Object.freeze({ info: 0x0f, zoneInfo: 0x0f, effectInfo: 0x0f, setEffect: 0x1f, getEffect: null, countAt: 2, offset: 1 }),
+  });
+
+  const LED_CYCLE_PERIOD_MS = 8000;
+  const LED_BREATHING_PERIOD_MS = 4000;
+  const DEFAULT_LED_STATE = Object.freeze({ effect: "spectrum", color: "#00FF00", brightness: 100 });
 
   // ============================================================
   // 2) Codec: build Logitech payloads (without report ID)
@@ -534,8 +599,50 @@
 
     SET_ONBOARD_MODE: 0x1e, 
     GET_ONBOARD_MODE: 0x2e,
+
+    // 软件 (host) 模式直写: 0x2202 setSensorDpiParameters / 0x8061 get/setReportRate
+    SET_SENSOR_DPI: 0x6f,
+    GET_REPORT_RATE: 0x2f,
+    SET_REPORT_RATE: 0x3f,
   });
 
+  // 软件 (host) 模式: 板载内存关闭时只有 DPI / 回报率 / 性能设置 / 灯效可即时下发；
+  // 以下字段只存在于板载 Profile，软件模式下拒绝写入 (不改写 GHUB 留下的板载配置)。
+  // 回报率只有当前连接方式的那一项可即时下发，另一项同样只存在于板载 Profile (见 hostPollingKey)。
+  const ONBOARD_ONLY_KEYS = Object.freeze([
+    "defaultDpiSlotIndex",
+    "bhopMs",
+    "superstrikeSwitches",
+    "buttonMappings",
+  ]);
+  // 软件模式下在主机侧维护的字段 (刷新时覆盖板载 Profile 读回值)
+  const HOST_STATE_KEYS = Object.freeze([
+    "dpiSlots",
+    "dpiSlotsX",
+    "dpiSlotsY",
+    "dpiLods",
+    "dpiSlotCount",
+    "activeDpiSlotIndex",
+  ]);
+  const POLLING_KEYS = Object.freeze(["pollingHz", "pollingWirelessHz"]);
+  // Lightspeed 接收器 PID；其他 PID 视为有线直连
+  const RECEIVER_PRODUCT_IDS = Object.freeze([0xc54d]);
+
+  // 当前连接方式下即时生效的回报率字段: 有线 pollingHz，接收器 pollingWirelessHz
+  function hostPollingKey(context) {
+    return context?.wired ? "pollingHz" : "pollingWirelessHz";
+  }
+
+  // 板载配置: 5 个槽位，每个槽位一份 256 bytes 镜像 (16 chunks x 16 bytes)。
+  const PROFILE_SLOT_COUNT = 5;
+  const PROFILE_IMAGE_SIZE = 256;
+  // 槽位导出文件 (JSON) 格式标识与版本
+  const PROFILE_SLOT_FILE_FORMAT = "clicksync.logitech.profile-slot";
+  const PROFILE_SLOT_FILE_VERSION = 1;
+  // 板载备份 (全部槽位快照) 格式标识与版本
+  const PROFILE_BACKUP_FORMAT = "clicksync.logitech.onboard-backup";
+  const PROFILE_BACKUP_FORMAT_VERSION = 1;
+
   const PROFILE_STREAM_HEADER = Object.freeze([
     0x00, 0x01, 0x00, 0x00,
     0x00, 0xff, 0x00, 0x00,
@@ -590,6 +697,9 @@
     bhop: { chunk: 2, offset: 0x05 },
     buttons: DEFAULT_BUTTON_LAYOUT,
     buttonsMirror: DEFAULT_BUTTON_MIRROR_LAYOUT,
+    // 灯效块: 每个灯区 11 bytes ([effectId, params x10])，按 zone index 排列 (0xD0 / 0xDB)。
+    // 0xE6 / 0xF1 为省电模式灯效块，保持模板值。
+    lighting: { base: 0xd0, stride: 11, zones: 2 },
   });
 
   function cloneChunks(template) {
@@ -623,6 +733,65 @@
     return crc & 0xffff;
   }
 
+  // 校验一份板载配置镜像 (槽位复制/交换/导入前调用)，返回镜像副本。
+  // - 长度必须为 256 bytes；CRC 覆盖 0..252，存放在 [253]=高字节 / [254]=低字节。
+  // - 布局按当前型号检查: 回报率码、默认 DPI 档位索引、DPI 数值与标志位。
+  function assertProfileImage(image, profile = null) {
+    const bytes = (ArrayBuffer.isView(image) || Array.isArray(image)) ? Uint8Array.from(image) : null;
+    if (!bytes || bytes.length !== PROFILE_IMAGE_SIZE) {
+      throw new ProtocolError(
+        `Profile image must be ${PROFILE_IMAGE_SIZE} bytes`,
+        "BAD_IMAGE_LAYOUT",
+        { length: bytes ? bytes.length : 0 }
+      );
+    }
+    const crc = crc16CcittFalse(bytes.subarray(0, 253));
+    const storedCrc = (bytes[253] << 8) | bytes[254];
+    if (crc !== storedCrc) {
+      throw new ProtocolError("Profile image CRC mismatch", "BAD_IMAGE_CRC", { expected: crc, stored: storedCrc });
+    }
+
+    const prof = profile || DEFAULT_PROFILE;
+    const cap = prof.capabilities || {};
+    const layout = Object.assign({}, DEFAULT_STREAM_LAYOUT, prof.streamLayout || {});
+    const byteAt = (loc) => bytes[loc.chunk * 16 + loc.offset];
+    const fields = [];
+
+    // 回报率码必须对应当前型号支持的档位
+    const checkPolling = (loc, rates, field) => {
+      const code = byteAt(loc);
+      const hz = code <= 0x06 ? TRANSFORMERS.pollingHzFromCode(code) : null;
+      if (hz == null || (Array.isArray(rates) && rates.length && !rates.includes(hz))) fields.push(field);
+    };
+    checkPolling(layout.pollingWireless, cap.pollingRatesWireless, "pollingWirelessHz");
+    checkPolling(layout.pollingWired, cap.pollingRatesWired, "pollingHz");
+
+    const dpiSlotMax = clampInt(cap.dpiSlotMax ?? 5, 1, 10);
+    if (byteAt(layout.defaultDpiSlotIndex) >= dpiSlotMax) fields.push("defaultDpiSlotIndex");
+
+    // DPI 档位: [X lo, X hi, Y lo, Y hi, flags]，flags 只使用低 2 位 (启用/LOD)
+    const dpiCfg = layout.dpi;
+    const dpiMax = Number(cap.dpiMax ?? 44000);
+    const dpiBase = dpiCfg.chunk * 16 + dpiCfg.offset;
+    for (let i = 0; i < Math.min(dpiCfg.slots, dpiSlotMax); i++) {
+      const base = dpiBase + i * dpiCfg.stride;
+      const x = bytes[base] | (bytes[base + 1] << 8);
+      const y = bytes[base + 2] | (bytes[base + 3] << 8);
+      if (x > dpiMax || y > dpiMax || bytes[base + 4] > 0x03) {
+        fields.push(`dpiSlots[${i}]`);
+      }
+    }
+
+    if (fields.length) {
+      throw new ProtocolError(
+        `Profile image layout does not match ${prof.id || "this model"}: ${fields.join(", ")}`,
+        "BAD_IMAGE_LAYOUT",
+        { profileId: prof.id || "", fields }
+      );
+    }
+    return bytes;
+  }
+
   const ProtocolCodec = Object.freeze({
     encode({ reportId, iface, feat, cmd, dataBytes = [], lenOverride = null, payloadBytes = null }) {
       const rid = Number(
@@ -665,7 +834,8 @@
     // Captured packet format analysis (Header 0x6F):
     // OUT: 11 01 0D 6F 00 [ProfileId] 00 00 00 FF 00 00 00 00 00 00 00 00 00 00
     // ProfileId: 0x01=profile1, 0x02=profile2, ...
-    buildProfileStream(state, profile, targetProfileSlotIndex = null, featMap = {}) {
+    // ledZones: [{ zone, index }]，只写入设备实际存在的灯区。
+    buildProfileStream(state, profile, targetProfileSlotIndex = null, featMap = {}, ledZones = null) {
       const featProfile = toU8(
         Number.isFinite(Number(featMap?.PROFILE))
           ? Number(featMap.PROFILE)
@@ -869,6 +1039,27 @@
         applyButtons(layout.buttonsMirror);
       }
 
+      if (Array.isArray(ledZones) && ledZones.length && layout.lighting) {
+        const { base, stride, zones } = layout.lighting;
+        for (const z of ledZones) {
+          const keys = LED_ZONE_KEYS[z?.zone];
+          const index = Number(z?.index);
+          if (!keys || !Number.isInteger(index) || index < 0 || index >= zones) continue;
+          if (state[keys.effectKey] == null) continue;
+          const block = TRANSFORMERS.ledBlockBytes({
+            effect: state[keys.effectKey],
+            color: state[keys.colorKey],
+            brightness: state[keys.brightnessKey],
+          });
+          const start = base + index * stride;
+          for (let i = 0; i < block.length; i++) {
+            const abs = start + i;
+            const c = chunks[Math.floor(abs / 16)];
+            if (c) c[abs % 16] = toU8(block[i]);
+          }
+        }
+      }
+
       if (chunks.length >= 16) {
         const flat = new Uint8Array(chunks.length * 16);
         for (let i = 0; i < chunks.length; i++) {
@@ -883,6 +1074,11 @@
         }
       }
 
+      return ProtocolCodec.buildStreamCommands(headerBytes, chunks, featProfile);
+    },
+
+    // 把 Header + 16 个 chunk 组装成完整写入序列: Start -> Header -> Chunks -> Commit。
+    buildStreamCommands(headerBytes, chunks, featProfile = DEFAULT_FEAT_MAP.PROFILE) {
       const commands = [];
 
       // 1. Start (Cmd 0x0F)
@@ -958,6 +1154,30 @@
 
       return commands;
     },
+
+    // 原样写入一份 256 bytes 镜像 (槽位复制/交换/导入)。
+    // 镜像须已通过 assertProfileImage；Header 只替换 ProfileId。
+    buildImageStream(image, targetProfileSlotIndex, featMap = {}, profile = null) {
+      const featProfile = toU8(
+        Number.isFinite(Number(featMap?.PROFILE))
+          ? Number(featMap.PROFILE)
+          : DEFAULT_FEAT_MAP.PROFILE
+      );
+      const prof = profile || DEFAULT_PROFILE;
+      const baseHeaderBytes = (prof.streamTemplate && Array.isArray(prof.streamTemplate.header))
+        ? prof.streamTemplate.header
+        : PROFILE_STREAM_HEADER;
+      const headerBytes = [...baseHeaderBytes];
+      if (headerBytes.length >= 2) {
+        headerBytes[1] = clampInt(targetProfileSlotIndex, 0, PROFILE_SLOT_COUNT - 1) + 1;
+      }
+      const bytes = image instanceof Uint8Array ? image : Uint8Array.from(image || []);
+      const chunks = [];
+      for (let i = 0; i < PROFILE_IMAGE_SIZE / 16; i++) {
+        chunks.push(bytes.slice(i * 16, i * 16 + 16));
+      }
+      return ProtocolCodec.buildStreamCommands(headerBytes, chunks, featProfile);
+    },
   });
 
   // ============================================================
@@ -1191,6 +1411,92 @@
       if (ms == null) return 0x0000;
       return clampInt(assertFiniteNumber(ms, "bhopMs"), 0, 0xffff);
     },
+    normalizeLedEffect(value) {
+      const raw = String(value ?? "").trim().toLowerCase();
+      const name = LED_EFFECT_NAME_ALIASES[raw] || raw;
+      if (!Object.prototype.hasOwnProperty.call(LED_EFFECT_ID_BY_NAME, name)) {
+        throw new ProtocolError(`LED effect: unsupported effect "${value}"`, "BAD_PARAM", { value });
+      }
+      return name;
+    },
+    normalizeLedColor(value) {
+      let color = String(value ?? "").trim().toUpperCase();
+      if (color && !color.startsWith("#")) color = `#${color}`;
+      if (!/^#[0-9A-F]{6}$/.test(color)) {
+        throw new ProtocolError(`LED color: invalid color "${value}"`, "BAD_PARAM", { value });
+      }
+      return color;
+    },
+    normalizeLedBrightness(value) {
+      return clampInt(Math.round(assertFiniteNumber(value, "ledBrightness")), 0, 100);
+    },
+    ledColorToRgb(color) {
+      const hex = TRANSFORMERS.normalizeLedColor(color).slice(1);
+      return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    },
+    ledRgbToColor(r, g, b) {
+      return `#${[r, g, b].map((v) => toU8(v).toString(16).padStart(2, "0")).join("")}`.toUpperCase();
+    },
+    // 常亮没有 intensity 参数，亮度按比例缩放 RGB 写入。
+    ledScaledRgb(color, brightness) {
+      const k = clampInt(brightness ?? 100, 0, 100) / 100;
+      return TRANSFORMERS.ledColorToRgb(color).map((v) => Math.round(v * k));
+    },
+    ledEffectParams({ effect, color, brightness }) {
+      const name = TRANSFORMERS.normalizeLedEffect(effect ?? DEFAULT_LED_STATE.effect);
+      const level = TRANSFORMERS.normalizeLedBrightness(brightness ?? DEFAULT_LED_STATE.brightness);
+      const rgbColor = color ?? DEFAULT_LED_STATE.color;
+      const intensity = clampInt(level, 1, 100);
+      const params = new Array(10).fill(0x00);
+      if (name === "static") {
+        params.splice(0, 3, ...TRANSFORMERS.ledScaledRgb(rgbColor, level));
+      } else if (name === "breathing") {
+        params.splice(0, 3, ...TRANSFORMERS.ledColorToRgb(rgbColor));
+        params[3] = (LED_BREATHING_PERIOD_MS >> 8) & 0xff;
+        params[4] = LED_BREATHING_PERIOD_MS & 0xff;
+        params[5] = 0x00;
+        params[6] = intensity;
+      } else if (name === "spectrum") {
+        params[5] = (LED_CYCLE_PERIOD_MS >> 8) & 0xff;
+        params[6] = LED_CYCLE_PERIOD_MS & 0xff;
+        params[7] = intensity;
+      }
+      return { effectId: LED_EFFECT_ID_BY_NAME[name], params };
+    },
+    ledBlockBytes(ledState) {
+      const { effectId, params } = TRANSFORMERS.ledEffectParams(ledState || {});
+      return [effectId & 0xff, ...params];
+    },
+    // prev: 当前缓存的 { effect, color, brightness }，用于还原常亮模式下缩放前的颜色与亮度。
+    ledStateFromParams(effectId, params, prev = {}) {
+      const p = Array.from(params || []);
+      const read = (i) => toU8(p[i] ?? 0);
+      const prevColor = prev.color ?? DEFAULT_LED_STATE.color;
+      const prevBrightness = prev.brightness ?? DEFAULT_LED_STATE.brightness;
+      const id = Number(effectId) & 0xffff;
+      if (id === LED_EFFECT_ID.FIXED) {
+        const color = TRANSFORMERS.ledRgbToColor(read(0), read(1), read(2));
+        const scaled = TRANSFORMERS.ledScaledRgb(prevColor, prevBrightness);
+        if (TRANSFORMERS.ledRgbToColor(...scaled) === color) {
+          return { effect: "static", color: prevColor, brightness: prevBrightness };
+        }
+        return { effect: "static", color, brightness: 100 };
+      }
+      if (id === LED_EFFECT_ID.BREATHING) {
+        return {
+          effect: "breathing",
+          color: TRANSFORMERS.ledRgbToColor(read(0), read(1), read(2)),
+          brightness: read(6) || 100,
+        };
+      }
+      if (id === LED_EFFECT_ID.CYCLE) {
+        return { effect: "spectrum", color: prevColor, brightness: read(7) || 100 };
+      }
+      if (id === LED_EFFECT_ID.OFF) {
+        return { effect: "off", color: prevColor, brightness: prevBrightness };
+      }
+      return null;
+    },
     superstrikeScaledValueFromRaw(raw) {
       return Math.max(0, Math.round(toU8(raw) / 4));
     },
@@ -1566,6 +1872,8 @@
             ? Number(context.featMap.PROFILE)
             : DEFAULT_FEAT_MAP.PROFILE
         );
+        // 软件模式没有板载档位，由 hostDpi 直接下发该档位的 DPI
+        if (nextState.onboardMemoryMode === false) return [];
         const maxSlots = profile.capabilities?.dpiSlotMax ?? 5;
         const slotCode = TRANSFORMERS.dpiSlotIndexCode(nextState.activeDpiSlotIndex, maxSlots);
 
@@ -1579,6 +1887,88 @@
       },
     },
 
+    // 软件模式写入守卫: 仅存在于板载 Profile 的字段在板载内存关闭时拒绝写入
+    onboardOnly: {
+      key: "onboardOnly",
+      kind: "virtual",
+      priority: 0,
+      triggers: [...ONBOARD_ONLY_KEYS, ...POLLING_KEYS],
+      validate(patch, nextState, profile, context = {}) {
+        if (nextState.onboardMemoryMode !== false) return;
+        const idlePollingKeys = POLLING_KEYS.filter((k) => k !== hostPollingKey(context));
+        const keys = [...ONBOARD_ONLY_KEYS, ...idlePollingKeys].filter((k) => k in patch);
+        if (!keys.length) return;
+        throw new ProtocolError(`${keys.join(", ")} requires onboard memory mode`, "ONBOARD_MODE_REQUIRED", {
+          keys,
+          profileId: profile?.id || "",
+        });
+      },
+    },
+
+    // 软件模式 DPI (HID++ 0x2202 setSensorDpiParameters)，即时生效，不改写板载 Profile
+    // OUT: 11 01 [feat] 6F 00 [X hi] [X lo] [Y hi] [Y lo] [lod]
+    hostDpi: {
+      key: "hostDpi",
+      kind: "virtual",
+      priority: 22,
+      triggers: ["dpiSlots", "dpiSlotsX", "dpiSlotsY", "dpiLods", "activeDpiSlotIndex"],
+      plan(patch, nextState, profile, context = {}) {
+        if (nextState.onboardMemoryMode !== false) return [];
+        const featDpi = toU8(
+          Number.isFinite(Number(context?.featMap?.DPI))
+            ? Number(context.featMap.DPI)
+            : DEFAULT_FEAT_MAP.DPI
+        );
+        const idx = nextState.activeDpiSlotIndex ?? 0;
+        const dpiX = clampInt(Number(nextState.dpiSlotsX?.[idx] ?? 800), 0, 0xffff);
+        const dpiY = clampInt(Number(nextState.dpiSlotsY?.[idx] ?? dpiX), 0, 0xffff);
+        const lod = TRANSFORMERS.lodCode(nextState.dpiLods?.[idx] || "mid");
+
+        const pkt = ProtocolCodec.encode({
+          iface: "pre",
+          feat: featDpi,
+          cmd: CMDS.SET_SENSOR_DPI,
+          dataBytes: [0x00, (dpiX >> 8) & 0xff, dpiX & 0xff, (dpiY >> 8) & 0xff, dpiY & 0xff, lod],
+        });
+        return [{
+          rid: pkt.rid,
+          hex: pkt.hex,
+          ack: { rid: REPORTS.PRE, match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === featDpi && u8[2] === CMDS.SET_SENSOR_DPI },
+        }];
+      },
+    },
+
+    // 软件模式回报率 (HID++ 0x8061 setReportRate)，码值与板载 Profile 相同 (0x00=125Hz ... 0x06=8000Hz)
+    // 只下发当前连接方式的回报率 (接收器: pollingWirelessHz，有线: pollingHz)
+    // OUT: 10 01 [feat] 3F [code] 00 00
+    hostReportRate: {
+      key: "hostReportRate",
+      kind: "virtual",
+      priority: 21,
+      triggers: POLLING_KEYS,
+      plan(patch, nextState, profile, context = {}) {
+        if (nextState.onboardMemoryMode !== false) return [];
+        const pollingKey = hostPollingKey(context);
+        if (!(pollingKey in patch)) return [];
+        const featReportRate = toU8(
+          Number.isFinite(Number(context?.featMap?.REPORT_RATE))
+            ? Number(context.featMap.REPORT_RATE)
+            : DEFAULT_FEAT_MAP.REPORT_RATE
+        );
+        const pkt = ProtocolCodec.encode({
+          iface: "cmd",
+          feat: featReportRate,
+          cmd: CMDS.SET_REPORT_RATE,
+          dataBytes: [TRANSFORMERS.pollingHzCode(nextState[pollingKey]), 0x00, 0x00],
+        });
+        return [{
+          rid: pkt.rid,
+          hex: pkt.hex,
+          ack: { rid: REPORTS.PRE, match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === featReportRate && u8[2] === CMDS.SET_REPORT_RATE },
+        }];
+      },
+    },
+
     // Profile stream aggregator
     dpiProfile: {
       key: "dpiProfile",
@@ -1597,10 +1987,82 @@
         "superstrikeSwitches",
         "buttonMappings",
         "dpiProfile",
+        ...LED_STD_KEYS,
       ],
       plan(patch, nextState, profile, context = {}) {
+        // 软件模式不重写板载配置: DPI / 回报率 / 灯效分别由 hostDpi / hostReportRate / ledEffects 直接下发，
+        // 仅板载字段已由 onboardOnly 拒绝
+        if (nextState.onboardMemoryMode === false) return [];
         const targetSlot = nextState.activeProfileSlotIndex ?? 0;
-        return ProtocolCodec.buildProfileStream(nextState, profile, targetSlot, context?.featMap || DEFAULT_FEAT_MAP);
+        return ProtocolCodec.buildProfileStream(
+          nextState,
+          profile,
+          targetSlot,
+          context?.featMap || DEFAULT_FEAT_MAP,
+          context?.led?.zones || null
+        );
+      },
+    },
+
+    // LIGHTSYNC 灯效 (HID++ 0x8070 / 0x8071)
+    // 板载模式: 灯效存于 Profile (dpiProfile 写入 0xD0 灯效块)，此处不下发。
+    // 软件模式: OUT 11 01 [feat] 3F [zone] [effectIndex] [params x10] 01 (0x8071 为 Function 0x1F)
+    ledEffects: {
+      key: "ledEffects",
+      kind: "virtual",
+      priority: 25,
+      triggers: LED_STD_KEYS,
+      validate(patch, nextState, profile, context = {}) {
+        const zones = Array.isArray(context?.led?.zones) ? context.led.zones : [];
+        for (const [zone, keys] of Object.entries(LED_ZONE_KEYS)) {
+          const touched = [keys.effectKey, keys.colorKey, keys.brightnessKey].some((k) => k in patch);
+          if (!touched) continue;
+          if (!zones.some((z) => z.zone === zone)) {
+            throw new ProtocolError(`LED zone "${zone}" is not supported by this Logitech model`, "UNSUPPORTED_FEATURE", {
+              feature: "lighting",
+              zone,
+              profileId: profile?.id || "",
+            });
+          }
+        }
+      },
+      plan(patch, nextState, profile, context = {}) {
+        if (nextState.onboardMemoryMode !== false) return [];
+        const led = context?.led || {};
+        const funcs = LED_FEATURE_FUNCS[led.feature];
+        const feat = toU8(Number(context?.featMap?.[led.feature]) || 0);
+        if (!funcs || !feat) return [];
+
+        const commands = [];
+        for (const z of Array.isArray(led.zones) ? led.zones : []) {
+          const keys = LED_ZONE_KEYS[z.zone];
+          if (!keys || ![keys.effectKey, keys.colorKey, keys.brightnessKey].some((k) => k in patch)) continue;
+          const { effectId, params } = TRANSFORMERS.ledEffectParams({
+            effect: nextState[keys.effectKey],
+            color: nextState[keys.colorKey],
+            brightness: nextState[keys.brightnessKey],
+          });
+          const effectIndex = z.effects?.[effectId];
+          if (effectIndex == null) {
+            throw new ProtocolError(`LED zone "${z.zone}" does not support effect ${nextState[keys.effectKey]}`, "UNSUPPORTED_FEATURE", {
+              feature: "lighting",
+              zone: z.zone,
+              effect: nextState[keys.effectKey],
+            });
+          }
+          const pkt = ProtocolCodec.encode({
+            iface: "pre",
+            feat,
+            cmd: funcs.setEffect,
+            dataBytes: [z.index, effectIndex, ...params, 0x01],
+          });
+          commands.push({
+            rid: pkt.rid,
+            hex: pkt.hex,
+            ack: { rid: REPORTS.PRE, match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === feat && u8[2] === funcs.setEffect },
+          });
+        }
+        return commands;
       },
     },
   });
@@ -1743,6 +2205,12 @@
         );
       }
 
+      for (const keys of Object.values(LED_ZONE_KEYS)) {
+        if (keys.effectKey in patch) next[keys.effectKey] = TRANSFORMERS.normalizeLedEffect(patch[keys.effectKey]);
+        if (keys.colorKey in patch) next[keys.colorKey] = TRANSFORMERS.normalizeLedColor(patch[keys.colorKey]);
+        if (keys.brightnessKey in patch) next[keys.brightnessKey] = TRANSFORMERS.normalizeLedBrightness(patch[keys.brightnessKey]);
+      }
+
       const rawMappings = ("buttonMappings" in patch) ? patch.buttonMappings : (prevState?.buttonMappings ?? next.buttonMappings);
       next.buttonMappings = normalizeButtonMappings(rawMappings, 6);
 
@@ -2332,15 +2800,27 @@
       this._onConfigCbs = [];
       this._onBatteryCbs = [];
       this._onRawReportCbs = [];
+      // LIGHTSYNC 灯区 (open 时探测): { feature: "COLOR_LED" | "RGB_EFFECTS" | null, zones: [{ zone, index, effects: { effectId: effectIndex } }] }
+      this._led = { feature: null, zones: [] };
       this._cfg = this._makeDefaultCfg();
       this._boundInputHandler = null;
       this._trackedActiveDpiSlotIndex = null;
       this._deviceNameQuerySupported = null;
+      this._deviceSerial = null;
+      // 软件模式下写入的 DPI 档位 (板载 Profile 不保存，刷新时以此覆盖读回值)
+      this._hostState = null;
+      // 软件模式下写入的灯效 (0x8071 无法读回，只回报这些值)
+      this._hostLedState = null;
     }
 
     set device(dev) {
       const nextDevice = dev || null;
-      if (this._device !== nextDevice) this._deviceNameQuerySupported = null;
+      if (this._device !== nextDevice) {
+        this._deviceNameQuerySupported = null;
+        this._deviceSerial = null;
+        this._hostState = null;
+        this._hostLedState = null;
+      }
       this._device = nextDevice;
       this._driver.setDevice(this._device);
       this._applyProfileForDeviceName(this._device?.productName || "");
@@ -2404,6 +2884,9 @@
         surfaceMode: cap.surfaceMode !== false,
         bhopDelay: cap.bhopDelay !== false,
         superstrikeSwitches: cap.superstrikeSwitches === true,
+        onboardProfileBackup: cap.onboardMemory !== false,
+        lighting: (this._led?.zones?.length ?? 0) > 0,
+        ledZones: (this._led?.zones || []).map((z) => z.zone),
       };
     }
 
@@ -2479,6 +2962,53 @@
           console.warn(`[Logitech] Feature Discovery 失败 (${key}):`, e);
         }
       }
+
+      await this._discoverLedZones();
+    }
+
+    async _ledRequest(featureKey, cmd, dataBytes = []) {
+      const feat = this._getFeatureIndex(featureKey);
+      const packet = ProtocolCodec.encode({ iface: "pre", feat, cmd, dataBytes });
+      const ack = {
+        rid: REPORTS.PRE,
+        match: (u8) => u8.length >= 4 && u8[0] === 0x01 && u8[1] === feat && u8[2] === cmd,
+      };
+      const res = await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+      return res ? Array.from(res.slice(3)) : [];
+    }
+
+    // 探测 LIGHTSYNC 灯区: getInfo(灯区数) -> getZoneInfo(位置, 效果数) -> getEffectInfo(effectId)
+    // 设置灯效时使用的是灯区内的 effect index，而不是 effect id，因此需逐个记录。
+    async _discoverLedZones() {
+      this._led = { feature: null, zones: [] };
+      const feature = ["COLOR_LED", "RGB_EFFECTS"].find((k) => this._getFeatureIndex(k) !== 0x00);
+      if (!feature) return;
+      const funcs = LED_FEATURE_FUNCS[feature];
+      const o = funcs.offset;
+
+      try {
+        const info = await this._ledRequest(feature, funcs.info, feature === "RGB_EFFECTS" ? [0xff, 0xff, 0x00] : []);
+        const zoneCount = clampInt(info[funcs.countAt] ?? 0, 0, 8);
+        const zones = [];
+        for (let i = 0; i < zoneCount; i++) {
+          const zoneInfo = await this._ledRequest(feature, funcs.zoneInfo, [i, 0xff, 0x00]);
+          const location = ((zoneInfo[o + 1] ?? 0) << 8) | (zoneInfo[o + 2] ?? 0);
+          const zone = LED_ZONE_BY_LOCATION[location];
+          if (!zone || zones.some((z) => z.zone === zone)) continue;
+
+          const effectCount = clampInt(zoneInfo[o + 3] ?? 0, 0, 16);
+          const effects = {};
+          for (let e = 0; e < effectCount; e++) {
+            const effectInfo = await this._ledRequest(feature, funcs.effectInfo, [i, e, 0x00]);
+            const effectId = ((effectInfo[o + 2] ?? 0) << 8) | (effectInfo[o + 3] ?? 0);
+            if (!(effectId in effects)) effects[effectId] = e;
+          }
+          zones.push({ zone, index: i, effects });
+        }
+        this._led = { feature, zones };
+      } catch (e) {
+        console.warn("[Logitech] 灯区探测失败", e);
+      }
     }
 
     async open(opts = {}) {
@@ -2741,15 +3271,17 @@
       await this.setBatchFeatures(payload);
     }
 
-    async setBatchFeatures(obj) {
+    async setBatchFeatures(obj, { dryRun = false } = {}) {
       const externalPayload = isObject(obj) ? obj : {};
 
       return this._opQueue.enqueue(async () => {
         if (!this.device) throw new ProtocolError("setBatchFeatures() ?????? hidApi.device", "NO_DEVICE");
-        if (!this.device.opened) await this.open();
+        if (!dryRun && !this.device.opened) await this.open();
 
-        const context = { featMap: this._featMap };
+        const context = { featMap: this._featMap, led: this._led, wired: this._isWiredLink() };
         const { patch, nextState, commands } = this._planner.plan(this._cfg, externalPayload, context);
+        // dry-run：只返回计划好的命令序列，不下发、不提交 nextState
+        if (dryRun) return { patch, commands, dryRun: true };
 
         try {
           await this._driver.runSequence(commands);
@@ -2774,6 +3306,20 @@
         }
 
         this._cfg = Object.assign({}, this._cfg, nextState);
+        if (nextState.onboardMemoryMode === false && HOST_STATE_KEYS.some((k) => k in patch)) {
+          this._hostState = Object.assign(
+            {},
+            this._hostState,
+            Object.fromEntries(HOST_STATE_KEYS.filter((k) => k in nextState).map((k) => [k, nextState[k]]))
+          );
+        }
+        if (nextState.onboardMemoryMode === false && LED_STD_KEYS.some((k) => k in patch)) {
+          this._hostLedState = Object.assign(
+            {},
+            this._hostLedState,
+            Object.fromEntries(LED_STD_KEYS.filter((k) => k in patch).map((k) => [k, nextState[k]]))
+          );
+        }
         this._emitConfig();
         return { patch, commands };
       });
@@ -2932,26 +3478,30 @@
         if (!this.device.opened) await this.open();
 
         const slotIndex = clampInt(assertFiniteNumber(index, "profileSlotIndex"), 0, 4);
-        const slotId = slotIndex + 1; // 设备使用 1-based (0x01 ~ 0x05)
+        await this._writeActiveProfileSlot(slotIndex);
+        await this._refreshStateSafe();
+      });
+    }
 
-        const featProfile = this._getFeatureIndex("PROFILE");
-        const packet = ProtocolCodec.encode({
-          iface: "cmd",
-          feat: featProfile,
-          cmd: CMDS.PROFILE_SET_ACTIVE_SLOT,
-          dataBytes: [0x00, slotId, 0x00],
-        });
+    // 不经过队列的切换槽位 (供队列内的恢复流程复用)
+    async _writeActiveProfileSlot(slotIndex) {
+      const slotId = slotIndex + 1; // 设备使用 1-based (0x01 ~ 0x05)
 
-        const ack = {
-          rid: REPORTS.PRE,
-          match: (u8) => u8.length > 3 && u8[0] === 0x01 && u8[1] === featProfile && u8[2] === CMDS.PROFILE_SET_ACTIVE_SLOT
-        };
+      const featProfile = this._getFeatureIndex("PROFILE");
+      const packet = ProtocolCodec.encode({
+        iface: "cmd",
+        feat: featProfile,
+        cmd: CMDS.PROFILE_SET_ACTIVE_SLOT,
+        dataBytes: [0x00, slotId, 0x00],
+      });
 
-        await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+      const ack = {
+        rid: REPORTS.PRE,
+        match: (u8) => u8.length > 3 && u8[0] === 0x01 && u8[1] === featProfile && u8[2] === CMDS.PROFILE_SET_ACTIVE_SLOT
+      };
 
-        this._cfg.activeProfileSlotIndex = slotIndex;
-        await this._refreshStateSafe();
-      });
+      await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+      this._cfg.activeProfileSlotIndex = slotIndex;
     }
 
     // 读取指定 Profile Slot 的配置 (不切换激活状态)
@@ -2980,6 +3530,13 @@
             const profileData = await this._readOnboardProfileRaw(i);
             const parsed = this._parseOnboardProfile(profileData);
             parsed.profileSlotIndex = i;
+            // 镜像能否通过 CRC / 布局校验 (槽位管理据此决定是否允许复制、导出)
+            try {
+              assertProfileImage(profileData, this._profile);
+              parsed.imageValid = true;
+            } catch (_) {
+              parsed.imageValid = false;
+            }
             slots.push(parsed);
           } catch (e) {
             console.warn(`[Logitech] 读取 Profile Slot ${i} 失败`, e);
@@ -2995,6 +3552,245 @@
       });
     }
 
+    // ---- 槽位管理: 按原始镜像复制 / 交换 / 导出 / 导入 ----
+    // 所有写入前都会用 assertProfileImage 校验 CRC 与布局，读坏或不匹配的镜像不会写进设备。
+
+    _assertProfileSlotIndex(index) {
+      const n = assertFiniteNumber(index, "profileSlotIndex");
+      if (!Number.isInteger(n) || n < 0 || n >= PROFILE_SLOT_COUNT) {
+        throw new ProtocolError(`profileSlotIndex out of range: ${index}`, "BAD_PARAM", { index });
+      }
+      return n;
+    }
+
+    // 读取槽位完整镜像。末块从 0xEF 读起，读不到第 255 字节 (不在 CRC 范围内)，按模板补齐。
+    async _readProfileSlotImage(slotIndex) {
+      const image = Uint8Array.from(await this._readOnboardProfileRaw(slotIndex));
+      const template = this._profile?.streamTemplate?.chunks || PROFILE_STREAM_TEMPLATE;
+      image[PROFILE_IMAGE_SIZE - 1] = toU8(template[15]?.[15] ?? 0xff);
+      return assertProfileImage(image, this._profile);
+    }
+
+    async _writeProfileSlotImage(slotIndex, image) {
+      const bytes = assertProfileImage(image, this._profile);
+      const commands = ProtocolCodec.buildImageStream(bytes, slotIndex, this._featMap, this._profile);
+      await this._driver.runSequence(commands);
+      // 写入的是当前激活槽位时设备立即生效，刷新状态快照
+      if (slotIndex === (this._cfg?.activeProfileSlotIndex ?? 0)) {
+        await this._refreshStateSafe();
+      }
+    }
+
+    // 导出/导入文件中的型号信息
+    _profileSlotFileDevice() {
+      return {
+        profileId: String(this._profile?.id || ""),
+        model: String(this._cfg?.deviceName || ""),
+        vendorId: this.device?.vendorId ?? null,
+        productId: this.device?.productId ?? null,
+      };
+    }
+
+    // 解析导入源: exportProfileSlot() 的 JSON (对象或字符串)，或 256 bytes 原始镜像 (.bin)
+    _decodeProfileSlotFile(source) {
+      if (Object.prototype.toString.call(source) === "[object ArrayBuffer]") {
+        return { image: new Uint8Array(source), device: null };
+      }
+      if (ArrayBuffer.isView(source) || Array.isArray(source)) {
+        return { image: Uint8Array.from(source), device: null };
+      }
+      let doc = source;
+      if (typeof doc === "string") {
+        try {
+          doc = JSON.parse(doc);
+        } catch (e) {
+          throw new ProtocolError("Profile slot file is not valid JSON", "BAD_IMAGE_LAYOUT", { cause: e });
+        }
+      }
+      if (!isObject(doc) || doc.format !== PROFILE_SLOT_FILE_FORMAT) {
+        throw new ProtocolError("Unknown profile slot file format", "BAD_IMAGE_LAYOUT", { format: doc?.format ?? null });
+      }
+      if (!(Number(doc.version) >= 1 && Number(doc.version) <= PROFILE_SLOT_FILE_VERSION)) {
+        throw new ProtocolError(`Unsupported profile slot file version: ${doc.version}`, "BAD_IMAGE_LAYOUT", { version: doc.version });
+      }
+      const image = hexToU8(doc.image || "");
+      if (doc.crc != null && image.length === PROFILE_IMAGE_SIZE) {
+        const storedCrc = (image[253] << 8) | image[254];
+        if (Number(doc.crc) !== storedCrc) {
+          throw new ProtocolError("Profile slot file CRC does not match its image", "BAD_IMAGE_CRC", { expected: Number(doc.crc), stored: storedCrc });
+        }
+      }
+      return { image, device: isObject(doc.device) ? doc.device : null };
+    }
+
+    // 读取指定槽位的原始镜像 (256 bytes，已校验 CRC 与布局)
+    async readProfileSlotImage(index) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("readProfileSlotImage() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+        return await this._readProfileSlotImage(this._assertProfileSlotIndex(index));
+      });
+    }
+
+    // 把一个槽位原样复制到另一个槽位
+    async duplicateProfileSlot(fromIndex, toIndex) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("duplicateProfileSlot() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        const from = this._assertProfileSlotIndex(fromIndex);
+        const to = this._assertProfileSlotIndex(toIndex);
+        if (from === to) return;
+        const image = await this._readProfileSlotImage(from);
+        await this._writeProfileSlotImage(to, image);
+      });
+    }
+
+    // 交换两个槽位 (先读取并校验两份镜像，任一失败则不写入)
+    async swapProfileSlots(indexA, indexB) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("swapProfileSlots() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        const a = this._assertProfileSlotIndex(indexA);
+        const b = this._assertProfileSlotIndex(indexB);
+        if (a === b) return;
+        const imageA = await this._readProfileSlotImage(a);
+        const imageB = await this._readProfileSlotImage(b);
+        await this._writeProfileSlotImage(a, imageB);
+        await this._writeProfileSlotImage(b, imageA);
+      });
+    }
+
+    // 导出槽位为 JSON 文档: { format, version, exportedAt, device, profileSlotIndex, crc, image(hex) }
+    async exportProfileSlot(index) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("exportProfileSlot() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        const slotIndex = this._assertProfileSlotIndex(index);
+        const image = await this._readProfileSlotImage(slotIndex);
+        return {
+          format: PROFILE_SLOT_FILE_FORMAT,
+          version: PROFILE_SLOT_FILE_VERSION,
+          exportedAt: new Date().toISOString(),
+          device: this._profileSlotFileDevice(),
+          profileSlotIndex: slotIndex,
+          crc: (image[253] << 8) | image[254],
+          image: bytesToHex(image),
+        };
+      });
+    }
+
+    // 导入到指定槽位。JSON 文件还会核对型号: profileId 或设备名不同则拒绝 (MODEL_MISMATCH)。
+    async importProfileSlot(index, source) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("importProfileSlot() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        const slotIndex = this._assertProfileSlotIndex(index);
+        const { image, device } = this._decodeProfileSlotFile(source);
+        if (device) {
+          const current = this._profileSlotFileDevice();
+          const fileModel = normalizeLogitechDeviceModelName(device.model);
+          const currentModel = normalizeLogitechDeviceModelName(current.model);
+          if (String(device.profileId || "") !== current.profileId || (fileModel && currentModel && fileModel !== currentModel)) {
+            throw new ProtocolError(
+              `Profile slot file was exported from another model: ${device.model || "-"} (${device.profileId || "-"})`,
+              "MODEL_MISMATCH",
+              { file: device, current }
+            );
+          }
+        }
+        await this._writeProfileSlotImage(slotIndex, image);
+        return slotIndex;
+      });
+    }
+
+    // ---- 板载备份: 全部槽位快照 / 恢复 ----
+    // 应用首次写入前由上层调用 backupOnboardProfiles() 保存快照 (存储由上层负责)。
+    // 无法通过校验的槽位 (空槽 / 未初始化) 记为 null，恢复时跳过。
+
+    // 快照: { format, version, createdAt, device, onboardMemoryMode, activeProfileSlotIndex, slots: [{ profileSlotIndex, image(hex) | null }] }
+    async backupOnboardProfiles() {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("backupOnboardProfiles() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        const slots = [];
+        for (let i = 0; i < PROFILE_SLOT_COUNT; i++) {
+          let image = null;
+          try {
+            image = bytesToHex(await this._readProfileSlotImage(i));
+          } catch (e) {
+            console.warn(`[Logitech] 备份 Profile Slot ${i} 跳过`, e);
+          }
+          slots.push({ profileSlotIndex: i, image });
+        }
+        if (!slots.some((slot) => slot.image)) {
+          throw new ProtocolError("No onboard profile slot could be read", "BACKUP_EMPTY");
+        }
+
+        return {
+          format: PROFILE_BACKUP_FORMAT,
+          version: PROFILE_BACKUP_FORMAT_VERSION,
+          createdAt: new Date().toISOString(),
+          device: {
+            ...this._profileSlotFileDevice(),
+            serial: await this._readDeviceSerial(),
+          },
+          onboardMemoryMode: this._cfg?.onboardMemoryMode !== false,
+          activeProfileSlotIndex: await this.getActiveProfileSlotIndex(),
+          slots,
+        };
+      });
+    }
+
+    // 恢复快照: 先校验全部镜像，再逐槽写回，最后还原激活槽位与板载内存模式。
+    // 型号 (profileId) 或序列号不一致时拒绝 (MODEL_MISMATCH)。
+    async restoreOnboardProfiles(backup) {
+      return this._opQueue.enqueue(async () => {
+        if (!this.device) throw new ProtocolError("restoreOnboardProfiles() 缺少有效的 hidApi.device", "NO_DEVICE");
+        if (!this.device.opened) await this.open();
+
+        if (!isObject(backup) || backup.format !== PROFILE_BACKUP_FORMAT || !(Number(backup.version) <= PROFILE_BACKUP_FORMAT_VERSION) || !Array.isArray(backup.slots)) {
+          throw new ProtocolError("Unknown onboard backup format", "BAD_IMAGE_LAYOUT", { format: backup?.format ?? null, version: backup?.version ?? null });
+        }
+        const current = this._profileSlotFileDevice();
+        const serial = await this._readDeviceSerial();
+        const fileSerial = String(backup.device?.serial || "");
+        if (String(backup.device?.profileId || "") !== current.profileId || (fileSerial && serial && fileSerial !== serial)) {
+          throw new ProtocolError(
+            "Onboard backup belongs to another device",
+            "MODEL_MISMATCH",
+            { file: backup.device || null, current: { ...current, serial } }
+          );
+        }
+
+        const writes = [];
+        for (const slot of backup.slots) {
+          if (!slot?.image) continue;
+          const slotIndex = this._assertProfileSlotIndex(slot.profileSlotIndex);
+          writes.push({ slotIndex, image: assertProfileImage(hexToU8(slot.image), this._profile) });
+        }
+        if (!writes.length) throw new ProtocolError("Onboard backup has no slot image", "BACKUP_EMPTY");
+
+        for (const { slotIndex, image } of writes) {
+          const commands = ProtocolCodec.buildImageStream(image, slotIndex, this._featMap, this._profile);
+          await this._driver.runSequence(commands);
+        }
+        const activeIndex = Number(backup.activeProfileSlotIndex);
+        if (Number.isInteger(activeIndex) && activeIndex >= 0 && activeIndex < PROFILE_SLOT_COUNT) {
+          await this._writeActiveProfileSlot(activeIndex);
+        }
+        if (typeof backup.onboardMemoryMode === "boolean" && backup.onboardMemoryMode !== (this._cfg?.onboardMemoryMode !== false)) {
+          await this._writeOnboardMemoryMode(backup.onboardMemoryMode);
+        }
+        await this._refreshStateSafe();
+        return writes.map((w) => w.slotIndex);
+      });
+    }
+
     // ============================================================
     // Onboard Memory Mode API (板载内存模式)
     // ============================================================
@@ -3045,25 +3841,10 @@
         if (!this.device) throw new ProtocolError("setOnboardMemoryMode() 缺少有效的 hidApi.device", "NO_DEVICE");
         if (!this.device.opened) await this.open();
 
-        const modeCode = enabled ? 0x01 : 0x02;
-
-        const featProfile = this._getFeatureIndex("PROFILE");
-        const packet = ProtocolCodec.encode({
-          iface: "cmd",
-          feat: featProfile,
-          cmd: CMDS.SET_ONBOARD_MODE,
-          dataBytes: [modeCode, 0x00, 0x00],
-        });
-
-        const ack = {
-          rid: REPORTS.PRE,
-          // WebHID data: [0]=0x01, [1]=feat, [2]=cmd
-          match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === featProfile && u8[2] === CMDS.SET_ONBOARD_MODE
-        };
+        await this._writeOnboardMemoryMode(enabled);
 
-        await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
-
-        this._cfg.onboardMemoryMode = enabled;
+        // 进入软件模式后设备回到固件默认 DPI / 回报率，按当前配置重新下发一次
+        if (!enabled) await this._seedHostState();
         this._emitConfig();
 
         // 切换模式后刷新设备状态
@@ -3075,6 +3856,91 @@
       });
     }
 
+    // 不经过队列的模式切换 (供队列内的恢复流程复用)
+    async _writeOnboardMemoryMode(enabled) {
+      const modeCode = enabled ? 0x01 : 0x02;
+
+      const featProfile = this._getFeatureIndex("PROFILE");
+      const packet = ProtocolCodec.encode({
+        iface: "cmd",
+        feat: featProfile,
+        cmd: CMDS.SET_ONBOARD_MODE,
+        dataBytes: [modeCode, 0x00, 0x00],
+      });
+
+      const ack = {
+        rid: REPORTS.PRE,
+        // WebHID data: [0]=0x01, [1]=feat, [2]=cmd
+        match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === featProfile && u8[2] === CMDS.SET_ONBOARD_MODE
+      };
+
+      await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+      this._cfg.onboardMemoryMode = enabled;
+      this._hostState = null;
+      this._hostLedState = null;
+      // 板载 Profile 的灯效在软件模式下不再代表设备状态
+      if (!enabled) this._dropUnreadableLedState();
+    }
+
+    // 软件模式且灯区无法读回 (0x8071) 时，从配置中移除未在本会话写入的灯效字段
+    _dropUnreadableLedState() {
+      const funcs = LED_FEATURE_FUNCS[this._led?.feature];
+      if (!funcs || funcs.getEffect) return;
+      const cfg = Object.assign({}, this._cfg);
+      for (const k of LED_STD_KEYS) {
+        if (!this._hostLedState || !(k in this._hostLedState)) delete cfg[k];
+      }
+      this._cfg = cfg;
+    }
+
+    // 当前是否有线直连 (非接收器 PID)
+    _isWiredLink() {
+      const pid = Number(this.device?.productId);
+      return Number.isFinite(pid) && !RECEIVER_PRODUCT_IDS.includes(pid);
+    }
+
+    // 软件模式初始下发 (尽力而为，失败时保留设备当前值)
+    async _seedHostState() {
+      const payload = { activeDpiSlotIndex: this._cfg?.activeDpiSlotIndex ?? 0 };
+      const pollingKey = hostPollingKey({ wired: this._isWiredLink() });
+      if (Number.isFinite(Number(this._cfg?.[pollingKey]))) payload[pollingKey] = this._cfg[pollingKey];
+      try {
+        const context = { featMap: this._featMap, led: this._led, wired: this._isWiredLink() };
+        const { patch, nextState, commands } = this._planner.plan(this._cfg, payload, context);
+        await this._driver.runSequence(commands);
+        this._cfg = Object.assign({}, this._cfg, nextState);
+        this._hostState = Object.fromEntries(
+          HOST_STATE_KEYS.filter((k) => k in nextState).map((k) => [k, nextState[k]])
+        );
+        return patch;
+      } catch (e) {
+        console.warn("[Logitech] 软件模式初始下发失败", e);
+        return null;
+      }
+    }
+
+    // 软件模式实时回报率 (0x8061 getReportRate)
+    async _readHostReportRate() {
+      try {
+        const featReportRate = this._getFeatureIndex("REPORT_RATE");
+        const packet = ProtocolCodec.encode({
+          iface: "cmd",
+          feat: featReportRate,
+          cmd: CMDS.GET_REPORT_RATE,
+          dataBytes: [0x00, 0x00, 0x00],
+        });
+        const ack = {
+          rid: REPORTS.PRE,
+          match: (u8) => u8.length >= 3 && u8[0] === 0x01 && u8[1] === featReportRate && u8[2] === CMDS.GET_REPORT_RATE,
+        };
+        const res = await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+        if (res && res.length >= 4) return TRANSFORMERS.pollingHzFromCode(res[3]);
+      } catch (e) {
+        console.warn("[Logitech] 读取软件模式回报率失败", e);
+      }
+      return null;
+    }
+
     // 切换板载内存模式 (便捷方法)
     async toggleOnboardMemoryMode() {
       const current = this._cfg?.onboardMemoryMode ?? true;
@@ -3226,6 +4092,49 @@
       return updates;
     }
 
+    // 读取设备序列号 (Feature 0x0003)，一次连接只读一次。
+    // getDeviceInfo (0x0F): [entityCount, unitId x4, transport x2, modelId x6, extModelId, capabilities]
+    // capabilities bit0 = 支持 getDeviceSerialNumber (0x2F，12 bytes ASCII)；不支持时用 unitId (HEX) 代替。
+    async _readDeviceSerial() {
+      if (this._deviceSerial != null) return this._deviceSerial;
+      this._deviceSerial = "";
+      const feat = this._getFeatureIndex("DEVICE_FW_VERSION");
+      if (!feat) return "";
+
+      const request = async (cmd) => {
+        const packet = ProtocolCodec.encode({
+          iface: "cmd",
+          feat,
+          cmd,
+          dataBytes: [0x00, 0x00, 0x00],
+        });
+        const ack = {
+          rid: REPORTS.PRE,
+          match: (u8) => u8.length >= 4 && u8[0] === 0x01 && u8[1] === feat && u8[2] === cmd,
+        };
+        const res = await this._driver.sendAndWait({ rid: packet.rid, hex: packet.hex, ack });
+        return res ? Array.from(res.slice(3)) : [];
+      };
+
+      try {
+        const info = await request(0x0F);
+        const unitId = bytesToHex(info.slice(1, 5)).toUpperCase();
+        let serial = "";
+        if ((info[14] ?? 0) & 0x01) {
+          const raw = await request(0x2F);
+          serial = raw.slice(0, 12)
+            .filter((b) => b >= 0x20 && b < 0x7f)
+            .map((b) => String.fromCharCode(b))
+            .join("")
+            .trim();
+        }
+        this._deviceSerial = serial || (/[1-9A-F]/.test(unitId) ? unitId : "");
+      } catch (e) {
+        console.warn("[Logitech] 读取序列号失败", e);
+      }
+      return this._deviceSerial;
+    }
+
     async _readBatterySnapshot() {
       const updates = {};
       const featIndex = this._getFeatureIndex("BATTERY");
@@ -3262,9 +4171,11 @@
     async _readDeviceStateSnapshot() {
       const updates = {};
 
-      // 1. 读取设备名称
+      // 1. 读取设备名称与序列号
       const nameSnapshot = await this._readDeviceNameSnapshot();
       if (nameSnapshot && Object.keys(nameSnapshot).length) Object.assign(updates, nameSnapshot);
+      const serial = await this._readDeviceSerial();
+      if (serial) updates.deviceSerial = serial;
 
       // 2. 读取电量
       const battery = await this._readBatterySnapshot();
@@ -3315,6 +4226,7 @@
       }
 
       // 5. 动态读取板载配置与性能设置
+      let activeProfileData = null;
       try {
         // 先读取 Profile Slot 启用状态
         const slotStates = await this._readProfileSlotStates();
@@ -3325,6 +4237,7 @@
 
         const activeProfileSlotIndex = await this.getActiveProfileSlotIndex();
         const profileData = await this._readOnboardProfileRaw(activeProfileSlotIndex);
+        activeProfileData = profileData;
         const parsed = this._parseOnboardProfile(profileData);
         // The profile only stores the default DPI slot. The live active slot is
         // inferred below from the current DPI value, so do not publish these
@@ -3334,16 +4247,22 @@
         parsed.activeProfileSlotIndex = activeProfileSlotIndex;
         Object.assign(updates, parsed);
 
-        const perfConfig = await this.getPerformanceConfig(
-          Object.prototype.hasOwnProperty.call(updates, "onboardMemoryMode")
-            ? updates.onboardMemoryMode
-            : this._cfg?.onboardMemoryMode
-        );
+        const onboardMemoryMode = Object.prototype.hasOwnProperty.call(updates, "onboardMemoryMode")
+          ? updates.onboardMemoryMode
+          : this._cfg?.onboardMemoryMode;
+        // 软件模式: DPI 档位以主机侧写入值为准，回报率读实时值
+        if (onboardMemoryMode === false) {
+          if (this._hostState) Object.assign(updates, this._hostState);
+          const hostRate = await this._readHostReportRate();
+          if (hostRate != null) updates[hostPollingKey({ wired: this._isWiredLink() })] = hostRate;
+        }
+
+        const perfConfig = await this.getPerformanceConfig(onboardMemoryMode);
         Object.assign(updates, perfConfig);
 
         const dpiStatus = await this._readActiveDpiSlotFromDevice({
-          dpiSlots: parsed.dpiSlotsX || parsed.dpiSlots,
-          dpiSlotCount: parsed.dpiSlotCount,
+          dpiSlots: updates.dpiSlotsX || updates.dpiSlots,
+          dpiSlotCount: updates.dpiSlotCount,
           trackedIndex: this._trackedActiveDpiSlotIndex,
         });
         if (dpiStatus) {
@@ -3356,6 +4275,67 @@
         console.warn("[Logitech] 读取板载/性能配置失败", e);
       }
 
+      // 6. 读取灯效 (板载模式取自 Profile 灯效块，软件模式直接查询灯区)
+      const ledState = await this._readLedStateSnapshot({
+        profileData: activeProfileData,
+        onboardMemoryMode: Object.prototype.hasOwnProperty.call(updates, "onboardMemoryMode")
+          ? updates.onboardMemoryMode
+          : this._cfg?.onboardMemoryMode,
+      });
+      Object.assign(updates, ledState);
+
+      return updates;
+    }
+
+    async _readLedStateSnapshot({ profileData = null, onboardMemoryMode = true } = {}) {
+      const updates = {};
+      const zones = Array.isArray(this._led?.zones) ? this._led.zones : [];
+      if (!zones.length) return updates;
+
+      const layout = Object.assign({}, DEFAULT_STREAM_LAYOUT, this._profile?.streamLayout || {}).lighting;
+      const funcs = LED_FEATURE_FUNCS[this._led.feature];
+      if (onboardMemoryMode === false && !funcs?.getEffect) {
+        // 0x8071 无法读回: 不回报默认值，只回报本会话写入过的灯效
+        this._dropUnreadableLedState();
+        return Object.assign(updates, this._hostLedState);
+      }
+
+      for (const z of zones) {
+        const keys = LED_ZONE_KEYS[z.zone];
+        if (!keys) continue;
+        let effectId = null;
+        let params = null;
+
+        if (onboardMemoryMode !== false) {
+          if (!profileData || !layout || z.index >= layout.zones) continue;
+          const start = layout.base + z.index * layout.stride;
+          effectId = profileData[start];
+          params = Array.from(profileData.slice(start + 1, start + layout.stride));
+        } else {
+          try {
+            // IN: [zone] [effectIndex] [params x10]
+            const res = await this._ledRequest(this._led.feature, funcs.getEffect, [z.index, 0x00, 0x00]);
+            const effectIndex = res[1];
+            const hit = Object.entries(z.effects || {}).find(([, idx]) => idx === effectIndex);
+            if (hit) {
+              effectId = Number(hit[0]);
+              params = res.slice(2, 12);
+            }
+          } catch (e) {
+            console.warn(`[Logitech] 读取灯效失败 (${z.zone})`, e);
+          }
+        }
+        if (effectId == null) continue;
+
+        const state = TRANSFORMERS.ledStateFromParams(effectId, params, {
+          color: this._cfg?.[keys.colorKey],
+          brightness: this._cfg?.[keys.brightnessKey],
+        });
+        if (!state) continue;
+        updates[keys.effectKey] = state.effect;
+        updates[keys.colorKey] = state.color;
+        updates[keys.brightnessKey] = state.brightness;
+      }
       return updates;
     }
 
@@ -3751,6 +4731,9 @@
         // 板载内存模式 (true=板载模式, false=软件模式)
         onboardMemoryMode: true,
 
+        // 序列号 (Feature 0x0003；不支持时为 unitId，板载备份按此存储)
+        deviceSerial: "",
+
         bhopMs: 0,
 
         buttonMappings,
@@ -3760,6 +4743,8 @@
         superstrikeSwitches: cap.superstrikeSwitches === true
           ? TRANSFORMERS.normalizeSuperstrikeSwitches(null)
           : null,
+
+        // LIGHTSYNC 灯效不给默认值: 只在读回 (板载 Profile / 0x8070 getEffect) 或写入后出现
       };
     }
 
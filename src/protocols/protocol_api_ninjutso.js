@@ -2279,16 +2279,18 @@
       return this.setBatchFeatures({ [k]: value });
     }
 
-    async setBatchFeatures(obj) {
+    async setBatchFeatures(obj, { dryRun = false } = {}) {
       const externalPayload = isObject(obj) ? obj : {};
       return this._opQueue.enqueue(async () => {
         if (!this.device) throw new ProtocolError("setBatchFeatures() requires hidApi.device", "NO_DEVICE");
-        if (!this.device.opened) await this.open();
+        if (!dryRun && !this.device.opened) await this.open();
 
         const base = this._cfg || this._makeDefaultCfg();
         const { patch, nextState, commands } = this._planner.plan(base, externalPayload, {
           profileId: this._protocolProfileId,
         });
+        // Dry-run: return the planned command list without sending or committing nextState.
+        if (dryRun) return { patch, commands, dryRun: true };
 
         try {
           await this._driver.runSequence(commands);
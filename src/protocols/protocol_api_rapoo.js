@@ -2486,12 +2486,14 @@
       await this.setBatchFeatures(payload);
     }
 
-    async setBatchFeatures(obj) {
+    async setBatchFeatures(obj, { dryRun = false } = {}) {
       const externalPayload = isObject(obj) ? obj : {};
 
       return this._opQueue.enqueue(async () => {
         // 1. 计划生成：Planner 会自动处理 DPI 数组补齐、依赖关系
         const { patch, nextState, commands } = this._planner.plan(this._cfg, externalPayload);
+        // dry-run：只返回计划好的命令序列，不下发、不提交 nextState
+        if (dryRun) return { patch, commands, dryRun: true };
 
         // 2. 下发写入指令
         try {
@@ -2575,7 +2577,8 @@
     async setButtonMappingBySelect(btnId, labelOrObj) {
       const b = clampInt(assertFiniteNumber(btnId, "btnId"), 1, 6);
       const addr = BUTTON_ADDR[b];
-      if (!addr) throw new ProtocolError(`不支持配置按键 Btn${b}`, "FEATURE_UNSUPPORTED");
+      // 左键地址为 0x00，不能用真值判断
+      if (addr == null) throw new ProtocolError(`不支持配置按键 Btn${b}`, "FEATURE_UNSUPPORTED");
 
       let action;
       if (typeof labelOrObj === "string") {
@@ -173,6 +173,45 @@
     TX_DEFAULT: 0x1f,
   });
 
+  // Extended matrix effect ids (command class 0x0f).
+  const RAZER_LED_EFFECT = Object.freeze({
+    OFF: 0x00,
+    STATIC: 0x01,
+    BREATHING: 0x02,
+    SPECTRUM: 0x03,
+  });
+  const RAZER_LED_EFFECT_BY_NAME = Object.freeze({
+    off: RAZER_LED_EFFECT.OFF,
+    static: RAZER_LED_EFFECT.STATIC,
+    breathing: RAZER_LED_EFFECT.BREATHING,
+    spectrum: RAZER_LED_EFFECT.SPECTRUM,
+  });
+  const RAZER_LED_EFFECT_NAME_BY_ID = Object.freeze(
+    Object.fromEntries(Object.entries(RAZER_LED_EFFECT_BY_NAME).map(([name, id]) => [id, name]))
+  );
+
+  // Lighting zones: public field names per LED id.
+  const RAZER_LED_ZONES = Object.freeze({
+    logo: Object.freeze({
+      ledId: RAZER_CONST.LOGO_LED,
+      effectKey: "logoLedEffect",
+      colorKey: "logoLedColor",
+      brightnessKey: "logoLedBrightness",
+    }),
+    wheel: Object.freeze({
+      ledId: RAZER_CONST.SCROLL_WHEEL_LED,
+      effectKey: "wheelLedEffect",
+      colorKey: "wheelLedColor",
+      brightnessKey: "wheelLedBrightness",
+    }),
+  });
+  const RAZER_LED_ZONE_NAMES = Object.freeze(Object.keys(RAZER_LED_ZONES));
+  const DEFAULT_RAZER_LED_STATE = Object.freeze({
+    effect: "static",
+    color: "#00FF00",
+    brightness: 100,
+  });
+
   const OFFICIAL_MOUSE_PROFILE_ID = 0x01;
   const OFFICIAL_PROXIMITY_CLASS_ID = 0x00;
   const OFFICIAL_PROXIMITY_SENSOR_ID = 0x04;
@@ -302,6 +341,10 @@
       dynamicSensitivity: false,
       smartTracking: true,
       sensorAngle: false,
+      // LED zones the model is known to have (lighting is on from the start).
+      ledZones: Object.freeze([]),
+      // Zones probed on connect; lighting turns on only for the ones that answer.
+      ledProbeZones: RAZER_LED_ZONE_NAMES,
       lowThresholdTx: null,
       hyperIndicatorTx: null,
       defaultTx: RAZER_CONST.TX_DEFAULT,
@@ -311,18 +354,21 @@
   /*
    * Razer PID capability matrix (single source of truth)
    *
-   * pid     role      rid evt polling  battery  hyperIM  dynamic  tracking  angle  name
-   * 0x00b3  sdongle   00  00  v2       Y        Y        -        Y         -      HyperPolling Wireless Dongle
-   * 0x00b6  body      00  00  legacy   Y        -        -        Y         -      DeathAdder V3 Pro (Wired)
-   * 0x00b7  dongle    00  00  legacy   Y        -        -        Y         -      DeathAdder V3 Pro (Wireless)
-   * 0x00c0  body      00  05  legacy   Y        -        Y        Y         Y      Viper V3 Pro (Wired)
-   * 0x00c1  dongle    00  05  v2       Y        Y        Y        Y         Y      Viper V3 Pro (Wireless)
-   * 0x00c2  body      00  00  legacy   Y        -        -        Y         -      DeathAdder V3 Pro (Wired Alt)
-   * 0x00c3  dongle    00  00  legacy   Y        -        -        Y         -      DeathAdder V3 Pro (Wireless Alt)
-   * 0x00c4  body      00  00  legacy   Y        -        -        Y         -      DeathAdder V3 HyperSpeed (Wired)
-   * 0x00c5  dongle    00  00  legacy   Y        -        -        Y         -      DeathAdder V3 HyperSpeed (Wireless)
-   * 0x00e5  body      00  05  legacy   Y        -        Y        Y         Y      Viper V4 Pro (Wired)
-   * 0x00e6  dongle    00  05  v2       Y        -        Y        Y         Y      Viper V4 Pro (Wireless)
+   * pid     role      rid evt polling  battery  hyperIM  dynamic  tracking  angle  led         name
+   * 0x00b3  sdongle   00  00  v2       Y        Y        -        Y         -      -           HyperPolling Wireless Dongle
+   * 0x00b6  body      00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 Pro (Wired)
+   * 0x00b7  dongle    00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 Pro (Wireless)
+   * 0x00c0  body      00  05  legacy   Y        -        Y        Y         Y      -           Viper V3 Pro (Wired)
+   * 0x00c1  dongle    00  05  v2       Y        Y        Y        Y         Y      -           Viper V3 Pro (Wireless)
+   * 0x00c2  body      00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 Pro (Wired Alt)
+   * 0x00c3  dongle    00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 Pro (Wireless Alt)
+   * 0x00c4  body      00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 HyperSpeed (Wired)
+   * 0x00c5  dongle    00  00  legacy   Y        -        -        Y         -      -           DeathAdder V3 HyperSpeed (Wireless)
+   * 0x00e5  body      00  05  legacy   Y        -        Y        Y         Y      -           Viper V4 Pro (Wired)
+   * 0x00e6  dongle    00  05  v2       Y        -        Y        Y         Y      -           Viper V4 Pro (Wireless)
+   *
+   * led = zones known for the model. Models without known zones are probed for logo/wheel on
+   * connect and only report lighting for a zone that answers; the rest answer NOT_SUPPORTED.
    */
   const PID_CAPABILITY_MATRIX = Object.freeze([
     buildPidMatrixRow(PID.HYPERPOLLING_WIRELESS_DONGLE, "Razer HyperPolling Wireless Dongle", {
@@ -332,6 +378,7 @@
       donglePid: PID.HYPERPOLLING_WIRELESS_DONGLE,
       pollingMode: "v2",
       hyperpollingIndicatorMode: true,
+      ledProbeZones: Object.freeze([]),
       hyperIndicatorTx: 0xff,
     }),
     buildPidMatrixRow(PID.DEATHADDER_V3_PRO_WIRED, "Razer DeathAdder V3 Pro (Wired)", {
@@ -494,6 +541,7 @@
 
   function buildCapabilities(pid) {
     const matrixRow = PID_CAPABILITY_MATRIX_BY_PID[pid] || null;
+    const ledZones = Array.isArray(matrixRow?.ledZones) ? matrixRow.ledZones.slice(0) : [];
     return {
       supported: !!matrixRow,
       polling: true,
@@ -509,6 +557,11 @@
       dynamicSensitivity: !!matrixRow?.dynamicSensitivity,
       smartTracking: !!matrixRow?.smartTracking,
       sensorAngle: !!matrixRow?.sensorAngle,
+      lighting: ledZones.length > 0,
+      ledZones,
+      ledProbeZones: RAZER_LED_ZONE_NAMES.filter(
+        (zoneName) => ledZones.includes(zoneName) || (matrixRow?.ledProbeZones || []).includes(zoneName)
+      ),
     };
   }
 
@@ -1351,6 +1404,60 @@
           dataSize: 0x01,
         });
       },
+
+      // Extended matrix effect: [storage, led, effect, type, speed, colorCount, r, g, b].
+      setLedEffect(tx, ledId, effect, rgb = null, storage = RAZER_CONST.VARSTORE) {
+        const effectId = clampInt(effect, RAZER_LED_EFFECT.OFF, RAZER_LED_EFFECT.SPECTRUM);
+        const withColor = effectId === RAZER_LED_EFFECT.STATIC || effectId === RAZER_LED_EFFECT.BREATHING;
+        const color = Array.isArray(rgb) ? rgb : [0, 0, 0];
+        const args = [
+          clampU8(storage),
+          clampU8(ledId),
+          effectId,
+          // Breathing type 0x01 = single color.
+          effectId === RAZER_LED_EFFECT.BREATHING ? 0x01 : 0x00,
+          0x00,
+          withColor ? 0x01 : 0x00,
+        ];
+        if (withColor) args.push(clampU8(color[0]), clampU8(color[1]), clampU8(color[2]));
+        return ProtocolCodec.encodeRazerReport({
+          transactionId: tx,
+          commandClass: 0x0f,
+          commandId: 0x02,
+          dataSize: withColor ? 0x09 : 0x06,
+          arguments: args,
+        });
+      },
+
+      getLedEffect(tx, ledId, storage = RAZER_CONST.VARSTORE) {
+        return ProtocolCodec.encodeRazerReport({
+          transactionId: tx,
+          commandClass: 0x0f,
+          commandId: 0x82,
+          dataSize: 0x09,
+          arguments: [clampU8(storage), clampU8(ledId)],
+        });
+      },
+
+      setLedBrightness(tx, ledId, raw, storage = RAZER_CONST.VARSTORE) {
+        return ProtocolCodec.encodeRazerReport({
+          transactionId: tx,
+          commandClass: 0x0f,
+          commandId: 0x04,
+          dataSize: 0x03,
+          arguments: [clampU8(storage), clampU8(ledId), clampU8(raw)],
+        });
+      },
+
+      getLedBrightness(tx, ledId, storage = RAZER_CONST.VARSTORE) {
+        return ProtocolCodec.encodeRazerReport({
+          transactionId: tx,
+          commandClass: 0x0f,
+          commandId: 0x84,
+          dataSize: 0x03,
+          arguments: [clampU8(storage), clampU8(ledId)],
+        });
+      },
     },
   });
 
@@ -1588,6 +1695,44 @@
       return clampInt(v, 1, 3);
     },
 
+    normalizeLedEffect(v) {
+      const s = String(v ?? "").trim().toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(RAZER_LED_EFFECT_BY_NAME, s)) {
+        throw new ProtocolError(`Unsupported LED effect: ${v}`, "BAD_PARAM", { value: v });
+      }
+      return s;
+    },
+
+    normalizeLedColor(v) {
+      let s = String(v ?? "").trim().toUpperCase();
+      if (s && !s.startsWith("#")) s = `#${s}`;
+      if (!/^#[0-9A-F]{6}$/.test(s)) {
+        throw new ProtocolError(`LED color must be #RRGGBB: ${v}`, "BAD_PARAM", { value: v });
+      }
+      return s;
+    },
+
+    ledColorToRgb(hex) {
+      const n = Number.parseInt(TRANSFORMERS.normalizeLedColor(hex).slice(1), 16);
+      return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+    },
+
+    ledRgbToColor(r, g, b) {
+      return `#${[r, g, b].map((c) => clampU8(c).toString(16).padStart(2, "0")).join("")}`.toUpperCase();
+    },
+
+    normalizeLedBrightness(v) {
+      return clampInt(v, 0, 100);
+    },
+
+    ledBrightnessToRaw(percent) {
+      return clampInt(Math.round((TRANSFORMERS.normalizeLedBrightness(percent) * 255) / 100), 0, 255);
+    },
+
+    ledBrightnessFromRaw(raw) {
+      return clampInt(Math.round((clampU8(raw) * 100) / 255), 0, 100);
+    },
+
     batteryPercentFromRaw(raw) {
       const x = clampInt(raw, 0, 255);
       // Kernel exposes raw 0..255 at response.arguments[1]; frontend keeps percentage semantics.
@@ -1686,6 +1831,33 @@
     }
   }
 
+  function requireLedZone(caps, zoneName, featureName, pid) {
+    requireCapability(caps, "lighting", featureName, pid);
+    if (!Array.isArray(caps?.ledZones) || !caps.ledZones.includes(zoneName)) {
+      throw new ProtocolError(
+        `${featureName} is not supported for PID 0x${clampU16(pid).toString(16).padStart(4, "0")}`,
+        "NOT_SUPPORTED_FOR_DEVICE",
+        { featureName, pid, capability: "ledZones", zone: zoneName }
+      );
+    }
+    return RAZER_LED_ZONES[zoneName];
+  }
+
+  function planLedZoneEffect(zoneName, { pid, caps, nextState }) {
+    const zone = requireLedZone(caps, zoneName, `${zoneName}Lighting`, pid);
+    const tx = txForField(pid, "lighting");
+    const effect = RAZER_LED_EFFECT_BY_NAME[nextState[zone.effectKey]] ?? RAZER_LED_EFFECT.STATIC;
+    const rgb = TRANSFORMERS.ledColorToRgb(nextState[zone.colorKey] ?? DEFAULT_RAZER_LED_STATE.color);
+    return [{ packet: ProtocolCodec.commands.setLedEffect(tx, zone.ledId, effect, rgb) }];
+  }
+
+  function planLedZoneBrightness(zoneName, { pid, caps, nextState }) {
+    const zone = requireLedZone(caps, zoneName, RAZER_LED_ZONES[zoneName].brightnessKey, pid);
+    const tx = txForField(pid, "lighting");
+    const raw = TRANSFORMERS.ledBrightnessToRaw(nextState[zone.brightnessKey]);
+    return [{ packet: ProtocolCodec.commands.setLedBrightness(tx, zone.ledId, raw) }];
+  }
+
   // ============================================================
   // 5) SPEC table
   //    - Describes how each semantic field maps to write commands
@@ -1904,6 +2076,45 @@
         return [{ packet: ProtocolCodec.commands.setHyperpollingIndicatorMode(tx, nextState.hyperpollingIndicatorMode) }];
       },
     },
+
+    // Brightness goes first so switching an LED back on does not flash at the old level.
+    logoLedBrightness: {
+      key: "logoLedBrightness",
+      kind: "direct",
+      priority: 80,
+      plan(ctx) {
+        return planLedZoneBrightness("logo", ctx);
+      },
+    },
+
+    wheelLedBrightness: {
+      key: "wheelLedBrightness",
+      kind: "direct",
+      priority: 81,
+      plan(ctx) {
+        return planLedZoneBrightness("wheel", ctx);
+      },
+    },
+
+    logoLighting: {
+      key: "logoLighting",
+      kind: "virtual",
+      priority: 82,
+      triggers: ["logoLedEffect", "logoLedColor"],
+      plan(ctx) {
+        return planLedZoneEffect("logo", ctx);
+      },
+    },
+
+    wheelLighting: {
+      key: "wheelLighting",
+      kind: "virtual",
+      priority: 83,
+      triggers: ["wheelLedEffect", "wheelLedColor"],
+      plan(ctx) {
+        return planLedZoneEffect("wheel", ctx);
+      },
+    },
   });
 
   // ============================================================
@@ -1938,6 +2149,18 @@
       };
     }
 
+    // Use the probed LED zones of the connected mouse (null = not probed: known matrix zones only).
+    setLedZones(zones) {
+      const caps = buildCapabilities(this.productId);
+      const next = Array.isArray(zones)
+        ? caps.ledProbeZones.filter((zoneName) => zones.includes(zoneName))
+        : caps.ledZones;
+      this.capabilities = Object.assign({}, this.capabilities, {
+        lighting: next.length > 0,
+        ledZones: next,
+      });
+    }
+
     getDpiWriteContext() {
       return {
         profileId: clampU8(this._dpiWriteContext?.profileId ?? OFFICIAL_MOUSE_PROFILE_ID),
@@ -1971,6 +2194,12 @@
         "smartTrackingLiftDistance",
         "smartTrackingLandingDistance",
         "hyperpollingIndicatorMode",
+        "logoLedEffect",
+        "logoLedColor",
+        "logoLedBrightness",
+        "wheelLedEffect",
+        "wheelLedColor",
+        "wheelLedBrightness",
       ]);
       const removed = new Set([
         // Removed from this driver build (Razer mouse family scope reduction):
@@ -2093,6 +2322,18 @@
         Object.assign(next, normalizePublicSmartTrackingState(next));
       }
 
+      for (const zone of Object.values(RAZER_LED_ZONES)) {
+        if (Object.prototype.hasOwnProperty.call(patch, zone.effectKey)) {
+          next[zone.effectKey] = TRANSFORMERS.normalizeLedEffect(patch[zone.effectKey]);
+        }
+        if (Object.prototype.hasOwnProperty.call(patch, zone.colorKey)) {
+          next[zone.colorKey] = TRANSFORMERS.normalizeLedColor(patch[zone.colorKey]);
+        }
+        if (Object.prototype.hasOwnProperty.call(patch, zone.brightnessKey)) {
+          next[zone.brightnessKey] = TRANSFORMERS.normalizeLedBrightness(patch[zone.brightnessKey]);
+        }
+      }
+
       return next;
     }
 
@@ -2133,6 +2374,10 @@
         keys.push("smartTracking");
       }
       if (has("hyperpollingIndicatorMode")) keys.push("hyperpollingIndicatorMode");
+      for (const [zoneName, zone] of Object.entries(RAZER_LED_ZONES)) {
+        if (has(zone.brightnessKey)) keys.push(zone.brightnessKey);
+        if (has(zone.effectKey) || has(zone.colorKey)) keys.push(`${zoneName}Lighting`);
+      }
 
       return keys;
     }
@@ -2905,6 +3150,8 @@
       return {
         dpiProfileId: OFFICIAL_MOUSE_PROFILE_ID,
         dpiStageIds: [],
+        // null = not probed yet (only the zones known from the matrix apply).
+        ledZones: null,
       };
     }
 
@@ -3030,6 +3277,7 @@
     }
 
     _capabilitiesSnapshot(caps = this._caps()) {
+      const ledZones = this._ledZones(caps);
       const pollingRates = caps.pollingMode === "v2"
         ? [125, 250, 500, 1000, 2000, 4000, 8000]
         : [125, 500, 1000];
@@ -3043,9 +3291,18 @@
         sensorAngle: !!caps.sensorAngle,
         lowPowerThresholdPercent: !!caps.lowPowerThresholdPercent,
         hyperpollingIndicatorMode: !!caps.hyperpollingIndicatorMode,
+        lighting: ledZones.length > 0,
+        ledZones,
       };
     }
 
+    _ledZones(caps = this._caps()) {
+      const detected = this._sessionReadCache?.ledZones;
+      if (!Array.isArray(detected)) return Array.isArray(caps.ledZones) ? caps.ledZones.slice(0) : [];
+      const candidates = Array.isArray(caps.ledProbeZones) ? caps.ledProbeZones : [];
+      return candidates.filter((zoneName) => detected.includes(zoneName));
+    }
+
     _syncCapabilitiesSnapshot(caps = this._caps()) {
       this.capabilities = this._capabilitiesSnapshot(caps);
       return this.capabilities;
@@ -3181,6 +3438,7 @@
         cfg.sensorAngle = 0;
       }
 
+      // No LED defaults: zone values come from the connect probe only, never from assumptions.
       return cfg;
     }
 
@@ -3211,6 +3469,7 @@
         this._closed = false;
         this._driver.setDevice(controlDevice, transportPid, { transportMode: this._transportMode });
         this._planner.setProductId(pid);
+        this._planner.setLedZones(this._sessionReadCache?.ledZones ?? null);
         this._cfg = Object.assign({}, this._makeDefaultCfg(), isObject(this._cfg) ? this._cfg : {});
         this._detachInputReportListener();
 
@@ -3485,12 +3744,14 @@
      * - execute in order
      * - update cached state and emit events
      */
-    async setBatchFeatures(obj) {
+    async setBatchFeatures(obj, { dryRun = false } = {}) {
       const payload = isObject(obj) ? obj : {};
 
       return this._opQueue.enqueue(async () => {
-        await this._ensureOpen();
+        if (!dryRun) await this._ensureOpen();
         const { patch, nextState, commands } = this._planner.plan(this._cfg, payload);
+        // Dry-run: return the planned command list without sending or committing nextState.
+        if (dryRun) return { patch, commands, dryRun: true };
 
         if (commands.length) {
           try {
@@ -4205,6 +4466,35 @@
         Object.assign(updates, buildPublicSmartTrackingStateFromOfficialModel(officialSmartTracking));
       }
 
+      if (caps.ledProbeZones.length && readOptionalAdvancedSnapshot) {
+        const txLed = txForField(pid, "lighting");
+        const detectedZones = [];
+        for (const zoneName of caps.ledProbeZones) {
+          const zone = RAZER_LED_ZONES[zoneName];
+          // A zone the model does not have answers NOT_SUPPORTED (swallowed to null).
+          const brightnessRes = await this._safeQuery(ProtocolCodec.commands.getLedBrightness(txLed, zone.ledId));
+          if (!brightnessRes?.arguments) continue;
+          detectedZones.push(zoneName);
+          updates[zone.brightnessKey] = TRANSFORMERS.ledBrightnessFromRaw(brightnessRes.arguments[2] ?? 0xff);
+          const effectRes = await this._safeQuery(ProtocolCodec.commands.getLedEffect(txLed, zone.ledId));
+          if (!effectRes?.arguments) continue;
+          const effectName = RAZER_LED_EFFECT_NAME_BY_ID[clampU8(effectRes.arguments[2] ?? RAZER_LED_EFFECT.STATIC)];
+          if (effectName) updates[zone.effectKey] = effectName;
+          // OFF / spectrum carry no color; keep the last known one for the next static/breathing write.
+          if (clampU8(effectRes.arguments[5] ?? 0) > 0) {
+            updates[zone.colorKey] = TRANSFORMERS.ledRgbToColor(
+              effectRes.arguments[6],
+              effectRes.arguments[7],
+              effectRes.arguments[8]
+            );
+          }
+        }
+        if (!this._sessionReadCache) this._resetSessionReadCache();
+        this._sessionReadCache.ledZones = detectedZones;
+        this._planner.setLedZones(detectedZones);
+        updates.capabilities = this._capabilitiesSnapshot(caps);
+      }
+
       const buttonMappings = await this._readButtonMappingsSnapshot({
         skipDeviceRead: isLegacyV3 && isConnectFull,
       });
@@ -5,6 +5,10 @@
  * - Define shared AppConfig ranges/timings/utilities.
  * - Provide common key maps/transforms helpers.
  * - Expose DeviceReader/DeviceWriter standard interfaces.
+ * - Build/validate portable std-key config exports, translate them across brands and plan
+ *   device-to-device clones (DeviceConfigIO).
+ * - Describe adapter std keys as JSON Schema (served through DeviceAdapters.describe).
+ * - Observable std-key store with per-key subscriptions (DeviceStore).
  *
  * Architecture layering:
  * - refactor.core.js: standard-key contracts and shared utilities.
@@ -87,6 +91,12 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
         debounce: 120,
         led: 80,
       },
+      // Countdown before a risky write (DeviceWriter.listRiskyStdKeys) is reverted unless confirmed.
+      safeApplyRevertMs: 15000,
+      // Drift watchdog: re-read interval comparing the device with values written from this page.
+      driftWatchMs: 30000,
+      // Hot-plug: how long an unplugged device keeps its UI session before dropping to landing.
+      hotplugResumeMs: 30000,
     },
 
 
@@ -797,20 +807,29 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
   function readStandardValue({ cfg, adapter, key }) {
     if (!cfg || !adapter || !key) return undefined;
     const st = cfg?.deviceState || cfg?.state || {};
+    const { raw } = readRawField({ cfg, adapter, key });
+    const transformer = adapter?.transforms?.[key];
+    return transformer?.read ? transformer.read(raw, { cfg, state: st, adapter }) : raw;
+  }
+
+  /**
+   * Resolve the protocol field backing one standard key and its raw readback value.
+   *
+   * @returns {{field: string|null, raw: any}} field is the first keyMap entry when none is present.
+   */
+  function readRawField({ cfg, adapter, key }) {
     const keys = normalizeKeyList(adapter?.keyMap?.[key]);
-    let raw;
+    if (!cfg) return { field: keys[0] || null, raw: undefined };
+    const st = cfg?.deviceState || cfg?.state || {};
     for (const k of keys) {
       if (st && Object.prototype.hasOwnProperty.call(st, k) && st[k] !== undefined) {
-        raw = st[k];
-        break;
+        return { field: k, raw: st[k] };
       }
       if (Object.prototype.hasOwnProperty.call(cfg, k) && cfg[k] !== undefined) {
-        raw = cfg[k];
-        break;
+        return { field: k, raw: cfg[k] };
       }
     }
-    const transformer = adapter?.transforms?.[key];
-    return transformer?.read ? transformer.read(raw, { cfg, state: st, adapter }) : raw;
+    return { field: keys[0] || null, raw: undefined };
   }
 
 
@@ -840,6 +859,49 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
     return true;
   }
 
+  function plannedBytesToHex(data) {
+    if (data == null) return "";
+    const arr = ArrayBuffer.isView(data)
+      ? Array.from(new Uint8Array(data.buffer, data.byteOffset, data.byteLength))
+      : (Array.isArray(data) ? data : Object.values(data));
+    return arr.map((b) => (Number(b) & 0xff).toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Normalize one protocol planner command for display.
+   * Purpose: planners emit {rid,hex} / {bytes} / {packet} shapes; dry-run output uses one shape.
+   *
+   * @param {Object} cmd - Planner command.
+   * @returns {{reportId: number|null, hex: string, waitMs: number|null, ack: Object|null, meta: Object}}
+   *   waitMs null means the driver default inter-command delay.
+   */
+  function describePlannedCommand(cmd) {
+    const src = cmd && typeof cmd === "object" ? cmd : {};
+    const hex = src.hex != null
+      ? String(src.hex)
+      : plannedBytesToHex(src.bytes ?? src.payload ?? src.u8 ?? src.packet ?? src.report);
+    let ack = null;
+    if (src.ack && typeof src.ack === "object") {
+      ack = { ...src.ack };
+    } else if (src.checkHeader != null || typeof src.responseValidator === "function") {
+      ack = { checkHeader: src.checkHeader ?? null, validator: typeof src.responseValidator === "function" };
+    }
+    const meta = {};
+    for (const [k, v] of Object.entries(src)) {
+      if (["rid", "reportId", "hex", "bytes", "payload", "u8", "packet", "report", "waitMs", "ack", "checkHeader", "responseValidator"].includes(k)) continue;
+      if (v == null || typeof v !== "object") meta[k] = v;
+    }
+    const rid = toNumber(src.rid ?? src.reportId);
+    const waitMs = toNumber(src.waitMs);
+    return {
+      reportId: Number.isFinite(rid) ? rid : null,
+      hex,
+      waitMs: Number.isFinite(waitMs) ? waitMs : null,
+      ack,
+      meta,
+    };
+  }
+
   /**
    * Write a standard-key patch to protocol layer.
    *
@@ -849,23 +911,47 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
    * 3) keyMap + hidApi.setFeature fallback
    *
    * This keeps app.js protocol-agnostic and allows device-unique writes to live in profiles.
+   *
+   * Validation (`validate`, default on): keys (or single buttons of buttonMappingPatch) failing
+   * validatePatch() against the adapter schema are not written and come back in `errors`;
+   * pass `capabilities` so DPI/polling domains match the device.
+   *
+   * Dry-run (`dryRun: true`): nothing is sent. Keyed writes are planned per protocol field through
+   * hidApi.setBatchFeatures(patch, { dryRun: true }) in the same order setFeature would run them;
+   * adapter actions are opaque handlers and are listed as unplanned.
+   * Each plan runs against the current protocol state, so later fields do not see earlier ones.
    */
-  async function writePatch({ hidApi, adapter, payload }) {
-    const emptyResult = { writtenStdPatch: {}, mappedPatch: {} };
+  async function writePatch({ hidApi, adapter, payload, dryRun = false, capabilities = null, validate = true }) {
+    const emptyResult = dryRun
+      ? { writtenStdPatch: {}, mappedPatch: {}, errors: [], dryRun: true, steps: [], unplanned: [] }
+      : { writtenStdPatch: {}, mappedPatch: {}, errors: [] };
     if (!payload || typeof payload !== "object") return emptyResult;
     if (!hidApi) return emptyResult;
     if (!adapter) return emptyResult;
 
     const canSetFeature = typeof hidApi.setFeature === "function";
+    const validation = validate ? validatePatch({ adapter, payload, capabilities }) : null;
+    const errors = validation ? validation.errors : [];
 
     const mappedPatch = {};
     const writtenStdPatch = {};
-    for (const [stdKey, v] of Object.entries(payload)) {
+    const unplanned = [];
+    for (const [stdKey, v] of Object.entries(validation ? validation.validPatch : payload)) {
       const transformer = adapter?.transforms?.[stdKey];
       const outVal = transformer?.write ? transformer.write(v, { payload, adapter }) : v;
       if (outVal === undefined) continue;
 
       const action = adapter?.actions?.[stdKey];
+      if (action && dryRun) {
+        unplanned.push({
+          stdKey,
+          value: outVal,
+          reason: "action",
+          method: typeof action?.method === "string" ? action.method : null,
+        });
+        writtenStdPatch[stdKey] = outVal;
+        continue;
+      }
       if (action) {
         const handled = await invokeAdapterAction({
           hidApi,
@@ -887,10 +973,157 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
       writtenStdPatch[stdKey] = outVal;
     }
 
+    if (dryRun) {
+      const steps = [];
+      for (const [k, v] of Object.entries(mappedPatch)) {
+        if (typeof hidApi.setBatchFeatures !== "function") {
+          unplanned.push({ field: k, value: v, reason: "no-planner" });
+          continue;
+        }
+        try {
+          const plan = await hidApi.setBatchFeatures({ [k]: v }, { dryRun: true });
+          if (!plan?.dryRun) throw new Error("Protocol does not support dry-run planning");
+          steps.push({
+            field: k,
+            value: v,
+            commands: (Array.isArray(plan.commands) ? plan.commands : []).map(describePlannedCommand),
+          });
+        } catch (err) {
+          unplanned.push({ field: k, value: v, reason: "plan-error", error: String(err?.message || err) });
+        }
+      }
+      return { writtenStdPatch, mappedPatch, errors, dryRun: true, steps, unplanned };
+    }
+
     for (const [k, v] of Object.entries(mappedPatch)) {
       await hidApi.setFeature(k, v);
     }
-    return { writtenStdPatch, mappedPatch };
+    return { writtenStdPatch, mappedPatch, errors };
+  }
+
+  function isRiskyStdValue(rule, value) {
+    if (!rule || typeof rule !== "object" || value === undefined || value === null) return false;
+    if (rule.minValue != null) {
+      const n = toNumber(value);
+      if (Number.isFinite(n) && n >= Number(rule.minValue)) return true;
+    }
+    if (rule.whenTrue && value === true) return true;
+    if ((rule.buttons || rule.actions) && typeof value === "object" && !Array.isArray(value)) {
+      const buttons = new Set((rule.buttons || []).map((btn) => Number(btn)));
+      const safeActions = new Set(rule.safeActions || []);
+      const riskyActions = new Set(rule.actions || []);
+      for (const [btn, action] of Object.entries(value)) {
+        if (action == null) continue;
+        if (riskyActions.has(action)) return true;
+        if (buttons.has(Number(btn)) && !safeActions.has(action)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * List std keys in a patch that match the adapter safe-apply risk rules.
+   * Purpose: let the write chain guard changes that can leave the user unable to click "OK".
+   *
+   * @param {Object} args
+   * @param {Object} args.adapter - Adapter providing features.safeApplyRiskyKeys.
+   * @param {Object} args.payload - UI-layer standard-key patch.
+   * @returns {string[]} Risky std keys (empty when the patch is safe).
+   */
+  function listRiskyStdKeys({ adapter, payload }) {
+    const rules = adapter?.features?.safeApplyRiskyKeys;
+    if (!rules || typeof rules !== "object" || !payload || typeof payload !== "object") return [];
+    return Object.keys(payload).filter((key) => isRiskyStdValue(rules[key], payload[key]));
+  }
+
+  function isSameStdValue(a, b) {
+    if (Object.is(a, b)) return true;
+    if (a == null || b == null) return false;
+    if (typeof a === "object" || typeof b === "object") {
+      try {
+        return JSON.stringify(a) === JSON.stringify(b);
+      } catch (_) {
+        return false;
+      }
+    }
+    const na = Number(a);
+    const nb = Number(b);
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+    return String(a) === String(b);
+  }
+
+  /**
+   * Re-read the device and check that a written patch stuck.
+   * Purpose: vendor software (Synapse, G HUB, ...) or firmware clamping can silently replace values.
+   *
+   * Expected values go through transform.write then transform.read, so snapping/normalization done
+   * by the adapter is not reported as a mismatch. buttonMappingPatch is compared per button and
+   * needs resolveButtonLabel; keys without a readable protocol field are listed as unverified.
+   *
+   * @param {Object} args
+   * @param {Object} args.hidApi - WebHID wrapper (requestConfig/getCachedConfig).
+   * @param {Object} args.adapter - Runtime adapter.
+   * @param {Object} args.payload - Std-key patch that was written (writtenStdPatch keys).
+   * @param {Function} [args.resolveButtonLabel] - (buttonMappingsItem, btn) => action label.
+   * @param {boolean} [args.reread] - false to compare against the cached config without a new read.
+   * @returns {Promise<{ok: boolean, checked: string[], mismatches: Array<Object>, unverified: string[]}>}
+   *   mismatch: { stdKey, button?, expected, actual, field, raw }.
+   */
+  async function verifyPatch({ hidApi, adapter, payload, resolveButtonLabel = null, reread = true }) {
+    const report = { ok: true, checked: [], mismatches: [], unverified: [] };
+    if (!hidApi || !adapter || !payload || typeof payload !== "object") return report;
+    if (reread) await requestConfig({ hidApi });
+    const cfg = getCachedConfig({ hidApi });
+    if (!cfg) {
+      report.unverified = Object.keys(payload);
+      return report;
+    }
+    const st = cfg?.deviceState || cfg?.state || {};
+
+    for (const [stdKey, value] of Object.entries(payload)) {
+      if (value === undefined) continue;
+      if (stdKey === "buttonMappingPatch") {
+        const live = isPlainObject(value) ? readButtonMappingSnapshot(cfg, adapter, resolveButtonLabel) : undefined;
+        if (!live) {
+          report.unverified.push(stdKey);
+          continue;
+        }
+        report.checked.push(stdKey);
+        for (const [btn, label] of Object.entries(value)) {
+          if (label == null || isSameStdValue(live[btn], label)) continue;
+          const item = cfg.buttonMappings?.[Number(btn) - 1];
+          report.mismatches.push({
+            stdKey,
+            button: Number(btn),
+            expected: label,
+            actual: live[btn] ?? null,
+            field: `buttonMappings[${Number(btn) - 1}]`,
+            raw: item ? { funckey: item.funckey, keycode: item.keycode } : null,
+          });
+        }
+        continue;
+      }
+
+      const { field, raw } = readRawField({ cfg, adapter, key: stdKey });
+      if (!field || raw === undefined) {
+        report.unverified.push(stdKey);
+        continue;
+      }
+      const transformer = adapter?.transforms?.[stdKey];
+      let expected = value;
+      try {
+        const outVal = transformer?.write ? transformer.write(value, { payload, adapter }) : value;
+        expected = transformer?.read ? transformer.read(outVal, { cfg, state: st, adapter }) : outVal;
+      } catch (_) {}
+      if (expected === undefined) expected = value;
+      const actual = readStandardValue({ cfg, adapter, key: stdKey });
+      report.checked.push(stdKey);
+      if (!isSameStdValue(actual, expected)) {
+        report.mismatches.push({ stdKey, expected, actual: actual ?? null, field, raw });
+      }
+    }
+    report.ok = !report.mismatches.length;
+    return report;
   }
 
   // Reader facade for app.js. Runtime bootstrap/read strategy still belongs to protocol_api_*.
@@ -912,6 +1145,183 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
     return null;
   }
 
+  // ============================================================
+  // Observable std-key store
+  // ============================================================
+  // Std keys whose intent is a partial per-button patch layered over the device value.
+  const STORE_PER_BUTTON_KEYS = Object.freeze(["buttonMappingPatch"]);
+  const STORE_ANY_KEY = "*";
+
+  /**
+   * Create an observable std-key store.
+   * Purpose: let pages, panels and test tools follow single std keys without going through
+   * applyConfigToUi. Values are intent-aware: a pending UI write wins until readback matches it.
+   *
+   * Feeding:
+   * - ingest(cfg) on every hidApi.onConfig callback.
+   * - setIntent/clearIntent mirror the app.js write-intent table.
+   *
+   * subscribe(stdKey, cb) calls cb(value, { key, previous, source }) when the effective value
+   * changes; source is "intent" while a pending write overrides the device value.
+   * stdKey "*" receives every change.
+   *
+   * @returns {Object} Store instance.
+   */
+  function createStdKeyStore() {
+    let adapter = null;
+    let resolveButtonLabel = null;
+    let device = {};
+    const intents = new Map();
+    const listeners = new Map();
+
+    const clone = (v) => {
+      if (v == null || typeof v !== "object") return v;
+      try { return JSON.parse(JSON.stringify(v)); } catch (_) { return v; }
+    };
+
+    function listKeys() {
+      if (!adapter) return [];
+      return Array.from(new Set([
+        ...Object.keys(adapter.keyMap || {}),
+        ...Object.keys(adapter.transforms || {}),
+        ...Object.keys(adapter.actions || {}),
+      ]));
+    }
+
+    function intentMatches(key, deviceValue, intent) {
+      if (STORE_PER_BUTTON_KEYS.includes(key) && isPlainObject(intent)) {
+        return Object.entries(intent).every(([btn, label]) => isSameStdValue(deviceValue?.[btn], label));
+      }
+      return isSameStdValue(deviceValue, intent);
+    }
+
+    function effective(key) {
+      if (!intents.has(key)) return device[key];
+      const intent = intents.get(key);
+      if (STORE_PER_BUTTON_KEYS.includes(key) && isPlainObject(intent)) {
+        return { ...(isPlainObject(device[key]) ? device[key] : {}), ...intent };
+      }
+      return intent;
+    }
+
+    function emit(key, value, previous) {
+      const meta = { key, previous, source: intents.has(key) ? "intent" : "device" };
+      for (const bucket of [listeners.get(key), listeners.get(STORE_ANY_KEY)]) {
+        if (!bucket) continue;
+        for (const fn of Array.from(bucket)) {
+          try { fn(clone(value), meta); } catch (err) { console.error(err); }
+        }
+      }
+    }
+
+    // Run a mutation and notify keys whose effective value changed.
+    function track(keys, mutate) {
+      const before = new Map(keys.map((key) => [key, effective(key)]));
+      mutate();
+      for (const key of keys) {
+        const next = effective(key);
+        const prev = before.get(key);
+        if (!isSameStdValue(prev, next)) emit(key, next, prev);
+      }
+    }
+
+    /**
+     * Bind the runtime adapter (drops all values and intents of the previous device).
+     * Rebinding the same adapter keeps them; call reset() to drop them explicitly.
+     * @param {Object} nextAdapter - Runtime adapter.
+     * @param {Object} [opts]
+     * @param {Function} [opts.resolveButtonLabel] - (buttonMappingsItem, btn) => action label.
+     */
+    function bindAdapter(nextAdapter, { resolveButtonLabel: resolver = null } = {}) {
+      if ((nextAdapter || null) !== adapter) reset();
+      adapter = nextAdapter || null;
+      resolveButtonLabel = typeof resolver === "function" ? resolver : null;
+    }
+
+    /**
+     * Read every std key from a readback cfg.
+     * @param {Object} cfg - Protocol readback config.
+     */
+    function ingest(cfg) {
+      if (!adapter || !cfg || typeof cfg !== "object") return;
+      const keys = listKeys();
+      track(keys, () => {
+        const next = {};
+        for (const key of keys) {
+          const value = STORE_PER_BUTTON_KEYS.includes(key)
+            ? readButtonMappingSnapshot(cfg, adapter, resolveButtonLabel)
+            : readStandardValue({ cfg, adapter, key });
+          if (value !== undefined) next[key] = value;
+          if (intents.has(key) && intentMatches(key, value, intents.get(key))) intents.delete(key);
+        }
+        device = next;
+      });
+    }
+
+    function setIntent(key, value) {
+      if (!key || value === undefined) return;
+      track([key], () => intents.set(key, clone(value)));
+    }
+
+    function clearIntent(key) {
+      if (!intents.has(key)) return;
+      track([key], () => intents.delete(key));
+    }
+
+    function reset() {
+      const keys = Array.from(new Set([...Object.keys(device), ...intents.keys()]));
+      track(keys, () => {
+        device = {};
+        intents.clear();
+      });
+    }
+
+    /**
+     * Subscribe to one std key ("*" for all keys).
+     * @param {string} key - Std key.
+     * @param {Function} fn - (value, meta) => void.
+     * @param {Object} [opts]
+     * @param {boolean} [opts.immediate] - Call fn once with the current value.
+     * @returns {Function} Unsubscribe.
+     */
+    function subscribe(key, fn, { immediate = false } = {}) {
+      const name = String(key || "").trim();
+      if (!name || typeof fn !== "function") return () => {};
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(fn);
+      if (immediate && name !== STORE_ANY_KEY) {
+        try {
+          fn(clone(effective(name)), { key: name, previous: undefined, source: intents.has(name) ? "intent" : "device" });
+        } catch (err) {
+          console.error(err);
+        }
+      }
+      return () => {
+        const bucket = listeners.get(name);
+        if (!bucket) return;
+        bucket.delete(fn);
+        if (!bucket.size) listeners.delete(name);
+      };
+    }
+
+    return {
+      bindAdapter,
+      ingest,
+      setIntent,
+      clearIntent,
+      reset,
+      subscribe,
+      get: (key) => clone(effective(key)),
+      getDeviceValue: (key) => clone(device[key]),
+      hasIntent: (key) => intents.has(key),
+      snapshot: () => {
+        const out = {};
+        for (const key of new Set([...Object.keys(device), ...intents.keys()])) out[key] = clone(effective(key));
+        return out;
+      },
+    };
+  }
+
   const ADVANCED_PANEL_REGIONS = Object.freeze(["dual-left", "dual-right", "single"]);
   const ADVANCED_PANEL_REGION_SET = new Set(ADVANCED_PANEL_REGIONS);
   const ADVANCED_PANEL_RULE_DEFAULTS = Object.freeze({
@@ -944,6 +1354,8 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
     superstrikeClickFeedbackComposite: Object.freeze({ regions: Object.freeze(["single"]), requiresFeatures: Object.freeze([]), requiresCapabilities: Object.freeze(["superstrikeSwitches"]) }),
     lowPowerThresholdPercent: Object.freeze({ regions: Object.freeze(["single"]), requiresFeatures: Object.freeze([]), requiresCapabilities: Object.freeze([]) }),
     hyperpollingIndicator: Object.freeze({ regions: Object.freeze(["single"]), requiresFeatures: Object.freeze([]), requiresCapabilities: Object.freeze([]) }),
+    lightingComposite: Object.freeze({ regions: Object.freeze(["single"]), requiresFeatures: Object.freeze([]), requiresCapabilities: Object.freeze(["lighting"]) }),
+    onboardBackup: Object.freeze({ regions: Object.freeze(["single"]), requiresFeatures: Object.freeze([]), requiresCapabilities: Object.freeze(["onboardProfileBackup"]) }),
   });
 
   function isPlainObject(v) {
@@ -1018,6 +1430,759 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
     return enabledPass && featurePass && capabilityPass;
   }
 
+  // ============================================================
+  // Config Export / Import (portable std-key snapshot)
+  // ============================================================
+  const CONFIG_EXPORT_FORMAT = "clicksync.device-config";
+  const CONFIG_EXPORT_VERSION = 1;
+  // These keys switch the write target (slot/onboard mode) instead of describing it.
+  const CONFIG_EXPORT_EXCLUDED_KEYS = Object.freeze(["activeConfigSlotIndex", "onboardMemoryMode"]);
+
+  /**
+   * List exportable standard keys of one adapter.
+   * Purpose: keyMap keys plus transform/action-only keys (e.g. buttonMappingPatch).
+   *
+   * @param {Object} adapter - Runtime adapter.
+   * @returns {string[]} Standard keys.
+   */
+  function listStandardKeys(adapter) {
+    if (!adapter) return [];
+    const keys = new Set([
+      ...Object.keys(adapter.keyMap || {}),
+      ...Object.keys(adapter.transforms || {}),
+      ...Object.keys(adapter.actions || {}),
+    ]);
+    CONFIG_EXPORT_EXCLUDED_KEYS.forEach((key) => keys.delete(key));
+    return Array.from(keys);
+  }
+
+  // Lowest writable button; profiles without a protocol slot for button 1 set keymapPrimaryRemappable: false.
+  function resolveFirstMappableButton(adapter) {
+    return adapter?.features?.keymapPrimaryRemappable === false ? 2 : 1;
+  }
+
+  function readButtonMappingSnapshot(cfg, adapter, resolveButtonLabel) {
+    const arr = cfg?.buttonMappings;
+    if (!Array.isArray(arr) || typeof resolveButtonLabel !== "function") return undefined;
+    const capRaw = toNumber(adapter?.features?.keymapButtonCount);
+    const maxButtons = Number.isFinite(capRaw) ? Math.max(1, Math.round(capRaw)) : 6;
+    const out = {};
+    for (let btn = resolveFirstMappableButton(adapter); btn <= maxButtons; btn++) {
+      const item = arr[btn - 1];
+      if (!item) continue;
+      const label = resolveButtonLabel(item, btn);
+      if (label) out[btn] = label;
+    }
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  /**
+   * Build a versioned config export document from readback cfg.
+   *
+   * @param {Object} args
+   * @param {Object} args.cfg - Protocol readback config.
+   * @param {Object} args.adapter - Runtime adapter.
+   * @param {Object} [args.device] - Device meta: model, firmware, vendorId, productId.
+   * @param {Function} [args.resolveButtonLabel] - (buttonMappingsItem, btn) => action label.
+   * @returns {Object} Export document.
+   */
+  function buildConfigExport({ cfg, adapter, device = {}, resolveButtonLabel = null }) {
+    const values = {};
+    for (const key of listStandardKeys(adapter)) {
+      const value = key === "buttonMappingPatch"
+        ? readButtonMappingSnapshot(cfg, adapter, resolveButtonLabel)
+        : readStandardValue({ cfg, adapter, key });
+      if (value === undefined || value === null || Number.isNaN(value)) continue;
+      values[key] = value;
+    }
+    return {
+      format: CONFIG_EXPORT_FORMAT,
+      version: CONFIG_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      device: {
+        id: adapter?.id || null,
+        model: String(device?.model || cfg?.deviceName || ""),
+        firmware: device?.firmware ?? null,
+        vendorId: device?.vendorId ?? null,
+        productId: device?.productId ?? null,
+      },
+      values,
+    };
+  }
+
+  function configValueKind(v) {
+    if (Array.isArray(v)) return "array";
+    if (v === null) return "null";
+    return typeof v;
+  }
+
+  /**
+   * Validate an export document against the current adapter.
+   * Purpose: turn a foreign/old file into one std-key patch, listing every skipped key.
+   *
+   * @param {Object} args
+   * @param {Object|string} args.doc - Parsed document or JSON text.
+   * @param {Object} args.adapter - Runtime adapter.
+   * @param {Object} [args.cfg] - Current readback cfg; used to type-check against live values.
+   * @param {Object} [args.capabilities] - hidApi.capabilities; values are checked with validatePatch().
+   * @returns {{ok: boolean, error: string|null, patch: Object, skipped: Array<{key: string, reason: string, errors?: Array}>, device: Object|null}}
+   */
+  function parseConfigImport({ doc, adapter, cfg = null, capabilities = null }) {
+    const fail = (error) => ({ ok: false, error, patch: {}, skipped: [], device: null });
+    let src = doc;
+    if (typeof src === "string") {
+      try { src = JSON.parse(src); } catch (_) { return fail("invalid-json"); }
+    }
+    if (!isPlainObject(src) || src.format !== CONFIG_EXPORT_FORMAT) return fail("unknown-format");
+    const version = Number(src.version);
+    if (!Number.isFinite(version) || version < 1 || version > CONFIG_EXPORT_VERSION) return fail("unsupported-version");
+    if (!adapter) return fail("no-adapter");
+    const sourceId = String(src.device?.id || "").trim().toLowerCase();
+    if (sourceId !== adapter.id) return fail("device-mismatch");
+    if (!isPlainObject(src.values)) return fail("missing-values");
+
+    const known = new Set(listStandardKeys(adapter));
+    const patch = {};
+    const skipped = [];
+    for (const [key, value] of Object.entries(src.values)) {
+      if (!known.has(key)) {
+        skipped.push({ key, reason: "unsupported" });
+        continue;
+      }
+      if (cfg && key !== "buttonMappingPatch") {
+        const live = readStandardValue({ cfg, adapter, key });
+        if (live !== undefined && live !== null && configValueKind(live) !== configValueKind(value)) {
+          skipped.push({ key, reason: "type-mismatch" });
+          continue;
+        }
+      }
+      const transformer = adapter?.transforms?.[key];
+      let outVal = value;
+      try {
+        outVal = transformer?.write ? transformer.write(value, { payload: src.values, adapter }) : value;
+      } catch (_) {
+        outVal = undefined;
+      }
+      if (outVal === undefined || (typeof outVal === "number" && !Number.isFinite(outVal))) {
+        skipped.push({ key, reason: "invalid-value" });
+        continue;
+      }
+      const invalid = validatePatch({ adapter, payload: { [key]: value }, capabilities }).errors;
+      if (invalid.length) {
+        skipped.push({ key, reason: "invalid-value", errors: invalid });
+        continue;
+      }
+      patch[key] = value;
+    }
+    return { ok: true, error: null, patch, skipped, device: src.device || null };
+  }
+
+  // ============================================================
+  // Cross-brand translation (std-key snapshot -> another adapter)
+  // ============================================================
+  // Only keys with the same meaning on every brand are carried across.
+  // Everything else (performanceMode, surface/LED toggles, sensorAngle which Ninjutso
+  // reuses for LED brightness, ...) is reported as unsupported.
+  const TRANSLATABLE_FEATURE_TOGGLES = Object.freeze({
+    motionSync: "hasMotionSync",
+    linearCorrection: "hasLinearCorrection",
+    rippleControl: "hasRippleControl",
+  });
+  const TRANSLATABLE_KEYS = Object.freeze([
+    "dpiSlots",
+    "dpiSlotsX",
+    "dpiSlotsY",
+    "dpiSlotCount",
+    "activeDpiSlotIndex",
+    "pollingHz",
+    "sleepSeconds",
+    "debounceMs",
+    "buttonMappingPatch",
+    ...Object.keys(TRANSLATABLE_FEATURE_TOGGLES),
+  ]);
+
+  function resolveTargetDpiContext(adapter, capabilities) {
+    const cap = isPlainObject(capabilities) ? capabilities : {};
+    const dpiCfg = adapter?.ranges?.dpi || {};
+    const policy = isPlainObject(dpiCfg.policy) ? dpiCfg.policy : (isPlainObject(cap.dpiPolicy) ? cap.dpiPolicy : {});
+    const stepSegments = Array.isArray(policy.stepSegments) && policy.stepSegments.length
+      ? policy.stepSegments
+      : (Array.isArray(dpiCfg.stepSegments) ? dpiCfg.stepSegments : (Array.isArray(cap.dpiSegments) ? cap.dpiSegments : []));
+    const step = toNumber(policy.step ?? dpiCfg.step ?? cap.dpiStep) || 50;
+    const lastSeg = stepSegments[stepSegments.length - 1];
+    const min = toNumber(cap.minDpi ?? dpiCfg.min ?? stepSegments[0]?.min) || 100;
+    const max = toNumber(cap.maxDpi ?? dpiCfg.max ?? lastSeg?.max) || 26000;
+    const slotCap = toNumber(cap.dpiSlotCount);
+    return {
+      min,
+      max,
+      step,
+      stepSegments,
+      dpiPolicy: { ...policy, step, stepSegments },
+      slotCap: Number.isFinite(slotCap) && slotCap > 0 ? Math.trunc(slotCap) : null,
+      snapper: typeof adapter?.dpiSnapper === "function" ? adapter.dpiSnapper : defaultDpiSnapper,
+    };
+  }
+
+  /**
+   * Translate an export document from one adapter to another.
+   * Purpose: carry DPI stages, polling, power and button layout across brands and
+   * report every field that had to be rounded, dropped or was not translatable.
+   *
+   * @param {Object} args
+   * @param {Object|string} args.doc - Source export document.
+   * @param {Object} args.adapter - Target adapter.
+   * @param {Object} [args.capabilities] - Target hidApi.capabilities (maxDpi, pollingRates, dpiSlotCount).
+   * @param {Function} [args.isButtonActionSupported] - (label) => boolean for the target protocol.
+   * @returns {{ok: boolean, error: string|null, doc: Object|null, report: {rounded: Array, dropped: Array, unsupported: Array}}}
+   */
+  function translateConfigExport({ doc, adapter, capabilities = null, isButtonActionSupported = null }) {
+    const report = { rounded: [], dropped: [], unsupported: [] };
+    const fail = (error) => ({ ok: false, error, doc: null, report });
+    let src = doc;
+    if (typeof src === "string") {
+      try { src = JSON.parse(src); } catch (_) { return fail("invalid-json"); }
+    }
+    if (!isPlainObject(src) || src.format !== CONFIG_EXPORT_FORMAT) return fail("unknown-format");
+    if (!isPlainObject(src.values)) return fail("missing-values");
+    if (!adapter) return fail("no-adapter");
+
+    const cap = isPlainObject(capabilities) ? capabilities : {};
+    const targetKeys = new Set(listStandardKeys(adapter));
+    const features = adapter.features || {};
+    const dpi = resolveTargetDpiContext(adapter, cap);
+    const values = {};
+    const note = (bucket, key, from, to, reason) => {
+      const entry = { key, from };
+      if (to !== undefined) entry.to = to;
+      if (reason) entry.reason = reason;
+      report[bucket].push(entry);
+    };
+    const pickFromList = (key, raw, list) => {
+      if (!Array.isArray(list) || !list.length) {
+        note("dropped", key, raw, undefined, "no-range");
+        return;
+      }
+      const next = nearestFromList(raw, list, undefined);
+      if (next === undefined) {
+        note("dropped", key, raw, undefined, "invalid-value");
+        return;
+      }
+      if (next !== Number(raw)) note("rounded", key, raw, next);
+      values[key] = next;
+    };
+
+    for (const [key, raw] of Object.entries(src.values)) {
+      if (!TRANSLATABLE_KEYS.includes(key)) {
+        note("unsupported", key, raw);
+        continue;
+      }
+      if (!targetKeys.has(key)) {
+        note("dropped", key, raw, undefined, "not-on-target");
+      }
+    }
+
+    // DPI stages: trim to target slot count, then snap X/Y pairs with the target snapper.
+    const slotsX = normalizeDpiSlotArray(src.values.dpiSlotsX ?? src.values.dpiSlots);
+    const slotsY = normalizeDpiSlotArray(src.values.dpiSlotsY ?? src.values.dpiSlotsX ?? src.values.dpiSlots);
+    if (Array.isArray(slotsX) && slotsX.length && targetKeys.has("dpiSlots")) {
+      const limit = dpi.slotCap ? Math.min(dpi.slotCap, slotsX.length) : slotsX.length;
+      if (limit < slotsX.length) {
+        note("dropped", "dpiSlots", slotsX.slice(limit), undefined, `max-${limit}-stages`);
+      }
+      const outX = [];
+      const outY = [];
+      for (let i = 0; i < limit; i++) {
+        const x = slotsX[i];
+        const y = Number.isFinite(slotsY?.[i]) ? slotsY[i] : x;
+        let snapped = null;
+        try {
+          snapped = dpi.snapper({
+            slot: i,
+            axis: "x",
+            x,
+            y,
+            min: dpi.min,
+            max: dpi.max,
+            step: dpi.step,
+            stepSegments: dpi.stepSegments,
+            dpiPolicy: dpi.dpiPolicy,
+          });
+        } catch (_) {}
+        const sx = Number.isFinite(Number(snapped?.x)) ? clamp(Number(snapped.x), dpi.min, dpi.max) : clamp(x, dpi.min, dpi.max);
+        const sy = Number.isFinite(Number(snapped?.y)) ? clamp(Number(snapped.y), dpi.min, dpi.max) : clamp(y, dpi.min, dpi.max);
+        if (sx !== x) note("rounded", `dpiSlotsX[${i}]`, x, sx);
+        if (sy !== y) note("rounded", `dpiSlotsY[${i}]`, y, sy);
+        outX.push(sx);
+        outY.push(sy);
+      }
+      values.dpiSlots = outX.slice(0);
+      if (targetKeys.has("dpiSlotsX")) values.dpiSlotsX = outX;
+      if (targetKeys.has("dpiSlotsY")) values.dpiSlotsY = outY;
+
+      const countRaw = toNumber(src.values.dpiSlotCount);
+      if (Number.isFinite(countRaw) && targetKeys.has("dpiSlotCount")) {
+        const count = clamp(Math.trunc(countRaw), 1, outX.length);
+        if (count !== countRaw) note("rounded", "dpiSlotCount", countRaw, count);
+        values.dpiSlotCount = count;
+        const activeRaw = toNumber(src.values.activeDpiSlotIndex);
+        if (Number.isFinite(activeRaw) && targetKeys.has("activeDpiSlotIndex")) {
+          const active = clamp(Math.trunc(activeRaw), 0, count - 1);
+          if (active !== activeRaw) note("rounded", "activeDpiSlotIndex", activeRaw, active);
+          values.activeDpiSlotIndex = active;
+        }
+      }
+    }
+
+    if (src.values.pollingHz != null && targetKeys.has("pollingHz")) {
+      const rates = Array.isArray(cap.pollingRates) && cap.pollingRates.length
+        ? cap.pollingRates
+        : adapter.ranges?.polling?.basicHz;
+      pickFromList("pollingHz", src.values.pollingHz, rates);
+    }
+    if (src.values.sleepSeconds != null && targetKeys.has("sleepSeconds")) {
+      pickFromList("sleepSeconds", src.values.sleepSeconds, adapter.ranges?.power?.sleepSeconds);
+    }
+    if (src.values.debounceMs != null && targetKeys.has("debounceMs")) {
+      pickFromList("debounceMs", src.values.debounceMs, adapter.ranges?.power?.debounceMs);
+    }
+
+    for (const [key, featureKey] of Object.entries(TRANSLATABLE_FEATURE_TOGGLES)) {
+      if (src.values[key] == null || !targetKeys.has(key)) continue;
+      if (!features[featureKey]) {
+        note("dropped", key, src.values[key], undefined, "feature-missing");
+        continue;
+      }
+      values[key] = !!src.values[key];
+    }
+
+    const buttons = src.values.buttonMappingPatch;
+    if (isPlainObject(buttons) && targetKeys.has("buttonMappingPatch")) {
+      const capRaw = toNumber(features.keymapButtonCount);
+      const maxButtons = Number.isFinite(capRaw) ? Math.max(1, Math.round(capRaw)) : 6;
+      const minButton = resolveFirstMappableButton(adapter);
+      const out = {};
+      for (const [btn, label] of Object.entries(buttons)) {
+        const idx = Math.trunc(Number(btn));
+        const key = `buttonMappingPatch[${btn}]`;
+        if (!Number.isFinite(idx) || idx < minButton || idx > maxButtons) {
+          note("dropped", key, label, undefined, "no-such-button");
+          continue;
+        }
+        if (typeof isButtonActionSupported === "function" && !isButtonActionSupported(label)) {
+          note("dropped", key, label, undefined, "action-unsupported");
+          continue;
+        }
+        out[idx] = label;
+      }
+      if (Object.keys(out).length) values.buttonMappingPatch = out;
+    }
+
+    return {
+      ok: true,
+      error: null,
+      doc: {
+        ...src,
+        translatedFrom: isPlainObject(src.device) ? { ...src.device } : null,
+        device: {
+          ...(isPlainObject(src.device) ? src.device : {}),
+          id: adapter.id,
+        },
+        values,
+      },
+      report,
+    };
+  }
+
+  function findCloneRowReason(key, report, skipped) {
+    const hit = (list) => (list || []).find((it) => it.key === key || String(it.key).startsWith(`${key}[`));
+    const unsupported = hit(report?.unsupported);
+    if (unsupported) return "unsupported";
+    const dropped = hit(report?.dropped);
+    if (dropped) return dropped.reason || "dropped";
+    const skip = (skipped || []).find((it) => it.key === key);
+    return skip ? skip.reason : "not-on-target";
+  }
+
+  /**
+   * Plan a device-to-device clone of a full std-key snapshot.
+   * Purpose: same model copies every key as is; another brand goes through
+   * translateConfigExport(). Either way the result is validated by parseConfigImport()
+   * against the target and listed key by key for the preview.
+   *
+   * @param {Object} args
+   * @param {Object} args.doc - Source export document (buildConfigExport of the source device).
+   * @param {Object} args.adapter - Target adapter.
+   * @param {Object} [args.cfg] - Target readback cfg.
+   * @param {Object} [args.capabilities] - Target hidApi.capabilities.
+   * @param {Function} [args.isButtonActionSupported] - (label) => boolean for the target protocol.
+   * @returns {{ok: boolean, error: string|null, translated: boolean, patch: Object,
+   *   rows: Array<{key: string, from: any, to: any, status: "copied"|"snapped"|"missing", reason?: string}>,
+   *   report: Object|null}}
+   */
+  function planConfigClone({ doc, adapter, cfg = null, capabilities = null, isButtonActionSupported = null }) {
+    const fail = (error) => ({ ok: false, error, translated: false, patch: {}, rows: [], report: null });
+    if (!isPlainObject(doc) || !isPlainObject(doc.values)) return fail("missing-values");
+    if (!adapter) return fail("no-adapter");
+
+    let res = parseConfigImport({ doc, adapter, cfg, capabilities });
+    let report = null;
+    if (!res.ok && res.error === "device-mismatch") {
+      const translated = translateConfigExport({ doc, adapter, capabilities, isButtonActionSupported });
+      if (!translated.ok) return fail(translated.error);
+      report = translated.report;
+      res = parseConfigImport({ doc: translated.doc, adapter, cfg, capabilities });
+    }
+    if (!res.ok) return fail(res.error);
+
+    const rows = [];
+    const keys = Array.from(new Set([...Object.keys(doc.values), ...Object.keys(res.patch)]));
+    for (const key of keys) {
+      const from = doc.values[key];
+      if (!Object.prototype.hasOwnProperty.call(res.patch, key)) {
+        rows.push({ key, from, to: undefined, status: "missing", reason: findCloneRowReason(key, report, res.skipped) });
+        continue;
+      }
+      const to = res.patch[key];
+      rows.push({ key, from, to, status: from === undefined || isSameStdValue(from, to) ? "copied" : "snapped" });
+    }
+    return { ok: true, error: null, translated: !!report, patch: res.patch, rows, report };
+  }
+
+  // ============================================================
+  // Capability schema (JSON Schema per std key)
+  // ============================================================
+  const DEVICE_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+  const DEVICE_SCHEMA_ID_PREFIX = "clicksync.device-schema/";
+  // Std keys edited by an advanced panel item with a different item key.
+  const ADVANCED_PANEL_ITEM_BY_STD_KEY = Object.freeze({
+    surfaceModeSecondary: "secondarySurfaceToggle",
+    speedClickLeft: "speedClickMode",
+    speedClickRight: "speedClickMode",
+    onboardMemoryMode: "onboardMemory",
+    bhopMs: "bhopDelay",
+    dynamicSensitivityEnabled: "dynamicSensitivityComposite",
+    dynamicSensitivityMode: "dynamicSensitivityComposite",
+    smartTrackingMode: "smartTrackingComposite",
+    smartTrackingLevel: "smartTrackingComposite",
+    smartTrackingLiftDistance: "smartTrackingComposite",
+    smartTrackingLandingDistance: "smartTrackingComposite",
+    hyperpollingIndicatorMode: "hyperpollingIndicator",
+    primaryLedEffect: "lightingComposite",
+    primaryLedColor: "lightingComposite",
+    primaryLedBrightness: "lightingComposite",
+    logoLedEffect: "lightingComposite",
+    logoLedColor: "lightingComposite",
+    logoLedBrightness: "lightingComposite",
+    wheelLedEffect: "lightingComposite",
+    wheelLedColor: "lightingComposite",
+    wheelLedBrightness: "lightingComposite",
+  });
+  const BOOLEAN_STD_KEYS = Object.freeze([
+    "motionSync",
+    "linearCorrection",
+    "rippleControl",
+    "surfaceModePrimary",
+    "surfaceModeSecondary",
+    "primaryLedFeature",
+    "longRangeMode",
+    "speedClickLeft",
+    "speedClickRight",
+    "wirelessStrategyMode",
+    "commProtocolMode",
+    "onboardMemoryMode",
+    "dynamicSensitivityEnabled",
+  ]);
+
+  const listSchema = (list, extra = {}) => {
+    const values = Array.isArray(list) ? list.filter((v) => v != null) : [];
+    return values.length ? { ...extra, enum: values.slice() } : { ...extra };
+  };
+
+  const rangeSchema = (range, type = "number", extra = {}) => {
+    const out = { type, ...extra };
+    if (!isPlainObject(range)) return out;
+    const min = toNumber(range.min);
+    const max = toNumber(range.max);
+    const step = toNumber(range.step);
+    if (Number.isFinite(min)) out.minimum = min;
+    if (Number.isFinite(max)) out.maximum = max;
+    if (Number.isFinite(step) && step > 0) out.multipleOf = step;
+    if (range.unit) out.unit = String(range.unit);
+    return out;
+  };
+
+  // Per-key value domains; everything else falls back to the transform reader type.
+  const STD_KEY_SCHEMA_BUILDERS = {
+    pollingHz: ({ adapter, cap }) => listSchema(
+      Array.isArray(cap.pollingRates) && cap.pollingRates.length ? cap.pollingRates : adapter.ranges?.polling?.basicHz,
+      { type: "integer", unit: "Hz" }
+    ),
+    pollingWirelessHz: ({ adapter, cap }) => listSchema(
+      Array.isArray(cap.pollingRatesWireless) && cap.pollingRatesWireless.length ? cap.pollingRatesWireless : adapter.ranges?.polling?.advHz,
+      { type: "integer", unit: "Hz" }
+    ),
+    dpiSlots: ({ dpi }) => dpiArraySchema(dpi),
+    dpiSlotsX: ({ dpi }) => dpiArraySchema(dpi),
+    dpiSlotsY: ({ dpi }) => dpiArraySchema(dpi),
+    dpiSlotCount: ({ dpi }) => ({ type: "integer", minimum: 1, ...(dpi.slotCap ? { maximum: dpi.slotCap } : {}) }),
+    activeDpiSlotIndex: ({ dpi }) => ({ type: "integer", minimum: 0, ...(dpi.slotCap ? { maximum: dpi.slotCap - 1 } : {}) }),
+    sleepSeconds: ({ adapter }) => listSchema(adapter.ranges?.power?.sleepSeconds, { type: "integer", unit: "s" }),
+    debounceMs: ({ adapter }) => listSchema(adapter.ranges?.power?.debounceMs, { type: "integer", unit: "ms" }),
+    sensorAngle: ({ adapter }) => rangeSchema(adapter.ranges?.sensor?.angleDeg, "number", { unit: "°" }),
+    surfaceFeel: ({ adapter }) => rangeSchema(adapter.ranges?.sensor?.feel),
+    performanceMode: ({ adapter }) => listSchema(
+      isPlainObject(adapter.ui?.perfMode) ? Object.keys(adapter.ui.perfMode) : null,
+      { type: "string" }
+    ),
+    keyScanningRate: () => ({ type: "integer", unit: "Hz" }),
+    configSlotCount: () => ({ type: "integer", minimum: 1, maximum: MAX_CONFIG_SLOT_COUNT }),
+    activeConfigSlotIndex: () => ({ type: "integer", minimum: 0, maximum: MAX_CONFIG_SLOT_COUNT - 1 }),
+    buttonMappingPatch: ({ adapter }) => {
+      const capRaw = toNumber(adapter.features?.keymapButtonCount);
+      const maxButtons = Number.isFinite(capRaw) ? Math.max(1, Math.round(capRaw)) : 6;
+      const minButton = resolveFirstMappableButton(adapter);
+      return {
+        type: "object",
+        description: "Per-button action labels keyed by 1-based button number.",
+        propertyNames: { pattern: "^[0-9]+$" },
+        additionalProperties: { type: "string" },
+        "x-buttons": { minimum: minButton, maximum: maxButtons },
+      };
+    },
+  };
+
+  function dpiArraySchema(dpi) {
+    const items = { type: "integer", minimum: dpi.min };
+    // Without capabilities or a profile/segment ceiling the max is only a guess; leave it open.
+    if (dpi.maxKnown) items.maximum = dpi.max;
+    if (dpi.stepSegments.length) items["x-stepSegments"] = dpi.stepSegments.map((seg) => ({ ...seg }));
+    else if (dpi.step > 1) items.multipleOf = dpi.step;
+    const out = { type: "array", items, minItems: 1 };
+    if (dpi.slotCap) out.maxItems = dpi.slotCap;
+    return out;
+  }
+
+  // Value types of profile-specific keys whose readers are custom functions.
+  const STD_KEY_TYPES = Object.freeze({
+    dpiLods: { type: "array", items: { type: "string" } },
+    dpiLightEffect: { type: "integer" },
+    receiverLightEffect: { type: "integer" },
+    scrollHpMode: { type: "integer" },
+    scrollHpWindowMs: { type: "integer", unit: "ms" },
+    staticLedColor: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+    lightforceSwitch: { type: "string", enum: ["optical", "hybrid"] },
+    surfaceMode: { type: "string", enum: ["auto", "on", "off"] },
+    superstrikeSwitches: { type: "object" },
+    bhopMs: { type: "integer", unit: "ms" },
+    hyperpollingIndicatorMode: { type: "integer" },
+    dynamicSensitivityMode: { type: "string" },
+    smartTrackingMode: { type: "string" },
+    smartTrackingLevel: { type: "integer" },
+    smartTrackingLiftDistance: { type: "integer" },
+    smartTrackingLandingDistance: { type: "integer" },
+    lowPowerThresholdPercent: { type: "integer", unit: "%" },
+    chargeLowThreshold: { type: "integer" },
+    primaryLedEffect: { type: "string", enum: ["off", "static", "breathing", "spectrum"] },
+    primaryLedColor: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+    primaryLedBrightness: { type: "integer", minimum: 0, maximum: 100, unit: "%" },
+    logoLedEffect: { type: "string", enum: ["off", "static", "breathing", "spectrum"] },
+    logoLedColor: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+    logoLedBrightness: { type: "integer", minimum: 0, maximum: 100, unit: "%" },
+    wheelLedEffect: { type: "string", enum: ["off", "static", "breathing", "spectrum"] },
+    wheelLedColor: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+    wheelLedBrightness: { type: "integer", minimum: 0, maximum: 100, unit: "%" },
+  });
+
+  function inferStdKeySchema(adapter, key) {
+    const read = adapter?.transforms?.[key]?.read;
+    if (BOOLEAN_STD_KEYS.includes(key) || read === readBool) return { type: "boolean" };
+    if (STD_KEY_TYPES[key]) return JSON.parse(JSON.stringify(STD_KEY_TYPES[key]));
+    if (read === readNumber) return { type: "number" };
+    return {};
+  }
+
+  /**
+   * Describe every std key of an adapter as JSON Schema.
+   * Purpose: one machine-readable source for import validation, tooling and generated UI,
+   * instead of reading profile.features, AppConfig.ranges and advanced panel rules separately.
+   *
+   * Extensions on each property:
+   * - x-read / x-write: the std key can be read back (keyMap or button table) / written (keyMap or action).
+   * - x-protocolFields: keyMap protocol field candidates, first one is written.
+   * - x-regions, x-requiresFeatures, x-requiresCapabilities: advanced panel placement and gates.
+   * - x-available: gates pass for the given features/capabilities.
+   *
+   * @param {Object} adapter - Runtime adapter.
+   * @param {Object} [capabilities] - hidApi.capabilities of the connected device (narrows ranges).
+   * @returns {Object|null} JSON Schema document for a std-key patch.
+   */
+  function describeAdapterSchema(adapter, capabilities = null) {
+    if (!adapter) return null;
+    const cap = isPlainObject(capabilities) ? capabilities : {};
+    const features = adapter.features || {};
+    const registry = resolveAdvancedPanelRegistry(adapter);
+    const dpi = resolveTargetDpiContext(adapter, cap);
+    dpi.maxKnown = Number.isFinite(toNumber(cap.maxDpi ?? adapter.ranges?.dpi?.max)) || dpi.stepSegments.length > 0;
+    const ctx = { adapter, cap, dpi };
+    const keys = Array.from(new Set([
+      ...Object.keys(adapter.keyMap || {}),
+      ...Object.keys(adapter.transforms || {}),
+      ...Object.keys(adapter.actions || {}),
+    ]));
+
+    const properties = {};
+    for (const key of keys) {
+      const builder = STD_KEY_SCHEMA_BUILDERS[key];
+      const prop = builder ? builder(ctx) : inferStdKeySchema(adapter, key);
+      const fields = normalizeKeyList(adapter.keyMap?.[key]);
+      prop["x-read"] = fields.length > 0 || key === "buttonMappingPatch";
+      prop["x-write"] = !!adapter.actions?.[key] || fields.length > 0;
+      if (fields.length) prop["x-protocolFields"] = fields.slice();
+
+      const rule = registry[ADVANCED_PANEL_ITEM_BY_STD_KEY[key] || key];
+      if (rule) {
+        prop["x-regions"] = rule.regions.slice();
+        if (rule.requiresFeatures.length) prop["x-requiresFeatures"] = rule.requiresFeatures.slice();
+        if (rule.requiresCapabilities.length) prop["x-requiresCapabilities"] = rule.requiresCapabilities.slice();
+        prop["x-available"] = evaluateAdvancedPanelVisibility(rule, { features, capabilities: cap });
+      } else {
+        prop["x-available"] = prop["x-write"];
+      }
+      properties[key] = prop;
+    }
+
+    return {
+      $schema: DEVICE_SCHEMA_DIALECT,
+      $id: `${DEVICE_SCHEMA_ID_PREFIX}${adapter.id}`,
+      title: `${adapter.id} std-key patch`,
+      type: "object",
+      additionalProperties: false,
+      properties,
+    };
+  }
+
+  // ============================================================
+  // Std-key validation (before dispatch)
+  // ============================================================
+  const STEP_EPSILON = 1e-6;
+
+  const onStep = (value, step, base = 0) => {
+    const q = (value - base) / step;
+    return Math.abs(q - Math.round(q)) < STEP_EPSILON;
+  };
+
+  function matchesSchemaType(type, value) {
+    switch (type) {
+      case "boolean": return typeof value === "boolean" || value === 0 || value === 1;
+      case "integer": return Number.isInteger(toNumber(value));
+      case "number": return Number.isFinite(toNumber(value));
+      case "string": return typeof value === "string";
+      case "array": return Array.isArray(value);
+      case "object": return isPlainObject(value);
+      default: return true;
+    }
+  }
+
+  /**
+   * Check one value against a describeAdapterSchema() property.
+   * @returns {Array<Object>} Errors (empty when valid).
+   */
+  function validateSchemaValue(stdKey, value, prop, path = stdKey) {
+    const fail = (code, expected) => [{ stdKey, path, code, value, expected }];
+    if (!prop || value === undefined) return [];
+    if (prop.type && !matchesSchemaType(prop.type, value)) return fail("type", prop.type);
+
+    if (prop.type === "array") {
+      if (prop.minItems != null && value.length < prop.minItems) return fail("min-items", prop.minItems);
+      if (prop.maxItems != null && value.length > prop.maxItems) return fail("max-items", prop.maxItems);
+      const errors = [];
+      value.forEach((item, i) => errors.push(...validateSchemaValue(stdKey, item, prop.items, `${path}[${i}]`)));
+      return errors;
+    }
+
+    if (prop.type === "object" && prop["x-buttons"]) {
+      const { minimum, maximum } = prop["x-buttons"];
+      const errors = [];
+      for (const [btn, label] of Object.entries(value)) {
+        const n = Number(btn);
+        if (!Number.isInteger(n) || n < minimum || n > maximum) {
+          errors.push({ stdKey, path: `${path}.${btn}`, code: "button-range", value: btn, expected: { minimum, maximum } });
+        } else if (label != null && typeof label !== "string") {
+          errors.push({ stdKey, path: `${path}.${btn}`, code: "type", value: label, expected: "string" });
+        }
+      }
+      return errors;
+    }
+
+    if (Array.isArray(prop.enum)) {
+      const numeric = prop.type === "integer" || prop.type === "number";
+      const hit = prop.enum.some((v) => (numeric ? toNumber(v) === toNumber(value) : v === value));
+      return hit ? [] : fail("enum", prop.enum.slice());
+    }
+
+    if (prop.type === "integer" || prop.type === "number") {
+      const n = toNumber(value);
+      const range = { minimum: prop.minimum ?? null, maximum: prop.maximum ?? null };
+      if (prop.minimum != null && n < prop.minimum) return fail("minimum", range);
+      if (prop.maximum != null && n > prop.maximum) return fail("maximum", range);
+      if (prop.multipleOf && !onStep(n, prop.multipleOf, prop.minimum ?? 0)) return fail("step", prop.multipleOf);
+      const segments = prop["x-stepSegments"];
+      if (Array.isArray(segments) && segments.length) {
+        const inSegments = segments.filter((seg) => n >= seg.min && n <= seg.max);
+        if (inSegments.length && !inSegments.some((seg) => onStep(n, seg.step, seg.min))) {
+          return fail("step", inSegments[0].step);
+        }
+      }
+      return [];
+    }
+
+    if (prop.type === "string" && prop.pattern && !new RegExp(prop.pattern).test(value)) {
+      return fail("pattern", prop.pattern);
+    }
+    return [];
+  }
+
+  /**
+   * Validate a std-key patch against the adapter schema before dispatch.
+   * Purpose: reject out-of-range values with one structured error per key instead of letting each
+   * protocol clamp them or throw its own ProtocolError.
+   *
+   * Keys unknown to the adapter are not reported; writePatch keeps skipping them as before.
+   * buttonMappingPatch is checked per button: valid buttons stay in validPatch next to the errors
+   * for the rejected ones.
+   *
+   * @param {Object} args
+   * @param {Object} args.adapter - Runtime adapter.
+   * @param {Object} args.payload - UI-layer standard-key patch.
+   * @param {Object} [args.capabilities] - hidApi.capabilities (narrows DPI/polling domains).
+   * @returns {{ok: boolean, errors: Array<{stdKey: string, path: string, code: string, value: any, expected: any}>, validPatch: Object}}
+   *   code: "type" | "enum" | "minimum" | "maximum" | "step" | "min-items" | "max-items" | "button-range" | "pattern".
+   */
+  function validatePatch({ adapter, payload, capabilities = null }) {
+    const result = { ok: true, errors: [], validPatch: {} };
+    if (!adapter || !isPlainObject(payload)) return result;
+    const schema = describeAdapterSchema(adapter, capabilities);
+    for (const [key, value] of Object.entries(payload)) {
+      const prop = schema?.properties?.[key];
+      if (prop?.["x-buttons"] && isPlainObject(value)) {
+        const buttons = {};
+        for (const [btn, label] of Object.entries(value)) {
+          const errors = validateSchemaValue(key, { [btn]: label }, prop);
+          if (errors.length) result.errors.push(...errors);
+          else buttons[btn] = label;
+        }
+        if (Object.keys(buttons).length) result.validPatch[key] = buttons;
+        continue;
+      }
+      const errors = validateSchemaValue(key, value, prop);
+      if (errors.length) result.errors.push(...errors);
+      else result.validPatch[key] = value;
+    }
+    result.ok = !result.errors.length;
+    return result;
+  }
+
   // ============================================================
   // Exports
   // ============================================================
@@ -1067,10 +2232,23 @@ const LOGITECH_DPI_STEP_SEGMENTS = Object.freeze([
     mergeAdvancedPanelRules,
     evaluateAdvancedPanelVisibility,
     resolveAdvancedPanelRegistry,
+    describeAdapterSchema,
+    createStdKeyStore,
   };
 
-  window.DeviceWriter = { writePatch };
+  window.DeviceWriter = { writePatch, validatePatch, verifyPatch, listRiskyStdKeys, describePlannedCommand };
   window.DeviceReader = { requestConfig, getCachedConfig, readStandardValue };
+  // Shared store of the connected device; app.js feeds it, anything else may subscribe.
+  window.DeviceStore = createStdKeyStore();
+  window.DeviceConfigIO = {
+    FORMAT: CONFIG_EXPORT_FORMAT,
+    VERSION: CONFIG_EXPORT_VERSION,
+    listStandardKeys,
+    buildConfigExport,
+    parseConfigImport,
+    translateConfigExport,
+    planConfigClone,
+  };
 })();
 
 
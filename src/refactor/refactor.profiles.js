@@ -117,6 +117,20 @@
     hyperpollingIndicatorMode: "single",
   });
 
+  // Safe-apply contract (write-chain guard, see DeviceWriter.listRiskyStdKeys):
+  // - Key is stdKey, value is a declarative risk rule checked against the outgoing patch.
+  //   { minValue }: numeric write >= minValue (e.g. 8000 Hz polling).
+  //   { whenTrue }: enabling the toggle.
+  //   { buttons, safeActions, actions }: buttonMappingPatch remapping a listed button to anything
+  //   outside safeActions, or writing any button to one of actions (disabled buttons).
+  // - app.js applies risky patches behind a countdown and writes previous values back unless confirmed.
+  // - Device overrides must be declared in profile.features.safeApplyRiskyKeys (spread the defaults).
+  const SAFE_APPLY_RISK_DEFAULTS = Object.freeze({
+    pollingHz: { minValue: 8000 },
+    pollingWirelessHz: { minValue: 8000 },
+    buttonMappingPatch: { buttons: [1], safeActions: ["左键"], actions: ["禁止按键", "无"] },
+  });
+
   // Build protocol-neutral defaults. Device profiles are composed from this base.
   function buildCommonProfileDefaults() {
     return {
@@ -227,6 +241,8 @@
         hasBhopDelay: false,
         hasSpeedClick: false,
         hasScrollHp: false,
+        // Keymap editor may remap button 1 (validated so some button still left-clicks).
+        keymapPrimaryRemappable: true,
         // When true, UI defers local slot-count repaint until device config ack to avoid transient DPI jumps.
         deferDpiSlotCountUiUntilAck: false,
         ledMasterBySecondarySurface: false,
@@ -246,6 +262,7 @@
         batteryPollMs: 120000,
         batteryPollTag: "2min",
         enterDelayMs: 0,
+        safeApplyRiskyKeys: { ...SAFE_APPLY_RISK_DEFAULTS },
       },
     };
   }
@@ -742,6 +759,27 @@ id: "atk",
     },
   });
 
+  // LED zone std keys (<zone>LedEffect / <zone>LedColor / <zone>LedBrightness) share one value domain
+  // across brands; each protocol maps the effect names onto its own effect ids.
+  const LED_ZONE_EFFECTS = Object.freeze(["off", "static", "breathing", "spectrum"]);
+
+  function normalizeLedZoneEffect(v) {
+    const effect = String(v ?? "").trim().toLowerCase();
+    return LED_ZONE_EFFECTS.includes(effect) ? effect : undefined;
+  }
+
+  function normalizeLedZoneColor(v) {
+    let color = String(v ?? "").trim().toUpperCase();
+    if (color && !color.startsWith("#")) color = `#${color}`;
+    return /^#[0-9A-F]{6}$/.test(color) ? color : undefined;
+  }
+
+  function normalizeLedZoneBrightness(v) {
+    const n = toNumber(v);
+    if (!Number.isFinite(n)) return undefined;
+    return clamp(Math.round(n), 0, 100);
+  }
+
   // Profiles are composed with a flat common base + per-device overrides model.
   // Logitech profile extends common protocol defaults via explicit overrides only.
   const LOGITECH_POLLING_THEME_BY_HZ = Object.freeze({
@@ -842,6 +880,12 @@ id: "atk",
         hyperpollingIndicator: {
           enabled: false,
         },
+        lightingComposite: {
+          requiresCapabilities: ["lighting"],
+        },
+        onboardBackup: {
+          requiresCapabilities: ["onboardProfileBackup"],
+        },
       },
       advancedSingleOrders: {
         onboardMemory: 10,
@@ -852,6 +896,8 @@ id: "atk",
         superstrikeClickFeedbackComposite: 60,
         bhopToggle: 70,
         bhopDelay: 80,
+        lightingComposite: 90,
+        onboardBackup: 100,
       },
       advancedSourceRegionByStdKey: {
         ...ADVANCED_SOURCE_REGION_DEFAULTS,
@@ -869,6 +915,12 @@ id: "atk",
         superstrikeClickFeedbackSym: "single",
         superstrikeClickFeedbackLeft: "single",
         superstrikeClickFeedbackRight: "single",
+        primaryLedEffect: "single",
+        primaryLedColor: "single",
+        primaryLedBrightness: "single",
+        logoLedEffect: "single",
+        logoLedColor: "single",
+        logoLedBrightness: "single",
       },
       basicModeTypography: {
         columnsOffsetX: -120,
@@ -910,10 +962,10 @@ id: "atk",
         labelFontWeight: "500",
         labelLetterSpacing: "0.008em",
       },
-      onboardMemoryDisableConfirmText: "是否关闭板载内存模式，关闭后驱动设置不保证可用",
+      onboardMemoryDisableConfirmText: "是否关闭板载内存模式？关闭后进入软件模式：DPI、回报率和灯效即时生效但不保存到鼠标，按键映射等板载设置不可修改",
       onboardMemoryEnableConfirmText: [
-        "检测到当前罗技设备未开启板载内存模式。\n\n网页驱动需要板载内存模式，才能写入并使用设备配置；你也可以先在 GHUB 中手动开启。\n\nGPW1/2 G502 等旧设备未适配型号请勿尝试打开,否则会导致异常。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。\n\n确定：开启板载内存模式并进入；取消：不启用，继续进入",
-        "Onboard Memory Mode is currently disabled.\n\nThe web driver needs Onboard Memory Mode to write and use device settings; you can also enable it in GHUB first.\n\nDo not try to enable this on unsupported older devices such as GPW1/2 or G502; otherwise it may cause abnormal behavior. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode.\n\nOK: enable Onboard Memory Mode and enter; Cancel: continue without enabling",
+        "检测到当前罗技设备未开启板载内存模式。\n\n开启后网页驱动可将完整配置写入板载内存；也可不开启，以软件模式临时调整 DPI、回报率和灯效，不改动 GHUB 板载配置。\n\nGPW1/2 G502 等旧设备未适配型号请勿尝试打开,否则会导致异常。若按键异常，可按 Ctrl+Alt+Shift+O 关闭板载内存模式。\n\n确定：开启板载内存模式并进入；取消：不启用，以软件模式进入",
+        "Onboard Memory Mode is currently disabled.\n\nWith it enabled, the web driver can save all settings to onboard memory. You can also keep it off and adjust DPI, polling rate and lighting temporarily in software mode without touching your GHUB onboard profiles.\n\nDo not try to enable this on unsupported older devices such as GPW1/2 or G502; otherwise it may cause abnormal behavior. If buttons behave abnormally, press Ctrl+Alt+Shift+O to turn off Onboard Memory Mode.\n\nOK: enable Onboard Memory Mode and enter; Cancel: continue in software mode",
       ],
     },
     ranges: {
@@ -950,6 +1002,12 @@ id: "atk",
       surfaceMode: "surfaceMode",
       superstrikeSwitches: "superstrikeSwitches",
       bhopMs: "bhopMs",
+      primaryLedEffect: "primaryLedEffect",
+      primaryLedColor: "primaryLedColor",
+      primaryLedBrightness: "primaryLedBrightness",
+      logoLedEffect: "logoLedEffect",
+      logoLedColor: "logoLedColor",
+      logoLedBrightness: "logoLedBrightness",
     },
     transforms: {
       dpiLods: {
@@ -987,6 +1045,30 @@ id: "atk",
         write: (v) => normalizeLogitechSuperstrikeSwitches(v),
         read: (raw) => normalizeLogitechSuperstrikeSwitches(raw),
       },
+      primaryLedEffect: {
+        write: (v) => normalizeLedZoneEffect(v),
+        read: (raw) => normalizeLedZoneEffect(raw),
+      },
+      primaryLedColor: {
+        write: (v) => normalizeLedZoneColor(v),
+        read: (raw) => normalizeLedZoneColor(raw),
+      },
+      primaryLedBrightness: {
+        write: (v) => normalizeLedZoneBrightness(v),
+        read: (raw) => normalizeLedZoneBrightness(raw),
+      },
+      logoLedEffect: {
+        write: (v) => normalizeLedZoneEffect(v),
+        read: (raw) => normalizeLedZoneEffect(raw),
+      },
+      logoLedColor: {
+        write: (v) => normalizeLedZoneColor(v),
+        read: (raw) => normalizeLedZoneColor(raw),
+      },
+      logoLedBrightness: {
+        write: (v) => normalizeLedZoneBrightness(v),
+        read: (raw) => normalizeLedZoneBrightness(raw),
+      },
       bhopMs: {
         write: (v) => {
           const n = toNumber(v);
@@ -1055,6 +1137,10 @@ id: "atk",
       warnOnDisableOnboardMemoryMode: true,
       confirmEnableOnboardMemoryOnConnect: true,
       emergencyDisableOnboardMemoryHotkey: true,
+      safeApplyRiskyKeys: {
+        ...SAFE_APPLY_RISK_DEFAULTS,
+        onboardMemoryMode: { whenTrue: true },
+      },
       hasLightforceSwitch: true,
       hasSurfaceMode: true,
       hasBhopDelay: true,
@@ -1174,6 +1260,8 @@ id: "atk",
       staticLedColorRequiresDpiLightEffect: true,
       staticLedColorRequiredDpiLightValue: 0,
       keymapButtonCount: 5,
+      // Ninjutso keymap has no source code for Btn1; the primary button stays fixed.
+      keymapPrimaryRemappable: false,
       // Ninjutso protocol writes slot count first and then requires readback for stable slot DPI display.
       deferDpiSlotCountUiUntilAck: true,
       batteryReadMode: "active",
@@ -1265,6 +1353,9 @@ id: "atk",
         hyperpollingIndicator: {
           requiresCapabilities: ["hyperpollingIndicatorMode"],
         },
+        lightingComposite: {
+          requiresCapabilities: ["lighting"],
+        },
         sleepSeconds: {
           enabled: true,
         },
@@ -1276,6 +1367,7 @@ id: "atk",
         smartTrackingComposite: 40,
         sleepSeconds: 50,
         lowPowerThresholdPercent: 60,
+        lightingComposite: 70,
       },
       advancedCycleStateMeta: razerTexts.advancedCycleStateMeta,
       smartTrackingLevelLabels: razerTexts.smartTrackingLevelLabels,
@@ -1294,6 +1386,12 @@ id: "atk",
         smartTrackingLandingDistance: "single",
         lowPowerThresholdPercent: "single",
         chargeLowThreshold: "single",
+        logoLedEffect: "single",
+        logoLedColor: "single",
+        logoLedBrightness: "single",
+        wheelLedEffect: "single",
+        wheelLedColor: "single",
+        wheelLedBrightness: "single",
       },
     },
     ranges: {
@@ -1328,6 +1426,12 @@ id: "atk",
       smartTrackingLandingDistance: "smartTrackingLandingDistance",
       lowPowerThresholdPercent: "lowPowerThresholdPercent",
       chargeLowThreshold: "chargeLowThreshold",
+      logoLedEffect: "logoLedEffect",
+      logoLedColor: "logoLedColor",
+      logoLedBrightness: "logoLedBrightness",
+      wheelLedEffect: "wheelLedEffect",
+      wheelLedColor: "wheelLedColor",
+      wheelLedBrightness: "wheelLedBrightness",
     },
     transforms: {
       pollingHz: {
@@ -1447,6 +1551,30 @@ id: "atk",
         write: (v) => normalizeRazerChargeLowThreshold(v),
         read: (raw) => normalizeRazerChargeLowThreshold(raw),
       },
+      logoLedEffect: {
+        write: (v) => normalizeLedZoneEffect(v),
+        read: (raw) => normalizeLedZoneEffect(raw),
+      },
+      logoLedColor: {
+        write: (v) => normalizeLedZoneColor(v),
+        read: (raw) => normalizeLedZoneColor(raw),
+      },
+      logoLedBrightness: {
+        write: (v) => normalizeLedZoneBrightness(v),
+        read: (raw) => normalizeLedZoneBrightness(raw),
+      },
+      wheelLedEffect: {
+        write: (v) => normalizeLedZoneEffect(v),
+        read: (raw) => normalizeLedZoneEffect(raw),
+      },
+      wheelLedColor: {
+        write: (v) => normalizeLedZoneColor(v),
+        read: (raw) => normalizeLedZoneColor(raw),
+      },
+      wheelLedBrightness: {
+        write: (v) => normalizeLedZoneBrightness(v),
+        read: (raw) => normalizeLedZoneBrightness(raw),
+      },
     },
     actions: {
       pollingHz: async ({ hidApi, value }) => {
@@ -1600,6 +1728,16 @@ id: "atk",
     getAdapter(id) {
       return adapters[normalizeDeviceId(id)] || adapters[FALLBACK_DEVICE_ID];
     },
+
+    /**
+     * Describe the std keys of one device as JSON Schema (type, unit, range/enum, gates, read/write).
+     * Pass the connected hidApi.capabilities to narrow DPI/polling domains to the actual mouse.
+     */
+    describe(id, capabilities = null) {
+      const describeAdapterSchema = window.__DeviceRefactorCore?.describeAdapterSchema;
+      if (typeof describeAdapterSchema !== "function") return null;
+      return describeAdapterSchema(this.getAdapter(id), capabilities);
+    },
   };
 })();
 
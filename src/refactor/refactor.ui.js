@@ -842,6 +842,12 @@
     hyperpollingIndicator: Object.freeze([
       Object.freeze({ region: "single", selector: '[data-adv-region="single"] [data-adv-item="hyperpollingIndicator"][data-adv-control="cycle"]' }),
     ]),
+    lightingComposite: Object.freeze([
+      Object.freeze({ region: "single", selector: '[data-adv-region="single"] [data-adv-item="lightingComposite"][data-adv-control="panel"]' }),
+    ]),
+    onboardBackup: Object.freeze([
+      Object.freeze({ region: "single", selector: '[data-adv-region="single"] [data-adv-item="onboardBackup"][data-adv-control="panel"]' }),
+    ]),
   });
 
   function getAdvancedPanel(doc) {
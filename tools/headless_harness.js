@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Headless harness: run the window-global IIFE scripts under Node.
+ *
+ * Scope in this file:
+ * - Load refactor.core.js / refactor.profiles.js (and optionally one protocol_api_* plus
+ *   device_virtual.js) into a sandboxed `window` via node:vm, in the same order as index.html.
+ * - Provide a recording FakeHidApi so DeviceWriter.writePatch can be checked per brand
+ *   (transforms -> actions -> keyMap/setFeature) without any transport.
+ * - Provide a protocol session mode that drives the real MouseMouseHidApi against the
+ *   VirtualHid emulator, so DeviceReader.readStandardValue sees protocol-produced cfg.
+ * - Record that session as a HidTraffic fixture, or replay a fixture (recorded here or on
+ *   real hardware via ?hidcapture=1) and report where the outgoing traffic diverges.
+ *
+ * Out of scope in this file:
+ * - No DOM. app.js / refactor.ui.js are not loaded.
+ * - No test runner; callers assert on the returned objects (or use the CLI summary).
+ *
+ * CLI:
+ *   node tools/headless_harness.js [deviceId,...] [--fake] [--patch '<json>'] [--read key1,key2] [--verbose]
+ *   node tools/headless_harness.js razer --patch '{"pollingHz":500}' --record fixtures/
+ *   node tools/headless_harness.js --replay fixtures/hid-session-razer.json --patch '{"pollingHz":500}'
+ *
+ * Library:
+ *   const { createHarness } = require("./tools/headless_harness.js");
+ *   const h = await createHarness("razer", { mode: "virtual" });
+ *   await h.write({ pollingHz: 500 });
+ *   h.read("pollingHz");
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DEVICE_IDS = Object.freeze(["rapoo", "atk", "crdrako", "ninjutso", "logitech", "razer"]);
+// Keep in sync with DeviceRuntime PROTOCOL_SCRIPT_BY_DEVICE.
+const PROTOCOL_SCRIPT_BY_DEVICE = Object.freeze({
+  rapoo: "src/protocols/protocol_api_rapoo.js",
+  atk: "src/protocols/protocol_api_atk.js",
+  crdrako: "src/protocols/protocol_api_crdrkao.js",
+  ninjutso: "src/protocols/protocol_api_ninjutso.js",
+  logitech: "src/protocols/protocol_api_logitech.js",
+  razer: "src/protocols/protocol_api_razer.js",
+});
+const CORE_SCRIPTS = Object.freeze([
+  "src/refactor/refactor.core.js",
+  "src/refactor/refactor.profiles.js",
+]);
+
+// ============================================================
+// 1) Sandbox (browser-like global for IIFE scripts)
+// ============================================================
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(String(k)) ? data.get(String(k)) : null),
+    setItem: (k, v) => { data.set(String(k), String(v)); },
+    removeItem: (k) => { data.delete(String(k)); },
+    clear: () => { data.clear(); },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    get length() { return data.size; },
+  };
+}
+
+function createConsole(verbose) {
+  if (verbose) return console;
+  const noop = () => {};
+  return { log: noop, info: noop, debug: noop, warn: noop, error: console.error.bind(console) };
+}
+
+/**
+ * Create a vm context that looks enough like a page for the IIFE scripts.
+ * Purpose: scripts only touch `window`, storage and timers at load time.
+ *
+ * @param {Object} [opts]
+ * @param {boolean} [opts.verbose] - Forward protocol console.log/warn output.
+ * @returns {Object} Sandbox global (`window`).
+ */
+function createSandbox({ verbose = false } = {}) {
+  const sandbox = {
+    console: createConsole(verbose),
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    localStorage: createMemoryStorage(),
+    sessionStorage: createMemoryStorage(),
+    location: { search: "", hash: "", href: "about:blank" },
+    navigator: { userAgent: "node", language: "en-US" },
+    document: { getElementById: () => null, querySelector: () => null, querySelectorAll: () => [] },
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+  vm.createContext(sandbox);
+  return sandbox;
+}
+
+function loadScript(sandbox, relPath) {
+  const file = path.join(ROOT_DIR, relPath);
+  vm.runInContext(fs.readFileSync(file, "utf8"), sandbox, { filename: file });
+}
+
+// Copy host values into the sandbox realm so protocol-side `instanceof`/Array checks behave.
+function toSandboxValue(sandbox, value) {
+  if (value === undefined) return undefined;
+  return vm.runInContext("JSON", sandbox).parse(JSON.stringify(value));
+}
+
+// ============================================================
+// 2) Fake transport (recording hidApi)
+// ============================================================
+/**
+ * Recording hidApi stand-in.
+ * Purpose: capture what DeviceWriter sends per brand without any protocol code.
+ * Unknown methods (adapter actions with `{ method }`) are recorded through a Proxy.
+ */
+class FakeHidApi {
+  constructor(cfg = {}) {
+    this.calls = [];
+    this.cfg = { ...cfg };
+    this.device = null;
+    return new Proxy(this, {
+      get(target, prop, receiver) {
+        if (prop in target || typeof prop !== "string") return Reflect.get(target, prop, receiver);
+        return async (...args) => {
+          target.calls.push({ method: prop, args });
+        };
+      },
+    });
+  }
+
+  async setFeature(key, value) {
+    this.calls.push({ method: "setFeature", args: [key, value] });
+    this.cfg[key] = value;
+  }
+
+  async setBatchFeatures(patch) {
+    this.calls.push({ method: "setBatchFeatures", args: [patch] });
+    Object.assign(this.cfg, patch || {});
+  }
+
+  async requestConfig() {
+    this.calls.push({ method: "requestConfig", args: [] });
+    return this.cfg;
+  }
+
+  getCachedConfig() {
+    return this.cfg;
+  }
+
+  clearCalls() {
+    this.calls.length = 0;
+  }
+}
+
+// ============================================================
+// 3) Harness
+// ============================================================
+/**
+ * Build a harness for one device id.
+ *
+ * @param {string} deviceId - rapoo/atk/crdrako/ninjutso/logitech/razer.
+ * @param {Object} [opts]
+ * @param {"fake"|"virtual"|"replay"} [opts.mode] - Fake recording transport, real protocol + VirtualHid,
+ *   or real protocol + HidTraffic replay device.
+ * @param {Object} [opts.cfg] - Initial cfg for fake mode.
+ * @param {Object|string} [opts.session] - HidTraffic fixture for replay mode.
+ * @param {boolean} [opts.record] - Capture the protocol session (virtual mode) for exportSession().
+ * @param {boolean} [opts.verbose] - Forward sandbox console output.
+ * @returns {Promise<Object>} Harness handle.
+ */
+async function createHarness(deviceId, { mode = "virtual", cfg = {}, session = null, record = false, verbose = false } = {}) {
+  const id = String(deviceId || "").trim().toLowerCase();
+  if (!DEVICE_IDS.includes(id)) throw new Error(`Unknown device id: ${deviceId}`);
+
+  const sandbox = createSandbox({ verbose });
+  CORE_SCRIPTS.forEach((rel) => loadScript(sandbox, rel));
+  const adapter = sandbox.DeviceAdapters.getAdapter(id);
+
+  let hidApi;
+  let device = null;
+  if (mode === "fake") {
+    hidApi = new FakeHidApi(toSandboxValue(sandbox, cfg));
+  } else {
+    loadScript(sandbox, "src/core/device_virtual.js");
+    loadScript(sandbox, "src/core/hid_traffic.js");
+    loadScript(sandbox, PROTOCOL_SCRIPT_BY_DEVICE[id]);
+    if (mode === "replay") {
+      const fixture = typeof session === "string" ? session : JSON.stringify(session);
+      device = sandbox.HidTraffic.createReplayDevice(fixture, { strict: true });
+    } else {
+      device = sandbox.VirtualHid.getDevice(id);
+      if (record) {
+        sandbox.HidTraffic.startCapture({ label: "harness", deviceType: id });
+        sandbox.HidTraffic.attach(device, { role: "control" });
+      }
+    }
+    hidApi = new sandbox.ProtocolApi.MouseMouseHidApi();
+    hidApi.device = device;
+    await hidApi.bootstrapSession({
+      device,
+      reason: "harness",
+      initialReadMode: "full",
+      transportMode: id === "razer" ? "official" : undefined,
+      readTimeoutMs: 1500,
+      readRetry: 1,
+    });
+  }
+
+  const currentCfg = () => sandbox.DeviceReader.getCachedConfig({ hidApi }) || {};
+
+  return {
+    id,
+    mode,
+    sandbox,
+    adapter,
+    hidApi,
+    device,
+    getConfig: currentCfg,
+    async write(payload) {
+      return sandbox.DeviceWriter.writePatch({ hidApi, adapter, payload: toSandboxValue(sandbox, payload) });
+    },
+    async refresh() {
+      await sandbox.DeviceReader.requestConfig({ hidApi });
+      return currentCfg();
+    },
+    read(key, cfgOverride = null) {
+      return sandbox.DeviceReader.readStandardValue({ cfg: cfgOverride || currentCfg(), adapter, key });
+    },
+    readAll(cfgOverride = null) {
+      const out = {};
+      for (const key of Object.keys(adapter.keyMap || {})) out[key] = this.read(key, cfgOverride);
+      return out;
+    },
+    exportSession() {
+      return sandbox.HidTraffic?.exportSession?.() || "";
+    },
+    async close() {
+      try { await hidApi.close?.(); } catch (_) {}
+      sandbox.HidTraffic?.stopCapture?.();
+    },
+  };
+}
+
+// ============================================================
+// 4) CLI
+// ============================================================
+function parseArgs(argv) {
+  const args = { ids: [], mode: "virtual", patch: null, readKeys: null, verbose: false, recordDir: null, replay: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--fake") args.mode = "fake";
+    else if (a === "--verbose") args.verbose = true;
+    else if (a === "--patch") args.patch = JSON.parse(argv[++i] || "{}");
+    else if (a === "--read") args.readKeys = String(argv[++i] || "").split(",").filter(Boolean);
+    else if (a === "--record") args.recordDir = String(argv[++i] || ".");
+    else if (a === "--replay") {
+      args.mode = "replay";
+      args.replay = fs.readFileSync(String(argv[++i] || ""), "utf8");
+    }
+    else args.ids.push(...a.split(",").filter(Boolean));
+  }
+  if (args.replay && !args.ids.length) args.ids = [String(JSON.parse(args.replay).deviceType || "")];
+  if (!args.ids.length) args.ids = DEVICE_IDS.slice(0);
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let failed = 0;
+  for (const id of args.ids) {
+    try {
+      const h = await createHarness(id, {
+        mode: args.mode,
+        session: args.replay,
+        record: !!args.recordDir,
+        verbose: args.verbose,
+      });
+      const keys = args.readKeys || Object.keys(h.adapter.keyMap || {});
+      const before = Object.fromEntries(keys.map((k) => [k, h.read(k)]));
+      console.log(`[${id}] ${h.mode} read`, JSON.stringify(before));
+      if (args.patch) {
+        const res = await h.write(args.patch);
+        if (h.mode === "fake") console.log(`[${id}] calls`, JSON.stringify(h.hidApi.calls));
+        else await h.refresh();
+        const after = Object.fromEntries(Object.keys(args.patch).map((k) => [k, h.read(k)]));
+        console.log(`[${id}] wrote`, JSON.stringify(res.writtenStdPatch), "mapped", JSON.stringify(res.mappedPatch));
+        console.log(`[${id}] readback`, JSON.stringify(after));
+      }
+      if (h.mode === "replay") {
+        const { replay } = h.device;
+        console.log(`[${id}] replay ${replay.position}/${replay.total} entries, mismatches ${replay.mismatches.length}`);
+        if (!replay.isComplete()) throw new Error(`replay ended early; next expected ${JSON.stringify(replay.remaining()[0])}`);
+      }
+      if (args.recordDir) {
+        fs.mkdirSync(args.recordDir, { recursive: true });
+        const file = path.join(args.recordDir, `hid-session-${id}.json`);
+        fs.writeFileSync(file, h.exportSession());
+        console.log(`[${id}] recorded`, file);
+      }
+      await h.close();
+    } catch (e) {
+      failed++;
+      console.error(`[${id}] FAILED`, e?.stack || e);
+    }
+  }
+  // Protocol drivers may leave battery/keep-alive timers running.
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = { DEVICE_IDS, createSandbox, FakeHidApi, createHarness };
+
+if (require.main === module) main();